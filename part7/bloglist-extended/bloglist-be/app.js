@@ -4,9 +4,23 @@ const app = express();
 const cors = require('cors');
 const logger = require('./utils/logger');
 const middleware = require('./utils/middleware');
+const jobs = require('./utils/jobs');
+const linkChecker = require('./utils/link_checker');
 const loginRouter = require('./controllers/login');
+const logoutRouter = require('./controllers/logout');
 const blogsRouter = require('./controllers/blogs');
 const usersRouter = require('./controllers/users');
+const readingListRouter = require('./controllers/reading_list');
+const adminRouter = require('./controllers/admin');
+const searchRouter = require('./controllers/search');
+const tagsRouter = require('./controllers/tags');
+const statsRouter = require('./controllers/stats');
+const auditRouter = require('./controllers/audit');
+const feedRouter = require('./controllers/feed');
+const eventsRouter = require('./controllers/events');
+const notificationsRouter = require('./controllers/notifications');
+const collectionsRouter = require('./controllers/collections');
+const docsRouter = require('./controllers/docs');
 const mongoose = require('mongoose');
 
 mongoose.set('strictQuery', false);
@@ -14,12 +28,22 @@ mongoose.set('strictQuery', false);
 mongoose
   .connect(config.MONGODB_URI)
   .then(() => {
-    logger.info('connected to MongoDB!');
+    logger.info('connected to MongoDB');
   })
   .catch((error) => {
-    logger.error('error connecting to MongoDB:', error.message);
+    logger.error('error connecting to MongoDB', { error });
   });
 
+jobs.register('link-check', {
+  interval: config.LINK_CHECK_INTERVAL,
+  run: () =>
+    linkChecker.checkStaleLinks({
+      maxAge: config.LINK_CHECK_MAX_AGE,
+      batchSize: config.LINK_CHECK_BATCH_SIZE,
+    }),
+});
+
+app.use(middleware.requestLogger);
 app.use(cors());
 app.use(express.json());
 app.use(middleware.tokenExtractor);
@@ -28,8 +52,20 @@ if (config.NODE_ENV === 'test') {
   app.use('/api/testing', testingRouter);
 }
 app.use('/api/login', loginRouter);
+app.use('/api/logout', logoutRouter);
 app.use('/api/blogs', blogsRouter);
+app.use('/api/users/me/reading-list', readingListRouter);
 app.use('/api/users', usersRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/tags', tagsRouter);
+app.use('/api/stats', statsRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/feed', feedRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/collections', collectionsRouter);
+app.use('/api/docs', docsRouter);
 app.use(middleware.unknownEndpoint);
 app.use(middleware.errorHandler);
 
@@ -0,0 +1,234 @@
+const adminRouter = require('express').Router();
+const Blog = require('../models/blog');
+const Comment = require('../models/comment');
+const User = require('../models/user');
+const blogRemoval = require('../utils/blog_removal');
+const comments = require('../utils/comments');
+const middleware = require('../utils/middleware');
+const sessions = require('../utils/sessions');
+const audit = require('../utils/audit');
+const revisions = require('../utils/revisions');
+const events = require('../utils/events');
+const visibility = require('../utils/visibility');
+const jobs = require('../utils/jobs');
+const { validate } = require('../utils/validation');
+const { BadRequestError, NotFoundError, notFound } = require('../utils/errors');
+
+adminRouter.use(middleware.userExtractor);
+
+adminRouter.put(
+  '/blogs/:id',
+  middleware.requirePermission('blogs:edit:any'),
+  validate('adminUpdateBlog'),
+  async (request, response, next) => {
+    const { title, author, url, tags, visibility } = request.body;
+    try {
+      const blog = await Blog.findById(request.params.id);
+      if (!blog) {
+        throw notFound('blog', request.params.id);
+      }
+
+      const updatedBlog = await Blog.findByIdAndUpdate(
+        request.params.id,
+        { title, author, url, tags, visibility },
+        {
+          new: true,
+          runValidators: true,
+          context: 'query',
+        }
+      );
+      await revisions.recordRevision(blog, updatedBlog, request.user);
+      await audit.record(request, 'admin.blog.update', {
+        target: { type: 'blog', id: blog._id },
+        before: blog,
+        after: updatedBlog,
+      });
+
+      const populatedBlog = await updatedBlog.populate('user', {
+        username: 1,
+        name: 1,
+        id: 1,
+      });
+      events.publishBlogChange(request, blog, populatedBlog);
+
+      response.json(populatedBlog);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+adminRouter.delete(
+  '/blogs/:id',
+  middleware.requirePermission('blogs:delete:any'),
+  validate('adminDeleteBlog'),
+  async (request, response, next) => {
+    try {
+      const blog = await Blog.findById(request.params.id);
+      if (!blog) {
+        throw notFound('blog', request.params.id);
+      }
+
+      await blogRemoval.removeBlog(blog);
+      await audit.record(request, 'admin.blog.delete', {
+        target: { type: 'blog', id: blog._id },
+        before: blog,
+      });
+      if (visibility.isListed(blog)) {
+        events.publish(request, 'blog.deleted', { id: blog.id });
+      }
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+adminRouter.delete(
+  '/comments/:id',
+  middleware.requirePermission('comments:delete:any'),
+  validate('adminDeleteComment'),
+  async (request, response, next) => {
+    try {
+      const comment = await Comment.findOne({
+        _id: request.params.id,
+        deletedAt: null,
+      });
+      if (!comment) {
+        throw notFound('comment', request.params.id);
+      }
+
+      const before = comment.toJSON();
+      await comments.removeComment(request, comment);
+      await audit.record(request, 'admin.comment.delete', {
+        target: { type: 'comment', id: comment._id },
+        before,
+      });
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+adminRouter.put(
+  '/users/:id/status',
+  middleware.requirePermission('users:moderate'),
+  validate('setUserStatus'),
+  async (request, response, next) => {
+    const { status } = request.body;
+
+    if (request.params.id === request.user.id) {
+      return next(
+        new BadRequestError('you can not change the status of your own account')
+      );
+    }
+
+    try {
+      const user = await User.findById(request.params.id);
+      if (!user) {
+        throw notFound('user', request.params.id);
+      }
+
+      const before = user.toJSON();
+      user.status = status;
+      await user.save();
+
+      if (status !== 'active') {
+        await sessions.revokeUserSessions(user._id);
+      }
+      await audit.record(request, 'admin.user.status', {
+        target: { type: 'user', id: user._id },
+        before: { status: before.status },
+        after: { status },
+      });
+
+      response.json(user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+adminRouter.put(
+  '/users/:id/role',
+  middleware.requirePermission('users:assign-role'),
+  validate('setUserRole'),
+  async (request, response, next) => {
+    const { role } = request.body;
+
+    if (request.params.id === request.user.id) {
+      return next(
+        new BadRequestError('you can not change the role of your own account')
+      );
+    }
+
+    try {
+      const user = await User.findById(request.params.id);
+      if (!user) {
+        throw notFound('user', request.params.id);
+      }
+
+      if (user.role === 'admin' && role !== 'admin') {
+        const otherAdmins = await User.countDocuments({
+          role: 'admin',
+          _id: { $ne: user._id },
+        });
+        if (otherAdmins === 0) {
+          throw new BadRequestError('the last admin can not be demoted');
+        }
+      }
+
+      const before = user.toJSON();
+      user.role = role;
+      await user.save();
+      await audit.record(request, 'admin.user.role', {
+        target: { type: 'user', id: user._id },
+        before: { role: before.role },
+        after: { role },
+      });
+
+      response.json(user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+adminRouter.get(
+  '/jobs',
+  middleware.requirePermission('jobs:run'),
+  validate('listJobs'),
+  (request, response) => {
+    response.json(jobs.list());
+  }
+);
+
+adminRouter.post(
+  '/jobs/:name/run',
+  middleware.requirePermission('jobs:run'),
+  validate('runJob'),
+  async (request, response, next) => {
+    const job = jobs.list().find(({ name }) => name === request.params.name);
+    if (!job) {
+      return next(
+        new NotFoundError(`job ${request.params.name} could not be found`)
+      );
+    }
+
+    try {
+      const result = await jobs.run(job.name);
+      await audit.record(request, 'admin.job.run', {
+        target: { type: 'job' },
+        after: { job: job.name, ...result },
+      });
+      response.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = adminRouter;
@@ -0,0 +1,76 @@
+const auditRouter = require('express').Router();
+const AuditLog = require('../models/audit_log');
+const middleware = require('../utils/middleware');
+const pagination = require('../utils/pagination');
+const { validate } = require('../utils/validation');
+const { BadRequestError } = require('../utils/errors');
+
+const findEntries = (conditions) =>
+  AuditLog.find(conditions).populate('actor', {
+    username: 1,
+    name: 1,
+    id: 1,
+  });
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+auditRouter.get(
+  '/',
+  middleware.userExtractor,
+  middleware.requirePermission('audit:read'),
+  validate('listAuditEntries'),
+  async (request, response, next) => {
+    const { limit, cursor, actor, action, targetType, targetId, from, to } =
+      request.query;
+
+    const pageSize = pagination.parseLimit(limit);
+
+    const decodedCursor = cursor
+      ? pagination.decodeCursor(cursor, 'createdAt')
+      : null;
+    if (cursor && !decodedCursor) {
+      return next(new BadRequestError('invalid cursor'));
+    }
+
+    const filter = {};
+    if (actor) {
+      filter.actor = actor;
+    }
+    // "blog" matches every blog action, "blog.update" only that one
+    if (action) {
+      const escaped = action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.action = { $regex: `^${escaped}(\\.|$)` };
+    }
+    if (targetType) {
+      filter.targetType = targetType;
+    }
+    if (targetId) {
+      filter.targetId = targetId;
+    }
+    if (from || to) {
+      const range = { from: parseDate(from), to: parseDate(to) };
+      filter.createdAt = {
+        ...(range.from && { $gte: range.from }),
+        ...(range.to && { $lte: range.to }),
+      };
+    }
+
+    try {
+      const { items, nextCursor } = await pagination.paginate(findEntries, {
+        filter,
+        sort: 'createdAt',
+        limit: pageSize,
+        cursor: decodedCursor,
+      });
+
+      response.json({ entries: items, nextCursor });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = auditRouter;
@@ -1,49 +1,368 @@
-const blogsRouter = require('express').Router();
+const express = require('express');
+const blogsRouter = express.Router();
 const Blog = require('../models/blog');
+const BlogRevision = require('../models/blog_revision');
 const Comment = require('../models/comment');
+const Like = require('../models/like');
+const blogFormats = require('../utils/blog_formats');
+const blogRemoval = require('../utils/blog_removal');
+const comments = require('../utils/comments');
+const audit = require('../utils/audit');
+const events = require('../utils/events');
+const notifications = require('../utils/notifications');
+const metadata = require('../utils/metadata');
 const middleware = require('../utils/middleware');
+const pagination = require('../utils/pagination');
+const permissions = require('../utils/permissions');
+const revisions = require('../utils/revisions');
+const visibility = require('../utils/visibility');
+const { normalizeTag } = require('../utils/tags');
+const linkChecker = require('../utils/link_checker');
+const { validate } = require('../utils/validation');
+const {
+  BadGatewayError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  notFound,
+} = require('../utils/errors');
 
-blogsRouter.get('/', async (request, response, next) => {
-  try {
-    const blogs = await Blog.find({})
-      .populate('user', {
-        username: 1,
-        name: 1,
-        id: 1,
-      })
-      .populate('comments', {
-        id: 1,
-        text: 1,
+const commentAuthorFields = {
+  username: 1,
+  name: 1,
+  id: 1,
+};
+
+const populateBlog = (query) =>
+  query
+    .populate('user', {
+      username: 1,
+      name: 1,
+      id: 1,
+    })
+    .populate({
+      path: 'comments',
+      populate: { path: 'author', select: commentAuthorFields },
+    });
+
+const findBlogs = (conditions) => populateBlog(Blog.find(conditions));
+
+blogsRouter.get(
+  '/',
+  middleware.optionalUserExtractor,
+  validate('listBlogs'),
+  async (request, response, next) => {
+    const { limit, cursor, sort = 'likes', author, user, tag } = request.query;
+
+    const pageSize = pagination.parseLimit(limit);
+
+    const decodedCursor = cursor ? pagination.decodeCursor(cursor, sort) : null;
+    if (cursor && !decodedCursor) {
+      return next(new BadRequestError('invalid cursor'));
+    }
+
+    const filter = visibility.listedFilter(request.user);
+    if (author) {
+      filter.author = author;
+    }
+    if (user) {
+      filter.user = user;
+    }
+    if (tag) {
+      filter.tags = normalizeTag(tag);
+    }
+
+    try {
+      const { items, nextCursor } = await pagination.paginate(findBlogs, {
+        filter,
+        sort,
+        limit: pageSize,
+        cursor: decodedCursor,
       });
-    response.json(blogs);
+
+      if (nextCursor) {
+        const nextQuery = new URLSearchParams({
+          ...request.query,
+          cursor: nextCursor,
+        });
+        const nextUrl = `${request.protocol}://${request.get('host')}${
+          request.baseUrl
+        }?${nextQuery}`;
+        response.set('Link', `<${nextUrl}>; rel="next"`);
+      }
+
+      response.json({ blogs: items, nextCursor });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+blogsRouter.get(
+  '/broken',
+  middleware.optionalUserExtractor,
+  validate('listBrokenBlogs'),
+  async (request, response, next) => {
+    const { limit, cursor, user } = request.query;
+
+    const pageSize = pagination.parseLimit(limit);
+
+    const decodedCursor = cursor
+      ? pagination.decodeCursor(cursor, 'createdAt')
+      : null;
+    if (cursor && !decodedCursor) {
+      return next(new BadRequestError('invalid cursor'));
+    }
+
+    const filter = {
+      ...linkChecker.brokenFilter,
+      ...visibility.listedFilter(request.user),
+    };
+    if (user) {
+      filter.user = user;
+    }
+
+    try {
+      const { items, nextCursor } = await pagination.paginate(findBlogs, {
+        filter,
+        sort: 'createdAt',
+        limit: pageSize,
+        cursor: decodedCursor,
+      });
+      response.json({ blogs: items, nextCursor });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+blogsRouter.get(
+  '/:id',
+  middleware.optionalUserExtractor,
+  validate('getBlog'),
+  async (request, response, next) => {
+    try {
+      const blog = await populateBlog(Blog.findById(request.params.id));
+      if (!blog || !visibility.canView(blog, request.user)) {
+        throw notFound('blog', request.params.id);
+      }
+      response.json(blog);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const metadataFields = ['title', 'author', 'description', 'image'];
+
+// metadata only fills in what the request left out, a page that can't be
+// fetched should never stop the blog from being saved
+const withMetadata = async (request) => {
+  const body = request.body;
+  const missingFields = metadataFields.filter((field) => !body[field]);
+  if (missingFields.length === 0 || !metadata.isHttpUrl(body.url)) {
+    return body;
+  }
+
+  try {
+    const pageMetadata = await metadata.fetchMetadata(body.url);
+    const filledFields = Object.fromEntries(
+      missingFields
+        .filter((field) => pageMetadata[field])
+        .map((field) => [field, pageMetadata[field]])
+    );
+    return { ...body, ...filledFields };
   } catch (error) {
-    next(error);
+    request.log.info('could not fetch metadata', { url: body.url, error });
+    return body;
+  }
+};
+
+blogsRouter.post(
+  '/preview',
+  middleware.userExtractor,
+  validate('previewBlog'),
+  async (request, response, next) => {
+    const { url } = request.body;
+
+    try {
+      response.json(await metadata.fetchMetadata(url));
+    } catch (error) {
+      request.log.info('could not fetch metadata', { url, error });
+      next(new BadGatewayError(`could not fetch ${url}`));
+    }
+  }
+);
+
+const MAX_IMPORT_ROWS = 1000;
+
+const validationMessages = (error) =>
+  error.errors
+    ? Object.values(error.errors).map((fieldError) => fieldError.message)
+    : [error.message];
+
+// every row is checked against the Blog schema before anything is saved,
+// rows whose url the user already has (or that repeat within the import)
+// are skipped rather than failed
+const importBlogs = async (rows, user) => {
+  const existingBlogs = await Blog.find({ user: user._id }, { url: 1 });
+  const knownUrls = new Set(existingBlogs.map((blog) => blog.url));
+  const report = { imported: [], skipped: [], failed: [] };
+  const blogs = [];
+
+  for (const [idx, row] of rows.entries()) {
+    const rowNumber = idx + 1;
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      report.failed.push({ row: rowNumber, errors: ['row must be an object'] });
+      continue;
+    }
+
+    if (knownUrls.has(row.url)) {
+      report.skipped.push({
+        row: rowNumber,
+        url: row.url,
+        reason: 'duplicate url',
+      });
+      continue;
+    }
+
+    const blog = new Blog({
+      title: row.title,
+      author: row.author || 'unknown',
+      url: row.url,
+      tags: row.tags,
+      description: row.description || undefined,
+      image: row.image || undefined,
+      // private and draft blogs have to stay that way when moved around,
+      // anything outside VISIBILITIES fails the row instead of going public
+      visibility: row.visibility || undefined,
+      likes: 0,
+      user: user._id,
+    });
+
+    try {
+      await blog.validate();
+    } catch (error) {
+      report.failed.push({
+        row: rowNumber,
+        url: row.url ?? null,
+        errors: validationMessages(error),
+      });
+      continue;
+    }
+
+    knownUrls.add(blog.url);
+    blogs.push(blog);
+    report.imported.push({ row: rowNumber, url: blog.url, id: blog.id });
+  }
+
+  if (blogs.length > 0) {
+    await Blog.insertMany(blogs);
+    user.blogs = user.blogs.concat(blogs.map((blog) => blog._id));
+    await user.save();
   }
-});
+
+  return report;
+};
+
+blogsRouter.post(
+  '/import',
+  middleware.userExtractor,
+  express.text({
+    type: ['text/csv', 'text/x-opml', 'text/xml', 'application/xml'],
+    limit: '1mb',
+  }),
+  validate('importBlogs'),
+  async (request, response, next) => {
+    const format =
+      request.query.format ??
+      blogFormats.formatOfContentType(request.get('Content-Type'));
+    if (!blogFormats.formats[format]) {
+      return next(
+        new BadRequestError(
+          `blogs can only be imported from: ${Object.keys(
+            blogFormats.formats
+          ).join(', ')}`
+        )
+      );
+    }
+
+    let rows;
+    try {
+      rows = blogFormats.parse(format, request.body);
+    } catch (error) {
+      return next(
+        new BadRequestError(`invalid ${format} document: ${error.message}`)
+      );
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return next(
+        new BadRequestError(
+          `at most ${MAX_IMPORT_ROWS} blogs can be imported at once`
+        )
+      );
+    }
+
+    try {
+      const report = await importBlogs(rows, request.user);
+      await audit.record(request, 'blog.import', {
+        after: {
+          imported: report.imported.map((row) => row.id),
+          skipped: report.skipped.length,
+          failed: report.failed.length,
+        },
+      });
+      if (report.imported.length > 0) {
+        events.publish(request, 'blog.imported', {
+          count: report.imported.length,
+        });
+      }
+      response.status(report.imported.length > 0 ? 201 : 200).json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 blogsRouter.post(
   '/',
   middleware.userExtractor,
+  validate('createBlog'),
   async (request, response, next) => {
     try {
-      const body = request.body;
+      const body = await withMetadata(request);
 
+      // likes, link checks and the like only ever come from the server
       const blog = new Blog({
-        ...body,
+        title: body.title,
         author: body.author ?? 'unknown',
-        likes: body.likes ?? 0,
+        url: body.url,
+        tags: body.tags,
+        visibility: body.visibility,
+        description: body.description,
+        image: body.image,
+        likes: 0,
+        likedBy: [],
         user: request.user.id,
       });
 
       const newBlog = await blog.save();
       request.user.blogs = request.user.blogs.concat(newBlog.id);
       await request.user.save();
+      await audit.record(request, 'blog.create', {
+        target: { type: 'blog', id: newBlog._id },
+        after: newBlog,
+      });
 
       const populatedBlog = await newBlog.populate('user', {
         username: 1,
         name: 1,
         id: 1,
       });
+      if (visibility.isListed(populatedBlog)) {
+        events.publish(request, 'blog.created', { blog: populatedBlog });
+      }
 
       response.status(201).json(populatedBlog);
     } catch (error) {
@@ -55,18 +374,24 @@ blogsRouter.post(
 blogsRouter.delete(
   '/:id',
   middleware.userExtractor,
+  validate('deleteBlog'),
   async (request, response, next) => {
     try {
       const blog = await Blog.findById(request.params.id);
       if (!blog) {
-        response.status(204).end();
+        throw notFound('blog', request.params.id);
       }
       if (blog.user.toString() !== request.user.id) {
-        return response.status(401).json({
-          error: 'unauthorized blog operation',
-        });
+        throw new ForbiddenError('unauthorized blog operation');
+      }
+      await blogRemoval.removeBlog(blog);
+      await audit.record(request, 'blog.delete', {
+        target: { type: 'blog', id: blog._id },
+        before: blog,
+      });
+      if (visibility.isListed(blog)) {
+        events.publish(request, 'blog.deleted', { id: blog.id });
       }
-      await Blog.findByIdAndDelete(request.params.id);
       response.status(204).end();
     } catch (error) {
       next(error);
@@ -74,59 +399,379 @@ blogsRouter.delete(
   }
 );
 
-blogsRouter.put('/:id', async (request, response, next) => {
-  const body = request.body;
-  try {
-    const updatedBlog = await Blog.findByIdAndUpdate(
-      request.params.id,
-      {
-        title: body.title,
-        author: body.author,
-        likes: body.likes,
-        url: body.url,
-      },
-      {
-        new: true,
-        runValidators: true,
-        context: 'query',
+blogsRouter.put(
+  '/:id',
+  middleware.userExtractor,
+  validate('updateBlog'),
+  async (request, response, next) => {
+    const body = request.body;
+    try {
+      const blog = await Blog.findById(request.params.id);
+      if (!blog) {
+        throw notFound('blog', request.params.id);
       }
-    );
-    if (!updatedBlog) {
-      return response.status(404).json({
-        error: `blog with id:${request.params.id} could not be found`,
+      if (blog.user.toString() !== request.user.id) {
+        throw new ForbiddenError('unauthorized blog operation');
+      }
+
+      const updatedBlog = await populateBlog(
+        Blog.findByIdAndUpdate(
+          request.params.id,
+          {
+            title: body.title,
+            author: body.author,
+            url: body.url,
+            tags: body.tags,
+            visibility: body.visibility,
+          },
+          {
+            new: true,
+            runValidators: true,
+            context: 'query',
+          }
+        )
+      );
+      await revisions.recordRevision(blog, updatedBlog, request.user);
+      await audit.record(request, 'blog.update', {
+        target: { type: 'blog', id: blog._id },
+        before: blog,
+        after: updatedBlog,
       });
+      events.publishBlogChange(request, blog, updatedBlog);
+
+      response.json(updatedBlog);
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    const populatedBlog = await updatedBlog.populate('user', {
-      username: 1,
-      name: 1,
-      id: 1,
-    });
+blogsRouter.get(
+  '/:id/revisions',
+  middleware.optionalUserExtractor,
+  validate('listBlogRevisions'),
+  async (request, response, next) => {
+    try {
+      const blog = await Blog.findById(request.params.id);
+      if (!blog || !visibility.canView(blog, request.user)) {
+        throw notFound('blog', request.params.id);
+      }
 
-    response.json(populatedBlog);
-  } catch (error) {
-    next(error);
+      const blogRevisions = await BlogRevision.find({
+        blog: blog._id,
+      }).populate('editor', { username: 1, name: 1, id: 1 });
+
+      response.json(revisions.withChanges(blogRevisions, blog));
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
-blogsRouter.post('/:id/comments', async (request, response, next) => {
-  try {
-    const blogId = request.params.id;
+// restoring is an edit like any other, so the replaced version gets a
+// revision of its own and the restore can be undone
+blogsRouter.post(
+  '/:id/revisions/:revision/restore',
+  middleware.userExtractor,
+  validate('restoreBlogRevision'),
+  async (request, response, next) => {
+    try {
+      const blog = await Blog.findById(request.params.id);
+      if (!blog) {
+        throw notFound('blog', request.params.id);
+      }
+      if (
+        blog.user.toString() !== request.user.id &&
+        !permissions.can(request.user, 'blogs:edit:any')
+      ) {
+        throw new ForbiddenError('unauthorized blog operation');
+      }
 
-    const comment = new Comment({ text: request.body.text, blog: blogId });
+      const revision = await BlogRevision.findOne({
+        blog: blog._id,
+        revision: Number(request.params.revision) || 0,
+      });
+      if (!revision) {
+        throw new NotFoundError(
+          `revision ${request.params.revision} of blog with id:${blog.id} could not be found`
+        );
+      }
 
-    const newComment = await comment.save();
+      const before = blog.toObject();
+      const restoredFields = revisions.snapshot(revision.fields);
+      revisions.REVISION_FIELDS.forEach((field) => {
+        blog.set(field, restoredFields[field] ?? undefined);
+      });
+      await blog.save();
 
-    const blog = await Blog.findById(blogId);
+      await revisions.recordRevision(before, blog, request.user);
+      await audit.record(request, 'blog.restore', {
+        target: { type: 'blog', id: blog._id },
+        before,
+        after: { ...blog.toJSON(), revision: revision.revision },
+      });
 
-    blog.comments = blog.comments.concat(newComment.id);
+      const restoredBlog = await populateBlog(Blog.findById(blog._id));
+      events.publishBlogChange(request, before, restoredBlog);
 
-    await blog.save();
+      response.json(restoredBlog);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-    response.status(201).json(newComment);
-  } catch (error) {
-    next(error);
+blogsRouter.post(
+  '/:id/likes',
+  middleware.userExtractor,
+  validate('likeBlog'),
+  async (request, response, next) => {
+    try {
+      const userId = request.user._id;
+      const likedBlog = await populateBlog(
+        Blog.findOneAndUpdate(
+          {
+            _id: request.params.id,
+            likedBy: { $ne: userId },
+            ...visibility.viewableFilter(request.user),
+          },
+          { $push: { likedBy: userId }, $inc: { likes: 1 } },
+          { new: true }
+        )
+      );
+      if (likedBlog) {
+        await Like.create({ blog: likedBlog._id, user: userId });
+        await notifications.notify(request, {
+          recipient: likedBlog.user?._id,
+          type: 'like',
+          blog: likedBlog._id,
+        });
+        await audit.record(request, 'blog.like', {
+          target: { type: 'blog', id: likedBlog._id },
+          before: { likes: likedBlog.likes - 1 },
+          after: { likes: likedBlog.likes },
+        });
+        if (visibility.isListed(likedBlog)) {
+          events.publish(request, 'blog.liked', {
+            id: likedBlog.id,
+            likes: likedBlog.likes,
+            likedBy: likedBlog.likedBy,
+          });
+        }
+      }
+
+      const blog =
+        likedBlog ?? (await populateBlog(Blog.findById(request.params.id)));
+      if (!blog || !visibility.canView(blog, request.user)) {
+        throw notFound('blog', request.params.id);
+      }
+
+      response.json(blog);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+blogsRouter.delete(
+  '/:id/likes',
+  middleware.userExtractor,
+  validate('unlikeBlog'),
+  async (request, response, next) => {
+    try {
+      const userId = request.user._id;
+      const unlikedBlog = await populateBlog(
+        Blog.findOneAndUpdate(
+          {
+            _id: request.params.id,
+            likedBy: userId,
+            ...visibility.viewableFilter(request.user),
+          },
+          { $pull: { likedBy: userId }, $inc: { likes: -1 } },
+          { new: true }
+        )
+      );
+      if (unlikedBlog) {
+        await Like.deleteOne({ blog: unlikedBlog._id, user: userId });
+        await notifications.retractLike(request, {
+          _id: unlikedBlog._id,
+          user: unlikedBlog.user?._id,
+        });
+        await audit.record(request, 'blog.unlike', {
+          target: { type: 'blog', id: unlikedBlog._id },
+          before: { likes: unlikedBlog.likes + 1 },
+          after: { likes: unlikedBlog.likes },
+        });
+        if (visibility.isListed(unlikedBlog)) {
+          events.publish(request, 'blog.unliked', {
+            id: unlikedBlog.id,
+            likes: unlikedBlog.likes,
+            likedBy: unlikedBlog.likedBy,
+          });
+        }
+      }
+
+      const blog =
+        unlikedBlog ?? (await populateBlog(Blog.findById(request.params.id)));
+      if (!blog || !visibility.canView(blog, request.user)) {
+        throw notFound('blog', request.params.id);
+      }
+
+      response.json(blog);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+blogsRouter.post(
+  '/:id/comments',
+  middleware.userExtractor,
+  validate('createComment'),
+  async (request, response, next) => {
+    try {
+      const { text, parent } = request.body;
+
+      const blog = await Blog.findById(request.params.id);
+      if (!blog || !visibility.canView(blog, request.user)) {
+        throw notFound('blog', request.params.id);
+      }
+
+      let parentComment = null;
+      if (parent) {
+        parentComment = await Comment.findById(parent);
+        if (!parentComment || parentComment.blog.toString() !== blog.id) {
+          throw new BadRequestError(
+            'parent comment must belong to the same blog'
+          );
+        }
+      }
+
+      const comment = new Comment({
+        text,
+        blog: blog._id,
+        author: request.user._id,
+        parent: parent ?? null,
+      });
+
+      const newComment = await comment.save();
+
+      blog.comments = blog.comments.concat(newComment.id);
+
+      await blog.save();
+      await audit.record(request, 'comment.create', {
+        target: { type: 'comment', id: newComment._id },
+        after: newComment,
+      });
+      // the author of the comment replied to hears about it, the blog owner
+      // only once even when both are the same person
+      if (parentComment?.author) {
+        await notifications.notify(request, {
+          recipient: parentComment.author,
+          type: 'reply',
+          blog: blog._id,
+          comment: newComment._id,
+        });
+      }
+      if (!parentComment?.author?.equals(blog.user)) {
+        await notifications.notify(request, {
+          recipient: blog.user,
+          type: 'comment',
+          blog: blog._id,
+          comment: newComment._id,
+        });
+      }
+
+      const populatedComment = await newComment.populate(
+        'author',
+        commentAuthorFields
+      );
+      if (visibility.isListed(blog)) {
+        events.publish(request, 'comment.created', {
+          comment: populatedComment,
+        });
+      }
+
+      response.status(201).json(populatedComment);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+const findOwnComment = async (request) => {
+  const comment = await Comment.findOne({
+    _id: request.params.commentId,
+    blog: request.params.id,
+    deletedAt: null,
+  });
+
+  if (!comment) {
+    throw notFound('comment', request.params.commentId);
+  }
+
+  if (comment.author?.toString() !== request.user.id) {
+    throw new ForbiddenError('unauthorized comment operation');
+  }
+
+  return comment;
+};
+
+blogsRouter.put(
+  '/:id/comments/:commentId',
+  middleware.userExtractor,
+  validate('updateComment'),
+  async (request, response, next) => {
+    try {
+      const comment = await findOwnComment(request);
+
+      const before = comment.toJSON();
+      comment.text = request.body.text;
+      const updatedComment = await comment.save();
+      await audit.record(request, 'comment.update', {
+        target: { type: 'comment', id: comment._id },
+        before,
+        after: updatedComment,
+      });
+
+      const populatedComment = await updatedComment.populate(
+        'author',
+        commentAuthorFields
+      );
+      const blog = await Blog.findById(comment.blog, { visibility: 1 });
+      if (blog && visibility.isListed(blog)) {
+        events.publish(request, 'comment.updated', {
+          comment: populatedComment,
+        });
+      }
+
+      response.json(populatedComment);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+blogsRouter.delete(
+  '/:id/comments/:commentId',
+  middleware.userExtractor,
+  validate('deleteComment'),
+  async (request, response, next) => {
+    try {
+      const comment = await findOwnComment(request);
+
+      const before = comment.toJSON();
+      await comments.removeComment(request, comment);
+      await audit.record(request, 'comment.delete', {
+        target: { type: 'comment', id: comment._id },
+        before,
+      });
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 module.exports = blogsRouter;
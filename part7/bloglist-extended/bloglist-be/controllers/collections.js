@@ -0,0 +1,394 @@
+const collectionsRouter = require('express').Router();
+const Blog = require('../models/blog');
+const Collection = require('../models/collection');
+const CollectionMember = require('../models/collection_member');
+const User = require('../models/user');
+const audit = require('../utils/audit');
+const middleware = require('../utils/middleware');
+const visibility = require('../utils/visibility');
+const { hasRole, sameBlogs } = require('../utils/collections');
+const { validate } = require('../utils/validation');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  notFound,
+} = require('../utils/errors');
+
+const userFields = { username: 1, name: 1, id: 1 };
+
+// a collection is only known to its members, everyone else gets a 404
+const findMembership = async (request, role) => {
+  const collection = await Collection.findById(request.params.id);
+  const member =
+    collection &&
+    (await CollectionMember.findOne({
+      collectionId: collection._id,
+      user: request.user._id,
+    }));
+  if (!member) {
+    throw notFound('collection', request.params.id);
+  }
+  if (!hasRole(member, role)) {
+    throw new ForbiddenError('insufficient permissions');
+  }
+
+  return { collection, member };
+};
+
+// blogs the user is not allowed to see are left out, the rest keep their
+// order
+const collectionDetails = async (collection, member, user) => {
+  await collection.populate({
+    path: 'blogs',
+    select: { title: 1, author: 1, url: 1, likes: 1, user: 1, visibility: 1 },
+    match: visibility.viewableFilter(user),
+    populate: { path: 'user', select: userFields },
+  });
+  const members = await CollectionMember.find({
+    collectionId: collection._id,
+  })
+    .sort({ createdAt: 1 })
+    .populate('user', userFields);
+
+  return {
+    ...collection.toJSON(),
+    role: member.role,
+    members: members.map((collectionMember) => ({
+      user: collectionMember.user,
+      role: collectionMember.role,
+    })),
+  };
+};
+
+const ensureAnotherOwner = async (collection, member) => {
+  if (member.role !== 'owner') {
+    return;
+  }
+  const owners = await CollectionMember.countDocuments({
+    collectionId: collection._id,
+    role: 'owner',
+  });
+  if (owners < 2) {
+    throw new BadRequestError('a collection needs at least one owner');
+  }
+};
+
+collectionsRouter.use(middleware.userExtractor);
+
+collectionsRouter.get(
+  '/',
+  validate('listCollections'),
+  async (request, response, next) => {
+    try {
+      const memberships = await CollectionMember.find({
+        user: request.user._id,
+      }).populate('collectionId');
+
+      const collections = memberships
+        .filter((membership) => membership.collectionId)
+        .map((membership) => ({
+          ...membership.collectionId.toJSON(),
+          role: membership.role,
+        }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+      response.json(collections);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+collectionsRouter.post(
+  '/',
+  validate('createCollection'),
+  async (request, response, next) => {
+    const { name, description } = request.body;
+
+    try {
+      const collection = await Collection.create({
+        name,
+        description,
+        createdBy: request.user._id,
+      });
+      const member = await CollectionMember.create({
+        collectionId: collection._id,
+        user: request.user._id,
+        role: 'owner',
+      });
+      await audit.record(request, 'collection.create', {
+        target: { type: 'collection', id: collection._id },
+        after: collection,
+      });
+
+      response
+        .status(201)
+        .json(await collectionDetails(collection, member, request.user));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+collectionsRouter.get(
+  '/:id',
+  validate('getCollection'),
+  async (request, response, next) => {
+    try {
+      const { collection, member } = await findMembership(request, 'viewer');
+      response.json(await collectionDetails(collection, member, request.user));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+collectionsRouter.patch(
+  '/:id',
+  validate('updateCollection'),
+  async (request, response, next) => {
+    try {
+      const { collection, member } = await findMembership(request, 'editor');
+
+      const before = collection.toJSON();
+      ['name', 'description']
+        .filter((field) => request.body[field] !== undefined)
+        .forEach((field) => {
+          collection[field] = request.body[field];
+        });
+      await collection.save();
+      await audit.record(request, 'collection.update', {
+        target: { type: 'collection', id: collection._id },
+        before,
+        after: collection,
+      });
+
+      response.json(await collectionDetails(collection, member, request.user));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+collectionsRouter.delete(
+  '/:id',
+  validate('deleteCollection'),
+  async (request, response, next) => {
+    try {
+      const { collection } = await findMembership(request, 'owner');
+
+      await CollectionMember.deleteMany({ collectionId: collection._id });
+      await Collection.findByIdAndDelete(collection._id);
+      await audit.record(request, 'collection.delete', {
+        target: { type: 'collection', id: collection._id },
+        before: collection,
+      });
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// blogs the user can't see stay where they are, after the ones that were
+// reordered, and the write only lands if nobody changed the blogs meanwhile
+collectionsRouter.put(
+  '/:id/blogs',
+  validate('reorderCollectionBlogs'),
+  async (request, response, next) => {
+    const { blogs: order } = request.body;
+
+    try {
+      const { collection, member } = await findMembership(request, 'editor');
+
+      const visibleIds = new Set(
+        (
+          await Blog.find(
+            {
+              _id: { $in: collection.blogs },
+              ...visibility.viewableFilter(request.user),
+            },
+            { _id: 1 }
+          )
+        ).map((blog) => blog.id)
+      );
+      const visibleBlogs = collection.blogs.filter((id) =>
+        visibleIds.has(id.toString())
+      );
+      if (!sameBlogs(visibleBlogs, order)) {
+        throw new ConflictError(
+          'blogs must list every blog of the collection once, reload it and try again'
+        );
+      }
+
+      const reordered = await Collection.findOneAndUpdate(
+        { _id: collection._id, blogs: collection.blogs },
+        {
+          blogs: [
+            ...order,
+            ...collection.blogs.filter((id) => !visibleIds.has(id.toString())),
+          ],
+        },
+        { new: true }
+      );
+      if (!reordered) {
+        throw new ConflictError(
+          'the collection was changed meanwhile, reload it and try again'
+        );
+      }
+      await audit.record(request, 'collection.reorder', {
+        target: { type: 'collection', id: collection._id },
+        before: { blogs: collection.blogs },
+        after: { blogs: reordered.blogs },
+      });
+
+      response.json(await collectionDetails(reordered, member, request.user));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+collectionsRouter.put(
+  '/:id/blogs/:blogId',
+  validate('addCollectionBlog'),
+  async (request, response, next) => {
+    try {
+      const { collection, member } = await findMembership(request, 'editor');
+
+      const blog = await Blog.findById(request.params.blogId);
+      if (!blog || !visibility.canView(blog, request.user)) {
+        throw notFound('blog', request.params.blogId);
+      }
+
+      const updated = await Collection.findOneAndUpdate(
+        { _id: collection._id, blogs: { $ne: blog._id } },
+        { $push: { blogs: blog._id } },
+        { new: true }
+      );
+      if (updated) {
+        await audit.record(request, 'collection.blog.add', {
+          target: { type: 'collection', id: collection._id },
+          after: { blog: blog._id },
+        });
+      }
+
+      response.json(
+        await collectionDetails(updated ?? collection, member, request.user)
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+collectionsRouter.delete(
+  '/:id/blogs/:blogId',
+  validate('removeCollectionBlog'),
+  async (request, response, next) => {
+    try {
+      const { collection } = await findMembership(request, 'editor');
+
+      const updated = await Collection.findOneAndUpdate(
+        { _id: collection._id, blogs: request.params.blogId },
+        { $pull: { blogs: request.params.blogId } }
+      );
+      if (!updated) {
+        throw new NotFoundError(
+          `blog with id:${request.params.blogId} is not in this collection`
+        );
+      }
+      await audit.record(request, 'collection.blog.remove', {
+        target: { type: 'collection', id: collection._id },
+        before: { blog: request.params.blogId },
+      });
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// adds the user when they aren't a member yet, otherwise changes their role
+collectionsRouter.put(
+  '/:id/members/:userId',
+  validate('saveCollectionMember'),
+  async (request, response, next) => {
+    const { role } = request.body;
+
+    try {
+      const { collection, member } = await findMembership(request, 'owner');
+
+      const user = await User.findById(request.params.userId);
+      if (!user) {
+        throw notFound('user', request.params.userId);
+      }
+
+      const existing = await CollectionMember.findOne({
+        collectionId: collection._id,
+        user: user._id,
+      });
+      if (existing && role !== 'owner') {
+        await ensureAnotherOwner(collection, existing);
+      }
+
+      const saved = await CollectionMember.findOneAndUpdate(
+        { collectionId: collection._id, user: user._id },
+        { role },
+        { new: true, upsert: true, runValidators: true }
+      );
+      await audit.record(request, 'collection.member.save', {
+        target: { type: 'collection', id: collection._id },
+        before: existing && { user: user._id, role: existing.role },
+        after: { user: user._id, role: saved.role },
+      });
+
+      // the owner may just have handed over their own role
+      const self = saved.user.equals(request.user._id) ? saved : member;
+      response.json(await collectionDetails(collection, self, request.user));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// owners remove anyone, everyone else can only leave
+collectionsRouter.delete(
+  '/:id/members/:userId',
+  validate('removeCollectionMember'),
+  async (request, response, next) => {
+    try {
+      const leaving = request.params.userId === request.user.id;
+      const { collection } = await findMembership(
+        request,
+        leaving ? 'viewer' : 'owner'
+      );
+
+      const removed = await CollectionMember.findOne({
+        collectionId: collection._id,
+        user: request.params.userId,
+      });
+      if (!removed) {
+        throw new NotFoundError(
+          `user with id:${request.params.userId} is not a member of this collection`
+        );
+      }
+      await ensureAnotherOwner(collection, removed);
+
+      await removed.deleteOne();
+      await audit.record(request, 'collection.member.remove', {
+        target: { type: 'collection', id: collection._id },
+        before: { user: removed.user, role: removed.role },
+      });
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = collectionsRouter;
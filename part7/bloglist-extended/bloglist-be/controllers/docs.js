@@ -0,0 +1,9 @@
+const docsRouter = require('express').Router();
+const openapi = require('../utils/openapi');
+const { validate } = require('../utils/validation');
+
+docsRouter.get('/', validate('getApiDocs'), (request, response) => {
+  response.json(openapi);
+});
+
+module.exports = docsRouter;
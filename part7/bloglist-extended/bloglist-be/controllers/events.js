@@ -0,0 +1,34 @@
+const eventsRouter = require('express').Router();
+const events = require('../utils/events');
+const { validate } = require('../utils/validation');
+
+const RECONNECT_DELAY = 5000;
+const HEARTBEAT_INTERVAL = 25000;
+
+// a server-sent events stream of every blog, like and comment change, the
+// comment lines keep proxies from closing an idle connection
+eventsRouter.get('/', validate('streamEvents'), (request, response) => {
+  response.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  response.flushHeaders();
+  response.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  const unsubscribe = events.subscribe((event) => {
+    response.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(
+    () => response.write(': heartbeat\n\n'),
+    HEARTBEAT_INTERVAL
+  );
+
+  request.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = eventsRouter;
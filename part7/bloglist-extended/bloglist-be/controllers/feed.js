@@ -0,0 +1,51 @@
+const feedRouter = require('express').Router();
+const Blog = require('../models/blog');
+const middleware = require('../utils/middleware');
+const pagination = require('../utils/pagination');
+const visibility = require('../utils/visibility');
+const { validate } = require('../utils/validation');
+const { BadRequestError } = require('../utils/errors');
+
+const findBlogs = (conditions) =>
+  Blog.find(conditions).populate('user', {
+    username: 1,
+    name: 1,
+    id: 1,
+  });
+
+// newest first, which is what the createdAt sort gives through the _id
+feedRouter.get(
+  '/',
+  middleware.userExtractor,
+  validate('getFeed'),
+  async (request, response, next) => {
+    const { limit, cursor } = request.query;
+
+    const pageSize = pagination.parseLimit(limit);
+
+    const decodedCursor = cursor
+      ? pagination.decodeCursor(cursor, 'createdAt')
+      : null;
+    if (cursor && !decodedCursor) {
+      return next(new BadRequestError('invalid cursor'));
+    }
+
+    try {
+      const { items, nextCursor } = await pagination.paginate(findBlogs, {
+        filter: {
+          user: { $in: request.user.following },
+          ...visibility.listedFilter(null),
+        },
+        sort: 'createdAt',
+        limit: pageSize,
+        cursor: decodedCursor,
+      });
+
+      response.json({ blogs: items, nextCursor });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = feedRouter;
@@ -1,13 +1,59 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const config = require('../utils/config');
 const User = require('../models/user');
+const sessions = require('../utils/sessions');
+const audit = require('../utils/audit');
+const loginThrottle = require('../utils/login_throttle');
+const twoFactor = require('../utils/two_factor');
 const loginRouter = require('express').Router();
+const { validate } = require('../utils/validation');
+const {
+  ForbiddenError,
+  TooManyRequestsError,
+  UnauthorizedError,
+} = require('../utils/errors');
 
-loginRouter.post('/', async (request, response, next) => {
+const throttled = (response, block) => {
+  response.set('Retry-After', String(block.retryAfter));
+  return new TooManyRequestsError(
+    block.locked
+      ? `account temporarily locked after too many failed login attempts, try again in ${block.retryAfter} seconds`
+      : `too many failed login attempts, try again in ${block.retryAfter} seconds`
+  );
+};
+
+const sessionOf = ({ token, refreshToken }, user) => ({
+  token,
+  refreshToken,
+  id: user.id,
+  username: user.username,
+  name: user.name,
+  role: user.role,
+});
+
+const ensureActive = async (request, user, failure) => {
+  if (user.status !== 'active') {
+    await audit.record(request, failure, {
+      actor: user,
+      after: { reason: `account ${user.status}` },
+    });
+    throw new ForbiddenError(`account ${user.status}`);
+  }
+};
+
+loginRouter.post('/', validate('login'), async (request, response, next) => {
   const { username, password } = request.body;
 
   try {
+    // reserved before bcrypt runs so a blocked client costs no hashing
+    const block = await loginThrottle.attempt(request.ip, username);
+    if (block) {
+      await audit.record(request, 'login.throttled', {
+        username,
+        after: block,
+      });
+      throw throttled(response, block);
+    }
+
     const user = await User.findOne({ username });
 
     const passwordIsCorrect = user
@@ -15,26 +61,125 @@ loginRouter.post('/', async (request, response, next) => {
       : false;
 
     if (!user || !passwordIsCorrect) {
-      return response.status(401).json({
-        error: 'invalid username or password',
+      await audit.record(request, 'login.failure', {
+        actor: user,
+        username,
+        after: { reason: 'invalid username or password' },
       });
+
+      const penalty = await loginThrottle.registerFailure(request.ip, username);
+      if (penalty) {
+        response.set('Retry-After', String(penalty.retryAfter));
+      }
+      throw new UnauthorizedError('invalid username or password');
     }
 
-    const userInfo = {
-      id: user.id,
-      username: user.username,
-    };
+    await ensureActive(request, user, 'login.failure');
 
-    const token = jwt.sign(userInfo, config.SECRET, { expiresIn: 3600 });
+    // the failures are only forgotten once the second step passes too,
+    // otherwise every right password would buy more guesses at the code
+    if (user.twoFactor?.enabled) {
+      await audit.record(request, 'login.challenge', { actor: user });
+      return response.json({
+        twoFactorRequired: true,
+        challengeToken: twoFactor.signChallenge(user),
+      });
+    }
 
-    response.json({
-      token,
-      username: user.username,
-      name: user.name,
-    });
+    await loginThrottle.registerSuccess(request.ip, username);
+    const tokens = await sessions.createSession(user);
+    await audit.record(request, 'login.success', { actor: user });
+
+    response.json(sessionOf(tokens, user));
   } catch (error) {
     next(error);
   }
 });
 
+loginRouter.post(
+  '/two-factor',
+  validate('completeTwoFactorLogin'),
+  async (request, response, next) => {
+    const { challengeToken, code, recoveryCode } = request.body;
+
+    try {
+      const userId = twoFactor.verifyChallenge(challengeToken);
+      const user = userId && (await User.findById(userId));
+      if (!user || !user.twoFactor?.enabled) {
+        throw new UnauthorizedError(
+          'invalid or expired two-factor challenge, log in again'
+        );
+      }
+
+      const block = await loginThrottle.attempt(request.ip, user.username);
+      if (block) {
+        await audit.record(request, 'login.throttled', {
+          actor: user,
+          after: block,
+        });
+        throw throttled(response, block);
+      }
+
+      await ensureActive(request, user, 'login.failure');
+
+      const method = await twoFactor.redeem(user, { code, recoveryCode });
+      if (!method) {
+        await audit.record(request, 'login.failure', {
+          actor: user,
+          after: { reason: 'invalid two-factor code' },
+        });
+
+        const penalty = await loginThrottle.registerFailure(
+          request.ip,
+          user.username
+        );
+        if (penalty) {
+          response.set('Retry-After', String(penalty.retryAfter));
+        }
+        throw new UnauthorizedError('invalid two-factor code');
+      }
+
+      await loginThrottle.registerSuccess(request.ip, user.username);
+      const tokens = await sessions.createSession(user);
+      await audit.record(request, 'login.success', {
+        actor: user,
+        after: { secondFactor: method },
+      });
+
+      response.json(sessionOf(tokens, user));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+loginRouter.post(
+  '/refresh',
+  validate('refreshSession'),
+  async (request, response, next) => {
+    try {
+      const refreshed = await sessions.refreshSession(
+        request.body.refreshToken
+      );
+
+      if (!refreshed) {
+        await audit.record(request, 'session.refresh.failure', {
+          after: { reason: 'invalid or expired refresh token' },
+        });
+        throw new UnauthorizedError('invalid or expired refresh token');
+      }
+
+      const { user } = refreshed;
+
+      await ensureActive(request, user, 'session.refresh.failure');
+
+      await audit.record(request, 'session.refresh', { actor: user });
+
+      response.json(sessionOf(refreshed, user));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = loginRouter;
@@ -0,0 +1,28 @@
+const logoutRouter = require('express').Router();
+const middleware = require('../utils/middleware');
+const sessions = require('../utils/sessions');
+const audit = require('../utils/audit');
+const { validate } = require('../utils/validation');
+
+logoutRouter.post(
+  '/',
+  middleware.userExtractor,
+  validate('logout'),
+  async (request, response, next) => {
+    try {
+      if (request.body.allSessions) {
+        await sessions.revokeUserSessions(request.user._id);
+      } else {
+        await sessions.revokeSession(request.session.id);
+      }
+      await audit.record(request, 'logout', {
+        after: { allSessions: Boolean(request.body.allSessions) },
+      });
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = logoutRouter;
@@ -0,0 +1,102 @@
+const notificationsRouter = require('express').Router();
+const Notification = require('../models/notification');
+const middleware = require('../utils/middleware');
+const pagination = require('../utils/pagination');
+const { validate } = require('../utils/validation');
+const { BadRequestError, notFound } = require('../utils/errors');
+
+const populatedFields = [
+  { path: 'actor', select: { username: 1, name: 1, id: 1 } },
+  { path: 'blog', select: { title: 1, id: 1 } },
+  { path: 'comment', select: { text: 1, deletedAt: 1, id: 1 } },
+];
+
+const findNotifications = (conditions) =>
+  Notification.find(conditions).populate(populatedFields);
+
+notificationsRouter.use(middleware.userExtractor);
+
+notificationsRouter.get(
+  '/',
+  validate('listNotifications'),
+  async (request, response, next) => {
+    const { limit, cursor, unread } = request.query;
+
+    const pageSize = pagination.parseLimit(limit);
+
+    const decodedCursor = cursor
+      ? pagination.decodeCursor(cursor, 'createdAt')
+      : null;
+    if (cursor && !decodedCursor) {
+      return next(new BadRequestError('invalid cursor'));
+    }
+
+    const filter = { recipient: request.user._id };
+    if (unread === 'true') {
+      filter.readAt = null;
+    }
+
+    try {
+      const { items, nextCursor } = await pagination.paginate(
+        findNotifications,
+        {
+          filter,
+          sort: 'createdAt',
+          limit: pageSize,
+          cursor: decodedCursor,
+        }
+      );
+      const unreadCount = await Notification.countDocuments({
+        recipient: request.user._id,
+        readAt: null,
+      });
+
+      response.json({ notifications: items, nextCursor, unreadCount });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+notificationsRouter.patch(
+  '/',
+  validate('markAllNotificationsRead'),
+  async (request, response, next) => {
+    try {
+      const result = await Notification.updateMany(
+        { recipient: request.user._id, readAt: null },
+        { readAt: new Date() }
+      );
+      response.json({ updated: result.modifiedCount });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+notificationsRouter.patch(
+  '/:id',
+  validate('markNotificationRead'),
+  async (request, response, next) => {
+    const { read } = request.body;
+
+    try {
+      const notification = await Notification.findOne({
+        _id: request.params.id,
+        recipient: request.user._id,
+      });
+      if (!notification) {
+        throw notFound('notification', request.params.id);
+      }
+
+      notification.readAt = read ? notification.readAt ?? new Date() : null;
+      await notification.save();
+
+      response.json(await notification.populate(populatedFields));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = notificationsRouter;
@@ -0,0 +1,93 @@
+const readingListRouter = require('express').Router();
+const Blog = require('../models/blog');
+const ReadingListItem = require('../models/reading_list_item');
+const middleware = require('../utils/middleware');
+const visibility = require('../utils/visibility');
+const { validate } = require('../utils/validation');
+const { NotFoundError, notFound } = require('../utils/errors');
+
+const populateItem = (query) =>
+  query.populate({
+    path: 'blog',
+    select: { title: 1, author: 1, url: 1, likes: 1, user: 1, visibility: 1 },
+    populate: { path: 'user', select: { username: 1, name: 1, id: 1 } },
+  });
+
+readingListRouter.use(middleware.userExtractor);
+
+readingListRouter.get(
+  '/',
+  validate('getReadingList'),
+  async (request, response, next) => {
+    const { status } = request.query;
+
+    try {
+      const items = await populateItem(
+        ReadingListItem.find({
+          user: request.user._id,
+          ...(status && { status }),
+        }).sort({ createdAt: -1, _id: -1 })
+      );
+      // a blog hidden since it was saved drops out until it opens again
+      response.json(
+        items.filter(
+          (item) => !item.blog || visibility.canView(item.blog, request.user)
+        )
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// adds the blog to the list when it isn't there yet, readAt follows the
+// status so it always tells when the blog was last finished
+readingListRouter.put(
+  '/:blogId',
+  validate('saveReadingListItem'),
+  async (request, response, next) => {
+    const { status = 'to-read' } = request.body;
+
+    try {
+      const blog = await Blog.findById(request.params.blogId);
+      if (!blog || !visibility.canView(blog, request.user)) {
+        throw notFound('blog', request.params.blogId);
+      }
+
+      const item = await populateItem(
+        ReadingListItem.findOneAndUpdate(
+          { user: request.user._id, blog: blog._id },
+          { status, readAt: status === 'read' ? new Date() : null },
+          { new: true, upsert: true, runValidators: true }
+        )
+      );
+      response.json(item);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+readingListRouter.delete(
+  '/:blogId',
+  validate('removeReadingListItem'),
+  async (request, response, next) => {
+    try {
+      const item = await ReadingListItem.findOneAndDelete({
+        user: request.user._id,
+        blog: request.params.blogId,
+      });
+      if (!item) {
+        throw new NotFoundError(
+          `blog with id:${request.params.blogId} is not on your reading list`
+        );
+      }
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = readingListRouter;
@@ -0,0 +1,112 @@
+const searchRouter = require('express').Router();
+const Blog = require('../models/blog');
+const Comment = require('../models/comment');
+const middleware = require('../utils/middleware');
+const pagination = require('../utils/pagination');
+const visibility = require('../utils/visibility');
+const { highlight } = require('../utils/highlight');
+const { validate } = require('../utils/validation');
+
+const byTextScore = { score: { $meta: 'textScore' } };
+
+// comments on blogs the caller can't see are dropped inside mongo before the
+// limit, so they can't use up the page
+const findComments = async (query, user, limit) => {
+  const comments = await Comment.aggregate([
+    { $match: { $text: { $search: query }, deletedAt: null } },
+    { $addFields: byTextScore },
+    {
+      $lookup: {
+        from: 'blogs',
+        let: { blog: '$blog' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$blog'] } } },
+          { $match: visibility.listedFilter(user) },
+          { $project: { title: 1, author: 1 } },
+        ],
+        as: 'blog',
+      },
+    },
+    { $unwind: '$blog' },
+    { $sort: { score: -1 } },
+    { $limit: limit },
+  ]);
+
+  return Comment.populate(comments, {
+    path: 'author',
+    select: { username: 1, name: 1, id: 1 },
+  });
+};
+
+searchRouter.get(
+  '/',
+  middleware.optionalUserExtractor,
+  validate('search'),
+  async (request, response, next) => {
+    const query = request.query.q.trim();
+
+    const limit = pagination.parseLimit(request.query.limit);
+
+    try {
+      const [blogs, comments] = await Promise.all([
+        Blog.find(
+          {
+            $text: { $search: query },
+            ...visibility.listedFilter(request.user),
+          },
+          byTextScore
+        )
+          .sort(byTextScore)
+          .limit(limit)
+          .populate('user', { username: 1, name: 1, id: 1 }),
+        findComments(query, request.user, limit),
+      ]);
+
+      const blogResults = blogs.map((blog) => ({
+        type: 'blog',
+        score: blog.get('score'),
+        blog: {
+          id: blog.id,
+          title: blog.title,
+          author: blog.author,
+          url: blog.url,
+          likes: blog.likes,
+          user: blog.user,
+        },
+        highlights: {
+          title: highlight(blog.title, query),
+          author: highlight(blog.author, query),
+        },
+      }));
+
+      const commentResults = comments.map((comment) => ({
+        type: 'comment',
+        score: comment.score,
+        comment: {
+          id: comment._id.toString(),
+          author: comment.author,
+          createdAt: comment.createdAt,
+        },
+        blog: {
+          id: comment.blog._id.toString(),
+          title: comment.blog.title,
+          author: comment.blog.author,
+        },
+        highlights: {
+          text: highlight(comment.text, query),
+        },
+      }));
+
+      const results = blogResults
+        .concat(commentResults)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+      response.json({ query, results });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = searchRouter;
@@ -0,0 +1,15 @@
+const statsRouter = require('express').Router();
+const stats = require('../utils/stats');
+const { validate } = require('../utils/validation');
+
+statsRouter.get('/', validate('getStats'), async (request, response, next) => {
+  const { interval = 'month' } = request.query;
+
+  try {
+    response.json(await stats.collectStats({ interval }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = statsRouter;
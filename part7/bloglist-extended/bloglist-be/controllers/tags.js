@@ -0,0 +1,21 @@
+const tagsRouter = require('express').Router();
+const Blog = require('../models/blog');
+const visibility = require('../utils/visibility');
+const { validate } = require('../utils/validation');
+
+tagsRouter.get('/', validate('listTags'), async (request, response, next) => {
+  try {
+    const tags = await Blog.aggregate([
+      { $match: visibility.listedFilter(null) },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } },
+    ]);
+    response.json(tags);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = tagsRouter;
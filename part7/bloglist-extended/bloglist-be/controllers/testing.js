@@ -1,16 +1,45 @@
 const testingRouter = require('express').Router();
 const Blog = require('../models/blog');
+const BlogRevision = require('../models/blog_revision');
+const Collection = require('../models/collection');
+const CollectionMember = require('../models/collection_member');
+const Comment = require('../models/comment');
+const Like = require('../models/like');
+const Notification = require('../models/notification');
+const ReadingListItem = require('../models/reading_list_item');
 const User = require('../models/user');
+const Session = require('../models/session');
+const AuditLog = require('../models/audit_log');
+const LoginAttempt = require('../models/login_attempt');
+const PasswordReset = require('../models/password_reset');
+const loginThrottle = require('../utils/login_throttle');
+const { validate } = require('../utils/validation');
 
-testingRouter.post('/reset', async (request, response, next) => {
-  try {
-    await Blog.deleteMany({});
-    await User.deleteMany({});
+testingRouter.post(
+  '/reset',
+  validate('resetTestingDatabase'),
+  async (request, response, next) => {
+    try {
+      await Blog.deleteMany({});
+      await BlogRevision.deleteMany({});
+      await Collection.deleteMany({});
+      await CollectionMember.deleteMany({});
+      await Comment.deleteMany({});
+      await Like.deleteMany({});
+      await Notification.deleteMany({});
+      await ReadingListItem.deleteMany({});
+      await User.deleteMany({});
+      await Session.deleteMany({});
+      await AuditLog.deleteMany({});
+      await LoginAttempt.deleteMany({});
+      await PasswordReset.deleteMany({});
+      loginThrottle.setStore(null);
 
-    response.status(204).end();
-  } catch (error) {
-    next(error);
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 module.exports = testingRouter;
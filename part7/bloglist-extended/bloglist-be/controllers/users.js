@@ -1,14 +1,42 @@
 const bcrypt = require('bcryptjs');
 const usersRouter = require('express').Router();
 const User = require('../models/user');
-const config = require('../utils/config');
+const Blog = require('../models/blog');
+const Collection = require('../models/collection');
+const CollectionMember = require('../models/collection_member');
+const Comment = require('../models/comment');
+const Like = require('../models/like');
+const Notification = require('../models/notification');
+const ReadingListItem = require('../models/reading_list_item');
+const PasswordReset = require('../models/password_reset');
+const blogFormats = require('../utils/blog_formats');
+const blogRemoval = require('../utils/blog_removal');
+const stats = require('../utils/stats');
+const audit = require('../utils/audit');
+const mailer = require('../utils/mailer');
+const notifications = require('../utils/notifications');
+const middleware = require('../utils/middleware');
+const passwordResets = require('../utils/password_resets');
+const sessions = require('../utils/sessions');
+const totp = require('../utils/totp');
+const twoFactor = require('../utils/two_factor');
+const visibility = require('../utils/visibility');
+const { validatePassword, hashPassword } = require('../utils/passwords');
+const { validate } = require('../utils/validation');
+const {
+  BadRequestError,
+  ConflictError,
+  UnauthorizedError,
+  notFound,
+  validationFailed,
+} = require('../utils/errors');
 
-usersRouter.get('/', async (request, response, next) => {
+usersRouter.get('/', validate('listUsers'), async (request, response, next) => {
   try {
-    const users = await User.find({}).populate('blogs', {
-      url: 1,
-      title: 1,
-      author: 1,
+    const users = await User.find({}).populate({
+      path: 'blogs',
+      select: { url: 1, title: 1, author: 1 },
+      match: visibility.listedFilter(null),
     });
     response.json(users);
   } catch (error) {
@@ -16,40 +44,589 @@ usersRouter.get('/', async (request, response, next) => {
   }
 });
 
-usersRouter.get('/:id', async (request, response, next) => {
-  try {
-    const user = await User.findById(request.params.id).populate('blogs', {
-      url: 1,
-      title: 1,
-      author: 1,
+const PROFILE_FIELDS = ['name', 'bio', 'avatar', 'email'];
+
+// without a match every blog of the user is populated
+const populateBlogs = (user, match) =>
+  user.populate({
+    path: 'blogs',
+    select: { url: 1, title: 1, author: 1, visibility: 1 },
+    match,
+  });
+
+// the same as the public user plus what only its owner gets to see
+const ownProfile = (user) => ({
+  ...user.toJSON(),
+  email: user.email ?? null,
+  twoFactorEnabled: user.twoFactor?.enabled ?? false,
+});
+
+usersRouter.get(
+  '/me',
+  middleware.userExtractor,
+  validate('getOwnProfile'),
+  async (request, response, next) => {
+    try {
+      const user = await populateBlogs(request.user);
+      response.json(ownProfile(user));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+usersRouter.patch(
+  '/me',
+  middleware.userExtractor,
+  validate('updateOwnProfile'),
+  async (request, response, next) => {
+    const user = request.user;
+    const changes = PROFILE_FIELDS.filter(
+      (field) => request.body[field] !== undefined
+    );
+
+    try {
+      const before = ownProfile(user);
+      // an empty string clears a field
+      changes.forEach((field) => {
+        user[field] =
+          request.body[field] === '' ? undefined : request.body[field];
+      });
+      await user.save();
+      await audit.record(request, 'user.update', {
+        target: { type: 'user', id: user._id },
+        before,
+        after: ownProfile(user),
+      });
+
+      response.json(ownProfile(await populateBlogs(user)));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const removeBlogsOf = async (user) => {
+  const blogIds = (await Blog.find({ user: user._id }, { _id: 1 })).map(
+    (blog) => blog._id
+  );
+  await blogRemoval.removeBlogs(blogIds);
+};
+
+const transferBlogs = async (user, newOwner) => {
+  const blogIds = (await Blog.find({ user: user._id }, { _id: 1 })).map(
+    (blog) => blog._id
+  );
+  await Blog.updateMany({ _id: { $in: blogIds } }, { user: newOwner._id });
+  await User.findByIdAndUpdate(newOwner._id, {
+    $addToSet: { blogs: { $each: blogIds } },
+  });
+};
+
+// a collection nobody is left in goes with the user, one left without an
+// owner passes to the member who joined it first
+const leaveCollections = async (user) => {
+  const memberships = await CollectionMember.find({ user: user._id });
+  await CollectionMember.deleteMany({ user: user._id });
+
+  for (const { collectionId } of memberships) {
+    const members = await CollectionMember.find({ collectionId }).sort({
+      createdAt: 1,
     });
-    response.json(user);
-  } catch (error) {
-    next(error);
+    if (members.length === 0) {
+      await Collection.findByIdAndDelete(collectionId);
+    } else if (!members.some((member) => member.role === 'owner')) {
+      members[0].role = 'owner';
+      await members[0].save();
+    }
   }
-});
+};
 
-usersRouter.post('/', async (request, response, next) => {
-  const { username, name, password } = request.body;
+// comments on blogs that stay around are kept as [deleted] so the replies
+// to them still have a place in the thread
+const removeActivityOf = async (user) => {
+  await Comment.updateMany(
+    { author: user._id },
+    { author: null, deletedAt: new Date() }
+  );
+  await Blog.updateMany(
+    { likedBy: user._id },
+    { $pull: { likedBy: user._id }, $inc: { likes: -1 } }
+  );
+  await Like.deleteMany({ user: user._id });
+  await Notification.deleteMany({
+    $or: [{ recipient: user._id }, { actor: user._id }],
+  });
+  await ReadingListItem.deleteMany({ user: user._id });
+  await User.updateMany(
+    { following: user._id },
+    { $pull: { following: user._id } }
+  );
+  await PasswordReset.deleteMany({ user: user._id });
+  await leaveCollections(user);
+};
 
-  if (!password) {
-    return response.status(400).send({ error: 'password must be provided' });
+usersRouter.delete(
+  '/me',
+  middleware.userExtractor,
+  validate('deleteOwnAccount'),
+  async (request, response, next) => {
+    const { password, blogs = 'delete', transferTo } = request.body;
+    const user = request.user;
+
+    try {
+      const passwordIsCorrect =
+        typeof password === 'string' &&
+        (await bcrypt.compare(password, user.passwordHash));
+      if (!passwordIsCorrect) {
+        throw new UnauthorizedError('password is incorrect');
+      }
+
+      let newOwner = null;
+      if (blogs === 'transfer') {
+        newOwner = await User.findOne({ username: transferTo });
+        if (
+          !newOwner ||
+          newOwner.status !== 'active' ||
+          newOwner.id === user.id
+        ) {
+          throw new BadRequestError(
+            'blogs can only be transferred to another active user'
+          );
+        }
+      }
+
+      if (newOwner) {
+        await transferBlogs(user, newOwner);
+      } else {
+        await removeBlogsOf(user);
+      }
+      await removeActivityOf(user);
+      await sessions.revokeUserSessions(user._id);
+      await User.findByIdAndDelete(user._id);
+      await audit.record(request, 'user.delete', {
+        target: { type: 'user', id: user._id },
+        before: user,
+        after: newOwner ? { blogsTransferredTo: newOwner.username } : null,
+      });
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
   }
+);
+
+usersRouter.get(
+  '/:id',
+  middleware.optionalUserExtractor,
+  validate('getUser'),
+  async (request, response, next) => {
+    try {
+      const user = await User.findById(request.params.id);
+      if (!user) {
+        throw notFound('user', request.params.id);
+      }
 
-  if (password.length < 3) {
-    return response
-      .status(400)
-      .send({ error: 'password must at be at least 3 characters' });
+      const followers = await User.countDocuments({ following: user._id });
+
+      await populateBlogs(user, visibility.listedFilter(request.user));
+      response.json({ ...user.toJSON(), followers });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const updateFollowing = (update) => async (request, response, next) => {
+  if (request.params.id === request.user.id) {
+    return next(new BadRequestError('you can not follow yourself'));
   }
 
   try {
-    const passwordHash = await bcrypt.hash(password, config.HASH_SALT_ROUNDS);
-    const user = new User({ username, name, passwordHash });
-    const savedUser = await user.save();
-    response.status(201).json(savedUser);
+    const followed = await User.findById(request.params.id);
+    if (!followed) {
+      throw notFound('user', request.params.id);
+    }
+
+    const wasFollowing = request.user.following.some((id) =>
+      id.equals(followed._id)
+    );
+    const user = await User.findByIdAndUpdate(
+      request.user._id,
+      { [update]: { following: followed._id } },
+      { new: true }
+    );
+    await audit.record(
+      request,
+      update === '$addToSet' ? 'user.follow' : 'user.unfollow',
+      { target: { type: 'user', id: followed._id } }
+    );
+    if (update === '$addToSet' && !wasFollowing) {
+      await notifications.notify(request, {
+        recipient: followed._id,
+        type: 'follow',
+      });
+    }
+
+    response.json(ownProfile(await populateBlogs(user)));
   } catch (error) {
     next(error);
   }
-});
+};
+
+usersRouter.post(
+  '/:id/follow',
+  middleware.userExtractor,
+  validate('followUser'),
+  updateFollowing('$addToSet')
+);
+
+usersRouter.delete(
+  '/:id/follow',
+  middleware.userExtractor,
+  validate('unfollowUser'),
+  updateFollowing('$pull')
+);
+
+usersRouter.get(
+  '/:id/stats',
+  validate('getUserStats'),
+  async (request, response, next) => {
+    const { interval = 'month' } = request.query;
+
+    try {
+      const user = await User.findById(request.params.id);
+      if (!user) {
+        throw notFound('user', request.params.id);
+      }
+
+      response.json(await stats.collectStats({ user, interval }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+usersRouter.get(
+  '/:id/blogs/export',
+  middleware.optionalUserExtractor,
+  validate('exportUserBlogs'),
+  async (request, response, next) => {
+    const { format = 'json' } = request.query;
+    const { contentType, extension } = blogFormats.formats[format];
+
+    try {
+      const user = await User.findById(request.params.id);
+      if (!user) {
+        throw notFound('user', request.params.id);
+      }
+
+      const blogs = await Blog.find({
+        user: user._id,
+        ...visibility.listedFilter(request.user),
+      }).sort({ _id: 1 });
+
+      response
+        .attachment(`${user.username}-blogs.${extension}`)
+        .type(contentType)
+        .send(blogFormats.serialize(format, blogs, `Blogs of ${user.name}`));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+usersRouter.post(
+  '/',
+  validate('createUser'),
+  async (request, response, next) => {
+    const { username, name, email, password } = request.body;
+
+    const passwordError = validatePassword(password, { username });
+    if (passwordError) {
+      return next(
+        validationFailed([
+          { location: 'body', field: 'password', message: passwordError },
+        ])
+      );
+    }
+
+    try {
+      const passwordHash = await hashPassword(password);
+      const user = new User({ username, name, email, passwordHash });
+      const savedUser = await user.save();
+      await audit.record(request, 'user.create', {
+        actor: savedUser,
+        target: { type: 'user', id: savedUser._id },
+        after: savedUser,
+      });
+      response.status(201).json(savedUser);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+usersRouter.put(
+  '/me/password',
+  middleware.userExtractor,
+  validate('changePassword'),
+  async (request, response, next) => {
+    const { currentPassword, newPassword } = request.body;
+    const user = request.user;
+
+    try {
+      const currentPasswordIsCorrect =
+        typeof currentPassword === 'string' &&
+        (await bcrypt.compare(currentPassword, user.passwordHash));
+      if (!currentPasswordIsCorrect) {
+        throw new UnauthorizedError('current password is incorrect');
+      }
+
+      const passwordError = validatePassword(newPassword, {
+        username: user.username,
+      });
+      if (passwordError) {
+        throw validationFailed([
+          {
+            location: 'body',
+            field: 'newPassword',
+            message: passwordError,
+          },
+        ]);
+      }
+
+      if (newPassword === currentPassword) {
+        throw new BadRequestError(
+          'new password must differ from the current one'
+        );
+      }
+
+      user.passwordHash = await hashPassword(newPassword);
+      await user.save();
+      // everywhere else has to log in again with the new password
+      await sessions.revokeUserSessions(user._id, {
+        except: request.session._id,
+      });
+      await audit.record(request, 'user.password.change', {
+        target: { type: 'user', id: user._id },
+      });
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const ensurePassword = async (user, password) => {
+  const passwordIsCorrect =
+    typeof password === 'string' &&
+    (await bcrypt.compare(password, user.passwordHash));
+  if (!passwordIsCorrect) {
+    throw new UnauthorizedError('password is incorrect');
+  }
+};
+
+// starting over replaces a secret that was never confirmed
+usersRouter.post(
+  '/me/two-factor',
+  middleware.userExtractor,
+  validate('startTwoFactorEnrollment'),
+  async (request, response, next) => {
+    const user = request.user;
+
+    try {
+      await ensurePassword(user, request.body.password);
+      if (user.twoFactor.enabled) {
+        throw new ConflictError('two-factor authentication is already enabled');
+      }
+
+      const secret = totp.generateSecret();
+      user.twoFactor.pendingSecret = secret;
+      await user.save();
+
+      response.json({
+        secret,
+        otpauthUri: twoFactor.provisioningUri(user, secret),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+usersRouter.post(
+  '/me/two-factor/confirm',
+  middleware.userExtractor,
+  validate('confirmTwoFactor'),
+  async (request, response, next) => {
+    const user = request.user;
+
+    try {
+      const { pendingSecret } = user.twoFactor;
+      if (!pendingSecret) {
+        throw new BadRequestError('start two-factor enrollment first');
+      }
+
+      const step = totp.verifyCode(pendingSecret, request.body.code);
+      if (step === null) {
+        throw validationFailed([
+          { location: 'body', field: 'code', message: 'code is not valid' },
+        ]);
+      }
+
+      user.twoFactor.enabled = true;
+      user.twoFactor.secret = pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      const recoveryCodes = twoFactor.newRecoveryCodes(user);
+      await user.save();
+      await audit.record(request, 'user.two_factor.enable', {
+        target: { type: 'user', id: user._id },
+      });
+
+      response.json({ recoveryCodes });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+usersRouter.post(
+  '/me/two-factor/recovery-codes',
+  middleware.userExtractor,
+  validate('regenerateRecoveryCodes'),
+  async (request, response, next) => {
+    const user = request.user;
+
+    try {
+      await ensurePassword(user, request.body.password);
+      if (!user.twoFactor.enabled) {
+        throw new BadRequestError('two-factor authentication is not enabled');
+      }
+
+      const recoveryCodes = twoFactor.newRecoveryCodes(user);
+      await user.save();
+      await audit.record(request, 'user.two_factor.recovery_codes', {
+        target: { type: 'user', id: user._id },
+      });
+
+      response.json({ recoveryCodes });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+usersRouter.delete(
+  '/me/two-factor',
+  middleware.userExtractor,
+  validate('disableTwoFactor'),
+  async (request, response, next) => {
+    const user = request.user;
+
+    try {
+      await ensurePassword(user, request.body.password);
+
+      const wasEnabled = user.twoFactor.enabled;
+      user.twoFactor = { enabled: false };
+      await user.save();
+      if (wasEnabled) {
+        await audit.record(request, 'user.two_factor.disable', {
+          target: { type: 'user', id: user._id },
+        });
+      }
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// answers the same whether or not the account exists, so it can't be used
+// to find out which emails are registered
+usersRouter.post(
+  '/password-reset',
+  validate('requestPasswordReset'),
+  async (request, response, next) => {
+    const { email } = request.body;
+
+    try {
+      const user = await User.findOne({ email: email.trim().toLowerCase() });
+      if (user && user.status === 'active') {
+        const token = await passwordResets.createResetToken(user);
+        await mailer.send({
+          to: user.email,
+          subject: 'Reset your bloglist password',
+          text: [
+            `Hi ${user.name ?? user.username},`,
+            '',
+            'Someone asked to reset the password of your bloglist account.',
+            `Open this link to choose a new one: ${passwordResets.resetLink(
+              token
+            )}`,
+            '',
+            'If it was not you, you can ignore this email.',
+          ].join('\n'),
+        });
+        await audit.record(request, 'user.password.reset.request', {
+          actor: user,
+          target: { type: 'user', id: user._id },
+        });
+      }
+
+      response.status(202).json({
+        message: 'if the email belongs to an account, a reset link was sent',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+usersRouter.post(
+  '/password-reset/confirm',
+  validate('confirmPasswordReset'),
+  async (request, response, next) => {
+    const { token, password } = request.body;
+
+    try {
+      const reset = await passwordResets.findResetToken(token);
+      if (!reset || !reset.user) {
+        throw new BadRequestError('invalid or expired reset token');
+      }
+
+      const user = reset.user;
+
+      const passwordError = validatePassword(password, {
+        username: user.username,
+      });
+      if (passwordError) {
+        throw validationFailed([
+          { location: 'body', field: 'password', message: passwordError },
+        ]);
+      }
+
+      if (!(await passwordResets.redeemResetToken(reset))) {
+        throw new BadRequestError('invalid or expired reset token');
+      }
+
+      user.passwordHash = await hashPassword(password);
+      await user.save();
+      await sessions.revokeUserSessions(user._id);
+      await audit.record(request, 'user.password.reset', {
+        actor: user,
+        target: { type: 'user', id: user._id },
+      });
+
+      response.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 module.exports = usersRouter;
@@ -1,7 +1,9 @@
 const logger = require('./utils/logger');
 const config = require('./utils/config');
 const app = require('./app');
+const jobs = require('./utils/jobs');
 
 app.listen(config.PORT, () => {
-  logger.info(`Server running on port ${config.PORT}`);
+  logger.info('server running', { port: config.PORT });
+  jobs.start();
 });
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // kept separately so failed logins still say who was attempted
+    username: String,
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: String,
+    targetId: mongoose.Schema.Types.ObjectId,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    requestId: String,
+    ip: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ actor: 1, _id: -1 });
+auditLogSchema.index({ action: 1, _id: -1 });
+auditLogSchema.index({ targetId: 1, _id: -1 });
+
+auditLogSchema.set('toJSON', {
+  transform: (doc, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+  },
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isHttpUrl } = require('../utils/metadata');
+const { MAX_TAGS, normalizeTags } = require('../utils/tags');
+const { VISIBILITIES } = require('../utils/visibility');
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -9,15 +12,53 @@ const blogSchema = new mongoose.Schema({
   url: {
     type: String,
     required: true,
+    validate: {
+      validator: isHttpUrl,
+      message: 'url must be an http or https url',
+    },
   },
+  description: String,
+  image: String,
   likes: Number,
+  likedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  tags: {
+    type: [String],
+    set: normalizeTags,
+    validate: {
+      validator: (tags) => tags.length <= MAX_TAGS,
+      message: `a blog can have at most ${MAX_TAGS} tags`,
+    },
+    index: true,
+  },
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'public',
+    index: true,
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
   comments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Comment' }],
+  linkCheck: {
+    url: String,
+    status: {
+      type: String,
+      enum: ['ok', 'redirected', 'broken', 'unreachable'],
+    },
+    statusCode: Number,
+    redirectTo: String,
+    error: String,
+    checkedAt: { type: Date, index: true },
+  },
 });
 
+blogSchema.index(
+  { title: 'text', author: 'text' },
+  { weights: { title: 3, author: 1 }, name: 'blog_text' }
+);
+
 blogSchema.set('toJSON', {
   transform: (doc, returnedObject) => {
     returnedObject.id = returnedObject._id.toString();
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// the content a blog had before an edit replaced it
+const blogRevisionSchema = new mongoose.Schema(
+  {
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Blog',
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    fields: {
+      title: String,
+      author: String,
+      url: String,
+      tags: [String],
+      description: String,
+      image: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+blogRevisionSchema.index({ blog: 1, revision: -1 }, { unique: true });
+
+blogRevisionSchema.set('toJSON', {
+  transform: (doc, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+  },
+});
+
+module.exports = mongoose.model('BlogRevision', blogRevisionSchema);
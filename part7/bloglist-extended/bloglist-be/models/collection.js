@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// blogs are kept in the order the members arranged them
+const collectionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    blogs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Blog', index: true }],
+  },
+  { timestamps: true }
+);
+
+collectionSchema.set('toJSON', {
+  transform: (doc, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+  },
+});
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { COLLECTION_ROLES } = require('../utils/collections');
+
+const collectionMemberSchema = new mongoose.Schema(
+  {
+    // collection itself is a name mongoose keeps for the model
+    collectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Collection',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: COLLECTION_ROLES,
+      default: 'viewer',
+    },
+  },
+  { timestamps: true }
+);
+
+collectionMemberSchema.index({ collectionId: 1, user: 1 }, { unique: true });
+collectionMemberSchema.index({ user: 1 });
+
+collectionMemberSchema.set('toJSON', {
+  transform: (doc, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+  },
+});
+
+module.exports = mongoose.model('CollectionMember', collectionMemberSchema);
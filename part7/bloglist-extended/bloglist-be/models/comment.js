@@ -1,21 +1,42 @@
 const mongoose = require('mongoose');
 
-const commentSchema = new mongoose.Schema({
-  text: {
-    type: String,
-    required: true,
+const commentSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+    },
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Blog',
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
-  blog: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Blog',
-  },
-});
+  { timestamps: true }
+);
+
+commentSchema.index({ text: 'text' }, { name: 'comment_text' });
 
 commentSchema.set('toJSON', {
   transform: (doc, returnedObject) => {
     returnedObject.id = returnedObject._id.toString();
     delete returnedObject._id;
     delete returnedObject.__v;
+    if (returnedObject.deletedAt) {
+      returnedObject.text = null;
+    }
   },
 });
 
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// one document per current like, kept next to Blog.likedBy so likes can be
+// charted by when they were given
+const likeSchema = new mongoose.Schema(
+  {
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Blog',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+likeSchema.index({ blog: 1, user: 1 }, { unique: true });
+likeSchema.index({ createdAt: 1 });
+
+likeSchema.set('toJSON', {
+  transform: (doc, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+  },
+});
+
+module.exports = mongoose.model('Like', likeSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const readingListItemSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Blog',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['to-read', 'read'],
+      default: 'to-read',
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+readingListItemSchema.index({ user: 1, blog: 1 }, { unique: true });
+readingListItemSchema.index({ user: 1, status: 1, createdAt: -1 });
+
+readingListItemSchema.set('toJSON', {
+  transform: (doc, returnedObject) => {
+    returnedObject.id = returnedObject._id.toString();
+    delete returnedObject._id;
+    delete returnedObject.__v;
+  },
+});
+
+module.exports = mongoose.model('ReadingListItem', readingListItemSchema);
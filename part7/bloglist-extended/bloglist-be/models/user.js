@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 var uniqueValidator = require('mongoose-unique-validator');
+const { ROLES, USER_STATUSES } = require('../utils/permissions');
+const { isHttpUrl } = require('../utils/metadata');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -10,17 +12,64 @@ const userSchema = new mongoose.Schema({
   },
   name: {
     type: String,
+    trim: true,
+    maxLength: 100,
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxLength: 500,
+  },
+  avatar: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isHttpUrl,
+      message: 'avatar must be an http or https url',
+    },
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'email is not valid'],
   },
   passwordHash: { type: String, required: true },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user',
+  },
+  status: {
+    type: String,
+    enum: USER_STATUSES,
+    default: 'active',
+  },
   blogs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Blog' }],
+  following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String,
+    // set while enrolling, becomes the secret once a code from it checks out
+    pendingSecret: String,
+    lastUsedStep: Number,
+    recoveryCodeHashes: [String],
+  },
 });
 
+userSchema.index({ following: 1 });
+
 userSchema.set('toJSON', {
   transform: (doc, returnedObject) => {
     returnedObject.id = returnedObject._id.toString();
     delete returnedObject._id;
     delete returnedObject.__v;
     delete returnedObject.passwordHash;
+    delete returnedObject.twoFactor;
+    // only ever shown to the user it belongs to
+    delete returnedObject.email;
   },
 });
 
@@ -4,11 +4,45 @@ const jwt = require('jsonwebtoken');
 const app = require('../app');
 const helper = require('./test_helper');
 const config = require('../utils/config');
+const Blog = require('../models/blog');
+const BlogRevision = require('../models/blog_revision');
+const CollectionMember = require('../models/collection_member');
+const Comment = require('../models/comment');
+const Like = require('../models/like');
+const metadata = require('../utils/metadata');
+const listHelper = require('../utils/list_helper');
+const loginThrottle = require('../utils/login_throttle');
+const LoginAttempt = require('../models/login_attempt');
+const mailer = require('../utils/mailer');
+const events = require('../utils/events');
+const linkChecker = require('../utils/link_checker');
+const totp = require('../utils/totp');
 
 const api = supertest(app);
 
+const articleHtml = `<html><head>
+  <meta property="og:title" content="Fetched title">
+  <meta name="author" content="Fetched Author">
+  <meta property="og:description" content="Fetched description">
+  <meta property="og:image" content="/cover.png">
+</head></html>`;
+
+let pageServer;
+
+// only the local page server is reachable, every other url fails to fetch
+beforeAll(async () => {
+  pageServer = await helper.startPageServer({ '/article': articleHtml });
+  const localFetcher = metadata.createFetcher({ allowPrivateHosts: true });
+  metadata.setFetcher((url) =>
+    url.startsWith(pageServer.url)
+      ? localFetcher(url)
+      : Promise.reject(new Error('offline'))
+  );
+});
+
 beforeEach(async () => {
   await helper.resetDb();
+  loginThrottle.setStore(loginThrottle.createMemoryStore());
 });
 
 describe('BLOGS', () => {
@@ -18,18 +52,174 @@ describe('BLOGS', () => {
         .get('/api/blogs')
         .expect(200)
         .expect('Content-Type', /application\/json/);
-      expect(response.body).toHaveLength(helper.data.blogs.length);
+      expect(response.body.blogs).toHaveLength(helper.data.blogs.length);
+      expect(response.body.nextCursor).toBeNull();
     });
 
     test('contains specific blog', async () => {
       const response = await api.get('/api/blogs');
-      const titles = response.body.map((blog) => blog.title);
+      const titles = response.body.blogs.map((blog) => blog.title);
       expect(titles).toContain(helper.data.blogs[0].title);
     });
 
     test('every blog contains id property', async () => {
       const response = await api.get('/api/blogs');
-      response.body.forEach((blog) => expect(blog.id).toBeDefined());
+      response.body.blogs.forEach((blog) => expect(blog.id).toBeDefined());
+    });
+
+    describe('paginates blogs', () => {
+      const fetchAllPages = async (query) => {
+        let pages = [];
+        let cursor = null;
+        do {
+          const response = await api
+            .get('/api/blogs')
+            .query(cursor ? { ...query, cursor } : query)
+            .expect(200);
+          pages = pages.concat([response.body.blogs]);
+          cursor = response.body.nextCursor;
+        } while (cursor);
+        return pages;
+      };
+
+      test('when given a limit', async () => {
+        const response = await api
+          .get('/api/blogs')
+          .query({ limit: 3 })
+          .expect(200);
+
+        expect(response.body.blogs).toHaveLength(3);
+        expect(response.body.nextCursor).toBeDefined();
+        expect(response.headers.link).toContain(
+          `cursor=${response.body.nextCursor}`
+        );
+        expect(response.headers.link).toContain('rel="next"');
+      });
+
+      test('following cursors until every blog has been returned once', async () => {
+        const pages = await fetchAllPages({ limit: 2 });
+        const ids = pages.flat().map((blog) => blog.id);
+
+        expect(pages).toHaveLength(2);
+        expect(new Set(ids).size).toBe(helper.data.blogs.length);
+      });
+
+      test('sorted by likes in descending order by default', async () => {
+        const pages = await fetchAllPages({ limit: 1 });
+        const likes = pages.flat().map((blog) => blog.likes);
+
+        expect(likes).toEqual([...likes].sort((a, b) => b - a));
+      });
+
+      test('sorted by title in ascending order', async () => {
+        const pages = await fetchAllPages({ limit: 3, sort: 'title' });
+        const titles = pages.flat().map((blog) => blog.title);
+
+        expect(titles).toEqual(helper.data.blogs.map((blog) => blog.title));
+      });
+
+      test('sorted by creation time with the newest first', async () => {
+        const blogs = await helper.blogsInDb();
+        const pages = await fetchAllPages({ limit: 3, sort: 'createdAt' });
+        const ids = pages.flat().map((blog) => blog.id);
+
+        expect(ids).toEqual(
+          blogs
+            .map((blog) => blog.id)
+            .sort()
+            .reverse()
+        );
+      });
+    });
+
+    describe('filters blogs', () => {
+      test('by author', async () => {
+        const author = helper.data.blogs[2].author;
+        const response = await api
+          .get('/api/blogs')
+          .query({ author })
+          .expect(200);
+
+        expect(response.body.blogs).toHaveLength(1);
+        expect(response.body.blogs[0].author).toBe(author);
+      });
+
+      test('by user', async () => {
+        const user = await helper.getUserFromDb(helper.data.users[1].username);
+        const response = await api
+          .get('/api/blogs')
+          .query({ user: user._id.toString() })
+          .expect(200);
+
+        expect(response.body.blogs).toHaveLength(user.blogs.length);
+        response.body.blogs.forEach((blog) =>
+          expect(blog.user.username).toBe(user.username)
+        );
+      });
+    });
+
+    describe('returns [400 bad request]', () => {
+      test('when given an unknown sort field', async () => {
+        await api.get('/api/blogs').query({ sort: 'url' }).expect(400);
+      });
+
+      test('when given an invalid limit', async () => {
+        await api.get('/api/blogs').query({ limit: 0 }).expect(400);
+      });
+
+      test('when given a malformed cursor', async () => {
+        await api.get('/api/blogs').query({ cursor: 'garbage' }).expect(400);
+      });
+
+      test('when given a cursor issued for a different sort', async () => {
+        const { body } = await api.get('/api/blogs').query({ limit: 1 });
+
+        await api
+          .get('/api/blogs')
+          .query({ sort: 'title', cursor: body.nextCursor })
+          .expect(400);
+      });
+
+      test('when the cursor value is not a value of the sort field', async () => {
+        const id = await helper.getExistingId();
+        const cursor = Buffer.from(
+          JSON.stringify({ sort: 'likes', value: { $ne: null }, id })
+        ).toString('base64url');
+
+        await api
+          .get('/api/blogs')
+          .query({ sort: 'likes', cursor })
+          .expect(400);
+      });
+    });
+  });
+
+  describe('GET /api/blogs/:id', () => {
+    test('returns a single blog', async () => {
+      const id = await helper.getExistingId();
+      const response = await api
+        .get(`/api/blogs/${id}`)
+        .expect(200)
+        .expect('Content-Type', /application\/json/);
+
+      expect(response.body.id).toBe(id);
+      expect(response.body.user.username).toBeDefined();
+    });
+
+    test('returns [404 not found] when given non-existent id', async () => {
+      const nonExistentId = await helper.getNonExistentId();
+      const response = await api
+        .get(`/api/blogs/${nonExistentId}`)
+        .expect(404)
+        .expect('Content-Type', /application\/problem\+json/);
+
+      expect(response.body).toMatchObject({
+        title: 'Not Found',
+        status: 404,
+        detail: `blog with id:${nonExistentId} could not be found`,
+        instance: `/api/blogs/${nonExistentId}`,
+        code: 'NOT_FOUND',
+      });
     });
   });
 
@@ -40,7 +230,7 @@ describe('BLOGS', () => {
         .set('Authorization', authData ? `Bearer ${authData.token}` : '')
         .send(request)
         .expect(expectedStatus)
-        .expect('Content-Type', /application\/json/);
+        .expect('Content-Type', /application\/(problem\+)?json/);
 
       if (expectedStatus !== 201) return {};
 
@@ -72,6 +262,45 @@ describe('BLOGS', () => {
         await checkBlogCreation(blogRequest, 201, authData);
       });
 
+      test('filling missing fields from the page metadata', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+
+        const blogRequest = {
+          author: 'Given Author',
+          url: `${pageServer.url}/article`,
+        };
+
+        const { blog } = await checkBlogCreation(blogRequest, 201, authData);
+        expect(blog.title).toBe('Fetched title');
+        expect(blog.author).toBe('Given Author');
+        expect(blog.description).toBe('Fetched description');
+        expect(blog.image).toBe(`${pageServer.url}/cover.png`);
+      });
+
+      test('ignoring posted likes and other server managed fields', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const otherUser = await helper.getUserFromDb(
+          helper.data.users[1].username
+        );
+
+        const blogRequest = {
+          title: 'Blog with forged likes',
+          url: 'http://www.somerandomblogurl.com',
+          likes: 9000,
+          likedBy: [otherUser._id.toString()],
+          linkCheck: { status: 'ok', checkedAt: new Date().toISOString() },
+        };
+
+        const { blog } = await checkBlogCreation(blogRequest, 201, authData);
+        expect(blog.likes).toBe(0);
+        expect(blog.likedBy).toHaveLength(0);
+        expect(blog.linkCheck?.checkedAt).toBeUndefined();
+      });
+
       test('when a request is missing [likes] property', async () => {
         const authData = await helper.getUserAuthData(
           helper.data.users[0].username
@@ -110,6 +339,18 @@ describe('BLOGS', () => {
         expect(blogs).toHaveLength(helper.data.blogs.length);
       });
 
+      test('when the [url] is not an http or https url', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+
+        await checkBlogCreation(
+          { title: 'Script', url: 'javascript:alert(1)' },
+          400,
+          authData
+        );
+      });
+
       test('when a request is missing required [url] property', async () => {
         const authData = await helper.getUserAuthData(
           helper.data.users[0].username
@@ -148,6 +389,55 @@ describe('BLOGS', () => {
     });
   });
 
+  describe('POST /api/blogs/preview', () => {
+    const previewUrl = async (url, expectedStatus) => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+      const response = await api
+        .post('/api/blogs/preview')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ url })
+        .expect(expectedStatus)
+        .expect('Content-Type', /application\/(problem\+)?json/);
+      return response.body;
+    };
+
+    test('returns the metadata of the page', async () => {
+      const body = await previewUrl(`${pageServer.url}/article`, 200);
+      expect(body).toStrictEqual({
+        url: `${pageServer.url}/article`,
+        title: 'Fetched title',
+        author: 'Fetched Author',
+        description: 'Fetched description',
+        image: `${pageServer.url}/cover.png`,
+        siteName: null,
+      });
+    });
+
+    test('does not create a blog', async () => {
+      await previewUrl(`${pageServer.url}/article`, 200);
+      const blogs = await helper.blogsInDb();
+      expect(blogs).toHaveLength(helper.data.blogs.length);
+    });
+
+    test('returns [400 bad request] for an invalid url', async () => {
+      await previewUrl('ftp://example.com', 400);
+      await previewUrl(undefined, 400);
+    });
+
+    test('returns [502 bad gateway] when the page cannot be fetched', async () => {
+      await previewUrl(`${pageServer.url}/missing`, 502);
+    });
+
+    test('returns [401 unauthorized] without a token', async () => {
+      await api
+        .post('/api/blogs/preview')
+        .send({ url: `${pageServer.url}/article` })
+        .expect(401);
+    });
+  });
+
   describe('DELETE /api/blogs/:id', () => {
     const checkBlogDeletion = async (
       blogId,
@@ -176,6 +466,25 @@ describe('BLOGS', () => {
         const validId = authData.user.blogs[0];
         await checkBlogDeletion(validId, authData, 204);
       });
+
+      test('along with its comments and the reference from its owner', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[1].username
+        );
+        const blogId = authData.user.blogs[0];
+
+        await api
+          .post(`/api/blogs/${blogId}/comments`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ text: 'gone soon' })
+          .expect(201);
+
+        await checkBlogDeletion(blogId, authData, 204);
+
+        expect(await Comment.countDocuments({ blog: blogId })).toBe(0);
+        const owner = await helper.getUserFromDb(authData.user.username);
+        expect(owner.blogs.map(String)).not.toContain(blogId.toString());
+      });
     });
 
     describe('fails to remove a blog', () => {
@@ -194,7 +503,7 @@ describe('BLOGS', () => {
         );
 
         const nonExistentId = await helper.getNonExistentId();
-        await checkBlogDeletion(nonExistentId, authData, 204, false);
+        await checkBlogDeletion(nonExistentId, authData, 404, false);
       });
 
       test('that does not belong to a user', async () => {
@@ -207,7 +516,7 @@ describe('BLOGS', () => {
           (blog) => blog.user.toString() !== authData.user._id.toString()
         ).id;
 
-        await checkBlogDeletion(id, authData, 401, false);
+        await checkBlogDeletion(id, authData, 403, false);
       });
 
       test('of an unauthenticated user', async () => {
@@ -222,14 +531,22 @@ describe('BLOGS', () => {
   });
 
   describe('PUT /api/blogs/:id', () => {
-    const checkBlogUpdate = async (id, updateRequest, code) => {
+    const getOwnerAuthData = async (blogId) => {
+      const blog = await helper.getBlogFromDb(blogId);
+      const users = await helper.usersInDb();
+      const owner = users.find((user) => user.id === blog.user.toString());
+      return helper.getUserAuthData(owner.username);
+    };
+
+    const checkBlogUpdate = async (id, updateRequest, code, authData) => {
       const blogBefore = await helper.getBlogFromDb(id);
 
       await api
         .put(`/api/blogs/${id}`)
+        .set('Authorization', authData ? `Bearer ${authData.token}` : '')
         .send(updateRequest)
         .expect(code)
-        .expect('Content-Type', /application\/json/);
+        .expect('Content-Type', /application\/(problem\+)?json/);
 
       const blogAfter = await helper.getBlogFromDb(id);
 
@@ -266,7 +583,22 @@ describe('BLOGS', () => {
           additional: 'should-not-contain-this',
         };
 
-        await checkBlogUpdate(validId, updateRequest, 200);
+        const authData = await getOwnerAuthData(validId);
+        await checkBlogUpdate(validId, updateRequest, 200, authData);
+      });
+
+      test('but ignores changes to [likes]', async () => {
+        const blogs = await helper.blogsInDb();
+        const validId = blogs[0].id;
+        const authData = await getOwnerAuthData(validId);
+
+        const response = await api
+          .put(`/api/blogs/${validId}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ title: 'update', likes: 9000 })
+          .expect(200);
+
+        expect(response.body.likes).toBe(blogs[0].likes);
       });
     });
 
@@ -279,7 +611,20 @@ describe('BLOGS', () => {
           title: '',
         };
 
-        await checkBlogUpdate(validId, updateRequest, 400);
+        const authData = await getOwnerAuthData(validId);
+        await checkBlogUpdate(validId, updateRequest, 400, authData);
+      });
+
+      test('when the [url] is not an http or https url', async () => {
+        const blogs = await helper.blogsInDb();
+        const authData = await getOwnerAuthData(blogs[0].id);
+
+        await checkBlogUpdate(
+          blogs[0].id,
+          { url: 'javascript:alert(1)' },
+          400,
+          authData
+        );
       });
 
       test('when given non-existent id', async () => {
@@ -288,115 +633,2292 @@ describe('BLOGS', () => {
           title: 'update',
         };
 
-        await checkBlogUpdate(nonExistentId, updateRequest, 404);
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        await checkBlogUpdate(nonExistentId, updateRequest, 404, authData);
       });
-    });
-  });
 
-  describe('USERS', () => {
-    describe('GET /api/users', () => {
-      test('returns all users in json format', async () => {
-        const response = await api
-          .get('/api/users')
-          .expect(200)
-          .expect('Content-Type', /application\/json/);
+      test('that does not belong to a user', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[1].username
+        );
 
-        expect(response.body).toHaveLength(helper.data.users.length);
+        const blogs = await helper.blogsInDb();
+        const id = blogs.find(
+          (blog) => blog.user.toString() !== authData.user._id.toString()
+        ).id;
+
+        await checkBlogUpdate(id, { title: 'update' }, 403, authData);
+      });
+
+      test('of an unauthenticated user', async () => {
+        const blogs = await helper.blogsInDb();
+        await checkBlogUpdate(blogs[0].id, { title: 'update' }, 401, null);
       });
     });
+  });
 
-    describe('POST /api/users', () => {
-      describe('creates new user', () => {
-        test('when given a valid request', async () => {
-          const userRequest = {
-            username: 'uniqueName',
-            name: 'Unique Test Dummy',
-            password: 'veryStrongPassword123',
-          };
+  describe('POST /api/blogs/:id/likes', () => {
+    const like = (id, authData) =>
+      api
+        .post(`/api/blogs/${id}/likes`)
+        .set('Authorization', authData ? `Bearer ${authData.token}` : '');
 
-          await api
-            .post('/api/users')
-            .send(userRequest)
-            .expect(201)
-            .expect('Content-Type', /application\/json/);
+    test('adds a like of the current user', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+      const blogs = await helper.blogsInDb();
 
-          const users = await helper.usersInDb();
-          expect(users).toHaveLength(helper.data.users.length + 1);
-          expect(users.map((user) => user.username)).toContain(
-            userRequest.username
-          );
-        });
-      });
+      const response = await like(blogs[0].id, authData)
+        .expect(200)
+        .expect('Content-Type', /application\/json/);
 
-      describe('fails to create new user', () => {
-        const checkFailureToAddUser = async (request, code) => {
-          await api
-            .post('/api/users')
-            .send(request)
-            .expect(code)
-            .expect('Content-Type', /application\/json/);
+      expect(response.body.likes).toBe(blogs[0].likes + 1);
+      expect(response.body.likedBy).toContain(authData.user._id.toString());
+    });
 
-          const users = await helper.usersInDb();
-          expect(users).toHaveLength(helper.data.users.length);
-        };
+    test('counts only one like per user', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+      const blogs = await helper.blogsInDb();
 
-        test('when request is missing a username', async () => {
-          const userRequest = {
-            name: 'Unique Test Dummy',
-            password: 'veryStrongPassword123',
-          };
+      await like(blogs[0].id, authData).expect(200);
+      const response = await like(blogs[0].id, authData).expect(200);
 
-          await checkFailureToAddUser(userRequest, 400);
-        });
+      expect(response.body.likes).toBe(blogs[0].likes + 1);
+      expect(response.body.likedBy).toHaveLength(1);
+    });
 
-        test('when request is missing a password', async () => {
-          const userRequest = {
-            username: 'uniqueName',
-            name: 'Unique Test Dummy',
-          };
+    test('counts likes of different users', async () => {
+      const blogs = await helper.blogsInDb();
+      for (const { username } of helper.data.users) {
+        const authData = await helper.getUserAuthData(username);
+        await like(blogs[0].id, authData).expect(200);
+      }
 
-          await checkFailureToAddUser(userRequest, 400);
-        });
+      const blog = await helper.getBlogFromDb(blogs[0].id);
+      expect(blog.likes).toBe(blogs[0].likes + helper.data.users.length);
+    });
 
-        test('when username is baddly formatted', async () => {
-          const userRequest = {
-            username: 'un',
-            name: 'Unique Test Dummy',
-            password: 'veryStrongPassword123',
-          };
+    test('returns [401 unauthorized] for an unauthenticated user', async () => {
+      const blogs = await helper.blogsInDb();
+      await like(blogs[0].id, null).expect(401);
+    });
 
-          await checkFailureToAddUser(userRequest, 400);
-        });
+    test('returns [404 not found] when given non-existent id', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+      const nonExistentId = await helper.getNonExistentId();
+      await like(nonExistentId, authData).expect(404);
+    });
+  });
 
-        test('when password is baddly formatted', async () => {
-          const userRequest = {
-            username: 'uniqueName',
-            name: 'Unique Test Dummy',
-            password: 've',
-          };
+  describe('DELETE /api/blogs/:id/likes', () => {
+    test('removes a like of the current user', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+      const blogs = await helper.blogsInDb();
 
-          await checkFailureToAddUser(userRequest, 400);
-        });
+      await api
+        .post(`/api/blogs/${blogs[0].id}/likes`)
+        .set('Authorization', `Bearer ${authData.token}`)
+        .expect(200);
 
-        test('when given non unique username', async () => {
-          const userRequest = {
-            username: helper.data.users[0].username,
-            name: 'Unique Test Dummy',
-            password: 'veryStrongPassword123',
-          };
+      const response = await api
+        .delete(`/api/blogs/${blogs[0].id}/likes`)
+        .set('Authorization', `Bearer ${authData.token}`)
+        .expect(200);
 
-          await checkFailureToAddUser(userRequest, 400);
-        });
-      });
+      expect(response.body.likes).toBe(blogs[0].likes);
+      expect(response.body.likedBy).toHaveLength(0);
+    });
+
+    test('does not change the count when the blog was not liked', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+      const blogs = await helper.blogsInDb();
+
+      const response = await api
+        .delete(`/api/blogs/${blogs[0].id}/likes`)
+        .set('Authorization', `Bearer ${authData.token}`)
+        .expect(200);
+
+      expect(response.body.likes).toBe(blogs[0].likes);
     });
   });
 
-  describe('LOGIN', () => {
-    describe('POST /api/login', () => {
-      describe('returns a [valid JWT]', () => {
-        test('when given valid existing username and password', async () => {
-          const loginRequest = {
-            username: helper.data.users[0].username,
+  describe('COMMENTS', () => {
+    const addComment = (blogId, comment, authData) =>
+      api
+        .post(`/api/blogs/${blogId}/comments`)
+        .set('Authorization', authData ? `Bearer ${authData.token}` : '')
+        .send(comment);
+
+    describe('POST /api/blogs/:id/comments', () => {
+      test('adds a comment authored by the current user', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogId = await helper.getExistingId();
+
+        const { body } = await addComment(blogId, { text: 'first!' }, authData)
+          .expect(201)
+          .expect('Content-Type', /application\/json/);
+
+        expect(body.text).toBe('first!');
+        expect(body.author.username).toBe(authData.user.username);
+        expect(body.parent).toBeNull();
+        expect(body.createdAt).toBeDefined();
+
+        const blog = await api.get(`/api/blogs/${blogId}`).expect(200);
+        expect(blog.body.comments.map((comment) => comment.id)).toContain(
+          body.id
+        );
+      });
+
+      test('adds a reply to another comment', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogId = await helper.getExistingId();
+
+        const { body: parent } = await addComment(
+          blogId,
+          { text: 'question' },
+          authData
+        ).expect(201);
+        const { body: reply } = await addComment(
+          blogId,
+          { text: 'answer', parent: parent.id },
+          authData
+        ).expect(201);
+
+        expect(reply.parent).toBe(parent.id);
+      });
+
+      test('fails when the parent comment belongs to another blog', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogs = await helper.blogsInDb();
+
+        const { body: parent } = await addComment(
+          blogs[0].id,
+          { text: 'question' },
+          authData
+        ).expect(201);
+
+        await addComment(
+          blogs[1].id,
+          { text: 'answer', parent: parent.id },
+          authData
+        ).expect(400);
+      });
+
+      test('fails for an unauthenticated user', async () => {
+        const blogId = await helper.getExistingId();
+        await addComment(blogId, { text: 'anonymous' }, null).expect(401);
+      });
+
+      test('fails when given non-existent blog id', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const nonExistentId = await helper.getNonExistentId();
+        await addComment(nonExistentId, { text: 'lost' }, authData).expect(404);
+      });
+    });
+
+    describe('PUT /api/blogs/:id/comments/:commentId', () => {
+      test('lets the author edit the comment', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogId = await helper.getExistingId();
+        const { body: comment } = await addComment(
+          blogId,
+          { text: 'typo' },
+          authData
+        );
+
+        const { body } = await api
+          .put(`/api/blogs/${blogId}/comments/${comment.id}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ text: 'fixed' })
+          .expect(200);
+
+        expect(body.text).toBe('fixed');
+      });
+
+      test('fails for someone other than the author', async () => {
+        const authorAuthData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const otherAuthData = await helper.getUserAuthData(
+          helper.data.users[1].username
+        );
+        const blogId = await helper.getExistingId();
+        const { body: comment } = await addComment(
+          blogId,
+          { text: 'mine' },
+          authorAuthData
+        );
+
+        await api
+          .put(`/api/blogs/${blogId}/comments/${comment.id}`)
+          .set('Authorization', `Bearer ${otherAuthData.token}`)
+          .send({ text: 'not yours' })
+          .expect(403);
+      });
+    });
+
+    describe('DELETE /api/blogs/:id/comments/:commentId', () => {
+      test('soft deletes the comment and keeps its replies', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogId = await helper.getExistingId();
+        const { body: parent } = await addComment(
+          blogId,
+          { text: 'question' },
+          authData
+        );
+        const { body: reply } = await addComment(
+          blogId,
+          { text: 'answer', parent: parent.id },
+          authData
+        );
+
+        await api
+          .delete(`/api/blogs/${blogId}/comments/${parent.id}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(204);
+
+        const { body: blog } = await api.get(`/api/blogs/${blogId}`);
+        const deleted = blog.comments.find(
+          (comment) => comment.id === parent.id
+        );
+        const kept = blog.comments.find((comment) => comment.id === reply.id);
+
+        expect(deleted.text).toBeNull();
+        expect(deleted.deletedAt).toBeDefined();
+        expect(kept.text).toBe('answer');
+      });
+
+      test('can not edit a deleted comment', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogId = await helper.getExistingId();
+        const { body: comment } = await addComment(
+          blogId,
+          { text: 'gone soon' },
+          authData
+        );
+
+        await api
+          .delete(`/api/blogs/${blogId}/comments/${comment.id}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(204);
+
+        await api
+          .put(`/api/blogs/${blogId}/comments/${comment.id}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ text: 'back' })
+          .expect(404);
+      });
+    });
+  });
+
+  describe('TAGS', () => {
+    const createTaggedBlog = async (authData, title, tags) => {
+      const response = await api
+        .post('/api/blogs')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ title, url: `http://${title}.com`, tags })
+        .expect(201);
+      return response.body;
+    };
+
+    test('are normalized when a blog is created', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+
+      const blog = await createTaggedBlog(authData, 'tagged', [
+        ' React ',
+        '#JavaScript',
+        'react',
+        'Web Dev',
+      ]);
+
+      expect(blog.tags).toEqual(['react', 'javascript', 'web-dev']);
+    });
+
+    test('are limited in number', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+      const tags = Array.from({ length: 11 }, (_, idx) => `tag${idx}`);
+
+      await api
+        .post('/api/blogs')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ title: 'too many', url: 'http://too.many', tags })
+        .expect(400);
+    });
+
+    describe('GET /api/tags', () => {
+      test('returns tags with their usage counts', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        await createTaggedBlog(authData, 'first', ['react', 'testing']);
+        await createTaggedBlog(authData, 'second', ['react']);
+
+        const { body } = await api
+          .get('/api/tags')
+          .expect(200)
+          .expect('Content-Type', /application\/json/);
+
+        expect(body).toEqual([
+          { tag: 'react', count: 2 },
+          { tag: 'testing', count: 1 },
+        ]);
+      });
+    });
+
+    describe('GET /api/blogs?tag=', () => {
+      test('returns only blogs with the given tag', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        await createTaggedBlog(authData, 'first', ['react', 'testing']);
+        await createTaggedBlog(authData, 'second', ['react']);
+
+        const { body } = await api
+          .get('/api/blogs')
+          .query({ tag: 'Testing' })
+          .expect(200);
+
+        expect(body.blogs.map((blog) => blog.title)).toEqual(['first']);
+      });
+    });
+  });
+
+  describe('IMPORT / EXPORT', () => {
+    describe('GET /api/users/:id/blogs/export', () => {
+      const exportBlogs = async (format, expectedStatus) => {
+        const user = await helper.getUserFromDb(helper.data.users[1].username);
+        return api
+          .get(`/api/users/${user.id}/blogs/export`)
+          .query(format ? { format } : {})
+          .expect(expectedStatus);
+      };
+
+      test('exports the blogs of the user as json by default', async () => {
+        const response = await exportBlogs(undefined, 200);
+
+        expect(response.headers['content-type']).toMatch(/application\/json/);
+        expect(response.headers['content-disposition']).toMatch(
+          /testDummy2-blogs\.json/
+        );
+        expect(response.body.map((blog) => blog.title)).toEqual(
+          helper.data.blogs.slice(1).map((blog) => blog.title)
+        );
+      });
+
+      test('exports the blogs of the user as csv', async () => {
+        const response = await exportBlogs('csv', 200);
+
+        expect(response.headers['content-type']).toMatch(/text\/csv/);
+        const lines = response.text.trim().split('\r\n');
+        expect(lines[0]).toBe(
+          'title,author,url,likes,tags,description,image,visibility'
+        );
+        expect(lines).toHaveLength(helper.data.blogs.length);
+      });
+
+      test('exports the blogs of the user as opml', async () => {
+        const response = await exportBlogs('opml', 200);
+
+        expect(response.headers['content-type']).toMatch(/text\/x-opml/);
+        expect(response.text).toContain('<title>Blogs of Test Dummy 2</title>');
+        expect(response.text).toContain(`text="${helper.data.blogs[1].title}"`);
+      });
+
+      test('returns [400 bad request] for unknown formats', async () => {
+        await exportBlogs('xlsx', 400);
+      });
+
+      test('returns [404 not found] for unknown users', async () => {
+        const id = await helper.getNonExistentId();
+        await api.get(`/api/users/${id}/blogs/export`).expect(404);
+      });
+    });
+
+    describe('POST /api/blogs/import', () => {
+      const importBlogs = async (body, contentType, expectedStatus) => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const response = await api
+          .post('/api/blogs/import')
+          .set('Authorization', `Bearer ${authData.token}`)
+          .set('Content-Type', contentType)
+          .send(body)
+          .expect(expectedStatus)
+          .expect('Content-Type', /application\/(problem\+)?json/);
+        return response.body;
+      };
+
+      test('imports valid rows and reports the rest', async () => {
+        const report = await importBlogs(
+          [
+            { title: 'Imported', url: 'http://imported.com', tags: ['a'] },
+            { title: 'No url' },
+            { title: 'Already there', url: helper.data.blogs[0].url },
+            { title: 'Imported twice', url: 'http://imported.com' },
+          ],
+          'application/json',
+          201
+        );
+
+        expect(report.imported).toEqual([
+          expect.objectContaining({ row: 1, url: 'http://imported.com' }),
+        ]);
+        expect(report.failed).toEqual([
+          expect.objectContaining({ row: 2, errors: [expect.any(String)] }),
+        ]);
+        expect(report.skipped.map((row) => row.row)).toEqual([3, 4]);
+
+        const user = await helper.getUserFromDb(helper.data.users[0].username);
+        const blog = await helper.getBlogFromDb(report.imported[0].id);
+        expect(blog.user.toString()).toBe(user.id);
+        expect(blog.likes).toBe(0);
+        expect(user.blogs.map((id) => id.toString())).toContain(blog.id);
+      });
+
+      test('imports csv documents', async () => {
+        const csv = 'title,url,tags\nFrom csv,http://csv.com,"x,y"\n';
+        const report = await importBlogs(csv, 'text/csv', 201);
+
+        const blog = await helper.getBlogFromDb(report.imported[0].id);
+        expect(blog.title).toBe('From csv');
+        expect(blog.tags).toEqual(['x', 'y']);
+      });
+
+      test('fails rows whose url is not http or https', async () => {
+        const csv = 'title,url\nScript,javascript:alert(1)\n';
+        const report = await importBlogs(csv, 'text/csv', 200);
+
+        expect(report.failed).toEqual([
+          expect.objectContaining({
+            row: 1,
+            errors: ['url must be an http or https url'],
+          }),
+        ]);
+      });
+
+      test('imports what another user exported as opml', async () => {
+        const owner = await helper.getUserFromDb(helper.data.users[1].username);
+        const exported = await api
+          .get(`/api/users/${owner.id}/blogs/export`)
+          .query({ format: 'opml' });
+
+        const report = await importBlogs(exported.text, 'text/x-opml', 201);
+
+        // two of the exported blogs share the same url
+        expect(report.imported).toHaveLength(2);
+        expect(report.skipped).toHaveLength(1);
+      });
+
+      test('keeps the visibility of exported blogs', async () => {
+        const csv = [
+          'title,url,visibility',
+          'Hidden,http://hidden.com,private',
+          'Unfinished,http://unfinished.com,draft',
+          'Typo,http://typo.com,secret',
+        ].join('\n');
+        const report = await importBlogs(csv, 'text/csv', 201);
+
+        const blogs = await Promise.all(
+          report.imported.map((row) => helper.getBlogFromDb(row.id))
+        );
+        expect(blogs.map((blog) => blog.visibility)).toEqual([
+          'private',
+          'draft',
+        ]);
+        expect(report.failed).toEqual([
+          expect.objectContaining({ row: 3, url: 'http://typo.com' }),
+        ]);
+      });
+
+      test('returns [400 bad request] for unparseable documents', async () => {
+        await importBlogs('<html></html>', 'application/xml', 400);
+        await importBlogs({ title: 'not a list' }, 'application/json', 400);
+      });
+
+      test('returns [400 bad request] for json rows with a non http url', async () => {
+        await importBlogs(
+          [{ title: 'Script', url: 'javascript:alert(1)' }],
+          'application/json',
+          400
+        );
+      });
+
+      test('returns [400 bad request] for unknown formats', async () => {
+        await importBlogs('title\turl', 'text/plain', 400);
+      });
+
+      test('returns [401 unauthorized] without a token', async () => {
+        await api.post('/api/blogs/import').send([]).expect(401);
+      });
+    });
+  });
+
+  describe('STATS', () => {
+    const expectListHelperStats = (stats, blogs) => {
+      expect(stats.blogs).toBe(blogs.length);
+      expect(stats.totalLikes).toBe(listHelper.totalLikes(blogs));
+      expect(stats.favoriteBlog).toEqual(listHelper.favoriteBlog(blogs));
+      expect(stats.mostBlogs).toEqual(listHelper.mostBlogs(blogs));
+      expect(stats.mostLikes).toEqual(listHelper.mostLikes(blogs));
+    };
+
+    describe('GET /api/stats', () => {
+      test('agrees with list_helper for all blogs', async () => {
+        const response = await api
+          .get('/api/stats')
+          .expect(200)
+          .expect('Content-Type', /application\/json/);
+
+        expectListHelperStats(response.body, helper.data.blogs);
+      });
+
+      test('groups likes by the day they were given', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogs = await helper.blogsInDb();
+        for (const blog of blogs.slice(0, 2)) {
+          await api
+            .post(`/api/blogs/${blog.id}/likes`)
+            .set('Authorization', `Bearer ${authData.token}`)
+            .expect(200);
+        }
+        await api
+          .delete(`/api/blogs/${blogs[1].id}/likes`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(200);
+
+        const { body } = await api
+          .get('/api/stats')
+          .query({ interval: 'day' })
+          .expect(200);
+
+        expect(body.likesOverTime).toEqual([
+          { period: new Date().toISOString().slice(0, 10), likes: 1 },
+        ]);
+      });
+
+      test('ranks the top commenters', async () => {
+        const [first, second] = await Promise.all(
+          helper.data.users.map((user) => helper.getUserAuthData(user.username))
+        );
+        const blogId = await helper.getExistingId();
+        const comment = (authData) =>
+          api
+            .post(`/api/blogs/${blogId}/comments`)
+            .set('Authorization', `Bearer ${authData.token}`)
+            .send({ text: 'stats' })
+            .expect(201);
+        await comment(first);
+        await comment(second);
+        await comment(second);
+
+        const { body } = await api.get('/api/stats').expect(200);
+
+        expect(
+          body.topCommenters.map(({ user, comments }) => [
+            user.username,
+            comments,
+          ])
+        ).toEqual([
+          [second.user.username, 2],
+          [first.user.username, 1],
+        ]);
+      });
+
+      test('returns [400 bad request] for unknown intervals', async () => {
+        await api.get('/api/stats').query({ interval: 'year' }).expect(400);
+      });
+    });
+
+    describe('GET /api/users/:id/stats', () => {
+      test('agrees with list_helper for the blogs of the user', async () => {
+        const user = await helper.getUserFromDb(helper.data.users[1].username);
+
+        const response = await api
+          .get(`/api/users/${user.id}/stats`)
+          .expect(200)
+          .expect('Content-Type', /application\/json/);
+
+        expectListHelperStats(response.body, helper.data.blogs.slice(1));
+      });
+
+      test('returns [404 not found] for unknown users', async () => {
+        const id = await helper.getNonExistentId();
+        await api.get(`/api/users/${id}/stats`).expect(404);
+      });
+    });
+  });
+
+  describe('SEARCH', () => {
+    describe('GET /api/search', () => {
+      beforeAll(async () => {
+        await Promise.all([Blog.init(), Comment.init()]);
+      });
+
+      test('finds blogs by title and highlights the match', async () => {
+        const { body } = await api
+          .get('/api/search')
+          .query({ q: 'Blog 3' })
+          .expect(200)
+          .expect('Content-Type', /application\/json/);
+
+        const blogResult = body.results.find(
+          (result) => result.type === 'blog'
+        );
+        expect(blogResult).toBeDefined();
+        expect(blogResult.highlights.title).toContainEqual({
+          text: 'Blog',
+          match: true,
+        });
+      });
+
+      test('finds blogs by author', async () => {
+        const { body } = await api
+          .get('/api/search')
+          .query({ q: helper.data.blogs[2].author })
+          .expect(200);
+
+        const titles = body.results
+          .filter((result) => result.type === 'blog')
+          .map((result) => result.blog.title);
+        expect(titles).toContain(helper.data.blogs[2].title);
+      });
+
+      test('finds comments and links them to their blog', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogId = await helper.getExistingId();
+
+        await api
+          .post(`/api/blogs/${blogId}/comments`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ text: 'an unforgettable serendipity' })
+          .expect(201);
+
+        const { body } = await api
+          .get('/api/search')
+          .query({ q: 'serendipity' })
+          .expect(200);
+
+        expect(body.results).toHaveLength(1);
+        expect(body.results[0].type).toBe('comment');
+        expect(body.results[0].blog.id).toBe(blogId);
+      });
+
+      test('fills the page with comments on blogs the caller can see', async () => {
+        const [hidden, shown] = await helper.blogsInDb();
+        await Blog.findByIdAndUpdate(hidden.id, { visibility: 'private' });
+        await Comment.insertMany([
+          ...Array.from({ length: 3 }, () => ({
+            text: 'serendipity serendipity',
+            blog: hidden.id,
+          })),
+          { text: 'a serendipity', blog: shown.id },
+        ]);
+
+        const { body } = await api
+          .get('/api/search')
+          .query({ q: 'serendipity', limit: 2 })
+          .expect(200);
+
+        expect(body.results).toHaveLength(1);
+        expect(body.results[0].blog).toEqual({
+          id: shown.id,
+          title: shown.title,
+          author: shown.author,
+        });
+      });
+
+      test('ranks results by relevance', async () => {
+        const { body } = await api
+          .get('/api/search')
+          .query({ q: 'test blog' })
+          .expect(200);
+
+        const scores = body.results.map((result) => result.score);
+        expect(scores).toEqual([...scores].sort((a, b) => b - a));
+      });
+
+      test('returns [400 bad request] without a query', async () => {
+        await api.get('/api/search').expect(400);
+      });
+    });
+  });
+
+  describe('USERS', () => {
+    describe('GET /api/users', () => {
+      test('returns all users in json format', async () => {
+        const response = await api
+          .get('/api/users')
+          .expect(200)
+          .expect('Content-Type', /application\/json/);
+
+        expect(response.body).toHaveLength(helper.data.users.length);
+      });
+    });
+
+    describe('POST /api/users', () => {
+      describe('creates new user', () => {
+        test('when given a valid request', async () => {
+          const userRequest = {
+            username: 'uniqueName',
+            name: 'Unique Test Dummy',
+            password: 'veryStrongPassword123',
+          };
+
+          await api
+            .post('/api/users')
+            .send(userRequest)
+            .expect(201)
+            .expect('Content-Type', /application\/json/);
+
+          const users = await helper.usersInDb();
+          expect(users).toHaveLength(helper.data.users.length + 1);
+          expect(users.map((user) => user.username)).toContain(
+            userRequest.username
+          );
+        });
+      });
+
+      describe('fails to create new user', () => {
+        const checkFailureToAddUser = async (request, code) => {
+          await api
+            .post('/api/users')
+            .send(request)
+            .expect(code)
+            .expect('Content-Type', /application\/(problem\+)?json/);
+
+          const users = await helper.usersInDb();
+          expect(users).toHaveLength(helper.data.users.length);
+        };
+
+        test('when request is missing a username', async () => {
+          const userRequest = {
+            name: 'Unique Test Dummy',
+            password: 'veryStrongPassword123',
+          };
+
+          await checkFailureToAddUser(userRequest, 400);
+        });
+
+        test('when request is missing a password', async () => {
+          const userRequest = {
+            username: 'uniqueName',
+            name: 'Unique Test Dummy',
+          };
+
+          await checkFailureToAddUser(userRequest, 400);
+        });
+
+        test('when username is baddly formatted', async () => {
+          const userRequest = {
+            username: 'un',
+            name: 'Unique Test Dummy',
+            password: 'veryStrongPassword123',
+          };
+
+          await checkFailureToAddUser(userRequest, 400);
+        });
+
+        test('when password is baddly formatted', async () => {
+          const userRequest = {
+            username: 'uniqueName',
+            name: 'Unique Test Dummy',
+            password: 've',
+          };
+
+          await checkFailureToAddUser(userRequest, 400);
+        });
+
+        test('when given non unique username', async () => {
+          const userRequest = {
+            username: helper.data.users[0].username,
+            name: 'Unique Test Dummy',
+            password: 'veryStrongPassword123',
+          };
+
+          await checkFailureToAddUser(userRequest, 409);
+        });
+      });
+    });
+
+    describe('GET /api/users/:id', () => {
+      test('returns the user without private fields', async () => {
+        const user = await helper.getUserFromDb(helper.data.users[0].username);
+        const response = await api.get(`/api/users/${user.id}`).expect(200);
+
+        expect(response.body.username).toBe(user.username);
+        expect(response.body.email).toBeUndefined();
+        expect(response.body.passwordHash).toBeUndefined();
+      });
+
+      test('returns [404 not found] for unknown users', async () => {
+        const id = await helper.getNonExistentId();
+        await api.get(`/api/users/${id}`).expect(404);
+      });
+    });
+
+    describe('GET /api/users/me', () => {
+      test('includes the email of the logged in user', async () => {
+        const { username, email } = helper.data.users[0];
+        const authData = await helper.getUserAuthData(username);
+
+        const response = await api
+          .get('/api/users/me')
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(200);
+
+        expect(response.body.username).toBe(username);
+        expect(response.body.email).toBe(email);
+      });
+
+      test('returns [401 unauthorized] without a token', async () => {
+        await api.get('/api/users/me').expect(401);
+      });
+    });
+
+    describe('PATCH /api/users/me', () => {
+      const updateProfile = async (body, expectedStatus) => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        return api
+          .patch('/api/users/me')
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send(body)
+          .expect(expectedStatus);
+      };
+
+      test('updates the given profile fields only', async () => {
+        const profile = {
+          bio: 'writes about testing',
+          avatar: 'https://example.com/avatar.png',
+        };
+        const response = await updateProfile(profile, 200);
+
+        expect(response.body).toMatchObject({
+          ...profile,
+          name: helper.data.users[0].name,
+          email: helper.data.users[0].email,
+        });
+        const user = await helper.getUserFromDb(helper.data.users[0].username);
+        expect(user.bio).toBe(profile.bio);
+        expect(user.avatar).toBe(profile.avatar);
+      });
+
+      test('clears fields set to an empty string', async () => {
+        await updateProfile({ bio: 'short lived' }, 200);
+        const response = await updateProfile({ bio: '', email: '' }, 200);
+
+        expect(response.body.bio).toBeUndefined();
+        expect(response.body.email).toBeNull();
+      });
+
+      test('ignores fields that are not part of the profile', async () => {
+        await updateProfile({ role: 'admin', username: 'renamed' }, 200);
+
+        const user = await helper.getUserFromDb(helper.data.users[0].username);
+        expect(user.role).toBe('user');
+      });
+
+      test('returns [400 bad request] for invalid values', async () => {
+        await updateProfile({ avatar: 'javascript:alert(1)' }, 400);
+        await updateProfile({ email: 'not an email' }, 400);
+        await updateProfile({ email: helper.data.users[1].email }, 400);
+      });
+    });
+
+    describe('DELETE /api/users/me', () => {
+      const [otherUser, leavingUser] = helper.data.users;
+
+      const prepareActivity = async () => {
+        const other = await helper.getUserAuthData(otherUser.username);
+        const leaving = await helper.getUserAuthData(leavingUser.username);
+        const otherBlog = (await helper.blogsInDb()).find(
+          (blog) => blog.user.toString() === other.user.id
+        );
+        const leavingBlog = (await helper.blogsInDb()).find(
+          (blog) => blog.user.toString() === leaving.user.id
+        );
+
+        await api
+          .post(`/api/blogs/${otherBlog.id}/likes`)
+          .set('Authorization', `Bearer ${leaving.token}`)
+          .expect(200);
+        await api
+          .post(`/api/blogs/${otherBlog.id}/comments`)
+          .set('Authorization', `Bearer ${leaving.token}`)
+          .send({ text: 'goodbye' })
+          .expect(201);
+        await api
+          .post(`/api/blogs/${leavingBlog.id}/comments`)
+          .set('Authorization', `Bearer ${other.token}`)
+          .send({ text: 'nice one' })
+          .expect(201);
+
+        return { leaving, otherBlog, leavingBlog };
+      };
+
+      const deleteAccount = (authData, body) =>
+        api
+          .delete('/api/users/me')
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send(body);
+
+      test('removes the user with their blogs and activity', async () => {
+        const { leaving, otherBlog, leavingBlog } = await prepareActivity();
+
+        await deleteAccount(leaving, { password: leavingUser.password }).expect(
+          204
+        );
+
+        expect(await helper.getUserFromDb(leavingUser.username)).toBeNull();
+        const blogs = await helper.blogsInDb();
+        expect(blogs.map((blog) => blog.id)).not.toContain(leavingBlog.id);
+        expect(await Comment.find({ blog: leavingBlog.id })).toHaveLength(0);
+
+        const likedBlog = blogs.find((blog) => blog.id === otherBlog.id);
+        expect(likedBlog.likes).toBe(otherBlog.likes);
+        expect(likedBlog.likedBy).toHaveLength(0);
+        expect(await Like.find({ user: leaving.user._id })).toHaveLength(0);
+
+        const [comment] = await Comment.find({ blog: otherBlog.id });
+        expect(comment.deletedAt).not.toBeNull();
+        expect(comment.author).toBeNull();
+
+        await api
+          .post('/api/logout')
+          .set('Authorization', `Bearer ${leaving.token}`)
+          .expect(401);
+      });
+
+      test('can hand the blogs over to another user', async () => {
+        const { leaving, leavingBlog } = await prepareActivity();
+
+        await deleteAccount(leaving, {
+          password: leavingUser.password,
+          blogs: 'transfer',
+          transferTo: otherUser.username,
+        }).expect(204);
+
+        const newOwner = await helper.getUserFromDb(otherUser.username);
+        const blog = await helper.getBlogFromDb(leavingBlog.id);
+        expect(blog.user.toString()).toBe(newOwner.id);
+        expect(newOwner.blogs.map((id) => id.toString())).toContain(
+          leavingBlog.id
+        );
+        expect(await Comment.find({ blog: leavingBlog.id })).toHaveLength(1);
+      });
+
+      test('returns [400 bad request] for an invalid transfer', async () => {
+        const leaving = await helper.getUserAuthData(leavingUser.username);
+
+        await deleteAccount(leaving, {
+          password: leavingUser.password,
+          blogs: 'transfer',
+          transferTo: leavingUser.username,
+        }).expect(400);
+        await deleteAccount(leaving, {
+          password: leavingUser.password,
+          blogs: 'giveaway',
+        }).expect(400);
+
+        expect(await helper.getUserFromDb(leavingUser.username)).not.toBeNull();
+      });
+
+      test('returns [401 unauthorized] for a wrong password', async () => {
+        const leaving = await helper.getUserAuthData(leavingUser.username);
+
+        await deleteAccount(leaving, { password: 'notMyPassword1' }).expect(
+          401
+        );
+
+        expect(await helper.getUserFromDb(leavingUser.username)).not.toBeNull();
+      });
+    });
+  });
+
+  describe('VISIBILITY', () => {
+    let owner;
+    let stranger;
+    let blogs;
+
+    // the second user owns every seeded blog but the first
+    beforeEach(async () => {
+      owner = await helper.getUserAuthData(helper.data.users[1].username);
+      stranger = await helper.getUserAuthData(helper.data.users[0].username);
+
+      const byTitle = async (title, visibility) =>
+        Blog.findOneAndUpdate({ title }, { visibility }, { new: true });
+      blogs = {
+        unlisted: await byTitle('Test Blog 2', 'unlisted'),
+        private: await byTitle('Test Blog 3', 'private'),
+        draft: await byTitle('Test Blog 4', 'draft'),
+      };
+    });
+
+    const titlesOf = (response) =>
+      response.body.blogs.map((blog) => blog.title).sort();
+
+    const getAs = (authData, url) => {
+      const request = api.get(url);
+      return authData
+        ? request.set('Authorization', `Bearer ${authData.token}`)
+        : request;
+    };
+
+    test('lists only public blogs to anonymous users', async () => {
+      const response = await api.get('/api/blogs').expect(200);
+      expect(titlesOf(response)).toEqual(['Test Blog 1']);
+    });
+
+    test('lists every blog of its own to a user', async () => {
+      const response = await getAs(owner, '/api/blogs').expect(200);
+      expect(titlesOf(response)).toEqual([
+        'Test Blog 1',
+        'Test Blog 2',
+        'Test Blog 3',
+        'Test Blog 4',
+      ]);
+
+      const strangerResponse = await getAs(stranger, '/api/blogs').expect(200);
+      expect(titlesOf(strangerResponse)).toEqual(['Test Blog 1']);
+    });
+
+    test('opens unlisted blogs to anyone with the link', async () => {
+      const response = await api
+        .get(`/api/blogs/${blogs.unlisted.id}`)
+        .expect(200);
+      expect(response.body.visibility).toBe('unlisted');
+    });
+
+    test('hides private and draft blogs from everyone but the owner', async () => {
+      for (const blog of [blogs.private, blogs.draft]) {
+        await api.get(`/api/blogs/${blog.id}`).expect(404);
+        await getAs(stranger, `/api/blogs/${blog.id}`).expect(404);
+        await getAs(owner, `/api/blogs/${blog.id}`).expect(200);
+      }
+    });
+
+    test('keeps hidden blogs out of the user details', async () => {
+      const ownerId = owner.user._id.toString();
+
+      const response = await api.get(`/api/users/${ownerId}`).expect(200);
+      expect(response.body.blogs).toEqual([]);
+
+      const ownResponse = await getAs(owner, `/api/users/${ownerId}`).expect(
+        200
+      );
+      expect(ownResponse.body.blogs).toHaveLength(3);
+    });
+
+    test('keeps hidden blogs out of search and tags', async () => {
+      await Blog.init();
+      await Blog.findByIdAndUpdate(blogs.private.id, { tags: ['secret'] });
+
+      const search = await api
+        .get('/api/search')
+        .query({ q: 'Blog' })
+        .expect(200);
+      expect(search.body.results.map((result) => result.blog.title)).toEqual([
+        'Test Blog 1',
+      ]);
+
+      const tags = await api.get('/api/tags').expect(200);
+      expect(tags.body.map(({ tag }) => tag)).not.toContain('secret');
+    });
+
+    test('does not let strangers like or comment on a private blog', async () => {
+      await api
+        .post(`/api/blogs/${blogs.private.id}/likes`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .expect(404);
+      await api
+        .post(`/api/blogs/${blogs.private.id}/comments`)
+        .set('Authorization', `Bearer ${stranger.token}`)
+        .send({ text: 'found you' })
+        .expect(404);
+
+      const blog = await helper.getBlogFromDb(blogs.private.id);
+      expect(blog.likes).toBe(helper.data.blogs[2].likes);
+      expect(blog.comments).toHaveLength(0);
+    });
+
+    test('is saved when a blog is added or edited', async () => {
+      const created = await api
+        .post('/api/blogs')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({
+          title: 'Work in progress',
+          url: 'http://draft.example.com',
+          visibility: 'draft',
+        })
+        .expect(201);
+      expect(created.body.visibility).toBe('draft');
+
+      const updated = await api
+        .put(`/api/blogs/${created.body.id}`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({ visibility: 'public' })
+        .expect(200);
+      expect(updated.body).toMatchObject({
+        title: 'Work in progress',
+        visibility: 'public',
+      });
+    });
+
+    test('rejects unknown visibilities', async () => {
+      const response = await api
+        .post('/api/blogs')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({ url: 'http://hidden.example.com', visibility: 'secret' })
+        .expect(400);
+      expect(response.body.details[0].field).toBe('visibility');
+    });
+  });
+
+  describe('REVISIONS', () => {
+    let owner;
+    let blog;
+
+    beforeEach(async () => {
+      owner = await helper.getUserAuthData(helper.data.users[0].username);
+      blog = (await helper.blogsInDb()).find(
+        (blog) => blog.user.toString() === owner.user.id
+      );
+    });
+
+    const updateBlog = (changes) =>
+      api
+        .put(`/api/blogs/${blog.id}`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({
+          title: blog.title,
+          author: blog.author,
+          url: blog.url,
+          tags: blog.tags,
+          ...changes,
+        })
+        .expect(200);
+
+    const getRevisions = async () => {
+      const response = await api
+        .get(`/api/blogs/${blog.id}/revisions`)
+        .expect(200);
+      return response.body;
+    };
+
+    const restore = (authData, revision) =>
+      api
+        .post(`/api/blogs/${blog.id}/revisions/${revision}/restore`)
+        .set('Authorization', `Bearer ${authData.token}`);
+
+    test('every update keeps the replaced version', async () => {
+      await updateBlog({ title: 'Second title' });
+      await updateBlog({ title: 'Third title', tags: ['news'] });
+
+      const [second, first] = await getRevisions();
+
+      expect(first).toMatchObject({
+        revision: 1,
+        editor: { username: owner.user.username },
+        fields: { title: blog.title },
+        changes: [
+          { field: 'title', before: blog.title, after: 'Second title' },
+        ],
+      });
+      expect(second.changes).toEqual([
+        { field: 'title', before: 'Second title', after: 'Third title' },
+        { field: 'tags', before: [], after: ['news'] },
+      ]);
+    });
+
+    test('edits made at the same time each keep their revision', async () => {
+      await BlogRevision.init();
+
+      await Promise.all([
+        updateBlog({ title: 'Left title' }),
+        updateBlog({ title: 'Right title' }),
+      ]);
+
+      const revisions = await getRevisions();
+      expect(revisions.map((revision) => revision.revision)).toEqual([2, 1]);
+    });
+
+    test('updates that change nothing leave no revision', async () => {
+      await updateBlog({});
+      expect(await getRevisions()).toHaveLength(0);
+    });
+
+    test('a revision can be restored and the restore undone', async () => {
+      await updateBlog({ title: 'Second title', url: 'http://moved.test' });
+
+      const response = await restore(owner, 1).expect(200);
+      expect(response.body).toMatchObject({
+        title: blog.title,
+        url: blog.url,
+        user: { username: owner.user.username },
+      });
+
+      const [undo] = await getRevisions();
+      expect(undo.revision).toBe(2);
+      expect(undo.fields.title).toBe('Second title');
+
+      await restore(owner, 2).expect(200);
+      const restored = await helper.getBlogFromDb(blog.id);
+      expect(restored.url).toBe('http://moved.test');
+    });
+
+    test('only the owner or a moderator can restore', async () => {
+      await updateBlog({ title: 'Second title' });
+      const other = await helper.getUserAuthData(helper.data.users[1].username);
+
+      await restore(other, 1).expect(403);
+
+      await helper.setUserRole(other.user.username, 'moderator');
+      await restore(other, 1).expect(200);
+    });
+
+    test('returns [404 not found] for unknown revisions and blogs', async () => {
+      await restore(owner, 1).expect(404);
+
+      const id = await helper.getNonExistentId();
+      await api.get(`/api/blogs/${id}/revisions`).expect(404);
+    });
+
+    test('returns [400 bad request] for revisions that are not numbers', async () => {
+      const response = await restore(owner, 'latest').expect(400);
+      expect(response.body.details).toEqual([
+        {
+          location: 'path',
+          field: 'revision',
+          message: 'revision must be an integer',
+        },
+      ]);
+    });
+  });
+
+  describe('LINK CHECKS', () => {
+    let linkServer;
+    let admin;
+
+    // local urls are really requested, every other url passes as alive
+    beforeAll(async () => {
+      linkServer = await helper.startPageServer({
+        '/alive': '<html></html>',
+        '/moved': { status: 301, headers: { location: '/alive' } },
+      });
+      const localClient = linkChecker.createHttpClient({
+        allowPrivateHosts: true,
+      });
+      linkChecker.setHttpClient((url) =>
+        url.startsWith(linkServer.url)
+          ? localClient(url)
+          : Promise.resolve({ status: 200, url })
+      );
+    });
+
+    afterAll(async () => {
+      linkChecker.setHttpClient(null);
+      await linkServer.close();
+    });
+
+    beforeEach(async () => {
+      const [first, second, third] = await helper.blogsInDb();
+      await Blog.findByIdAndUpdate(first.id, { url: `${linkServer.url}/gone` });
+      await Blog.findByIdAndUpdate(second.id, {
+        url: `${linkServer.url}/moved`,
+      });
+      await Blog.findByIdAndUpdate(third.id, {
+        url: `${linkServer.url}/alive`,
+      });
+
+      const username = helper.data.users[0].username;
+      await helper.setUserRole(username, 'admin');
+      admin = await helper.getUserAuthData(username);
+    });
+
+    const runLinkCheck = () =>
+      api
+        .post('/api/admin/jobs/link-check/run')
+        .set('Authorization', `Bearer ${admin.token}`);
+
+    test('stores the outcome of every check on the blog', async () => {
+      const response = await runLinkCheck().expect(200);
+      expect(response.body).toEqual({
+        checked: helper.data.blogs.length,
+        broken: 1,
+      });
+
+      const blogs = await helper.blogsInDb();
+      const linkCheckOf = (path) =>
+        blogs.find((blog) => blog.url === `${linkServer.url}${path}`).linkCheck;
+
+      expect(linkCheckOf('/gone')).toMatchObject({
+        status: 'broken',
+        statusCode: 404,
+      });
+      expect(linkCheckOf('/moved')).toMatchObject({
+        status: 'redirected',
+        redirectTo: `${linkServer.url}/alive`,
+      });
+      expect(linkCheckOf('/alive').status).toBe('ok');
+      expect(linkCheckOf('/alive').checkedAt).toBeInstanceOf(Date);
+    });
+
+    test('only checks links again once they are due', async () => {
+      await runLinkCheck().expect(200);
+      const response = await runLinkCheck().expect(200);
+      expect(response.body).toEqual({ checked: 0, broken: 0 });
+    });
+
+    test('GET /api/blogs/broken lists blogs whose link is broken', async () => {
+      await runLinkCheck().expect(200);
+
+      const response = await api.get('/api/blogs/broken').expect(200);
+      expect(response.body.blogs).toHaveLength(1);
+      expect(response.body.blogs[0]).toMatchObject({
+        url: `${linkServer.url}/gone`,
+        linkCheck: { status: 'broken', statusCode: 404 },
+      });
+      expect(response.body.nextCursor).toBeNull();
+    });
+
+    test('a blog leaves the broken list once its url is edited', async () => {
+      await runLinkCheck().expect(200);
+      const [brokenBlog] = (await api.get('/api/blogs/broken')).body.blogs;
+
+      const owner = await helper.getUserAuthData(brokenBlog.user.username);
+      await api
+        .put(`/api/blogs/${brokenBlog.id}`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({ ...brokenBlog, url: `${linkServer.url}/alive` })
+        .expect(200);
+
+      const response = await api.get('/api/blogs/broken').expect(200);
+      expect(response.body.blogs).toHaveLength(0);
+
+      const recheck = await runLinkCheck().expect(200);
+      expect(recheck.body).toEqual({ checked: 1, broken: 0 });
+    });
+
+    test('only admins can run jobs', async () => {
+      const user = await helper.getUserAuthData(helper.data.users[1].username);
+      await api
+        .post('/api/admin/jobs/link-check/run')
+        .set('Authorization', `Bearer ${user.token}`)
+        .expect(403);
+
+      await api
+        .post('/api/admin/jobs/missing/run')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(404);
+
+      const response = await api
+        .get('/api/admin/jobs')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(200);
+      expect(response.body.map(({ name }) => name)).toContain('link-check');
+    });
+  });
+
+  describe('NOTIFICATIONS', () => {
+    let owner;
+    let reader;
+    let blog;
+
+    beforeEach(async () => {
+      [owner, reader] = await Promise.all(
+        helper.data.users.map((user) => helper.getUserAuthData(user.username))
+      );
+      blog = (await helper.blogsInDb()).find(
+        (blog) => blog.user.toString() === owner.user.id
+      );
+    });
+
+    const as = (authData) => `Bearer ${authData.token}`;
+
+    const getInbox = (authData, query = {}) =>
+      api
+        .get('/api/notifications')
+        .query(query)
+        .set('Authorization', as(authData))
+        .expect(200);
+
+    const addComment = async (authData, body) => {
+      const response = await api
+        .post(`/api/blogs/${blog.id}/comments`)
+        .set('Authorization', as(authData))
+        .send(body)
+        .expect(201);
+      return response.body;
+    };
+
+    test('blog owners hear about likes and comments', async () => {
+      await api
+        .post(`/api/blogs/${blog.id}/likes`)
+        .set('Authorization', as(reader))
+        .expect(200);
+      const comment = await addComment(reader, { text: 'great read' });
+
+      const { body } = await getInbox(owner);
+
+      expect(body.unreadCount).toBe(2);
+      expect(body.notifications.map((n) => n.type)).toEqual([
+        'comment',
+        'like',
+      ]);
+      expect(body.notifications[0]).toMatchObject({
+        actor: { username: reader.user.username },
+        blog: { id: blog.id, title: blog.title },
+        comment: { id: comment.id, text: 'great read' },
+        readAt: null,
+      });
+      expect((await getInbox(reader)).body.notifications).toHaveLength(0);
+    });
+
+    test('own activity creates no notifications', async () => {
+      await api
+        .post(`/api/blogs/${blog.id}/likes`)
+        .set('Authorization', as(owner))
+        .expect(200);
+      await addComment(owner, { text: 'talking to myself' });
+
+      expect((await getInbox(owner)).body.unreadCount).toBe(0);
+    });
+
+    test('a like taken back before it was seen is forgotten', async () => {
+      await api
+        .post(`/api/blogs/${blog.id}/likes`)
+        .set('Authorization', as(reader))
+        .expect(200);
+      await api
+        .delete(`/api/blogs/${blog.id}/likes`)
+        .set('Authorization', as(reader))
+        .expect(200);
+
+      expect((await getInbox(owner)).body.notifications).toHaveLength(0);
+    });
+
+    test('replies notify the author of the parent comment', async () => {
+      const parent = await addComment(owner, { text: 'any thoughts?' });
+      await addComment(reader, { text: 'yes', parent: parent.id });
+
+      const ownerInbox = await getInbox(owner);
+      expect(ownerInbox.body.notifications.map((n) => n.type)).toEqual([
+        'reply',
+      ]);
+
+      await addComment(owner, { text: 'thanks', parent: parent.id });
+      const readerInbox = await getInbox(reader);
+      expect(readerInbox.body.notifications).toHaveLength(0);
+    });
+
+    test('following someone notifies them once', async () => {
+      await api
+        .post(`/api/users/${owner.user.id}/follow`)
+        .set('Authorization', as(reader))
+        .expect(200);
+      await api
+        .post(`/api/users/${owner.user.id}/follow`)
+        .set('Authorization', as(reader))
+        .expect(200);
+
+      const { body } = await getInbox(owner);
+      expect(body.notifications).toHaveLength(1);
+      expect(body.notifications[0]).toMatchObject({
+        type: 'follow',
+        actor: { id: reader.user.id },
+      });
+    });
+
+    test('can be marked read one by one or all at once', async () => {
+      await addComment(reader, { text: 'one' });
+      await addComment(reader, { text: 'two' });
+      const [latest] = (await getInbox(owner)).body.notifications;
+
+      const marked = await api
+        .patch(`/api/notifications/${latest.id}`)
+        .set('Authorization', as(owner))
+        .send({ read: true })
+        .expect(200);
+      expect(marked.body.readAt).not.toBeNull();
+
+      const unread = await getInbox(owner, { unread: 'true' });
+      expect(unread.body.unreadCount).toBe(1);
+      expect(unread.body.notifications.map((n) => n.id)).not.toContain(
+        latest.id
+      );
+
+      const all = await api
+        .patch('/api/notifications')
+        .set('Authorization', as(owner))
+        .send({ read: true })
+        .expect(200);
+      expect(all.body.updated).toBe(1);
+      expect((await getInbox(owner)).body.unreadCount).toBe(0);
+    });
+
+    test('returns [404 not found] for notifications of others', async () => {
+      await addComment(reader, { text: 'mine to read' });
+      const [notification] = (await getInbox(owner)).body.notifications;
+
+      await api
+        .patch(`/api/notifications/${notification.id}`)
+        .set('Authorization', as(reader))
+        .send({ read: true })
+        .expect(404);
+    });
+
+    test('returns [400 bad request] for an invalid read value', async () => {
+      await addComment(reader, { text: 'hello' });
+      const [notification] = (await getInbox(owner)).body.notifications;
+
+      await api
+        .patch(`/api/notifications/${notification.id}`)
+        .set('Authorization', as(owner))
+        .send({ read: 'yes' })
+        .expect(400);
+    });
+
+    test('returns [401 unauthorized] without a token', async () => {
+      await api.get('/api/notifications').expect(401);
+    });
+  });
+
+  describe('REALTIME EVENTS', () => {
+    let received;
+    let unsubscribe;
+
+    beforeEach(() => {
+      received = [];
+      unsubscribe = events.subscribe((event) => received.push(event));
+    });
+
+    afterEach(() => {
+      unsubscribe();
+    });
+
+    test('blog, like and comment changes are published', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+      const auth = `Bearer ${authData.token}`;
+
+      const { body: blog } = await api
+        .post('/api/blogs')
+        .set('Authorization', auth)
+        .send({ title: 'Live', author: 'Streamer', url: 'http://live.test' })
+        .expect(201);
+      await api
+        .post(`/api/blogs/${blog.id}/likes`)
+        .set('Authorization', auth)
+        .expect(200);
+      const { body: comment } = await api
+        .post(`/api/blogs/${blog.id}/comments`)
+        .set('Authorization', auth)
+        .send({ text: 'first!' })
+        .expect(201);
+      await api
+        .delete(`/api/blogs/${blog.id}/comments/${comment.id}`)
+        .set('Authorization', auth)
+        .expect(204);
+      await api
+        .delete(`/api/blogs/${blog.id}`)
+        .set('Authorization', auth)
+        .expect(204);
+
+      expect(received.map((event) => event.type)).toEqual([
+        'blog.created',
+        'blog.liked',
+        'comment.created',
+        'comment.deleted',
+        'blog.deleted',
+      ]);
+      expect(received[0].data.blog.title).toBe('Live');
+      expect(received[0].actor.username).toBe(authData.user.username);
+      expect(received[1].data).toEqual({
+        id: blog.id,
+        likes: 1,
+        likedBy: [authData.user.id],
+      });
+      expect(received[3].data).toEqual({ id: comment.id, blog: blog.id });
+    });
+
+    test('changes to blogs that are not listed stay off the stream', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+      const auth = `Bearer ${authData.token}`;
+
+      const { body: blog } = await api
+        .post('/api/blogs')
+        .set('Authorization', auth)
+        .send({
+          title: 'Hidden',
+          url: 'http://hidden.test',
+          visibility: 'draft',
+        })
+        .expect(201);
+      const { body: comment } = await api
+        .post(`/api/blogs/${blog.id}/comments`)
+        .set('Authorization', auth)
+        .send({ text: 'note to self' })
+        .expect(201);
+      await api
+        .delete(`/api/blogs/${blog.id}/comments/${comment.id}`)
+        .set('Authorization', auth)
+        .expect(204);
+      await api
+        .delete(`/api/blogs/${blog.id}`)
+        .set('Authorization', auth)
+        .expect(204);
+
+      expect(received).toHaveLength(0);
+    });
+
+    test('requests that change nothing publish nothing', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[0].username
+      );
+      const blogs = await helper.blogsInDb();
+
+      await api
+        .delete(`/api/blogs/${blogs[0].id}/likes`)
+        .set('Authorization', `Bearer ${authData.token}`)
+        .expect(200);
+      await api.get('/api/blogs').expect(200);
+
+      expect(received).toHaveLength(0);
+    });
+  });
+
+  describe('READING LIST', () => {
+    const readingList = '/api/users/me/reading-list';
+
+    const setStatus = (authData, blogId, body) =>
+      api
+        .put(`${readingList}/${blogId}`)
+        .set('Authorization', authData ? `Bearer ${authData.token}` : '')
+        .send(body);
+
+    const getList = (authData, query = {}) =>
+      api
+        .get(readingList)
+        .query(query)
+        .set('Authorization', authData ? `Bearer ${authData.token}` : '');
+
+    describe('PUT /api/users/me/reading-list/:blogId', () => {
+      test('adds a blog to read later', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogId = await helper.getExistingId();
+
+        const response = await setStatus(authData, blogId, {}).expect(200);
+
+        expect(response.body).toMatchObject({
+          status: 'to-read',
+          readAt: null,
+          blog: { id: blogId },
+        });
+      });
+
+      test('marks a blog as read and back again', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogId = await helper.getExistingId();
+
+        const read = await setStatus(authData, blogId, {
+          status: 'read',
+        }).expect(200);
+        expect(read.body.status).toBe('read');
+        expect(read.body.readAt).not.toBeNull();
+
+        const unread = await setStatus(authData, blogId, {
+          status: 'to-read',
+        }).expect(200);
+        expect(unread.body.readAt).toBeNull();
+
+        const list = await getList(authData).expect(200);
+        expect(list.body).toHaveLength(1);
+      });
+
+      test('returns [400 bad request] for an unknown status', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogId = await helper.getExistingId();
+
+        await setStatus(authData, blogId, { status: 'skimmed' }).expect(400);
+      });
+
+      test('returns [404 not found] for unknown blogs', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+
+        await setStatus(authData, await helper.getNonExistentId(), {}).expect(
+          404
+        );
+      });
+
+      test('returns [401 unauthorized] without a token', async () => {
+        await setStatus(null, await helper.getExistingId(), {}).expect(401);
+      });
+    });
+
+    describe('GET /api/users/me/reading-list', () => {
+      test('returns only the own list, filtered by status', async () => {
+        const [reader, other] = await Promise.all(
+          helper.data.users.map((user) => helper.getUserAuthData(user.username))
+        );
+        const blogs = await helper.blogsInDb();
+        await setStatus(reader, blogs[0].id, { status: 'read' }).expect(200);
+        await setStatus(reader, blogs[1].id, {}).expect(200);
+        await setStatus(other, blogs[2].id, {}).expect(200);
+
+        const all = await getList(reader).expect(200);
+        expect(all.body.map((item) => item.blog.id)).toEqual([
+          blogs[1].id,
+          blogs[0].id,
+        ]);
+
+        const toRead = await getList(reader, { status: 'to-read' }).expect(200);
+        expect(toRead.body.map((item) => item.blog.id)).toEqual([blogs[1].id]);
+
+        await getList(reader, { status: 'skimmed' }).expect(400);
+      });
+    });
+
+    describe('DELETE /api/users/me/reading-list/:blogId', () => {
+      test('removes the blog from the list', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        const blogId = await helper.getExistingId();
+        await setStatus(authData, blogId, {}).expect(200);
+
+        await api
+          .delete(`${readingList}/${blogId}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(204);
+        await api
+          .delete(`${readingList}/${blogId}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(404);
+      });
+    });
+
+    test('items go away with their blog', async () => {
+      const [owner, reader] = await Promise.all(
+        helper.data.users.map((user) => helper.getUserAuthData(user.username))
+      );
+      const blog = (await helper.blogsInDb()).find(
+        (blog) => blog.user.toString() === owner.user.id
+      );
+      await setStatus(reader, blog.id, {}).expect(200);
+
+      await api
+        .delete(`/api/blogs/${blog.id}`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .expect(204);
+
+      const list = await getList(reader).expect(200);
+      expect(list.body).toHaveLength(0);
+    });
+  });
+
+  describe('COLLECTIONS', () => {
+    let owner;
+    let other;
+    let blogIds;
+
+    beforeEach(async () => {
+      owner = await helper.getUserAuthData(helper.data.users[0].username);
+      other = await helper.getUserAuthData(helper.data.users[1].username);
+      blogIds = (await helper.blogsInDb()).map((blog) => blog.id);
+    });
+
+    const as = (authData, request) =>
+      request.set('Authorization', `Bearer ${authData.token}`);
+
+    const createCollection = async () => {
+      const response = await as(
+        owner,
+        api.post('/api/collections').send({ name: 'Onboarding reading' })
+      ).expect(201);
+      return response.body;
+    };
+
+    const addBlogs = async (collection, ids) => {
+      for (const id of ids) {
+        await as(
+          owner,
+          api.put(`/api/collections/${collection.id}/blogs/${id}`)
+        ).expect(200);
+      }
+    };
+
+    const addMember = (collection, authData, role) =>
+      as(
+        owner,
+        api
+          .put(`/api/collections/${collection.id}/members/${authData.user.id}`)
+          .send({ role })
+      );
+
+    test('makes the creator the owner', async () => {
+      const collection = await createCollection();
+      expect(collection).toMatchObject({
+        name: 'Onboarding reading',
+        role: 'owner',
+        blogs: [],
+        members: [
+          {
+            user: { username: owner.user.username },
+            role: 'owner',
+          },
+        ],
+      });
+
+      const response = await as(owner, api.get('/api/collections')).expect(200);
+      expect(response.body.map(({ id }) => id)).toEqual([collection.id]);
+    });
+
+    test('is hidden from users who are not members', async () => {
+      const collection = await createCollection();
+
+      await as(other, api.get(`/api/collections/${collection.id}`)).expect(404);
+      const response = await as(other, api.get('/api/collections')).expect(200);
+      expect(response.body).toEqual([]);
+    });
+
+    test('keeps blogs in the order they were added', async () => {
+      const collection = await createCollection();
+      await addBlogs(collection, [blogIds[2], blogIds[0]]);
+      await addBlogs(collection, [blogIds[2]]);
+
+      const response = await as(
+        owner,
+        api.get(`/api/collections/${collection.id}`)
+      ).expect(200);
+      expect(response.body.blogs.map(({ id }) => id)).toEqual([
+        blogIds[2],
+        blogIds[0],
+      ]);
+    });
+
+    test('reorders its blogs', async () => {
+      const collection = await createCollection();
+      await addBlogs(collection, blogIds.slice(0, 3));
+
+      const order = [blogIds[1], blogIds[2], blogIds[0]];
+      const response = await as(
+        owner,
+        api
+          .put(`/api/collections/${collection.id}/blogs`)
+          .send({ blogs: order })
+      ).expect(200);
+      expect(response.body.blogs.map(({ id }) => id)).toEqual(order);
+    });
+
+    test('refuses an order that does not name every blog once', async () => {
+      const collection = await createCollection();
+      await addBlogs(collection, blogIds.slice(0, 3));
+
+      await as(
+        owner,
+        api
+          .put(`/api/collections/${collection.id}/blogs`)
+          .send({ blogs: [blogIds[1], blogIds[0]] })
+      )
+        .expect(409)
+        .expect('Content-Type', /application\/problem\+json/);
+    });
+
+    test('lets editors change the blogs but not viewers', async () => {
+      const collection = await createCollection();
+      await addMember(collection, other, 'viewer').expect(200);
+
+      await as(
+        other,
+        api.put(`/api/collections/${collection.id}/blogs/${blogIds[0]}`)
+      ).expect(403);
+      await as(other, api.get(`/api/collections/${collection.id}`)).expect(200);
+
+      await addMember(collection, other, 'editor').expect(200);
+      await as(
+        other,
+        api.put(`/api/collections/${collection.id}/blogs/${blogIds[0]}`)
+      ).expect(200);
+      await as(
+        other,
+        api.delete(`/api/collections/${collection.id}/blogs/${blogIds[0]}`)
+      ).expect(204);
+
+      await as(other, api.delete(`/api/collections/${collection.id}`)).expect(
+        403
+      );
+    });
+
+    test('leaves out blogs a member is not allowed to see', async () => {
+      const collection = await createCollection();
+      await addMember(collection, other, 'editor').expect(200);
+      await Blog.findByIdAndUpdate(blogIds[0], { visibility: 'private' });
+      await addBlogs(collection, [blogIds[0], blogIds[1]]);
+
+      const response = await as(
+        other,
+        api.get(`/api/collections/${collection.id}`)
+      ).expect(200);
+      expect(response.body.blogs.map(({ id }) => id)).toEqual([blogIds[1]]);
+    });
+
+    test('always keeps an owner', async () => {
+      const collection = await createCollection();
+
+      await as(
+        owner,
+        api.delete(`/api/collections/${collection.id}/members/${owner.user.id}`)
+      ).expect(400);
+
+      await addMember(collection, other, 'owner').expect(200);
+      await as(
+        owner,
+        api.delete(`/api/collections/${collection.id}/members/${owner.user.id}`)
+      ).expect(204);
+
+      const members = await CollectionMember.find({});
+      expect(members.map(({ role }) => role)).toEqual(['owner']);
+    });
+
+    test('loses blogs that get deleted', async () => {
+      const collection = await createCollection();
+      const [ownBlog] = owner.user.blogs.map((id) => id.toString());
+      await addBlogs(collection, [ownBlog, blogIds[1]]);
+
+      await as(owner, api.delete(`/api/blogs/${ownBlog}`)).expect(204);
+
+      const response = await as(
+        owner,
+        api.get(`/api/collections/${collection.id}`)
+      ).expect(200);
+      expect(response.body.blogs.map(({ id }) => id)).toEqual([blogIds[1]]);
+    });
+
+    test('goes along with its owner when nobody else is in it', async () => {
+      const collection = await createCollection();
+
+      await as(
+        owner,
+        api.delete('/api/users/me').send({ password: 'test123456' })
+      ).expect(204);
+
+      await as(other, api.get(`/api/collections/${collection.id}`)).expect(404);
+      expect(await CollectionMember.countDocuments({})).toBe(0);
+    });
+  });
+
+  describe('FOLLOWING', () => {
+    const [follower, followed] = helper.data.users;
+
+    const follow = (authData, id) =>
+      api
+        .post(`/api/users/${id}/follow`)
+        .set('Authorization', authData ? `Bearer ${authData.token}` : '');
+
+    const unfollow = (authData, id) =>
+      api
+        .delete(`/api/users/${id}/follow`)
+        .set('Authorization', authData ? `Bearer ${authData.token}` : '');
+
+    const getFeed = (authData, query = {}) =>
+      api
+        .get('/api/feed')
+        .query(query)
+        .set('Authorization', authData ? `Bearer ${authData.token}` : '');
+
+    describe('POST /api/users/:id/follow', () => {
+      test('adds the user to the ones followed', async () => {
+        const authData = await helper.getUserAuthData(follower.username);
+        const target = await helper.getUserFromDb(followed.username);
+
+        const response = await follow(authData, target.id).expect(200);
+        expect(response.body.following).toEqual([target.id]);
+
+        await follow(authData, target.id).expect(200);
+        const user = await helper.getUserFromDb(follower.username);
+        expect(user.following).toHaveLength(1);
+
+        const profile = await api.get(`/api/users/${target.id}`).expect(200);
+        expect(profile.body.followers).toBe(1);
+      });
+
+      test('returns [400 bad request] when following yourself', async () => {
+        const authData = await helper.getUserAuthData(follower.username);
+        await follow(authData, authData.user.id).expect(400);
+      });
+
+      test('returns [404 not found] for unknown users', async () => {
+        const authData = await helper.getUserAuthData(follower.username);
+        await follow(authData, await helper.getNonExistentId()).expect(404);
+      });
+
+      test('returns [401 unauthorized] without a token', async () => {
+        const target = await helper.getUserFromDb(followed.username);
+        await follow(null, target.id).expect(401);
+      });
+    });
+
+    describe('DELETE /api/users/:id/follow', () => {
+      test('removes the user from the ones followed', async () => {
+        const authData = await helper.getUserAuthData(follower.username);
+        const target = await helper.getUserFromDb(followed.username);
+        await follow(authData, target.id).expect(200);
+
+        const response = await unfollow(authData, target.id).expect(200);
+        expect(response.body.following).toEqual([]);
+      });
+    });
+
+    describe('GET /api/feed', () => {
+      test('is empty when nobody is followed', async () => {
+        const authData = await helper.getUserAuthData(follower.username);
+
+        const response = await getFeed(authData).expect(200);
+        expect(response.body).toEqual({ blogs: [], nextCursor: null });
+      });
+
+      test('returns blogs of followed users newest first', async () => {
+        const authData = await helper.getUserAuthData(follower.username);
+        const target = await helper.getUserFromDb(followed.username);
+        await follow(authData, target.id).expect(200);
+
+        const expectedIds = (await Blog.find({ user: target._id }))
+          .map((blog) => blog.id)
+          .reverse();
+
+        const firstPage = await getFeed(authData, { limit: 2 }).expect(200);
+        const secondPage = await getFeed(authData, {
+          limit: 2,
+          cursor: firstPage.body.nextCursor,
+        }).expect(200);
+
+        expect(secondPage.body.nextCursor).toBeNull();
+        expect(
+          [...firstPage.body.blogs, ...secondPage.body.blogs].map(
+            (blog) => blog.id
+          )
+        ).toEqual(expectedIds);
+        expect(firstPage.body.blogs[0].user.username).toBe(followed.username);
+      });
+
+      test('returns [400 bad request] for an invalid cursor', async () => {
+        const authData = await helper.getUserAuthData(follower.username);
+        await getFeed(authData, { cursor: 'nope' }).expect(400);
+      });
+
+      test('returns [401 unauthorized] without a token', async () => {
+        await getFeed(null).expect(401);
+      });
+    });
+  });
+
+  describe('PASSWORDS', () => {
+    const login = (username, password) =>
+      api.post('/api/login').send({ username, password });
+
+    describe('POST /api/users', () => {
+      test('explains which password rules were broken', async () => {
+        const response = await api
+          .post('/api/users')
+          .send({ username: 'weakling', name: 'Weak', password: 'short' })
+          .expect(400);
+
+        expect(response.body.error).toBe(
+          'password must be at least 8 characters long, contain a digit'
+        );
+      });
+    });
+
+    describe('PUT /api/users/me/password', () => {
+      const { username, password } = helper.data.users[0];
+      const newPassword = 'brandNewSecret42';
+
+      const changePassword = (authData, body) =>
+        api
+          .put('/api/users/me/password')
+          .set('Authorization', authData ? `Bearer ${authData.token}` : '')
+          .send(body);
+
+      test('changes the password and ends the other sessions', async () => {
+        const authData = await helper.getUserAuthData(username);
+        const otherSession = await helper.getUserAuthData(username);
+
+        await changePassword(authData, {
+          currentPassword: password,
+          newPassword,
+        }).expect(204);
+
+        await login(username, password).expect(401);
+        await login(username, newPassword).expect(200);
+
+        await api
+          .post('/api/logout')
+          .set('Authorization', `Bearer ${otherSession.token}`)
+          .expect(401);
+        await api
+          .post('/api/logout')
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(204);
+      });
+
+      test('returns [401 unauthorized] for a wrong current password', async () => {
+        const authData = await helper.getUserAuthData(username);
+        await changePassword(authData, {
+          currentPassword: 'notMyPassword1',
+          newPassword,
+        }).expect(401);
+        await login(username, password).expect(200);
+      });
+
+      test('returns [400 bad request] for a weak new password', async () => {
+        const authData = await helper.getUserAuthData(username);
+        await changePassword(authData, {
+          currentPassword: password,
+          newPassword: 'weak',
+        }).expect(400);
+      });
+
+      test('returns [401 unauthorized] without a token', async () => {
+        await changePassword(null, {
+          currentPassword: password,
+          newPassword,
+        }).expect(401);
+      });
+    });
+
+    describe('password reset', () => {
+      const user = helper.data.users[0];
+      const newPassword = 'resetSecret2023';
+      let outboxMailer;
+
+      beforeEach(() => {
+        outboxMailer = mailer.createOutboxMailer();
+        mailer.setMailer(outboxMailer);
+      });
+
+      afterAll(() => {
+        mailer.setMailer(null);
+      });
+
+      const requestReset = (email) =>
+        api.post('/api/users/password-reset').send({ email }).expect(202);
+
+      const confirmReset = (token, password) =>
+        api.post('/api/users/password-reset/confirm').send({ token, password });
+
+      const sentToken = () => {
+        expect(outboxMailer.outbox).toHaveLength(1);
+        return new URL(
+          outboxMailer.outbox[0].text.match(/https?:\/\/\S+/)[0]
+        ).searchParams.get('token');
+      };
+
+      test('mails a single use token that sets a new password', async () => {
+        await requestReset(user.email.toUpperCase());
+        expect(outboxMailer.outbox[0].to).toBe(user.email);
+        const token = sentToken();
+
+        await confirmReset(token, newPassword).expect(204);
+        await login(user.username, newPassword).expect(200);
+        await login(user.username, user.password).expect(401);
+
+        await confirmReset(token, 'anotherSecret77').expect(400);
+      });
+
+      test('ends every session of the user', async () => {
+        const authData = await helper.getUserAuthData(user.username);
+        await requestReset(user.email);
+
+        await confirmReset(sentToken(), newPassword).expect(204);
+
+        await api
+          .post('/api/logout')
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(401);
+      });
+
+      test('keeps the token when the new password is rejected', async () => {
+        await requestReset(user.email);
+        const token = sentToken();
+
+        await confirmReset(token, 'weak').expect(400);
+        await confirmReset(token, newPassword).expect(204);
+      });
+
+      test('answers the same for unknown emails without sending mail', async () => {
+        const response = await requestReset('nobody@example.com');
+        expect(response.body.message).toBeDefined();
+        expect(outboxMailer.outbox).toHaveLength(0);
+      });
+
+      test('only the newest token works', async () => {
+        await requestReset(user.email);
+        const oldToken = sentToken();
+        outboxMailer.outbox.length = 0;
+        await requestReset(user.email);
+
+        await confirmReset(oldToken, newPassword).expect(400);
+        await confirmReset(sentToken(), newPassword).expect(204);
+      });
+
+      test('rejects unknown tokens', async () => {
+        await confirmReset('not-a-token', newPassword).expect(400);
+      });
+    });
+  });
+
+  describe('LOGIN', () => {
+    describe('POST /api/login', () => {
+      describe('returns a [valid JWT]', () => {
+        test('when given valid existing username and password', async () => {
+          const loginRequest = {
+            username: helper.data.users[0].username,
             password: helper.data.users[0].password,
           };
           const { body } = await api
@@ -405,23 +2927,24 @@ describe('BLOGS', () => {
             .expect(200)
             .expect('Content-Type', /application\/json/);
 
-          const { token, username, name } = body;
+          const { token, refreshToken, username, name } = body;
 
           expect(username).toBe(helper.data.users[0].username);
           expect(name).toBe(helper.data.users[0].name);
           expect(token).toBeDefined();
+          expect(refreshToken).toBeDefined();
 
           const user = await helper.getUserFromDb(username);
-          const userInfo = {
-            id: user._id.toString(),
-            username: user.username,
-          };
+          const decodedToken = jwt.verify(token, config.SECRET);
 
-          const testToken = jwt.sign(userInfo, config.SECRET, {
-            expiresIn: 3600,
-          });
+          expect(decodedToken.id).toBe(user._id.toString());
+          expect(decodedToken.username).toBe(user.username);
+          expect(decodedToken.exp - decodedToken.iat).toBe(
+            config.ACCESS_TOKEN_EXPIRES_IN
+          );
 
-          expect(token).toBe(testToken);
+          const session = await helper.getSessionFromDb(decodedToken.sid);
+          expect(session.user.toString()).toBe(user._id.toString());
         });
       });
 
@@ -431,7 +2954,7 @@ describe('BLOGS', () => {
             .post('/api/login')
             .send(request)
             .expect(status)
-            .expect('Content-Type', /application\/json/);
+            .expect('Content-Type', /application\/(problem\+)?json/);
         };
 
         test('when given non-existent username', async () => {
@@ -454,10 +2977,752 @@ describe('BLOGS', () => {
           await checkFailsToLogin({}, 401);
         });
       });
+
+      describe('throttles failed attempts', () => {
+        const { username, password } = helper.data.users[0];
+
+        const attemptLogin = (attemptPassword) =>
+          api.post('/api/login').send({ username, password: attemptPassword });
+
+        const failLogins = async (times) => {
+          let response;
+          for (let i = 0; i < times; i++) {
+            response = await attemptLogin('wrongPassword123').expect(401);
+          }
+          return response;
+        };
+
+        test('with [429 too many requests] and a Retry-After header', async () => {
+          const lastFailure = await failLogins(3);
+          expect(lastFailure.headers['retry-after']).toBe('1');
+
+          const response = await attemptLogin(password)
+            .expect(429)
+            .expect('Content-Type', /application\/problem\+json/);
+          expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+          expect(response.body.error).toMatch(/too many failed login attempts/);
+        });
+
+        test('but forgets them after a successful login', async () => {
+          await failLogins(2);
+          await attemptLogin(password).expect(200);
+
+          const response = await failLogins(2);
+          expect(response.headers['retry-after']).toBeUndefined();
+        });
+
+        test('even when the guesses arrive in parallel', async () => {
+          const responses = await Promise.all(
+            Array.from({ length: config.LOGIN_MAX_FAILURES + 2 }, () =>
+              attemptLogin('wrongPassword123')
+            )
+          );
+          const statuses = responses.map((response) => response.status);
+
+          expect(
+            statuses.filter((status) => status === 401).length
+          ).toBeLessThanOrEqual(config.LOGIN_MAX_FAILURES);
+          expect(statuses).toContain(429);
+          await attemptLogin(password).expect(429);
+        });
+
+        test('when the attempts are kept in mongo', async () => {
+          loginThrottle.setStore(loginThrottle.createMongoStore());
+          await LoginAttempt.deleteMany({});
+
+          await failLogins(3);
+          await attemptLogin(password).expect(429);
+
+          const attempt = await LoginAttempt.findOne({
+            key: `username:${username.toLowerCase()}`,
+          });
+          expect(attempt.failures).toBe(3);
+          await LoginAttempt.deleteMany({});
+        });
+      });
+    });
+
+    describe('POST /api/login/refresh', () => {
+      test('returns a new token pair when given a valid refresh token', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+
+        const { body } = await api
+          .post('/api/login/refresh')
+          .send({ refreshToken: authData.refreshToken })
+          .expect(200)
+          .expect('Content-Type', /application\/json/);
+
+        expect(body.username).toBe(helper.data.users[0].username);
+        expect(body.refreshToken).not.toBe(authData.refreshToken);
+
+        await api
+          .post('/api/blogs')
+          .set('Authorization', `Bearer ${body.token}`)
+          .send({ title: 'after refresh', url: 'http://refreshed.com' })
+          .expect(201);
+      });
+
+      test('revokes the session when a rotated refresh token is reused', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+
+        const { body } = await api
+          .post('/api/login/refresh')
+          .send({ refreshToken: authData.refreshToken })
+          .expect(200);
+
+        await api
+          .post('/api/login/refresh')
+          .send({ refreshToken: authData.refreshToken })
+          .expect(401);
+
+        await api
+          .post('/api/login/refresh')
+          .send({ refreshToken: body.refreshToken })
+          .expect(401);
+      });
+
+      test('rotates a refresh token only once when it is sent twice at the same time', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+
+        const responses = await Promise.all(
+          [1, 2].map(() =>
+            api
+              .post('/api/login/refresh')
+              .send({ refreshToken: authData.refreshToken })
+          )
+        );
+
+        expect(responses.map((response) => response.status).sort()).toEqual([
+          200, 401,
+        ]);
+      });
+
+      test('returns [401 unauthorized] once the user of the session is gone', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+        await authData.user.deleteOne();
+
+        await api
+          .post('/api/login/refresh')
+          .send({ refreshToken: authData.refreshToken })
+          .expect(401)
+          .expect('Content-Type', /application\/problem\+json/);
+
+        const [sessionId] = authData.refreshToken.split('.');
+        const session = await helper.getSessionFromDb(sessionId);
+        expect(session.revokedAt).toBeDefined();
+      });
+
+      test('returns [401 unauthorized] when given a malformed refresh token', async () => {
+        await api
+          .post('/api/login/refresh')
+          .send({ refreshToken: 'not-a-token' })
+          .expect(401)
+          .expect('Content-Type', /application\/problem\+json/);
+      });
+    });
+  });
+
+  describe('TWO-FACTOR', () => {
+    const { username, password } = helper.data.users[0];
+    // the server reads the same frozen clock, so no code can expire while a
+    // test runs into the next 30 second step. it is set 10 seconds into the
+    // coming step, never behind the real clock, so mongo's ttl monitor
+    // leaves the sessions made meanwhile alone
+    const now = (Math.floor(Date.now() / 30000) + 1) * 30000 + 10000;
+    // the code from confirming is spent, logins use the one after it
+    const nextCode = (secret) => totp.generateCode(secret, now + 30000);
+
+    beforeEach(() => {
+      jest.useFakeTimers({
+        now,
+        doNotFake: [
+          'hrtime',
+          'nextTick',
+          'performance',
+          'queueMicrotask',
+          'requestAnimationFrame',
+          'cancelAnimationFrame',
+          'requestIdleCallback',
+          'cancelIdleCallback',
+          'setImmediate',
+          'clearImmediate',
+          'setInterval',
+          'clearInterval',
+          'setTimeout',
+          'clearTimeout',
+        ],
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const enableTwoFactor = async (authData) => {
+      const { body: enrollment } = await api
+        .post('/api/users/me/two-factor')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ password })
+        .expect(200);
+      const { body } = await api
+        .post('/api/users/me/two-factor/confirm')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ code: totp.generateCode(enrollment.secret, now) })
+        .expect(200);
+
+      return { secret: enrollment.secret, recoveryCodes: body.recoveryCodes };
+    };
+
+    const startLogin = async () => {
+      const { body } = await api
+        .post('/api/login')
+        .send({ username, password })
+        .expect(200);
+      return body;
+    };
+
+    test('enrollment hands out a secret and turns on after a valid code', async () => {
+      const authData = await helper.getUserAuthData(username);
+
+      const { body: enrollment } = await api
+        .post('/api/users/me/two-factor')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ password })
+        .expect(200);
+      expect(enrollment.otpauthUri).toBe(
+        `otpauth://totp/${config.TWO_FACTOR_ISSUER}:${username}?secret=${enrollment.secret}&issuer=${config.TWO_FACTOR_ISSUER}&algorithm=SHA1&digits=6&period=30`
+      );
+
+      const wrongCode = await api
+        .post('/api/users/me/two-factor/confirm')
+        .set('Authorization', `Bearer ${authData.token}`)
+        // a code from long ago is outside the window
+        .send({
+          code: totp.generateCode(enrollment.secret, now - 3600 * 1000),
+        })
+        .expect(400);
+      expect(wrongCode.body.details[0].field).toBe('code');
+
+      const { body } = await api
+        .post('/api/users/me/two-factor/confirm')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ code: totp.generateCode(enrollment.secret, now) })
+        .expect(200);
+      expect(body.recoveryCodes).toHaveLength(10);
+
+      const { body: profile } = await api
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .expect(200);
+      expect(profile.twoFactorEnabled).toBe(true);
+      expect(profile.twoFactor).toBeUndefined();
+    });
+
+    test('enrollment needs the password and refuses to start twice', async () => {
+      const authData = await helper.getUserAuthData(username);
+
+      await api
+        .post('/api/users/me/two-factor')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ password: 'wrongPassword123' })
+        .expect(401);
+
+      await enableTwoFactor(authData);
+      await api
+        .post('/api/users/me/two-factor')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ password })
+        .expect(409);
+    });
+
+    test('the password only yields a challenge that is no access token', async () => {
+      await enableTwoFactor(await helper.getUserAuthData(username));
+
+      const body = await startLogin();
+      expect(body.twoFactorRequired).toBe(true);
+      expect(body.token).toBeUndefined();
+
+      await api
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${body.challengeToken}`)
+        .expect(401);
+    });
+
+    test('a valid code completes the login, but only once', async () => {
+      const { secret } = await enableTwoFactor(
+        await helper.getUserAuthData(username)
+      );
+      const { challengeToken } = await startLogin();
+      const code = nextCode(secret);
+
+      const { body } = await api
+        .post('/api/login/two-factor')
+        .send({ challengeToken, code })
+        .expect(200);
+      expect(body.username).toBe(username);
+
+      await api
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      await api
+        .post('/api/login/two-factor')
+        .send({ challengeToken, code })
+        .expect(401);
+    });
+
+    test('a recovery code completes the login, but only once', async () => {
+      const { recoveryCodes } = await enableTwoFactor(
+        await helper.getUserAuthData(username)
+      );
+      const { challengeToken } = await startLogin();
+
+      await api
+        .post('/api/login/two-factor')
+        .send({ challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() })
+        .expect(200);
+      await api
+        .post('/api/login/two-factor')
+        .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    test('refuses challenges that were not issued by a login', async () => {
+      const authData = await helper.getUserAuthData(username);
+      const { secret } = await enableTwoFactor(authData);
+
+      await api
+        .post('/api/login/two-factor')
+        .send({ challengeToken: authData.token, code: nextCode(secret) })
+        .expect(401);
+    });
+
+    test('turning it off goes back to logging in with the password', async () => {
+      const authData = await helper.getUserAuthData(username);
+      await enableTwoFactor(authData);
+
+      await api
+        .delete('/api/users/me/two-factor')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ password })
+        .expect(204);
+
+      const body = await startLogin();
+      expect(body.token).toBeDefined();
+      expect(body.twoFactorRequired).toBeUndefined();
+    });
+  });
+
+  describe('ADMIN', () => {
+    const getAuthDataWithRole = async (role) => {
+      const username = helper.data.users[0].username;
+      await helper.setUserRole(username, role);
+      return helper.getUserAuthData(username);
+    };
+
+    const getOtherUsersBlog = async (authData) => {
+      const blogs = await helper.blogsInDb();
+      return blogs.find(
+        (blog) => blog.user.toString() !== authData.user._id.toString()
+      );
+    };
+
+    describe('DELETE /api/admin/blogs/:id', () => {
+      test.each(['moderator', 'admin'])(
+        'lets a %s remove any blog',
+        async (role) => {
+          const authData = await getAuthDataWithRole(role);
+          const blog = await getOtherUsersBlog(authData);
+
+          await api
+            .delete(`/api/admin/blogs/${blog.id}`)
+            .set('Authorization', `Bearer ${authData.token}`)
+            .expect(204);
+
+          const blogs = await helper.blogsInDb();
+          expect(blogs).toHaveLength(helper.data.blogs.length - 1);
+
+          const owner = await helper.getUserFromDb(
+            helper.data.users[1].username
+          );
+          expect(owner.blogs.map((id) => id.toString())).not.toContain(blog.id);
+        }
+      );
+
+      test('returns [403 forbidden] for a regular user', async () => {
+        const authData = await getAuthDataWithRole('user');
+        const blog = await getOtherUsersBlog(authData);
+
+        await api
+          .delete(`/api/admin/blogs/${blog.id}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(403);
+
+        const blogs = await helper.blogsInDb();
+        expect(blogs).toHaveLength(helper.data.blogs.length);
+      });
+    });
+
+    describe('PUT /api/admin/blogs/:id', () => {
+      test('lets a moderator edit the metadata of any blog', async () => {
+        const authData = await getAuthDataWithRole('moderator');
+        const blog = await getOtherUsersBlog(authData);
+
+        const { body } = await api
+          .put(`/api/admin/blogs/${blog.id}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ title: 'moderated title', likes: 1000 })
+          .expect(200);
+
+        expect(body.title).toBe('moderated title');
+        expect(body.likes).toBe(blog.likes);
+      });
+    });
+
+    describe('DELETE /api/admin/comments/:id', () => {
+      test('lets a moderator remove any comment', async () => {
+        const authData = await getAuthDataWithRole('moderator');
+        const blogId = await helper.getExistingId();
+
+        const { body: comment } = await api
+          .post(`/api/blogs/${blogId}/comments`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ text: 'spam' })
+          .expect(201);
+
+        await api
+          .delete(`/api/admin/comments/${comment.id}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(204);
+
+        const removed = await Comment.findById(comment.id);
+        expect(removed.deletedAt).not.toBeNull();
+
+        const { body: blog } = await api
+          .get(`/api/blogs/${blogId}`)
+          .expect(200);
+        const shown = blog.comments.find(({ id }) => id === comment.id);
+        expect(shown.text).toBeNull();
+      });
+
+      test('keeps the replies of a removed comment in their thread', async () => {
+        const authData = await getAuthDataWithRole('moderator');
+        const blogId = await helper.getExistingId();
+
+        const { body: comment } = await api
+          .post(`/api/blogs/${blogId}/comments`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ text: 'spam' })
+          .expect(201);
+        const { body: reply } = await api
+          .post(`/api/blogs/${blogId}/comments`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ text: 'do not feed the spam', parent: comment.id })
+          .expect(201);
+
+        await api
+          .delete(`/api/admin/comments/${comment.id}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(204);
+        await api
+          .delete(`/api/admin/comments/${comment.id}`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(404);
+
+        const { body: blog } = await api
+          .get(`/api/blogs/${blogId}`)
+          .expect(200);
+        expect(blog.comments.map(({ id }) => id)).toEqual(
+          expect.arrayContaining([comment.id, reply.id])
+        );
+      });
+    });
+
+    describe('PUT /api/admin/users/:id/status', () => {
+      test('lets an admin ban a user and ends their sessions', async () => {
+        const adminAuthData = await getAuthDataWithRole('admin');
+        const userAuthData = await helper.getUserAuthData(
+          helper.data.users[1].username
+        );
+
+        const { body } = await api
+          .put(`/api/admin/users/${userAuthData.user._id}/status`)
+          .set('Authorization', `Bearer ${adminAuthData.token}`)
+          .send({ status: 'banned' })
+          .expect(200);
+
+        expect(body.status).toBe('banned');
+
+        await api
+          .delete(`/api/blogs/${userAuthData.user.blogs[0]}`)
+          .set('Authorization', `Bearer ${userAuthData.token}`)
+          .expect(401);
+
+        await api
+          .post('/api/login')
+          .send({
+            username: helper.data.users[1].username,
+            password: helper.data.users[1].password,
+          })
+          .expect(403);
+      });
+
+      test('returns [403 forbidden] for a moderator', async () => {
+        const authData = await getAuthDataWithRole('moderator');
+        const user = await helper.getUserFromDb(helper.data.users[1].username);
+
+        await api
+          .put(`/api/admin/users/${user._id}/status`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ status: 'locked' })
+          .expect(403);
+      });
+
+      test('returns [400 bad request] for an unknown status', async () => {
+        const authData = await getAuthDataWithRole('admin');
+        const user = await helper.getUserFromDb(helper.data.users[1].username);
+
+        await api
+          .put(`/api/admin/users/${user._id}/status`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ status: 'vanished' })
+          .expect(400);
+      });
+    });
+
+    describe('PUT /api/admin/users/:id/role', () => {
+      test('lets an admin promote a user to moderator', async () => {
+        const authData = await getAuthDataWithRole('admin');
+        const user = await helper.getUserFromDb(helper.data.users[1].username);
+
+        const { body } = await api
+          .put(`/api/admin/users/${user._id}/role`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ role: 'moderator' })
+          .expect(200);
+
+        expect(body.role).toBe('moderator');
+      });
+
+      test('returns [400 bad request] for the own account', async () => {
+        const authData = await getAuthDataWithRole('admin');
+
+        await api
+          .put(`/api/admin/users/${authData.user._id}/role`)
+          .set('Authorization', `Bearer ${authData.token}`)
+          .send({ role: 'user' })
+          .expect(400)
+          .expect('Content-Type', /application\/problem\+json/);
+
+        const user = await helper.getUserFromDb(authData.user.username);
+        expect(user.role).toBe('admin');
+      });
+    });
+  });
+
+  describe('AUDIT', () => {
+    const getAdminAuthData = async () => {
+      const username = helper.data.users[0].username;
+      await helper.setUserRole(username, 'admin');
+      return helper.getUserAuthData(username);
+    };
+
+    const getEntries = async (authData, query = {}) => {
+      const response = await api
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .query(query)
+        .expect(200)
+        .expect('Content-Type', /application\/json/);
+      return response.body.entries;
+    };
+
+    test('records who created a blog', async () => {
+      const authData = await getAdminAuthData();
+      const { body: blog } = await api
+        .post('/api/blogs')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ title: 'audited', url: 'http://audited.com' })
+        .expect(201);
+
+      const [entry] = await getEntries(authData, { action: 'blog.create' });
+
+      expect(entry.actor.username).toBe(authData.user.username);
+      expect(entry.targetType).toBe('blog');
+      expect(entry.targetId).toBe(blog.id);
+      expect(entry.before).toBeNull();
+      expect(entry.after.title).toBe('audited');
+      expect(entry.requestId).toEqual(expect.any(String));
+    });
+
+    test('records the state before and after an update', async () => {
+      const authData = await getAdminAuthData();
+      const blogs = await helper.blogsInDb();
+      const ownBlog = blogs.find(
+        (blog) => blog.user.toString() === authData.user.id
+      );
+
+      await api
+        .put(`/api/blogs/${ownBlog.id}`)
+        .set('Authorization', `Bearer ${authData.token}`)
+        .send({ title: 'after', url: ownBlog.url })
+        .expect(200);
+
+      const [entry] = await getEntries(authData, { targetId: ownBlog.id });
+
+      expect(entry.action).toBe('blog.update');
+      expect(entry.before.title).toBe(ownBlog.title);
+      expect(entry.after.title).toBe('after');
+    });
+
+    test('records failed logins', async () => {
+      await api
+        .post('/api/login')
+        .send({ username: 'nobody', password: 'wrong' })
+        .expect(401);
+
+      const authData = await getAdminAuthData();
+      const [entry] = await getEntries(authData, { action: 'login' });
+
+      expect(entry.action).toBe('login.failure');
+      expect(entry.actor).toBeNull();
+      expect(entry.username).toBe('nobody');
+    });
+
+    test('never stores password hashes', async () => {
+      await api
+        .post('/api/users')
+        .send({ username: 'audited', name: 'Audited', password: 'secret123' })
+        .expect(201);
+
+      const authData = await getAdminAuthData();
+      const [entry] = await getEntries(authData, { action: 'user.create' });
+
+      expect(entry.after.username).toBe('audited');
+      expect(JSON.stringify(entry)).not.toMatch(/passwordHash|secret123/);
+    });
+
+    test('filters by action prefix', async () => {
+      const authData = await getAdminAuthData();
+      const blogId = await helper.getExistingId();
+      await api
+        .post(`/api/blogs/${blogId}/likes`)
+        .set('Authorization', `Bearer ${authData.token}`)
+        .expect(200);
+
+      const entries = await getEntries(authData, { action: 'blog' });
+      expect(entries.map((entry) => entry.action)).toEqual(['blog.like']);
+    });
+
+    test('returns [403 forbidden] for users who are not admins', async () => {
+      const authData = await helper.getUserAuthData(
+        helper.data.users[1].username
+      );
+      await api
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${authData.token}`)
+        .expect(403);
+    });
+
+    test('returns [400 bad request] for invalid filters', async () => {
+      const authData = await getAdminAuthData();
+      for (const query of [{ actor: 'nope' }, { from: 'yesterday' }]) {
+        await api
+          .get('/api/audit')
+          .set('Authorization', `Bearer ${authData.token}`)
+          .query(query)
+          .expect(400);
+      }
+    });
+  });
+
+  describe('REQUEST IDS', () => {
+    test('are generated for every response', async () => {
+      const response = await api.get('/api/blogs').expect(200);
+      expect(response.headers['x-request-id']).toMatch(/^[\w-]+$/);
+    });
+
+    test('are kept when sent by the client', async () => {
+      const response = await api
+        .get('/api/blogs')
+        .set('X-Request-Id', 'from-proxy-123')
+        .expect(200);
+      expect(response.headers['x-request-id']).toBe('from-proxy-123');
+    });
+  });
+
+  describe('LOGOUT', () => {
+    describe('POST /api/logout', () => {
+      const createBlog = (token) =>
+        api
+          .post('/api/blogs')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ title: 'logout test', url: 'http://logout.com' });
+
+      test('revokes the current session', async () => {
+        const authData = await helper.getUserAuthData(
+          helper.data.users[0].username
+        );
+
+        await api
+          .post('/api/logout')
+          .set('Authorization', `Bearer ${authData.token}`)
+          .expect(204);
+
+        const response = await createBlog(authData.token).expect(401);
+        expect(response.body.error).toBe('session revoked');
+
+        await api
+          .post('/api/login/refresh')
+          .send({ refreshToken: authData.refreshToken })
+          .expect(401);
+      });
+
+      test('keeps other sessions of the user active', async () => {
+        const username = helper.data.users[0].username;
+        const current = await helper.getUserAuthData(username);
+        const other = await helper.getUserAuthData(username);
+
+        await api
+          .post('/api/logout')
+          .set('Authorization', `Bearer ${current.token}`)
+          .expect(204);
+
+        await createBlog(other.token).expect(201);
+      });
+
+      test('revokes every session of the user when asked to', async () => {
+        const username = helper.data.users[0].username;
+        const current = await helper.getUserAuthData(username);
+        const other = await helper.getUserAuthData(username);
+
+        await api
+          .post('/api/logout')
+          .set('Authorization', `Bearer ${current.token}`)
+          .send({ allSessions: true })
+          .expect(204);
+
+        await createBlog(other.token).expect(401);
+      });
+
+      test('fails for an unauthenticated user', async () => {
+        await api.post('/api/logout').expect(401);
+      });
     });
   });
 });
 
 afterAll(async () => {
+  metadata.setFetcher(null);
+  await pageServer.close();
   await mongoose.connection.close();
 });
@@ -0,0 +1,133 @@
+const blogFormats = require('../utils/blog_formats');
+
+const blogs = [
+  {
+    title: 'Quotes, "commas" & more',
+    author: 'Jane Writer',
+    url: 'https://blog.example/quotes',
+    likes: 3,
+    tags: ['csv', 'edge-cases'],
+  },
+  {
+    title: 'Plain',
+    url: 'https://blog.example/plain',
+    likes: 0,
+    tags: [],
+    description: 'multi\nline',
+  },
+];
+
+describe('formatOfContentType', () => {
+  test('maps content types to import formats', () => {
+    expect(blogFormats.formatOfContentType('text/csv; charset=utf-8')).toBe(
+      'csv'
+    );
+    expect(blogFormats.formatOfContentType('application/xml')).toBe('opml');
+    expect(blogFormats.formatOfContentType('application/json')).toBe('json');
+    expect(blogFormats.formatOfContentType('text/plain')).toBeNull();
+  });
+});
+
+describe('csv', () => {
+  test('quotes cells that need it', () => {
+    const csv = blogFormats.serialize('csv', blogs);
+    expect(csv.split('\r\n')[0]).toBe(
+      'title,author,url,likes,tags,description,image,visibility'
+    );
+    expect(csv).toContain('"Quotes, ""commas"" & more"');
+    expect(csv).toContain('"csv,edge-cases"');
+  });
+
+  test('survives a round trip', () => {
+    const rows = blogFormats.parse('csv', blogFormats.serialize('csv', blogs));
+    expect(rows).toStrictEqual([
+      {
+        title: 'Quotes, "commas" & more',
+        author: 'Jane Writer',
+        url: 'https://blog.example/quotes',
+        likes: '3',
+        tags: 'csv,edge-cases',
+        visibility: 'public',
+      },
+      {
+        title: 'Plain',
+        url: 'https://blog.example/plain',
+        likes: '0',
+        description: 'multi\nline',
+        visibility: 'public',
+      },
+    ]);
+  });
+
+  test('ignores unknown columns, column order and blank lines', () => {
+    const csv = '\uFEFFURL,Notes,Title\nhttp://a.example,skip me,A\n\n';
+    expect(blogFormats.parse('csv', csv)).toStrictEqual([
+      { url: 'http://a.example', title: 'A' },
+    ]);
+  });
+
+  test('requires a url column', () => {
+    expect(() => blogFormats.parse('csv', 'title\nA')).toThrow('url column');
+  });
+
+  test('rejects unterminated quotes', () => {
+    expect(() => blogFormats.parse('csv', 'url\n"http://a')).toThrow(
+      'unterminated'
+    );
+  });
+});
+
+describe('opml', () => {
+  test('survives a round trip', () => {
+    const opml = blogFormats.serialize('opml', blogs, 'Blogs of Jane');
+    expect(opml).toContain('<title>Blogs of Jane</title>');
+    expect(blogFormats.parse('opml', opml)).toStrictEqual([
+      {
+        title: 'Quotes, "commas" & more',
+        author: 'Jane Writer',
+        url: 'https://blog.example/quotes',
+        tags: 'csv,edge-cases',
+        description: undefined,
+        image: undefined,
+        visibility: 'public',
+      },
+      {
+        title: 'Plain',
+        author: undefined,
+        url: 'https://blog.example/plain',
+        tags: undefined,
+        description: 'multi\nline',
+        image: undefined,
+        visibility: 'public',
+      },
+    ]);
+  });
+
+  test('reads outlines from other readers and skips folders', () => {
+    const opml = `<opml version="1.0"><body>
+      <outline text="Folder">
+        <outline text="Feed" htmlUrl="http://feed.example" xmlUrl="http://feed.example/rss"/>
+      </outline>
+    </body></opml>`;
+    const rows = blogFormats.parse('opml', opml);
+    expect(rows).toHaveLength(1);
+    expect(rows[0].title).toBe('Feed');
+    expect(rows[0].url).toBe('http://feed.example');
+  });
+
+  test('rejects documents that are not opml', () => {
+    expect(() => blogFormats.parse('opml', '<html></html>')).toThrow('<opml>');
+  });
+});
+
+describe('json', () => {
+  test('accepts an array or an object with a blogs array', () => {
+    const exported = blogFormats.serialize('json', blogs);
+    expect(blogFormats.parse('json', exported)).toHaveLength(2);
+    expect(blogFormats.parse('json', { blogs: [{}] })).toHaveLength(1);
+  });
+
+  test('rejects anything else', () => {
+    expect(() => blogFormats.parse('json', { title: 'A' })).toThrow('array');
+  });
+});
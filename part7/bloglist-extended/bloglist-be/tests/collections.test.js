@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { hasRole, sameBlogs } = require('../utils/collections');
+
+describe('hasRole', () => {
+  test('grants a role to members holding it or a higher one', () => {
+    expect(hasRole({ role: 'owner' }, 'editor')).toBe(true);
+    expect(hasRole({ role: 'editor' }, 'editor')).toBe(true);
+    expect(hasRole({ role: 'editor' }, 'viewer')).toBe(true);
+  });
+
+  test('refuses members with a lower role and non-members', () => {
+    expect(hasRole({ role: 'viewer' }, 'editor')).toBe(false);
+    expect(hasRole({ role: 'editor' }, 'owner')).toBe(false);
+    expect(hasRole(null, 'viewer')).toBe(false);
+  });
+});
+
+describe('sameBlogs', () => {
+  const [first, second] = [
+    new mongoose.Types.ObjectId(),
+    new mongoose.Types.ObjectId(),
+  ];
+
+  test('accepts any order naming every blog once', () => {
+    expect(
+      sameBlogs([first, second], [second.toString(), first.toString()])
+    ).toBe(true);
+  });
+
+  test('rejects missing, extra and repeated blogs', () => {
+    const ids = [first.toString(), second.toString()];
+    expect(sameBlogs([first, second], [ids[0]])).toBe(false);
+    expect(sameBlogs([first], ids)).toBe(false);
+    expect(sameBlogs([first, second], [ids[0], ids[0]])).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+const supertest = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const errors = require('../utils/errors');
+
+const api = supertest(app);
+
+describe('toHttpError', () => {
+  test('keeps errors that already carry a status', () => {
+    const error = errors.notFound('blog', 'abc');
+    expect(errors.toHttpError(error)).toBe(error);
+    expect(error).toMatchObject({
+      status: 404,
+      code: 'NOT_FOUND',
+      message: 'blog with id:abc could not be found',
+    });
+  });
+
+  test('maps malformed ids to 400', () => {
+    const error = new mongoose.Error.CastError('ObjectId', 'nope', '_id');
+    expect(errors.toHttpError(error)).toMatchObject({
+      status: 400,
+      code: 'VALIDATION_FAILED',
+      message: 'malformatted id',
+      details: [{ field: '_id', message: '_id must be a valid id' }],
+    });
+  });
+
+  test('maps unique violations to 409', () => {
+    const validationError = new mongoose.Error.ValidationError();
+    validationError.addError(
+      'username',
+      new mongoose.Error.ValidatorError({
+        path: 'username',
+        type: 'unique',
+        message: 'Error, expected `username` to be unique.',
+      })
+    );
+    expect(errors.toHttpError(validationError)).toMatchObject({
+      status: 409,
+      code: 'DUPLICATE',
+      details: [{ field: 'username' }],
+    });
+
+    const duplicateKey = Object.assign(new Error('E11000'), {
+      code: 11000,
+      keyValue: { email: 'a@example.com' },
+    });
+    expect(errors.toHttpError(duplicateKey)).toMatchObject({
+      status: 409,
+      code: 'DUPLICATE',
+      message: 'a record with the same email already exists',
+    });
+  });
+
+  test('maps other validation errors to 400', () => {
+    const validationError = new mongoose.Error.ValidationError();
+    validationError.addError(
+      'title',
+      new mongoose.Error.ValidatorError({
+        path: 'title',
+        type: 'required',
+        message: 'title is required',
+      })
+    );
+    expect(errors.toHttpError(validationError)).toMatchObject({
+      status: 400,
+      code: 'VALIDATION_FAILED',
+      details: [{ field: 'title', message: 'title is required' }],
+    });
+  });
+
+  test('hides everything else behind a 500', () => {
+    expect(
+      errors.toHttpError(new Error('db password is hunter2'))
+    ).toMatchObject({
+      status: 500,
+      code: 'INTERNAL_ERROR',
+      message: 'internal server error',
+    });
+  });
+});
+
+describe('errorHandler', () => {
+  test('answers unknown endpoints with a problem', async () => {
+    const response = await api
+      .get('/api/nothing-here')
+      .expect(404)
+      .expect('Content-Type', /application\/problem\+json/);
+
+    expect(response.body).toEqual({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'unknown endpoint',
+      instance: '/api/nothing-here',
+      code: 'NOT_FOUND',
+      details: [],
+      message: 'unknown endpoint',
+      error: 'unknown endpoint',
+    });
+  });
+
+  test('answers malformed json bodies with a problem', async () => {
+    const response = await api
+      .post('/api/login')
+      .set('Content-Type', 'application/json')
+      .send('{"username":')
+      .expect(400)
+      .expect('Content-Type', /application\/problem\+json/);
+
+    expect(response.body).toMatchObject({
+      status: 400,
+      code: 'ENTITY_PARSE_FAILED',
+    });
+  });
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
@@ -0,0 +1,90 @@
+const http = require('http');
+const express = require('express');
+const events = require('../utils/events');
+const eventsRouter = require('../controllers/events');
+
+const request = {
+  user: { id: 'u1', username: 'writer', name: 'Writer', passwordHash: 'x' },
+};
+
+describe('publish', () => {
+  test('serializes the data and only exposes public actor fields', () => {
+    const received = [];
+    const unsubscribe = events.subscribe((event) => received.push(event));
+
+    const blog = { id: 'b1', toJSON: () => ({ id: 'b1', title: 'Blog' }) };
+    const event = events.publish(request, 'blog.created', { blog });
+    unsubscribe();
+    events.publish(request, 'blog.deleted', { id: 'b1' });
+
+    expect(received).toStrictEqual([event]);
+    expect(event).toMatchObject({
+      type: 'blog.created',
+      actor: { id: 'u1', username: 'writer', name: 'Writer' },
+      data: { blog: { id: 'b1', title: 'Blog' } },
+    });
+    expect(event.actor.passwordHash).toBeUndefined();
+  });
+
+  test('gives every event a higher id than the one before', () => {
+    const first = events.publish({}, 'blog.imported', { count: 1 });
+    const second = events.publish({}, 'blog.imported', { count: 2 });
+
+    expect(second.id).toBeGreaterThan(first.id);
+    expect(first.actor).toBeNull();
+  });
+});
+
+describe('GET /api/events', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/events', eventsRouter);
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/events`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const readUntil = (stream, pattern) =>
+    new Promise((resolve) => {
+      let text = '';
+      const onData = (chunk) => {
+        text += chunk;
+        if (pattern.test(text)) {
+          stream.off('data', onData);
+          resolve(text);
+        }
+      };
+      stream.setEncoding('utf8');
+      stream.on('data', onData);
+    });
+
+  test('streams published events until the client disconnects', async () => {
+    const subscribers = events.subscriberCount();
+    const response = await new Promise((resolve) => http.get(url, resolve));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    await readUntil(response, /retry: \d+\n\n/);
+    expect(events.subscriberCount()).toBe(subscribers + 1);
+
+    const event = events.publish(request, 'comment.deleted', {
+      id: 'c1',
+      blog: 'b1',
+    });
+    const frame = await readUntil(response, /data: .*\n\n/);
+
+    expect(frame).toContain(`id: ${event.id}\n`);
+    expect(JSON.parse(frame.match(/data: (.*)\n\n/)[1])).toStrictEqual(event);
+
+    response.destroy();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(events.subscriberCount()).toBe(subscribers);
+  });
+});
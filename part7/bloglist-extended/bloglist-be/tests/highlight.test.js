@@ -0,0 +1,49 @@
+const { searchTerms, highlight } = require('../utils/highlight');
+
+describe('searchTerms', () => {
+  test('of an empty query is an empty list', () => {
+    expect(searchTerms('')).toStrictEqual([]);
+  });
+
+  test('keeps quoted phrases together and drops excluded terms', () => {
+    expect(searchTerms('react "custom hooks" -vue')).toStrictEqual([
+      'custom hooks',
+      'react',
+    ]);
+  });
+
+  test('removes duplicates regardless of case', () => {
+    expect(searchTerms('React react REACT')).toStrictEqual(['react']);
+  });
+});
+
+describe('highlight', () => {
+  test('marks every occurrence of the search terms', () => {
+    expect(highlight('React and react hooks', 'react')).toStrictEqual([
+      { text: 'React', match: true },
+      { text: ' and ', match: false },
+      { text: 'react', match: true },
+      { text: ' hooks', match: false },
+    ]);
+  });
+
+  test('returns the whole text unmarked when nothing matches', () => {
+    expect(highlight('Test Blog', 'graphql')).toStrictEqual([
+      { text: 'Test Blog', match: false },
+    ]);
+  });
+
+  test('trims long texts around the first match', () => {
+    const text = `${'a '.repeat(50)}needle${' b'.repeat(50)}`;
+    const segments = highlight(text, 'needle', 10);
+
+    expect(segments).toHaveLength(3);
+    expect(segments[0].text.startsWith('…')).toBe(true);
+    expect(segments[1]).toStrictEqual({ text: 'needle', match: true });
+    expect(segments[2].text.endsWith('…')).toBe(true);
+  });
+
+  test('of a missing text is an empty list', () => {
+    expect(highlight(undefined, 'anything')).toStrictEqual([]);
+  });
+});
@@ -0,0 +1,126 @@
+const linkChecker = require('../utils/link_checker');
+const jobs = require('../utils/jobs');
+const { startPageServer } = require('./test_helper');
+
+describe('checkUrl', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startPageServer({
+      '/article': '<html></html>',
+      '/moved': { status: 301, headers: { location: '/article' } },
+      '/loop': { status: 302, headers: { location: '/loop' } },
+      '/failing': { status: 500 },
+    });
+    linkChecker.setHttpClient(
+      linkChecker.createHttpClient({ allowPrivateHosts: true })
+    );
+  });
+
+  afterAll(async () => {
+    linkChecker.setHttpClient(null);
+    await server.close();
+  });
+
+  test('reports pages that answer as ok', async () => {
+    const result = await linkChecker.checkUrl(`${server.url}/article`);
+    expect(result).toMatchObject({
+      url: `${server.url}/article`,
+      status: 'ok',
+      statusCode: 200,
+      redirectTo: null,
+      error: null,
+    });
+    expect(result.checkedAt).toBeInstanceOf(Date);
+  });
+
+  test('follows redirects and keeps the target', async () => {
+    const result = await linkChecker.checkUrl(`${server.url}/moved`);
+    expect(result).toMatchObject({
+      status: 'redirected',
+      statusCode: 200,
+      redirectTo: `${server.url}/article`,
+    });
+  });
+
+  test('reports error responses as broken', async () => {
+    expect(await linkChecker.checkUrl(`${server.url}/missing`)).toMatchObject({
+      status: 'broken',
+      statusCode: 404,
+    });
+    expect(await linkChecker.checkUrl(`${server.url}/failing`)).toMatchObject({
+      status: 'broken',
+      statusCode: 500,
+    });
+  });
+
+  test('reports urls that never answer as unreachable', async () => {
+    expect(await linkChecker.checkUrl(`${server.url}/loop`)).toMatchObject({
+      status: 'unreachable',
+      statusCode: null,
+      error: 'too many redirects',
+    });
+    expect(await linkChecker.checkUrl('ftp://files.example')).toMatchObject({
+      status: 'unreachable',
+    });
+  });
+
+  test('refuses private addresses by default', async () => {
+    linkChecker.setHttpClient(null);
+    try {
+      expect(await linkChecker.checkUrl(server.url)).toMatchObject({
+        status: 'unreachable',
+        error: 'refusing to fetch private address 127.0.0.1',
+      });
+    } finally {
+      linkChecker.setHttpClient(
+        linkChecker.createHttpClient({ allowPrivateHosts: true })
+      );
+    }
+  });
+});
+
+describe('jobs', () => {
+  test('a run in progress is shared', async () => {
+    let runs = 0;
+    let finish;
+    jobs.register('shared', {
+      interval: 0,
+      run: () =>
+        new Promise((resolve) => {
+          runs++;
+          finish = resolve;
+        }),
+    });
+
+    const first = jobs.run('shared');
+    const second = jobs.run('shared');
+    expect(jobs.list().find(({ name }) => name === 'shared').running).toBe(
+      true
+    );
+    finish({ done: true });
+
+    expect(await first).toEqual({ done: true });
+    expect(await second).toEqual({ done: true });
+    expect(runs).toBe(1);
+  });
+
+  test('keeps the outcome of the last run', async () => {
+    jobs.register('failing', {
+      interval: 0,
+      run: async () => {
+        throw new Error('out of luck');
+      },
+    });
+
+    await expect(jobs.run('failing')).rejects.toThrow('out of luck');
+    expect(jobs.list().find(({ name }) => name === 'failing')).toMatchObject({
+      running: false,
+      lastRun: { result: null, error: 'out of luck' },
+    });
+  });
+
+  test('rejects unknown jobs', async () => {
+    await expect(jobs.run('missing')).rejects.toThrow('unknown job missing');
+  });
+});
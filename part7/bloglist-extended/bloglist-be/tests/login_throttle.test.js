@@ -0,0 +1,136 @@
+const loginThrottle = require('../utils/login_throttle');
+
+const policies = {
+  ip: { freeAttempts: 5, baseDelay: 1000, maxDelay: 60 * 1000 },
+  username: {
+    freeAttempts: 2,
+    baseDelay: 1000,
+    maxDelay: 60 * 1000,
+    lockoutThreshold: 6,
+    lockoutDuration: 10 * 60 * 1000,
+  },
+};
+
+describe('login throttle', () => {
+  let time;
+  let throttle;
+
+  const advance = (ms) => {
+    time += ms;
+  };
+
+  const failOnce = async (ip, username) => {
+    await throttle.attempt(ip, username);
+    return throttle.registerFailure(ip, username);
+  };
+
+  const fail = (times, ip = '1.1.1.1', username = 'jane') =>
+    Array.from({ length: times }).reduce(
+      (previous) => previous.then(() => failOnce(ip, username)),
+      Promise.resolve()
+    );
+
+  beforeEach(() => {
+    time = Date.parse('2023-09-01T00:00:00Z');
+    const now = () => time;
+    throttle = loginThrottle.createLoginThrottle({
+      store: loginThrottle.createMemoryStore({ now }),
+      policies,
+      now,
+    });
+  });
+
+  test('lets the first few failures through without a delay', async () => {
+    expect(await failOnce('1.1.1.1', 'jane')).toBeNull();
+    expect(await throttle.check('1.1.1.1', 'jane')).toBeNull();
+  });
+
+  test('doubles the delay with every further failure', async () => {
+    expect(await fail(2)).toStrictEqual({ retryAfter: 1, locked: false });
+
+    advance(1000);
+    expect(await throttle.check('1.1.1.1', 'jane')).toBeNull();
+    expect(await failOnce('1.1.1.1', 'jane')).toStrictEqual({
+      retryAfter: 2,
+      locked: false,
+    });
+
+    advance(2000);
+    expect(await failOnce('1.1.1.1', 'jane')).toStrictEqual({
+      retryAfter: 4,
+      locked: false,
+    });
+  });
+
+  test('treats usernames case insensitively', async () => {
+    await fail(2, '1.1.1.1', 'Jane');
+    expect(await throttle.check('2.2.2.2', 'jane')).not.toBeNull();
+  });
+
+  test('throttles an ip across usernames', async () => {
+    for (let i = 0; i < 5; i++) {
+      await failOnce('1.1.1.1', `user${i}`);
+    }
+    expect(await throttle.check('1.1.1.1', 'someone-else')).toStrictEqual({
+      retryAfter: 1,
+      locked: false,
+    });
+    expect(await throttle.check('2.2.2.2', 'someone-else')).toBeNull();
+  });
+
+  test('locks the account after too many failures', async () => {
+    for (let i = 0; i < 6; i++) {
+      advance(60 * 1000);
+      await failOnce(`10.0.0.${i}`, 'jane');
+    }
+
+    expect(await throttle.check('9.9.9.9', 'jane')).toStrictEqual({
+      retryAfter: 600,
+      locked: true,
+    });
+
+    advance(10 * 60 * 1000);
+    expect(await throttle.check('9.9.9.9', 'jane')).toBeNull();
+  });
+
+  test('counts attempts before they fail so parallel guesses stop at the lockout', async () => {
+    const blocks = await Promise.all(
+      Array.from({ length: 8 }, (_, i) =>
+        throttle.attempt(`10.0.0.${i}`, 'jane')
+      )
+    );
+
+    expect(blocks.filter((block) => block === null)).toHaveLength(6);
+    expect(blocks.filter((block) => block?.locked)).toHaveLength(2);
+    expect(await throttle.check('9.9.9.9', 'jane')).toStrictEqual({
+      retryAfter: 600,
+      locked: true,
+    });
+  });
+
+  test('starts over once a lockout has run out', async () => {
+    for (let i = 0; i < 6; i++) {
+      advance(60 * 1000);
+      await failOnce(`10.0.0.${i}`, 'jane');
+    }
+
+    advance(10 * 60 * 1000);
+    expect(await throttle.attempt('9.9.9.9', 'jane')).toBeNull();
+    expect(await throttle.registerFailure('9.9.9.9', 'jane')).toBeNull();
+  });
+
+  test('forgets failures after a successful login', async () => {
+    await fail(2);
+    advance(1000);
+    await throttle.registerSuccess('1.1.1.1', 'jane');
+
+    expect(await failOnce('1.1.1.1', 'jane')).toBeNull();
+  });
+
+  test('forgets failures after an hour without attempts', async () => {
+    await fail(2);
+    advance(60 * 60 * 1000);
+
+    expect(await failOnce('1.1.1.1', 'jane')).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+const metadata = require('../utils/metadata');
+const { startPageServer } = require('./test_helper');
+
+const articleHtml = `<!doctype html>
+<html>
+  <head>
+    <title>Fallback &amp; title</title>
+    <meta property="og:title" content="Open Graph title">
+    <meta name="author" content="Jane Writer">
+    <meta name='description' content='A plain description'>
+    <meta content="/images/cover.png" property="og:image" />
+  </head>
+  <body><meta property="og:title" content="Body title"></body>
+</html>`;
+
+describe('extractMetadata', () => {
+  test('prefers OpenGraph tags and resolves relative image urls', () => {
+    expect(
+      metadata.extractMetadata(articleHtml, 'https://blog.example/posts/1')
+    ).toStrictEqual({
+      url: 'https://blog.example/posts/1',
+      title: 'Open Graph title',
+      author: 'Jane Writer',
+      description: 'A plain description',
+      image: 'https://blog.example/images/cover.png',
+      siteName: null,
+    });
+  });
+
+  test('falls back to the <title> tag and decodes entities', () => {
+    const html = '<head><title>\n  Hooks &#8211; a &quot;guide&quot;\n</title>';
+    const pageMetadata = metadata.extractMetadata(html, 'http://a.example');
+    expect(pageMetadata.title).toBe('Hooks – a "guide"');
+    expect(pageMetadata.author).toBeNull();
+  });
+
+  test('ignores images that are not http urls', () => {
+    const html = '<meta property="og:image" content="javascript:alert(1)">';
+    expect(metadata.extractMetadata(html, 'http://a.example').image).toBeNull();
+  });
+});
+
+describe('fetchMetadata', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startPageServer({
+      '/article': articleHtml,
+      '/moved': { status: 301, headers: { location: '/article' } },
+      '/data.json': {
+        headers: { 'content-type': 'application/json' },
+        body: '{}',
+      },
+    });
+    metadata.setFetcher(metadata.createFetcher({ allowPrivateHosts: true }));
+  });
+
+  afterAll(async () => {
+    metadata.setFetcher(null);
+    await server.close();
+  });
+
+  test('reads metadata from the fetched page', async () => {
+    const pageMetadata = await metadata.fetchMetadata(`${server.url}/article`);
+    expect(pageMetadata.title).toBe('Open Graph title');
+    expect(pageMetadata.image).toBe(`${server.url}/images/cover.png`);
+  });
+
+  test('follows redirects and reports the final url', async () => {
+    const pageMetadata = await metadata.fetchMetadata(`${server.url}/moved`);
+    expect(pageMetadata.url).toBe(`${server.url}/article`);
+    expect(pageMetadata.author).toBe('Jane Writer');
+  });
+
+  test('rejects pages that are not html', async () => {
+    await expect(
+      metadata.fetchMetadata(`${server.url}/data.json`)
+    ).rejects.toThrow('unsupported content type');
+  });
+
+  test('rejects missing pages', async () => {
+    await expect(
+      metadata.fetchMetadata(`${server.url}/missing`)
+    ).rejects.toThrow('404');
+  });
+});
+
+describe('createFetcher', () => {
+  test('refuses to fetch private addresses by default', async () => {
+    const fetcher = metadata.createFetcher();
+    await expect(fetcher('http://127.0.0.1:9/')).rejects.toThrow(
+      'private address'
+    );
+    await expect(fetcher('http://[::1]:9/')).rejects.toThrow('private address');
+  });
+
+  test('refuses urls that are not http', async () => {
+    const fetcher = metadata.createFetcher();
+    await expect(fetcher('file:///etc/passwd')).rejects.toThrow(
+      'only http and https'
+    );
+  });
+});
@@ -0,0 +1,55 @@
+const { validatePassword } = require('../utils/passwords');
+
+const policy = {
+  minLength: 8,
+  requireLetter: true,
+  requireDigit: true,
+  requireSymbol: false,
+};
+
+describe('validatePassword', () => {
+  test('accepts a password that follows the policy', () => {
+    expect(validatePassword('correct horse 42', {}, policy)).toBeNull();
+  });
+
+  test('requires a password', () => {
+    expect(validatePassword(undefined, {}, policy)).toBe(
+      'password must be provided'
+    );
+    expect(validatePassword(12345678, {}, policy)).toBe(
+      'password must be provided'
+    );
+  });
+
+  test('lists every rule that is broken', () => {
+    expect(validatePassword('abc', {}, policy)).toBe(
+      'password must be at least 8 characters long, contain a digit'
+    );
+  });
+
+  test('rejects common passwords regardless of case', () => {
+    expect(validatePassword('Password123', {}, policy)).toBe(
+      'password must not be a commonly used password'
+    );
+  });
+
+  test('rejects passwords containing the username', () => {
+    expect(
+      validatePassword('xxJaneDoe99', { username: 'janedoe' }, policy)
+    ).toBe('password must not contain the username');
+  });
+
+  test('rejects passwords longer than bcrypt can hash', () => {
+    expect(validatePassword(`a1${'ä'.repeat(40)}`, {}, policy)).toBe(
+      'password must be at most 72 bytes long'
+    );
+  });
+
+  test('can require symbols', () => {
+    const strictPolicy = { ...policy, requireSymbol: true };
+    expect(validatePassword('letters1234', {}, strictPolicy)).toBe(
+      'password must contain a symbol'
+    );
+    expect(validatePassword('letters1234!', {}, strictPolicy)).toBeNull();
+  });
+});
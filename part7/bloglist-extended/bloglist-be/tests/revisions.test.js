@@ -0,0 +1,63 @@
+const revisions = require('../utils/revisions');
+
+const blog = {
+  title: 'Second title',
+  author: 'Writer',
+  url: 'http://blog.example',
+  tags: ['js', 'testing'],
+  likes: 10,
+};
+
+const revision = (number, fields) => ({
+  revision: number,
+  fields,
+  toJSON: () => ({ id: `r${number}`, revision: number, fields }),
+});
+
+describe('snapshot', () => {
+  test('keeps only the tracked fields and fills in missing ones', () => {
+    expect(revisions.snapshot(blog)).toStrictEqual({
+      title: 'Second title',
+      author: 'Writer',
+      url: 'http://blog.example',
+      tags: ['js', 'testing'],
+      description: null,
+      image: null,
+    });
+  });
+});
+
+describe('diff', () => {
+  test('lists changed fields with their old and new values', () => {
+    const before = revisions.snapshot(blog);
+    const after = { ...before, title: 'Third title', tags: ['js'] };
+
+    expect(revisions.diff(before, after)).toStrictEqual([
+      { field: 'title', before: 'Second title', after: 'Third title' },
+      { field: 'tags', before: ['js', 'testing'], after: ['js'] },
+    ]);
+  });
+
+  test('treats missing and null values as equal', () => {
+    expect(
+      revisions.diff({ ...blog, image: undefined }, { ...blog, image: null })
+    ).toStrictEqual([]);
+  });
+});
+
+describe('withChanges', () => {
+  test('compares every revision with the version that replaced it', () => {
+    const first = revision(1, { ...blog, title: 'First title', tags: [] });
+    const second = revision(2, { ...blog, tags: [] });
+
+    const result = revisions.withChanges([first, second], blog);
+
+    expect(result.map((entry) => entry.revision)).toEqual([2, 1]);
+    expect(result[0].changes).toStrictEqual([
+      { field: 'tags', before: [], after: ['js', 'testing'] },
+    ]);
+    expect(result[1].changes).toStrictEqual([
+      { field: 'title', before: 'First title', after: 'Second title' },
+    ]);
+  });
+});
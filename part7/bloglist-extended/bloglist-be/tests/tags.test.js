@@ -0,0 +1,32 @@
+const { normalizeTag, normalizeTags } = require('../utils/tags');
+
+describe('normalizeTag', () => {
+  test('lowercases and trims a tag', () => {
+    expect(normalizeTag('  React ')).toBe('react');
+  });
+
+  test('turns whitespace into dashes and strips other characters', () => {
+    expect(normalizeTag('#Web  Dev!')).toBe('web-dev');
+  });
+
+  test('limits the length of a tag', () => {
+    expect(normalizeTag('a'.repeat(50))).toHaveLength(30);
+  });
+});
+
+describe('normalizeTags', () => {
+  test('removes empty and duplicate tags', () => {
+    expect(normalizeTags(['React', 'react', '!!!', 'node'])).toStrictEqual([
+      'react',
+      'node',
+    ]);
+  });
+
+  test('splits a comma separated string', () => {
+    expect(normalizeTags('react, node')).toStrictEqual(['react', 'node']);
+  });
+
+  test('leaves missing tags untouched', () => {
+    expect(normalizeTags(undefined)).toBeUndefined();
+  });
+});
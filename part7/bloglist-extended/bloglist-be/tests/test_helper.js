@@ -1,27 +1,42 @@
+const http = require('http');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const config = require('../utils/config');
+const sessions = require('../utils/sessions');
 const Blog = require('../models/blog');
+const BlogRevision = require('../models/blog_revision');
+const Collection = require('../models/collection');
+const CollectionMember = require('../models/collection_member');
+const Comment = require('../models/comment');
+const Like = require('../models/like');
+const Notification = require('../models/notification');
+const ReadingListItem = require('../models/reading_list_item');
 const User = require('../models/user');
+const Session = require('../models/session');
+const AuditLog = require('../models/audit_log');
+const PasswordReset = require('../models/password_reset');
 
 const blogList = [
   {
     title: 'Test Blog 1',
+    author: 'Test Author 1',
     url: 'http://www.somerandomblogurl1.com',
     likes: 5,
   },
   {
     title: 'Test Blog 2',
+    author: 'Test Author 2',
     url: 'http://www.somerandomblogurl2.com',
     likes: 10,
   },
   {
     title: 'Test Blog 3',
+    author: 'Test Author 3',
     url: 'http://www.somerandomblogurl3.com',
     likes: 1,
   },
   {
     title: 'Test Blog 4',
+    author: 'Test Author 2',
     url: 'http://www.somerandomblogurl2.com',
     likes: 4,
   },
@@ -31,11 +46,13 @@ const userList = [
   {
     username: 'testDummy1',
     name: 'Test Dummy 1',
+    email: 'dummy1@example.com',
     password: 'test123456',
   },
   {
     username: 'testDummy2',
     name: 'Test Dummy 2',
+    email: 'dummy2@example.com',
     password: 'test123456',
   },
 ];
@@ -48,6 +65,16 @@ const data = {
 const resetDb = async () => {
   await User.deleteMany({});
   await Blog.deleteMany({});
+  await BlogRevision.deleteMany({});
+  await Collection.deleteMany({});
+  await CollectionMember.deleteMany({});
+  await Comment.deleteMany({});
+  await Like.deleteMany({});
+  await Notification.deleteMany({});
+  await ReadingListItem.deleteMany({});
+  await Session.deleteMany({});
+  await AuditLog.deleteMany({});
+  await PasswordReset.deleteMany({});
 
   const passwordHashes = await Promise.all(
     data.users.map((user) =>
@@ -59,6 +86,7 @@ const resetDb = async () => {
     return new User({
       username: user.username,
       name: user.name,
+      email: user.email,
       passwordHash: passwordHashes[idx],
     });
   });
@@ -103,6 +131,15 @@ const getUserFromDb = async (username) => {
   return user;
 };
 
+const getSessionFromDb = async (id) => {
+  const session = await Session.findById(id);
+  return session;
+};
+
+const setUserRole = async (username, role) => {
+  await User.findOneAndUpdate({ username }, { role });
+};
+
 const getExistingId = async () => {
   const blogs = await blogsInDb();
   return blogs[0].id;
@@ -112,7 +149,7 @@ const getNonExistentId = async () => {
   const user = await getUserFromDb(data.users[0].username);
   const blog = new Blog({
     title: 'forid',
-    url: 'whocares',
+    url: 'http://whocares.com',
     user: user._id.toString(),
   });
 
@@ -126,13 +163,37 @@ const getUserAuthData = async (username) => {
   if (!user) {
     return null;
   }
-  const userInfo = {
-    id: user._id.toString(),
-    username: user.username,
-  };
-  const token = jwt.sign(userInfo, config.SECRET, { expiresIn: 3600 });
+  const { token, refreshToken } = await sessions.createSession(user);
 
-  return { user: user, token };
+  return { user: user, token, refreshToken };
+};
+
+// serves canned html pages from a local port, pages map a path to either
+// an html string or a { status, headers, body } response
+const startPageServer = async (pages) => {
+  const server = http.createServer((request, response) => {
+    const page = pages[request.url];
+    if (page === undefined) {
+      response.writeHead(404).end();
+      return;
+    }
+
+    const {
+      status = 200,
+      headers = {},
+      body = '',
+    } = typeof page === 'string' ? { body: page } : page;
+    response
+      .writeHead(status, { 'content-type': 'text/html', ...headers })
+      .end(body);
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
 };
 
 module.exports = {
@@ -140,9 +201,12 @@ module.exports = {
   resetDb,
   getBlogFromDb,
   getUserFromDb,
+  getSessionFromDb,
+  setUserRole,
   blogsInDb,
   usersInDb,
   getExistingId,
   getNonExistentId,
   getUserAuthData,
+  startPageServer,
 };
@@ -0,0 +1,87 @@
+const totp = require('../utils/totp');
+const twoFactor = require('../utils/two_factor');
+
+// the SHA1 secret and times of the RFC 6238 test vectors, the expected
+// codes are the last six digits of the ones listed there
+const secret = totp.toBase32(Buffer.from('12345678901234567890'));
+const at = (seconds) => seconds * 1000;
+
+describe('base32', () => {
+  test('round trips the secret', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.fromBase32(secret.toLowerCase()).toString()).toBe(
+      '12345678901234567890'
+    );
+  });
+
+  test('refuses characters outside the alphabet', () => {
+    expect(() => totp.fromBase32('ABC1')).toThrow('invalid base32 character 1');
+  });
+});
+
+describe('generateCode', () => {
+  test('matches the RFC 6238 test vectors', () => {
+    expect(totp.generateCode(secret, at(59))).toBe('287082');
+    expect(totp.generateCode(secret, at(1111111109))).toBe('081804');
+    expect(totp.generateCode(secret, at(1111111111))).toBe('050471');
+    expect(totp.generateCode(secret, at(1234567890))).toBe('005924');
+    expect(totp.generateCode(secret, at(2000000000))).toBe('279037');
+    expect(totp.generateCode(secret, at(20000000000))).toBe('353130');
+  });
+});
+
+describe('verifyCode', () => {
+  const now = at(1111111111);
+
+  test('answers with the step of the matching code', () => {
+    expect(totp.verifyCode(secret, '050471', { now })).toBe(37037037);
+    expect(totp.verifyCode(secret, '050 471', { now })).toBe(37037037);
+  });
+
+  test('accepts codes from one step before and after', () => {
+    expect(totp.verifyCode(secret, '081804', { now })).toBe(37037036);
+    expect(
+      totp.verifyCode(secret, totp.generateCode(secret, now + 30000), { now })
+    ).toBe(37037038);
+    expect(
+      totp.verifyCode(secret, totp.generateCode(secret, now + 60000), { now })
+    ).toBeNull();
+  });
+
+  test('refuses codes from steps that were already used', () => {
+    expect(
+      totp.verifyCode(secret, '050471', { now, after: 37037037 })
+    ).toBeNull();
+    expect(
+      totp.verifyCode(secret, '081804', { now, after: 37037036 })
+    ).toBeNull();
+  });
+
+  test('refuses anything that is not a six digit code', () => {
+    expect(totp.verifyCode(secret, '50471', { now })).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef', { now })).toBeNull();
+    expect(totp.verifyCode(secret, undefined, { now })).toBeNull();
+  });
+});
+
+describe('provisioningUri', () => {
+  test('names the issuer and the account', () => {
+    expect(
+      totp.provisioningUri({ secret, account: 'jane doe', issuer: 'bloglist' })
+    ).toBe(
+      `otpauth://totp/bloglist:jane%20doe?secret=${secret}&issuer=bloglist&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
+
+describe('recovery codes', () => {
+  test('are unique and hash the same however they are typed', () => {
+    const codes = twoFactor.generateRecoveryCodes();
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach((code) => expect(code).toMatch(/^[a-f\d]{5}-[a-f\d]{5}$/));
+
+    expect(twoFactor.hashRecoveryCode(' AB12C-3D4E5 ')).toBe(
+      twoFactor.hashRecoveryCode('ab12c3d4e5')
+    );
+  });
+});
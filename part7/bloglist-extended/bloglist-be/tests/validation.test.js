@@ -0,0 +1,179 @@
+const supertest = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const validation = require('../utils/validation');
+
+const api = supertest(app);
+
+describe('check', () => {
+  const schema = {
+    type: 'object',
+    required: ['title', 'url'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      url: { type: 'string', format: 'uri' },
+      likes: { type: 'integer', minimum: 0 },
+      tags: {
+        anyOf: [
+          { type: 'array', items: { type: 'string' }, maxItems: 2 },
+          { type: 'string' },
+        ],
+      },
+      parent: { type: 'string', format: 'objectId', nullable: true },
+    },
+  };
+
+  test('accepts values that follow the schema', () => {
+    expect(
+      validation.check(
+        schema,
+        { title: 'a', url: 'http://a.example', tags: 'a,b', parent: null },
+        ''
+      )
+    ).toEqual([]);
+  });
+
+  test('reports every problem with the field it belongs to', () => {
+    expect(
+      validation.check(schema, { title: '', likes: -1, tags: [1] }, '')
+    ).toEqual([
+      { field: 'url', message: 'url is required' },
+      { field: 'title', message: 'title must not be empty' },
+      { field: 'likes', message: 'likes must be at least 0' },
+      { field: 'tags[0]', message: 'tags[0] must be a string' },
+    ]);
+  });
+
+  test('reports the constraints of the option matching the type', () => {
+    expect(
+      validation.check(schema.properties.tags, ['a', 'b', 'c'], 'tags')
+    ).toEqual([{ field: 'tags', message: 'tags can have at most 2 items' }]);
+    expect(validation.check(schema.properties.tags, 3, 'tags')).toEqual([
+      { field: 'tags', message: 'tags must be a list or a string' },
+    ]);
+  });
+
+  test('resolves references into the document', () => {
+    expect(
+      validation.check(
+        { $ref: '#/components/parameters/limit/schema' },
+        0,
+        'limit'
+      )
+    ).toEqual([{ field: 'limit', message: 'limit must be at least 1' }]);
+  });
+});
+
+describe('validate', () => {
+  test('every route is checked against a documented operation', () => {
+    const validated = app._router.stack
+      .filter((layer) => layer.name === 'router')
+      .flatMap((layer) => layer.handle.stack)
+      .filter((layer) => layer.route)
+      .map((layer) => {
+        const validator = layer.route.stack.find(
+          (routeLayer) => routeLayer.handle.operationId
+        );
+        expect(validator).toBeDefined();
+        return validator.handle.operationId;
+      });
+
+    expect([...validated].sort()).toEqual([...validation.operationIds].sort());
+  });
+
+  test('refuses operations that are not documented', () => {
+    expect(() => validation.validate('doesNotExist')).toThrow(
+      'operation doesNotExist is not in the OpenAPI document'
+    );
+  });
+
+  test('rejects bad query parameters with a problem', async () => {
+    const response = await api
+      .get('/api/blogs')
+      .query({ sort: 'url', limit: 'many' })
+      .expect(400)
+      .expect('Content-Type', /application\/problem\+json/);
+
+    expect(response.body).toEqual({
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      detail:
+        'limit must be an integer, sort must be one of: likes, title, createdAt',
+      instance: '/api/blogs?sort=url&limit=many',
+      code: 'VALIDATION_FAILED',
+      message:
+        'limit must be an integer, sort must be one of: likes, title, createdAt',
+      details: [
+        {
+          location: 'query',
+          field: 'limit',
+          message: 'limit must be an integer',
+        },
+        {
+          location: 'query',
+          field: 'sort',
+          message: 'sort must be one of: likes, title, createdAt',
+        },
+      ],
+      error:
+        'limit must be an integer, sort must be one of: likes, title, createdAt',
+    });
+  });
+
+  test('rejects malformed path parameters', async () => {
+    const response = await api.get('/api/blogs/not-an-id').expect(400);
+    expect(response.body.details).toEqual([
+      { location: 'path', field: 'id', message: 'id must be a valid id' },
+    ]);
+  });
+
+  test('rejects bodies that do not match the document', async () => {
+    const response = await api
+      .post('/api/users')
+      .send({ username: 'ab', email: 'nope' })
+      .expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+    expect(response.body.details).toEqual([
+      {
+        location: 'body',
+        field: 'password',
+        message: 'password is required',
+      },
+      {
+        location: 'body',
+        field: 'username',
+        message: 'username must be at least 3 characters long',
+      },
+      {
+        location: 'body',
+        field: 'email',
+        message: 'email must be a valid email',
+      },
+    ]);
+  });
+
+  test('rejects query parameters given as objects', async () => {
+    const response = await api.get('/api/blogs?author[$ne]=nobody').expect(400);
+    expect(response.body.details[0].message).toBe('author must be a string');
+  });
+});
+
+describe('GET /api/docs', () => {
+  test('serves the OpenAPI document', async () => {
+    const response = await api
+      .get('/api/docs')
+      .expect(200)
+      .expect('Content-Type', /application\/json/);
+
+    expect(response.body.openapi).toMatch(/^3\./);
+    expect(response.body.paths['/api/blogs/{id}'].get.operationId).toBe(
+      'getBlog'
+    );
+  });
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const visibility = require('../utils/visibility');
+
+const owner = { _id: new mongoose.Types.ObjectId() };
+owner.id = owner._id.toString();
+const stranger = { _id: new mongoose.Types.ObjectId() };
+stranger.id = stranger._id.toString();
+
+const blogOf = (user, blogVisibility) => ({
+  user: user._id,
+  visibility: blogVisibility,
+});
+
+describe('canView', () => {
+  test('opens public and unlisted blogs to everyone', () => {
+    ['public', 'unlisted'].forEach((blogVisibility) => {
+      expect(visibility.canView(blogOf(owner, blogVisibility), null)).toBe(
+        true
+      );
+      expect(visibility.canView(blogOf(owner, blogVisibility), stranger)).toBe(
+        true
+      );
+    });
+  });
+
+  test('opens private and draft blogs only to their owner', () => {
+    ['private', 'draft'].forEach((blogVisibility) => {
+      const blog = blogOf(owner, blogVisibility);
+      expect(visibility.canView(blog, null)).toBe(false);
+      expect(visibility.canView(blog, stranger)).toBe(false);
+      expect(visibility.canView(blog, owner)).toBe(true);
+    });
+  });
+
+  test('recognizes the owner of a blog whose user is populated', () => {
+    const blog = { user: owner, visibility: 'private' };
+    expect(visibility.canView(blog, owner)).toBe(true);
+  });
+
+  test('treats blogs without a visibility as public', () => {
+    expect(visibility.canView({ user: owner._id }, null)).toBe(true);
+    expect(visibility.isListed({ user: owner._id })).toBe(true);
+  });
+});
+
+describe('listedFilter', () => {
+  test('matches public blogs and the ones saved before visibility', () => {
+    expect(visibility.listedFilter(null)).toEqual({
+      visibility: { $in: ['public', null] },
+    });
+  });
+
+  test('adds every blog of the user', () => {
+    expect(visibility.listedFilter(owner)).toEqual({
+      $or: [{ visibility: { $in: ['public', null] } }, { user: owner._id }],
+    });
+  });
+});
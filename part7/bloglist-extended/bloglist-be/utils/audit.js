@@ -0,0 +1,53 @@
+const AuditLog = require('../models/audit_log');
+const logger = require('./logger');
+
+const SENSITIVE_FIELDS = [
+  'password',
+  'passwordHash',
+  'refreshTokenHash',
+  'twoFactor',
+];
+
+// documents are stored the way the API shows them, minus anything secret
+const snapshot = (data) => {
+  if (data === undefined || data === null) {
+    return null;
+  }
+
+  return JSON.parse(
+    JSON.stringify(data, (key, value) =>
+      SENSITIVE_FIELDS.includes(key) ? undefined : value
+    )
+  );
+};
+
+// an audit entry that can't be written is logged but never fails the
+// request, the change it describes has already happened
+const record = async (
+  request,
+  action,
+  { target, before, after, actor = request.user, username } = {}
+) => {
+  try {
+    await AuditLog.create({
+      actor: actor?._id ?? null,
+      username: username ?? actor?.username,
+      action,
+      targetType: target?.type,
+      targetId: target?.id,
+      before: snapshot(before),
+      after: snapshot(after),
+      requestId: request.id,
+      ip: request.ip,
+    });
+  } catch (error) {
+    (request.log ?? logger).error('could not write audit log', {
+      action,
+      error,
+    });
+  }
+};
+
+module.exports = {
+  record,
+};
@@ -0,0 +1,204 @@
+const { decodeEntities, escapeXml, parseAttributes } = require('./markup');
+
+const FIELDS = [
+  'title',
+  'author',
+  'url',
+  'likes',
+  'tags',
+  'description',
+  'image',
+  'visibility',
+];
+
+const formats = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  opml: { contentType: 'text/x-opml', extension: 'opml' },
+};
+
+const formatOfContentType = (contentType = '') => {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  if (mimeType === 'application/json') return 'json';
+  if (mimeType === 'text/csv') return 'csv';
+  if (['text/x-opml', 'text/xml', 'application/xml'].includes(mimeType)) {
+    return 'opml';
+  }
+  return null;
+};
+
+const toRecord = (blog) => ({
+  title: blog.title,
+  author: blog.author ?? '',
+  url: blog.url,
+  likes: blog.likes ?? 0,
+  tags: blog.tags ?? [],
+  description: blog.description ?? '',
+  image: blog.image ?? '',
+  visibility: blog.visibility ?? 'public',
+});
+
+const csvCell = (value) => {
+  const text = Array.isArray(value) ? value.join(',') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (blogs) =>
+  [FIELDS, ...blogs.map((blog) => FIELDS.map((field) => toRecord(blog)[field]))]
+    .map((row) => row.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+
+const toOpml = (blogs, title) => {
+  const outlines = blogs.map(toRecord).map((blog) => {
+    const attributes = {
+      type: 'link',
+      text: blog.title,
+      title: blog.title,
+      url: blog.url,
+      author: blog.author,
+      category: blog.tags.join(','),
+      description: blog.description,
+      image: blog.image,
+      visibility: blog.visibility,
+    };
+    const attributeList = Object.entries(attributes)
+      .filter(([, value]) => value !== '')
+      .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+      .join(' ');
+    return `    <outline ${attributeList}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...outlines,
+    '  </body>',
+    '</opml>',
+    '',
+  ].join('\n');
+};
+
+const serialize = (format, blogs, title) => {
+  if (format === 'csv') return toCsv(blogs);
+  if (format === 'opml') return toOpml(blogs, title);
+  return JSON.stringify(blogs.map(toRecord), null, 2);
+};
+
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows.push(row.concat(cell));
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    rows.push(row.concat(cell));
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  if (!columns.includes('url')) {
+    throw new Error('the header row must contain a url column');
+  }
+
+  return rows.map((cells) =>
+    Object.fromEntries(
+      columns
+        .map((column, idx) => [column, cells[idx]])
+        .filter(([column, value]) => FIELDS.includes(column) && value)
+    )
+  );
+};
+
+// folder outlines without any url are only containers and are skipped
+const parseOpml = (text) => {
+  if (!/<opml[\s>]/i.test(text)) {
+    throw new Error('missing <opml> element');
+  }
+
+  return [...text.matchAll(/<outline\b[^>]*>/gi)]
+    .map(([tag]) => parseAttributes(tag))
+    .filter((attributes) => attributes.url ?? attributes.htmlurl)
+    .map((attributes) => {
+      const decoded = Object.fromEntries(
+        Object.entries(attributes).map(([name, value]) => [
+          name,
+          decodeEntities(value),
+        ])
+      );
+      return {
+        title: decoded.title ?? decoded.text,
+        author: decoded.author,
+        url: decoded.url ?? decoded.htmlurl,
+        tags: decoded.category,
+        description: decoded.description,
+        image: decoded.image,
+        visibility: decoded.visibility,
+      };
+    });
+};
+
+const parseJson = (body) => {
+  const data = typeof body === 'string' ? JSON.parse(body) : body;
+  const rows = Array.isArray(data) ? data : data?.blogs;
+  if (!Array.isArray(rows)) {
+    throw new Error('expected an array of blogs');
+  }
+  return rows;
+};
+
+const parse = (format, body) => {
+  if (format === 'json') return parseJson(body);
+  if (typeof body !== 'string') {
+    throw new Error(`expected a ${format} document`);
+  }
+  return format === 'csv' ? parseCsv(body) : parseOpml(body);
+};
+
+module.exports = {
+  formats,
+  formatOfContentType,
+  serialize,
+  parse,
+};
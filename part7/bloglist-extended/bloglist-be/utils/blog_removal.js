@@ -0,0 +1,33 @@
+const Blog = require('../models/blog');
+const BlogRevision = require('../models/blog_revision');
+const Collection = require('../models/collection');
+const Comment = require('../models/comment');
+const Like = require('../models/like');
+const Notification = require('../models/notification');
+const ReadingListItem = require('../models/reading_list_item');
+const User = require('../models/user');
+
+// everything that points at a blog goes with it, whoever removes it
+const removeBlogs = async (blogIds) => {
+  await Comment.deleteMany({ blog: { $in: blogIds } });
+  await Like.deleteMany({ blog: { $in: blogIds } });
+  await Notification.deleteMany({ blog: { $in: blogIds } });
+  await BlogRevision.deleteMany({ blog: { $in: blogIds } });
+  await ReadingListItem.deleteMany({ blog: { $in: blogIds } });
+  await Collection.updateMany(
+    { blogs: { $in: blogIds } },
+    { $pull: { blogs: { $in: blogIds } } }
+  );
+  await User.updateMany(
+    { blogs: { $in: blogIds } },
+    { $pull: { blogs: { $in: blogIds } } }
+  );
+  await Blog.deleteMany({ _id: { $in: blogIds } });
+};
+
+const removeBlog = (blog) => removeBlogs([blog._id]);
+
+module.exports = {
+  removeBlog,
+  removeBlogs,
+};
@@ -0,0 +1,18 @@
+// from the role that can do the most to the one that can do the least
+const COLLECTION_ROLES = ['owner', 'editor', 'viewer'];
+
+const hasRole = (member, role) =>
+  Boolean(member) &&
+  COLLECTION_ROLES.indexOf(member.role) <= COLLECTION_ROLES.indexOf(role);
+
+// a new order has to name every blog it rearranges exactly once
+const sameBlogs = (blogs, order) => {
+  const sorted = (ids) => ids.map(String).sort();
+  return JSON.stringify(sorted(blogs)) === JSON.stringify(sorted(order));
+};
+
+module.exports = {
+  COLLECTION_ROLES,
+  hasRole,
+  sameBlogs,
+};
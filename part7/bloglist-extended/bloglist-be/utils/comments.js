@@ -0,0 +1,22 @@
+const Blog = require('../models/blog');
+const events = require('./events');
+const visibility = require('./visibility');
+
+// a removed comment stays in its thread without its text, so replies keep
+// their parent and notifications keep their comment
+const removeComment = async (request, comment) => {
+  comment.deletedAt = new Date();
+  await comment.save();
+
+  const blog = await Blog.findById(comment.blog, { visibility: 1 });
+  if (blog && visibility.isListed(blog)) {
+    events.publish(request, 'comment.deleted', {
+      id: comment.id,
+      blog: comment.blog.toString(),
+    });
+  }
+};
+
+module.exports = {
+  removeComment,
+};
@@ -6,6 +6,29 @@ const MONGODB_URI =
   NODE_ENV === 'test' ? process.env.TEST_MONGODB_URI : process.env.MONGODB_URI;
 const SECRET = process.env.SECRET;
 const HASH_SALT_ROUNDS = +process.env.HASH_SALT_ROUNDS ?? 10;
+const ACCESS_TOKEN_EXPIRES_IN = +process.env.ACCESS_TOKEN_EXPIRES_IN || 3600;
+const REFRESH_TOKEN_EXPIRES_IN =
+  +process.env.REFRESH_TOKEN_EXPIRES_IN || 30 * 24 * 3600;
+const LOGIN_THROTTLE_STORE =
+  process.env.LOGIN_THROTTLE_STORE ??
+  (NODE_ENV === 'test' ? 'memory' : 'mongo');
+const LOGIN_MAX_FAILURES = +process.env.LOGIN_MAX_FAILURES || 10;
+const LOGIN_LOCKOUT_SECONDS = +process.env.LOGIN_LOCKOUT_SECONDS || 15 * 60;
+const PASSWORD_POLICY = {
+  minLength: +process.env.PASSWORD_MIN_LENGTH || 8,
+  requireLetter: process.env.PASSWORD_REQUIRE_LETTER !== 'false',
+  requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+};
+const PASSWORD_RESET_EXPIRES_IN =
+  +process.env.PASSWORD_RESET_EXPIRES_IN || 3600;
+const APP_URL = process.env.APP_URL ?? 'http://localhost:5173';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER ?? 'bloglist';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN =
+  +process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || 5 * 60;
+const LINK_CHECK_INTERVAL = +(process.env.LINK_CHECK_INTERVAL ?? 3600);
+const LINK_CHECK_MAX_AGE = +process.env.LINK_CHECK_MAX_AGE || 7 * 24 * 3600;
+const LINK_CHECK_BATCH_SIZE = +process.env.LINK_CHECK_BATCH_SIZE || 50;
 
 module.exports = {
   NODE_ENV,
@@ -13,4 +36,17 @@ module.exports = {
   MONGODB_URI,
   SECRET,
   HASH_SALT_ROUNDS,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_IN,
+  LOGIN_THROTTLE_STORE,
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_SECONDS,
+  PASSWORD_POLICY,
+  PASSWORD_RESET_EXPIRES_IN,
+  APP_URL,
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+  LINK_CHECK_INTERVAL,
+  LINK_CHECK_MAX_AGE,
+  LINK_CHECK_BATCH_SIZE,
 };
@@ -0,0 +1,154 @@
+const http = require('http');
+
+// routes throw these to answer with something other than a 500, the error
+// handler turns every one of them into a problem+json response
+class HttpError extends Error {
+  constructor(status, message, { code, details = [] } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message, { code = 'BAD_REQUEST', details } = {}) {
+    super(400, message, { code, details });
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message, { code = 'UNAUTHORIZED', details } = {}) {
+    super(401, message, { code, details });
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message, { code = 'FORBIDDEN', details } = {}) {
+    super(403, message, { code, details });
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message, { code = 'NOT_FOUND', details } = {}) {
+    super(404, message, { code, details });
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message, { code = 'CONFLICT', details } = {}) {
+    super(409, message, { code, details });
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message, { code = 'TOO_MANY_REQUESTS', details } = {}) {
+    super(429, message, { code, details });
+  }
+}
+
+class BadGatewayError extends HttpError {
+  constructor(message, { code = 'BAD_GATEWAY', details } = {}) {
+    super(502, message, { code, details });
+  }
+}
+
+const validationFailed = (details) =>
+  new BadRequestError(details.map((detail) => detail.message).join(', '), {
+    code: 'VALIDATION_FAILED',
+    details,
+  });
+
+const notFound = (type, id) =>
+  new NotFoundError(`${type} with id:${id} could not be found`);
+
+// anything thrown by mongoose, jsonwebtoken or body-parser that the client
+// is to blame for, everything else is a bug and answers with a bare 500
+const toHttpError = (error) => {
+  if (error instanceof HttpError) {
+    return error;
+  }
+
+  switch (error.name) {
+    case 'CastError':
+      return new BadRequestError('malformatted id', {
+        code: 'VALIDATION_FAILED',
+        details: [
+          { field: error.path, message: `${error.path} must be a valid id` },
+        ],
+      });
+    case 'ValidationError': {
+      const fieldErrors = Object.values(error.errors);
+      const details = fieldErrors.map((fieldError) => ({
+        field: fieldError.path,
+        message: fieldError.message,
+      }));
+      return fieldErrors.every((fieldError) => fieldError.kind === 'unique')
+        ? new ConflictError(error.message, { code: 'DUPLICATE', details })
+        : new BadRequestError(error.message, {
+            code: 'VALIDATION_FAILED',
+            details,
+          });
+    }
+    case 'JsonWebTokenError':
+      return new UnauthorizedError('JWT invalid', { code: 'TOKEN_INVALID' });
+    case 'TokenExpiredError':
+      return new UnauthorizedError('JWT expired', { code: 'TOKEN_EXPIRED' });
+  }
+
+  // a unique index refused the write, usually a race the checks before it
+  // could not see
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue ?? {});
+    return new ConflictError(
+      `a record with the same ${fields.join(', ') || 'key'} already exists`,
+      {
+        code: 'DUPLICATE',
+        details: fields.map((field) => ({
+          field,
+          message: `${field} must be unique`,
+        })),
+      }
+    );
+  }
+
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new HttpError(error.status, error.message, {
+      code: error.type?.toUpperCase().replace(/\W/g, '_') ?? 'BAD_REQUEST',
+    });
+  }
+
+  return new HttpError(500, 'internal server error', {
+    code: 'INTERNAL_ERROR',
+  });
+};
+
+// RFC 7807 members plus code and details, message and error repeat the
+// detail for clients written against the earlier error bodies
+const toProblem = (error, request) => ({
+  type: 'about:blank',
+  title: http.STATUS_CODES[error.status],
+  status: error.status,
+  detail: error.message,
+  instance: request.originalUrl,
+  code: error.code,
+  details: error.details,
+  message: error.message,
+  error: error.message,
+});
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  BadGatewayError,
+  validationFailed,
+  notFound,
+  toHttpError,
+  toProblem,
+};
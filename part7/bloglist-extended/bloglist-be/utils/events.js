@@ -0,0 +1,52 @@
+const { EventEmitter } = require('events');
+const visibility = require('./visibility');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+
+// data is serialized right away so a listener sees the document the way
+// the API returned it, not whatever it has been changed into since
+const publish = (request, type, data) => {
+  const actor = request.user;
+  const event = {
+    id: ++lastEventId,
+    type,
+    actor: actor
+      ? { id: actor.id, username: actor.username, name: actor.name }
+      : null,
+    data: JSON.parse(JSON.stringify(data)),
+  };
+
+  emitter.emit('event', event);
+  return event;
+};
+
+// the event stream is open to anyone, so only listed blogs show up on it,
+// one that gets hidden is announced as deleted for clients to drop it
+const publishBlogChange = (request, before, blog) => {
+  if (visibility.isListed(blog)) {
+    publish(
+      request,
+      visibility.isListed(before) ? 'blog.updated' : 'blog.created',
+      { blog }
+    );
+  } else if (visibility.isListed(before)) {
+    publish(request, 'blog.deleted', { id: blog.id });
+  }
+};
+
+const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+const subscriberCount = () => emitter.listenerCount('event');
+
+module.exports = {
+  publish,
+  publishBlogChange,
+  subscribe,
+  subscriberCount,
+};
@@ -0,0 +1,69 @@
+const SNIPPET_CONTEXT = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// mirrors how MongoDB reads a $text search: quotes group phrases and a
+// leading dash excludes a term, so excluded terms are never highlighted
+const searchTerms = (query) => {
+  if (!query) {
+    return [];
+  }
+
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map((match) => match[1]);
+  const words = query
+    .replace(/"[^"]*"/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'));
+
+  return [...phrases, ...words]
+    .map((term) => term.trim().toLowerCase())
+    .filter((term, idx, terms) => term && terms.indexOf(term) === idx)
+    .sort((a, b) => b.length - a.length);
+};
+
+const segment = (text, terms) => {
+  if (terms.length === 0) {
+    return [{ text, match: false }];
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .filter((part) => part !== '')
+    .map((part) => ({
+      text: part,
+      match: terms.includes(part.toLowerCase()),
+    }));
+};
+
+// returns the part of the text around the first match split into segments,
+// so clients can render matches without trusting server generated markup
+const highlight = (text, query, context = SNIPPET_CONTEXT) => {
+  if (!text) {
+    return [];
+  }
+
+  const terms = searchTerms(query);
+  const lowerText = text.toLowerCase();
+  const firstMatch = terms
+    .map((term) => lowerText.indexOf(term))
+    .filter((index) => index !== -1)
+    .reduce((min, index) => Math.min(min, index), Infinity);
+
+  const start = firstMatch === Infinity ? 0 : Math.max(0, firstMatch - context);
+  const end = Math.min(
+    text.length,
+    (firstMatch === Infinity ? 0 : firstMatch) + context * 2
+  );
+
+  const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${
+    end < text.length ? '…' : ''
+  }`;
+
+  return segment(snippet, terms);
+};
+
+module.exports = {
+  searchTerms,
+  highlight,
+};
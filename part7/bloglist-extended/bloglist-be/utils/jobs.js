@@ -0,0 +1,91 @@
+const logger = require('./logger');
+
+const jobs = new Map();
+
+const register = (name, { interval, run }) => {
+  jobs.set(name, {
+    name,
+    interval,
+    run,
+    timer: null,
+    pending: null,
+    lastRun: null,
+  });
+};
+
+const execute = async (job) => {
+  const startedAt = new Date();
+  try {
+    const result = await job.run();
+    job.lastRun = { startedAt, finishedAt: new Date(), result, error: null };
+    logger.info('job finished', { job: job.name, ...result });
+    return result;
+  } catch (error) {
+    job.lastRun = {
+      startedAt,
+      finishedAt: new Date(),
+      result: null,
+      error: error.message,
+    };
+    logger.error('job failed', { job: job.name, error });
+    throw error;
+  }
+};
+
+// a run that is already in progress is shared rather than started twice
+const run = (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    return Promise.reject(new Error(`unknown job ${name}`));
+  }
+
+  if (!job.pending) {
+    job.pending = execute(job).finally(() => {
+      job.pending = null;
+    });
+  }
+  return job.pending;
+};
+
+// the next run is only scheduled once the previous one is over, so a slow
+// run can't pile up behind itself
+const scheduleNext = (job) => {
+  job.timer = setTimeout(async () => {
+    await run(job.name).catch(() => {});
+    if (job.timer) {
+      scheduleNext(job);
+    }
+  }, job.interval * 1000);
+  job.timer.unref();
+};
+
+const start = () => {
+  jobs.forEach((job) => {
+    if (job.interval > 0 && !job.timer) {
+      scheduleNext(job);
+    }
+  });
+};
+
+const stop = () => {
+  jobs.forEach((job) => {
+    clearTimeout(job.timer);
+    job.timer = null;
+  });
+};
+
+const list = () =>
+  [...jobs.values()].map(({ name, interval, pending, lastRun }) => ({
+    name,
+    interval,
+    running: pending !== null,
+    lastRun,
+  }));
+
+module.exports = {
+  register,
+  run,
+  start,
+  stop,
+  list,
+};
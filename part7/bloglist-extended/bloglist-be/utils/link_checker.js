@@ -0,0 +1,135 @@
+const Blog = require('../models/blog');
+const metadata = require('./metadata');
+
+const CHECK_TIMEOUT = 10000;
+const MAX_REDIRECTS = 5;
+const BROKEN_STATUSES = ['broken', 'unreachable'];
+
+// http clients take a url and resolve to { status, url } where url is the
+// address that finally answered, after redirects
+const createHttpClient = ({ allowPrivateHosts = false } = {}) => {
+  const request = async (url, method) => {
+    if (!allowPrivateHosts) {
+      await metadata.assertPublicHost(url);
+    }
+
+    const response = await fetch(url, {
+      method,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(CHECK_TIMEOUT),
+    });
+    await response.body?.cancel();
+    return response;
+  };
+
+  return async (url) => {
+    let currentUrl = metadata.parseHttpUrl(url);
+
+    for (let redirects = 0; currentUrl; redirects++) {
+      // plenty of servers answer HEAD with an error while the page is fine
+      let response = await request(currentUrl, 'HEAD');
+      if (response.status >= 400) {
+        response = await request(currentUrl, 'GET');
+      }
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error('too many redirects');
+        }
+        currentUrl = metadata.parseHttpUrl(new URL(location, currentUrl));
+        continue;
+      }
+
+      return { status: response.status, url: currentUrl.toString() };
+    }
+
+    throw new Error('only http and https urls can be checked');
+  };
+};
+
+let httpClient = createHttpClient();
+
+const setHttpClient = (newHttpClient) => {
+  httpClient = newHttpClient ?? createHttpClient();
+};
+
+const checkUrl = async (url) => {
+  const checkedAt = new Date();
+
+  try {
+    const response = await httpClient(url);
+    const redirectTo =
+      response.url !== metadata.parseHttpUrl(url)?.toString()
+        ? response.url
+        : null;
+
+    let status = 'broken';
+    if (response.status < 400) {
+      status = redirectTo ? 'redirected' : 'ok';
+    }
+
+    return {
+      url,
+      status,
+      statusCode: response.status,
+      redirectTo,
+      error: null,
+      checkedAt,
+    };
+  } catch (error) {
+    return {
+      url,
+      status: 'unreachable',
+      statusCode: null,
+      redirectTo: null,
+      error: error.cause?.message ?? error.message,
+      checkedAt,
+    };
+  }
+};
+
+// a result only counts while the blog still points at the url that was
+// checked, an edited url is due for a check right away
+const currentCheck = { $expr: { $eq: ['$linkCheck.url', '$url'] } };
+
+const brokenFilter = {
+  'linkCheck.status': { $in: BROKEN_STATUSES },
+  ...currentCheck,
+};
+
+const checkStaleLinks = async ({ maxAge, batchSize }) => {
+  const checkedBefore = new Date(Date.now() - maxAge * 1000);
+  const blogs = await Blog.find(
+    {
+      $or: [
+        { 'linkCheck.checkedAt': { $not: { $gt: checkedBefore } } },
+        { $expr: { $ne: ['$linkCheck.url', '$url'] } },
+      ],
+    },
+    { url: 1 }
+  )
+    .sort({ 'linkCheck.checkedAt': 1, _id: 1 })
+    .limit(batchSize);
+
+  // one at a time, a batch shouldn't look like an attack to the sites in it
+  let broken = 0;
+  for (const blog of blogs) {
+    const linkCheck = await checkUrl(blog.url);
+    await Blog.updateOne({ _id: blog._id, url: blog.url }, { linkCheck });
+    if (BROKEN_STATUSES.includes(linkCheck.status)) {
+      broken++;
+    }
+  }
+
+  return { checked: blogs.length, broken };
+};
+
+module.exports = {
+  BROKEN_STATUSES,
+  createHttpClient,
+  setHttpClient,
+  checkUrl,
+  brokenFilter,
+  checkStaleLinks,
+};
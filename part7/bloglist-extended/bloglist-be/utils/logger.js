@@ -1,16 +1,43 @@
-const info = (...params) => {
-  if (process.env.NODE_ENV !== 'test') {
-    console.log(...params);
-  }
+const levels = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
 };
 
-const error = (...params) => {
-  if (process.env.NODE_ENV !== 'test') {
-    console.log(params);
+const minLevel = levels[process.env.LOG_LEVEL] ?? levels.info;
+
+const serialize = (value) =>
+  value instanceof Error
+    ? { name: value.name, message: value.message, stack: value.stack }
+    : value;
+
+// one JSON object per line, so log collectors can index every field
+const write = (level, context, message, fields = {}) => {
+  if (process.env.NODE_ENV === 'test' || levels[level] < minLevel) {
+    return;
   }
-};
 
-module.exports = {
-  info,
-  error,
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...context,
+    ...Object.fromEntries(
+      Object.entries(fields).map(([key, value]) => [key, serialize(value)])
+    ),
+  };
+
+  const output = level === 'error' ? console.error : console.log;
+  output(JSON.stringify(entry));
 };
+
+const createLogger = (context = {}) => ({
+  debug: (message, fields) => write('debug', context, message, fields),
+  info: (message, fields) => write('info', context, message, fields),
+  warn: (message, fields) => write('warn', context, message, fields),
+  error: (message, fields) => write('error', context, message, fields),
+  child: (fields) => createLogger({ ...context, ...fields }),
+});
+
+module.exports = createLogger();
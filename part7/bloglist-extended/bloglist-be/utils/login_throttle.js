@@ -0,0 +1,247 @@
+const config = require('./config');
+const LoginAttempt = require('../models/login_attempt');
+
+// failures are forgotten after this long without another failed attempt
+const FAILURE_WINDOW = 60 * 60 * 1000;
+
+const defaultPolicies = {
+  ip: {
+    freeAttempts: 10,
+    baseDelay: 1000,
+    maxDelay: 15 * 60 * 1000,
+  },
+  username: {
+    freeAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 15 * 60 * 1000,
+    lockoutThreshold: config.LOGIN_MAX_FAILURES,
+    lockoutDuration: config.LOGIN_LOCKOUT_SECONDS * 1000,
+  },
+};
+
+// stores keep { failures, blockedUntil, locked } per key and have to
+// increment atomically, several app instances may share a mongo store. A
+// lockout takes the whole entry with it when it ends, the account starts over
+const MEMORY_STORE_SWEEP_SIZE = 10000;
+
+const createMemoryStore = ({ now = Date.now } = {}) => {
+  const entries = new Map();
+
+  const sweep = () => {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  // synchronous so an increment can't interleave with another one
+  const current = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry ?? null;
+  };
+
+  return {
+    get: async (key) => current(key),
+    increment: async (key, expiresAt) => {
+      if (entries.size >= MEMORY_STORE_SWEEP_SIZE) {
+        sweep();
+      }
+      const entry = current(key) ?? { failures: 0 };
+      const updated = {
+        ...entry,
+        failures: entry.failures + 1,
+        expiresAt: Math.max(expiresAt, entry.expiresAt ?? 0),
+      };
+      entries.set(key, updated);
+      return updated.failures;
+    },
+    block: async (key, { blockedUntil, locked }) => {
+      const entry = entries.get(key);
+      entries.set(key, {
+        ...entry,
+        blockedUntil,
+        locked,
+        expiresAt: locked
+          ? blockedUntil
+          : Math.max(blockedUntil, entry.expiresAt),
+      });
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+const createMongoStore = () => ({
+  get: async (key) => {
+    const entry = await LoginAttempt.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    });
+    return entry
+      ? {
+          failures: entry.failures,
+          blockedUntil: entry.blockedUntil?.getTime(),
+          locked: entry.locked,
+        }
+      : null;
+  },
+  increment: async (key, expiresAt) => {
+    // an expired document may still be waiting for the TTL monitor
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date() } });
+    const entry = await LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $max: { expiresAt: new Date(expiresAt) } },
+      { upsert: true, new: true }
+    );
+    return entry.failures;
+  },
+  block: async (key, { blockedUntil, locked }) => {
+    const expiresAt = new Date(blockedUntil);
+    await LoginAttempt.updateOne(
+      { key },
+      locked
+        ? { $set: { blockedUntil: expiresAt, locked, expiresAt } }
+        : {
+            $set: { blockedUntil: expiresAt, locked },
+            $max: { expiresAt },
+          }
+    );
+  },
+  reset: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  },
+});
+
+const delayAfter = (failures, policy) => {
+  if (policy.lockoutThreshold && failures >= policy.lockoutThreshold) {
+    return { delay: policy.lockoutDuration, locked: true };
+  }
+  if (failures < policy.freeAttempts) {
+    return null;
+  }
+  return {
+    delay: Math.min(
+      policy.baseDelay * 2 ** (failures - policy.freeAttempts),
+      policy.maxDelay
+    ),
+    locked: false,
+  };
+};
+
+const createLoginThrottle = ({
+  store,
+  policies = defaultPolicies,
+  now = Date.now,
+}) => {
+  const keysFor = (ip, username) => ({
+    ip: `ip:${ip}`,
+    username: `username:${String(username ?? '').toLowerCase()}`,
+  });
+
+  // the longest block wins, an account lockout outranks any ip backoff
+  const strongestBlock = (blocks) => {
+    const current = blocks.filter(
+      (block) => block && block.blockedUntil > now()
+    );
+    if (current.length === 0) {
+      return null;
+    }
+
+    const blockedUntil = Math.max(
+      ...current.map((block) => block.blockedUntil)
+    );
+    return {
+      retryAfter: Math.ceil((blockedUntil - now()) / 1000),
+      locked: current.some((block) => block.locked),
+    };
+  };
+
+  const check = async (ip, username) => {
+    const keys = keysFor(ip, username);
+    return strongestBlock(
+      await Promise.all(Object.values(keys).map((key) => store.get(key)))
+    );
+  };
+
+  // the username attempt is counted before the password is compared, parallel
+  // guesses would all pass check() before the first failure got recorded
+  const attempt = async (ip, username) => {
+    const block = await check(ip, username);
+    if (block) {
+      return block;
+    }
+
+    const policy = policies.username;
+    const key = keysFor(ip, username).username;
+    const attempts = await store.increment(key, now() + FAILURE_WINDOW);
+    if (policy.lockoutThreshold && attempts > policy.lockoutThreshold) {
+      const lockout = {
+        blockedUntil: now() + policy.lockoutDuration,
+        locked: true,
+      };
+      await store.block(key, lockout);
+      return strongestBlock([lockout]);
+    }
+
+    return null;
+  };
+
+  // the username was counted by attempt() already, only the ip is counted here
+  const registerFailure = async (ip, username) => {
+    const keys = keysFor(ip, username);
+    const blocks = await Promise.all(
+      Object.entries(keys).map(async ([kind, key]) => {
+        const failures =
+          kind === 'username'
+            ? (await store.get(key))?.failures ?? 0
+            : await store.increment(key, now() + FAILURE_WINDOW);
+        const penalty = delayAfter(failures, policies[kind]);
+        if (!penalty) {
+          return null;
+        }
+
+        const block = {
+          blockedUntil: now() + penalty.delay,
+          locked: penalty.locked,
+        };
+        await store.block(key, block);
+        return block;
+      })
+    );
+    return strongestBlock(blocks);
+  };
+
+  const registerSuccess = async (ip, username) => {
+    await store.reset(keysFor(ip, username).username);
+  };
+
+  return { check, attempt, registerFailure, registerSuccess };
+};
+
+const createDefaultStore = () =>
+  config.LOGIN_THROTTLE_STORE === 'memory'
+    ? createMemoryStore()
+    : createMongoStore();
+
+let throttle = createLoginThrottle({ store: createDefaultStore() });
+
+const setStore = (store) => {
+  throttle = createLoginThrottle({ store: store ?? createDefaultStore() });
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createLoginThrottle,
+  setStore,
+  check: (ip, username) => throttle.check(ip, username),
+  attempt: (ip, username) => throttle.attempt(ip, username),
+  registerFailure: (ip, username) => throttle.registerFailure(ip, username),
+  registerSuccess: (ip, username) => throttle.registerSuccess(ip, username),
+};
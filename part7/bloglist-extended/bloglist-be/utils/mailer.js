@@ -0,0 +1,37 @@
+const logger = require('./logger');
+
+// a mailer is anything with send({ to, subject, text }) returning a promise,
+// a real transport can be plugged in with setMailer
+const createLogMailer = () => ({
+  send: async (message) => {
+    logger.info('mail not sent, no mail transport configured', {
+      to: message.to,
+      subject: message.subject,
+    });
+  },
+});
+
+const createOutboxMailer = () => {
+  const outbox = [];
+  return {
+    outbox,
+    send: async (message) => {
+      outbox.push({ ...message, sentAt: new Date() });
+    },
+  };
+};
+
+let mailer = createLogMailer();
+
+const setMailer = (newMailer) => {
+  mailer = newMailer ?? createLogMailer();
+};
+
+const send = (message) => mailer.send(message);
+
+module.exports = {
+  createLogMailer,
+  createOutboxMailer,
+  setMailer,
+  send,
+};
@@ -0,0 +1,180 @@
+const dns = require('dns').promises;
+const net = require('net');
+const { decodeEntities, parseAttributes } = require('./markup');
+
+const FETCH_TIMEOUT = 5000;
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+].forEach(([address, prefix]) =>
+  privateRanges.addSubnet(address, prefix, 'ipv4')
+);
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([address, prefix]) =>
+  privateRanges.addSubnet(address, prefix, 'ipv6')
+);
+
+const isPrivateAddress = ({ address, family }) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped
+    ? privateRanges.check(mapped[1], 'ipv4')
+    : privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const parseHttpUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+const isHttpUrl = (url) => parseHttpUrl(url) !== null;
+
+const assertPublicHost = async (url) => {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.lookup(hostname, { all: true });
+
+  if (addresses.some(isPrivateAddress)) {
+    throw new Error(`refusing to fetch private address ${url.hostname}`);
+  }
+};
+
+const readBody = async (response) => {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  while (size < MAX_HTML_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  await reader.cancel();
+
+  return Buffer.concat(chunks).subarray(0, MAX_HTML_BYTES).toString('utf8');
+};
+
+// fetchers take a url and resolve to { url, html } where url is the address
+// the html was finally served from, after redirects
+const createFetcher = ({ allowPrivateHosts = false } = {}) => {
+  return async (url) => {
+    let currentUrl = parseHttpUrl(url);
+
+    for (let redirects = 0; currentUrl; redirects++) {
+      if (!allowPrivateHosts) {
+        await assertPublicHost(currentUrl);
+      }
+
+      const response = await fetch(currentUrl, {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT),
+        headers: { accept: 'text/html,application/xhtml+xml' },
+      });
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error('too many redirects');
+        }
+        currentUrl = parseHttpUrl(new URL(location, currentUrl));
+        continue;
+      }
+
+      if (!response.ok) {
+        throw new Error(`request failed with status ${response.status}`);
+      }
+
+      const contentType = response.headers.get('content-type') ?? '';
+      if (!/text\/html|application\/xhtml\+xml/.test(contentType)) {
+        throw new Error(`unsupported content type ${contentType}`);
+      }
+
+      return { url: currentUrl.toString(), html: await readBody(response) };
+    }
+
+    throw new Error('only http and https urls can be fetched');
+  };
+};
+
+let fetcher = createFetcher();
+
+const setFetcher = (newFetcher) => {
+  fetcher = newFetcher ?? createFetcher();
+};
+
+const clean = (text) =>
+  text ? decodeEntities(text).replace(/\s+/g, ' ').trim() || null : null;
+
+const resolveUrl = (url, baseUrl) => {
+  if (!url) return null;
+  try {
+    const resolved = new URL(url, baseUrl);
+    return parseHttpUrl(resolved) ? resolved.toString() : null;
+  } catch {
+    return null;
+  }
+};
+
+// only the <head> is looked at, OpenGraph and twitter cards win over the
+// plain html tags since sites tend to keep those cleaner
+const extractMetadata = (html, pageUrl) => {
+  const head = html.split(/<body[\s>]/i)[0];
+
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property ?? attributes.name)?.toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  const titleTag = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const pick = (...keys) =>
+    keys.map((key) => clean(meta[key])).find((value) => value) ?? null;
+
+  return {
+    url: pageUrl,
+    title: pick('og:title', 'twitter:title') ?? clean(titleTag?.[1]),
+    author: pick('author', 'article:author', 'twitter:creator'),
+    description: pick('og:description', 'twitter:description', 'description'),
+    image: resolveUrl(
+      pick('og:image', 'og:image:url', 'twitter:image'),
+      pageUrl
+    ),
+    siteName: pick('og:site_name'),
+  };
+};
+
+const fetchMetadata = async (url) => {
+  const page = await fetcher(url);
+  return extractMetadata(page.html, page.url);
+};
+
+module.exports = {
+  createFetcher,
+  setFetcher,
+  extractMetadata,
+  fetchMetadata,
+  parseHttpUrl,
+  isHttpUrl,
+  assertPublicHost,
+};
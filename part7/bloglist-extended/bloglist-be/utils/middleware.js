@@ -1,25 +1,62 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const logger = require('./logger');
 const config = require('./config');
 const User = require('../models/user');
+const sessions = require('./sessions');
+const permissions = require('./permissions');
+const errors = require('./errors');
 
-const unknownEndpoint = (request, response) => {
-  response.status(404).send({ error: 'unknown endpoint' });
+// a request id sent by a proxy in front of us is kept so log lines can be
+// correlated across both, anything else gets a fresh one
+const requestLogger = (request, response, next) => {
+  const incomingId = request.get('x-request-id');
+  request.id =
+    incomingId && /^[\w-]{1,100}$/.test(incomingId)
+      ? incomingId
+      : crypto.randomUUID();
+  request.log = logger.child({ requestId: request.id });
+  response.set('X-Request-Id', request.id);
+
+  const startedAt = process.hrtime.bigint();
+  response.on('finish', () => {
+    const durationMs =
+      Number(process.hrtime.bigint() - startedAt) / Number(1000000n);
+    const level = response.statusCode >= 500 ? 'error' : 'info';
+    request.log[level]('request completed', {
+      method: request.method,
+      path: request.originalUrl,
+      status: response.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      userId: request.user?.id,
+      ip: request.ip,
+    });
+  });
+
+  next();
+};
+
+const unknownEndpoint = (request, response, next) => {
+  next(new errors.NotFoundError('unknown endpoint'));
 };
 
 const errorHandler = (error, request, response, next) => {
-  logger.error(error.message);
-
-  if (error.name === 'CastError') {
-    return response.status(400).send({ error: 'malformatted id' });
-  } else if (error.name === 'ValidationError') {
-    return response.status(400).json({ error: error.message });
-  } else if (error.name === 'JsonWebTokenError') {
-    return response.status(401).json({ error: 'JWT invalid' });
-  } else if (error.name === 'TokenExpiredError') {
-    return response.status(401).json({ error: 'JWT expired' });
+  if (response.headersSent) {
+    return next(error);
+  }
+
+  const httpError = errors.toHttpError(error);
+  const log = request.log ?? logger;
+  if (httpError.status >= 500) {
+    log.error('request failed', { error });
+  } else {
+    log.info('request rejected', { status: httpError.status, error });
   }
-  next(error);
+
+  response
+    .status(httpError.status)
+    .type('application/problem+json')
+    .json(errors.toProblem(httpError, request));
 };
 
 const tokenExtractor = (request, response, next) => {
@@ -40,12 +77,32 @@ const userExtractor = async (request, response, next) => {
   try {
     const decodedToken = jwt.verify(request.token, config.SECRET);
     if (!decodedToken.id) {
-      response.status(401).json({
-        error: 'JWT invalid',
+      throw new errors.UnauthorizedError('JWT invalid', {
+        code: 'TOKEN_INVALID',
+      });
+    }
+
+    const session = await sessions.findActiveSession(decodedToken.sid);
+    if (!session || session.user.toString() !== decodedToken.id) {
+      throw new errors.UnauthorizedError('session revoked', {
+        code: 'SESSION_REVOKED',
       });
     }
 
     request.user = await User.findById(decodedToken.id);
+    request.session = session;
+
+    if (!request.user) {
+      throw new errors.UnauthorizedError('JWT invalid', {
+        code: 'TOKEN_INVALID',
+      });
+    }
+
+    if (request.user.status !== 'active') {
+      throw new errors.ForbiddenError(`account ${request.user.status}`, {
+        code: 'ACCOUNT_INACTIVE',
+      });
+    }
 
     next();
   } catch (error) {
@@ -53,9 +110,24 @@ const userExtractor = async (request, response, next) => {
   }
 };
 
+// for routes anyone can use that show more to a logged in user, a token
+// that is sent still has to be valid
+const optionalUserExtractor = (request, response, next) =>
+  request.token ? userExtractor(request, response, next) : next();
+
+const requirePermission = (permission) => (request, response, next) => {
+  if (!permissions.can(request.user, permission)) {
+    return next(new errors.ForbiddenError('insufficient permissions'));
+  }
+  next();
+};
+
 module.exports = {
+  requestLogger,
   unknownEndpoint,
   errorHandler,
   tokenExtractor,
   userExtractor,
+  optionalUserExtractor,
+  requirePermission,
 };
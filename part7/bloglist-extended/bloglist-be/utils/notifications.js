@@ -0,0 +1,46 @@
+const Notification = require('../models/notification');
+const logger = require('./logger');
+
+const sameUser = (a, b) => a.toString() === b.toString();
+
+// like audit entries, a notification that can't be written must not fail
+// the request that caused it
+const notify = async (
+  request,
+  { recipient, type, blog, comment, actor = request.user._id }
+) => {
+  if (!recipient || sameUser(recipient, actor)) {
+    return;
+  }
+
+  try {
+    await Notification.create({ recipient, actor, type, blog, comment });
+  } catch (error) {
+    (request.log ?? logger).error('could not create notification', {
+      type,
+      error,
+    });
+  }
+};
+
+// a like that is taken back before it was seen isn't worth a notification
+const retractLike = async (request, blog) => {
+  try {
+    await Notification.deleteMany({
+      recipient: blog.user,
+      actor: request.user._id,
+      type: 'like',
+      blog: blog._id,
+      readAt: null,
+    });
+  } catch (error) {
+    (request.log ?? logger).error('could not retract notification', {
+      error,
+    });
+  }
+};
+
+module.exports = {
+  notify,
+  retractLike,
+};
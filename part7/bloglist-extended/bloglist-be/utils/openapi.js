@@ -0,0 +1,1696 @@
+const pagination = require('./pagination');
+const stats = require('./stats');
+const blogFormats = require('./blog_formats');
+const { MAX_TAGS } = require('./tags');
+const { ROLES, USER_STATUSES } = require('./permissions');
+const { VISIBILITIES } = require('./visibility');
+const { COLLECTION_ROLES } = require('./collections');
+
+const READING_STATUSES = ['to-read', 'read'];
+const NOTIFICATION_TYPES = ['comment', 'reply', 'like', 'follow'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const parameter = (name) => ({ $ref: `#/components/parameters/${name}` });
+const error = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const idParameter = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', format: 'objectId' },
+});
+
+const queryParameter = (name, schema, description) => ({
+  name,
+  in: 'query',
+  description,
+  schema,
+});
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } },
+});
+
+const json = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+
+const problem = (description) => ({
+  description,
+  content: { 'application/problem+json': { schema: ref('Error') } },
+});
+
+const noContent = { description: 'done, nothing to return' };
+
+const page = (key, item, extraProperties = {}) => ({
+  type: 'object',
+  properties: {
+    [key]: { type: 'array', items: ref(item) },
+    nextCursor: {
+      type: 'string',
+      nullable: true,
+      description: 'cursor of the following page, null on the last one',
+    },
+    ...extraProperties,
+  },
+});
+
+const secured = [{ bearerAuth: [] }];
+
+// anonymous requests work too, a token also shows the user's own hidden blogs
+const optionallySecured = [{}, { bearerAuth: [] }];
+
+const VISIBILITY_DESCRIPTION =
+  'public blogs are listed everywhere, unlisted ones open for anyone with the link, private and draft ones only for the user who added them';
+
+const blogFields = {
+  title: { type: 'string' },
+  author: { type: 'string' },
+  url: { type: 'string', format: 'http-url' },
+  visibility: {
+    type: 'string',
+    enum: VISIBILITIES,
+    default: 'public',
+    description: VISIBILITY_DESCRIPTION,
+  },
+  tags: {
+    description: 'a list of tags or a comma separated string',
+    anyOf: [
+      { type: 'array', items: { type: 'string' }, maxItems: MAX_TAGS },
+      { type: 'string' },
+    ],
+  },
+};
+
+const blogChanges = {
+  type: 'object',
+  properties: blogFields,
+};
+
+const paging = [parameter('limit'), parameter('cursor')];
+
+const document = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Bloglist API',
+    version: '1.0.0',
+    description:
+      'Blogs, comments, likes and the people behind them. Requests that do not match this document are answered with 400 and a VALIDATION_FAILED error.',
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'auth' },
+    { name: 'blogs' },
+    { name: 'comments' },
+    { name: 'users' },
+    { name: 'reading list' },
+    { name: 'collections' },
+    { name: 'notifications' },
+    { name: 'discovery' },
+    { name: 'admin' },
+    { name: 'meta' },
+  ],
+  paths: {
+    '/api/login': {
+      post: {
+        operationId: 'login',
+        tags: ['auth'],
+        summary: 'Log in with a username and password',
+        description:
+          'Missing credentials are treated like wrong ones. Repeated failures are throttled per ip and per account. Accounts with two-factor authentication get a challenge instead of a session, to be completed at /api/login/two-factor.',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            username: { type: 'string' },
+            password: { type: 'string' },
+          },
+        }),
+        responses: {
+          200: json('a new session, or a two-factor challenge', {
+            anyOf: [ref('Session'), ref('TwoFactorChallenge')],
+          }),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          429: error('TooManyRequests'),
+        },
+      },
+    },
+    '/api/login/two-factor': {
+      post: {
+        operationId: 'completeTwoFactorLogin',
+        tags: ['auth'],
+        summary: 'Finish a login with a code from the authenticator app',
+        description:
+          'Takes either a current code or one of the recovery codes. Every code works only once and failures are throttled like wrong passwords.',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['challengeToken'],
+          properties: {
+            challengeToken: { type: 'string' },
+            code: { type: 'string' },
+            recoveryCode: { type: 'string' },
+          },
+        }),
+        responses: {
+          200: json('a new session', ref('Session')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          429: error('TooManyRequests'),
+        },
+      },
+    },
+    '/api/login/refresh': {
+      post: {
+        operationId: 'refreshSession',
+        tags: ['auth'],
+        summary: 'Trade a refresh token for a new token pair',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: { refreshToken: { type: 'string' } },
+        }),
+        responses: {
+          200: json('the renewed session', ref('Session')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+        },
+      },
+    },
+    '/api/logout': {
+      post: {
+        operationId: 'logout',
+        tags: ['auth'],
+        summary: 'End the current session, or every session of the user',
+        security: secured,
+        requestBody: jsonBody(
+          {
+            type: 'object',
+            properties: { allSessions: { type: 'boolean' } },
+          },
+          false
+        ),
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/blogs': {
+      get: {
+        operationId: 'listBlogs',
+        tags: ['blogs'],
+        summary: 'List blogs a page at a time',
+        security: optionallySecured,
+        parameters: [
+          ...paging,
+          queryParameter('sort', {
+            type: 'string',
+            enum: Object.keys(pagination.sortOptions),
+            default: 'likes',
+          }),
+          queryParameter('author', { type: 'string' }),
+          queryParameter(
+            'user',
+            { type: 'string', format: 'objectId' },
+            'only blogs added by this user'
+          ),
+          queryParameter('tag', { type: 'string' }),
+        ],
+        responses: {
+          200: json('a page of blogs', page('blogs', 'Blog')),
+          400: error('BadRequest'),
+        },
+      },
+      post: {
+        operationId: 'createBlog',
+        tags: ['blogs'],
+        summary: 'Add a blog',
+        description:
+          'Title, author, description and image that are left out are filled in from the page at url when it can be fetched.',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['url'],
+          properties: {
+            ...blogFields,
+            description: { type: 'string' },
+            image: { type: 'string', format: 'uri' },
+          },
+        }),
+        responses: {
+          201: json('the new blog', ref('Blog')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/blogs/broken': {
+      get: {
+        operationId: 'listBrokenBlogs',
+        tags: ['blogs'],
+        summary: 'List blogs whose url failed its last link check',
+        security: optionallySecured,
+        parameters: [
+          ...paging,
+          queryParameter('user', { type: 'string', format: 'objectId' }),
+        ],
+        responses: {
+          200: json('a page of blogs', page('blogs', 'Blog')),
+          400: error('BadRequest'),
+        },
+      },
+    },
+    '/api/blogs/preview': {
+      post: {
+        operationId: 'previewBlog',
+        tags: ['blogs'],
+        summary: 'Read the metadata of a page before adding it as a blog',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['url'],
+          properties: { url: { type: 'string', format: 'http-url' } },
+        }),
+        responses: {
+          200: json('what the page says about itself', ref('PageMetadata')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          502: error('BadGateway'),
+        },
+      },
+    },
+    '/api/blogs/import': {
+      post: {
+        operationId: 'importBlogs',
+        tags: ['blogs'],
+        summary: 'Add many blogs at once',
+        description:
+          'The format is taken from the format parameter or else from the content type. Every row is validated on its own and reported back.',
+        security: secured,
+        parameters: [
+          queryParameter('format', {
+            type: 'string',
+            enum: Object.keys(blogFormats.formats),
+          }),
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { url: { type: 'string', format: 'http-url' } },
+                },
+              },
+            },
+            'text/csv': { schema: { type: 'string' } },
+            'text/x-opml': { schema: { type: 'string' } },
+          },
+        },
+        responses: {
+          200: json('nothing was imported', ref('ImportReport')),
+          201: json('at least one blog was imported', ref('ImportReport')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/blogs/{id}': {
+      parameters: [idParameter('id', 'id of the blog')],
+      get: {
+        operationId: 'getBlog',
+        tags: ['blogs'],
+        summary: 'Get a blog with its comments',
+        security: optionallySecured,
+        responses: {
+          200: json('the blog', ref('Blog')),
+          400: error('BadRequest'),
+          404: error('NotFound'),
+        },
+      },
+      put: {
+        operationId: 'updateBlog',
+        tags: ['blogs'],
+        summary: 'Edit one of your own blogs',
+        security: secured,
+        requestBody: jsonBody(blogChanges),
+        responses: {
+          200: json('the updated blog', ref('Blog')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+      delete: {
+        operationId: 'deleteBlog',
+        tags: ['blogs'],
+        summary: 'Remove one of your own blogs',
+        security: secured,
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/blogs/{id}/revisions': {
+      parameters: [idParameter('id', 'id of the blog')],
+      get: {
+        operationId: 'listBlogRevisions',
+        tags: ['blogs'],
+        summary: 'Earlier versions of a blog, newest first',
+        security: optionallySecured,
+        responses: {
+          200: json('the revisions', {
+            type: 'array',
+            items: ref('Revision'),
+          }),
+          400: error('BadRequest'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/blogs/{id}/revisions/{revision}/restore': {
+      parameters: [
+        idParameter('id', 'id of the blog'),
+        {
+          name: 'revision',
+          in: 'path',
+          required: true,
+          schema: { type: 'integer', minimum: 1 },
+        },
+      ],
+      post: {
+        operationId: 'restoreBlogRevision',
+        tags: ['blogs'],
+        summary: 'Bring back an earlier version of a blog',
+        description:
+          'The replaced version is kept as a revision of its own, so a restore can be undone.',
+        security: secured,
+        responses: {
+          200: json('the restored blog', ref('Blog')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/blogs/{id}/likes': {
+      parameters: [idParameter('id', 'id of the blog')],
+      post: {
+        operationId: 'likeBlog',
+        tags: ['blogs'],
+        summary: 'Like a blog, liking it twice changes nothing',
+        security: secured,
+        responses: {
+          200: json('the blog', ref('Blog')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          404: error('NotFound'),
+        },
+      },
+      delete: {
+        operationId: 'unlikeBlog',
+        tags: ['blogs'],
+        summary: 'Take back a like',
+        security: secured,
+        responses: {
+          200: json('the blog', ref('Blog')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/blogs/{id}/comments': {
+      parameters: [idParameter('id', 'id of the blog')],
+      post: {
+        operationId: 'createComment',
+        tags: ['comments'],
+        summary: 'Comment on a blog or reply to one of its comments',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['text'],
+          properties: {
+            text: { type: 'string', minLength: 1 },
+            parent: { type: 'string', format: 'objectId', nullable: true },
+          },
+        }),
+        responses: {
+          201: json('the new comment', ref('Comment')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/blogs/{id}/comments/{commentId}': {
+      parameters: [
+        idParameter('id', 'id of the blog'),
+        idParameter('commentId', 'id of the comment'),
+      ],
+      put: {
+        operationId: 'updateComment',
+        tags: ['comments'],
+        summary: 'Edit one of your own comments',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['text'],
+          properties: { text: { type: 'string', minLength: 1 } },
+        }),
+        responses: {
+          200: json('the updated comment', ref('Comment')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+      delete: {
+        operationId: 'deleteComment',
+        tags: ['comments'],
+        summary: 'Remove one of your own comments',
+        description: 'The comment stays in its thread as [deleted].',
+        security: secured,
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/users': {
+      get: {
+        operationId: 'listUsers',
+        tags: ['users'],
+        summary: 'List every user with their blogs',
+        responses: {
+          200: json('the users', { type: 'array', items: ref('User') }),
+        },
+      },
+      post: {
+        operationId: 'createUser',
+        tags: ['users'],
+        summary: 'Sign up',
+        description:
+          'The password has to follow the password policy the server is configured with.',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['username', 'password'],
+          properties: {
+            username: { type: 'string', minLength: 3 },
+            name: { type: 'string', maxLength: 100 },
+            email: { type: 'string', format: 'email' },
+            password: { type: 'string' },
+          },
+        }),
+        responses: {
+          201: json('the new user', ref('User')),
+          400: error('BadRequest'),
+          409: error('Conflict'),
+        },
+      },
+    },
+    '/api/users/me': {
+      get: {
+        operationId: 'getOwnProfile',
+        tags: ['users'],
+        summary: 'The logged in user, including private fields',
+        security: secured,
+        responses: {
+          200: json('the profile', ref('OwnProfile')),
+          401: error('Unauthorized'),
+        },
+      },
+      patch: {
+        operationId: 'updateOwnProfile',
+        tags: ['users'],
+        summary: 'Change profile fields, an empty string clears one',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            name: { type: 'string', maxLength: 100 },
+            bio: { type: 'string', maxLength: 500 },
+            avatar: { type: 'string' },
+            email: { type: 'string' },
+          },
+        }),
+        responses: {
+          200: json('the updated profile', ref('OwnProfile')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+      delete: {
+        operationId: 'deleteOwnAccount',
+        tags: ['users'],
+        summary: 'Delete your account and everything that belongs to it',
+        description:
+          'Blogs are deleted too unless blogs is transfer, then they go to the user named in transferTo.',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            password: { type: 'string' },
+            blogs: {
+              type: 'string',
+              enum: ['delete', 'transfer'],
+              default: 'delete',
+            },
+            transferTo: { type: 'string' },
+          },
+        }),
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/users/me/password': {
+      put: {
+        operationId: 'changePassword',
+        tags: ['users'],
+        summary: 'Change your password, logging out every other session',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            currentPassword: { type: 'string' },
+            newPassword: { type: 'string' },
+          },
+        }),
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/users/me/two-factor': {
+      post: {
+        operationId: 'startTwoFactorEnrollment',
+        tags: ['users'],
+        summary: 'Get a new secret for an authenticator app',
+        description:
+          'Two-factor authentication is only turned on once a code from the secret is confirmed.',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['password'],
+          properties: { password: { type: 'string' } },
+        }),
+        responses: {
+          200: json('the secret to enroll', ref('TwoFactorEnrollment')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          409: error('Conflict'),
+        },
+      },
+      delete: {
+        operationId: 'disableTwoFactor',
+        tags: ['users'],
+        summary: 'Turn two-factor authentication off',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['password'],
+          properties: { password: { type: 'string' } },
+        }),
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/users/me/two-factor/confirm': {
+      post: {
+        operationId: 'confirmTwoFactor',
+        tags: ['users'],
+        summary: 'Turn two-factor authentication on with a first code',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['code'],
+          properties: { code: { type: 'string' } },
+        }),
+        responses: {
+          200: json(
+            'recovery codes, shown only this once',
+            ref('RecoveryCodes')
+          ),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/users/me/two-factor/recovery-codes': {
+      post: {
+        operationId: 'regenerateRecoveryCodes',
+        tags: ['users'],
+        summary: 'Replace the recovery codes, the old ones stop working',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['password'],
+          properties: { password: { type: 'string' } },
+        }),
+        responses: {
+          200: json(
+            'recovery codes, shown only this once',
+            ref('RecoveryCodes')
+          ),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/users/me/reading-list': {
+      get: {
+        operationId: 'getReadingList',
+        tags: ['reading list'],
+        summary: 'Blogs you saved for later, newest first',
+        security: secured,
+        parameters: [
+          queryParameter('status', { type: 'string', enum: READING_STATUSES }),
+        ],
+        responses: {
+          200: json('the reading list', {
+            type: 'array',
+            items: ref('ReadingListItem'),
+          }),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/users/me/reading-list/{blogId}': {
+      parameters: [idParameter('blogId', 'id of the blog')],
+      put: {
+        operationId: 'saveReadingListItem',
+        tags: ['reading list'],
+        summary: 'Put a blog on your reading list or change its status',
+        security: secured,
+        requestBody: jsonBody(
+          {
+            type: 'object',
+            properties: {
+              status: {
+                type: 'string',
+                enum: READING_STATUSES,
+                default: 'to-read',
+              },
+            },
+          },
+          false
+        ),
+        responses: {
+          200: json('the reading list entry', ref('ReadingListItem')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          404: error('NotFound'),
+        },
+      },
+      delete: {
+        operationId: 'removeReadingListItem',
+        tags: ['reading list'],
+        summary: 'Take a blog off your reading list',
+        security: secured,
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/collections': {
+      get: {
+        operationId: 'listCollections',
+        tags: ['collections'],
+        summary: 'Collections you are a member of, last changed first',
+        security: secured,
+        responses: {
+          200: json('the collections with your role in each', {
+            type: 'array',
+            items: ref('CollectionSummary'),
+          }),
+          401: error('Unauthorized'),
+        },
+      },
+      post: {
+        operationId: 'createCollection',
+        tags: ['collections'],
+        summary: 'Start a collection, you become its owner',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', pattern: '\\S' },
+            description: { type: 'string' },
+          },
+        }),
+        responses: {
+          201: json('the new collection', ref('Collection')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/collections/{id}': {
+      parameters: [idParameter('id', 'id of the collection')],
+      get: {
+        operationId: 'getCollection',
+        tags: ['collections'],
+        summary: 'A collection with its blogs in order and its members',
+        description: 'Blogs you are not allowed to see are left out.',
+        security: secured,
+        responses: {
+          200: json('the collection', ref('Collection')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          404: error('NotFound'),
+        },
+      },
+      patch: {
+        operationId: 'updateCollection',
+        tags: ['collections'],
+        summary: 'Rename or describe a collection, editors and owners only',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            name: { type: 'string', pattern: '\\S' },
+            description: { type: 'string' },
+          },
+        }),
+        responses: {
+          200: json('the updated collection', ref('Collection')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+      delete: {
+        operationId: 'deleteCollection',
+        tags: ['collections'],
+        summary: 'Remove a collection, owners only',
+        security: secured,
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/collections/{id}/blogs': {
+      parameters: [idParameter('id', 'id of the collection')],
+      put: {
+        operationId: 'reorderCollectionBlogs',
+        tags: ['collections'],
+        summary: 'Put the blogs of a collection in a new order',
+        description:
+          'blogs has to name every blog of the collection you can see exactly once, the ones you can not see stay after them.',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['blogs'],
+          properties: {
+            blogs: {
+              type: 'array',
+              items: { type: 'string', format: 'objectId' },
+            },
+          },
+        }),
+        responses: {
+          200: json('the reordered collection', ref('Collection')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+          409: error('Conflict'),
+        },
+      },
+    },
+    '/api/collections/{id}/blogs/{blogId}': {
+      parameters: [
+        idParameter('id', 'id of the collection'),
+        idParameter('blogId', 'id of the blog'),
+      ],
+      put: {
+        operationId: 'addCollectionBlog',
+        tags: ['collections'],
+        summary: 'Add a blog to the end of a collection',
+        security: secured,
+        responses: {
+          200: json('the collection', ref('Collection')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+      delete: {
+        operationId: 'removeCollectionBlog',
+        tags: ['collections'],
+        summary: 'Take a blog out of a collection',
+        security: secured,
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/collections/{id}/members/{userId}': {
+      parameters: [
+        idParameter('id', 'id of the collection'),
+        idParameter('userId', 'id of the user'),
+      ],
+      put: {
+        operationId: 'saveCollectionMember',
+        tags: ['collections'],
+        summary: 'Add a member or change their role, owners only',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['role'],
+          properties: {
+            role: { type: 'string', enum: COLLECTION_ROLES },
+          },
+        }),
+        responses: {
+          200: json('the collection', ref('Collection')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+      delete: {
+        operationId: 'removeCollectionMember',
+        tags: ['collections'],
+        summary: 'Remove a member, or leave when it is you',
+        description: 'The last owner of a collection can not leave it.',
+        security: secured,
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/users/password-reset': {
+      post: {
+        operationId: 'requestPasswordReset',
+        tags: ['users'],
+        summary: 'Mail a password reset link',
+        description:
+          'Answers the same whether or not the email belongs to an account.',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['email'],
+          properties: { email: { type: 'string', pattern: '\\S' } },
+        }),
+        responses: {
+          202: json('the request was taken', ref('Message')),
+          400: error('BadRequest'),
+        },
+      },
+    },
+    '/api/users/password-reset/confirm': {
+      post: {
+        operationId: 'confirmPasswordReset',
+        tags: ['users'],
+        summary: 'Choose a new password with a reset token',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['token', 'password'],
+          properties: {
+            token: { type: 'string' },
+            password: { type: 'string' },
+          },
+        }),
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+        },
+      },
+    },
+    '/api/users/{id}': {
+      parameters: [idParameter('id', 'id of the user')],
+      get: {
+        operationId: 'getUser',
+        tags: ['users'],
+        summary: 'A user with their blogs and follower count',
+        security: optionallySecured,
+        responses: {
+          200: json('the user', ref('User')),
+          400: error('BadRequest'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/users/{id}/follow': {
+      parameters: [idParameter('id', 'id of the user')],
+      post: {
+        operationId: 'followUser',
+        tags: ['users'],
+        summary: 'Follow a user',
+        security: secured,
+        responses: {
+          200: json('your profile', ref('OwnProfile')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          404: error('NotFound'),
+        },
+      },
+      delete: {
+        operationId: 'unfollowUser',
+        tags: ['users'],
+        summary: 'Stop following a user',
+        security: secured,
+        responses: {
+          200: json('your profile', ref('OwnProfile')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/users/{id}/stats': {
+      parameters: [idParameter('id', 'id of the user')],
+      get: {
+        operationId: 'getUserStats',
+        tags: ['discovery'],
+        summary: 'Like and blog statistics of a single user',
+        parameters: [parameter('interval')],
+        responses: {
+          200: json('the statistics', ref('Stats')),
+          400: error('BadRequest'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/users/{id}/blogs/export': {
+      parameters: [idParameter('id', 'id of the user')],
+      get: {
+        operationId: 'exportUserBlogs',
+        tags: ['blogs'],
+        summary: 'Download the blogs of a user',
+        security: optionallySecured,
+        parameters: [
+          queryParameter('format', {
+            type: 'string',
+            enum: Object.keys(blogFormats.formats),
+            default: 'json',
+          }),
+        ],
+        responses: {
+          200: {
+            description: 'the blogs as an attachment',
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: ref('Blog') },
+              },
+              'text/csv': { schema: { type: 'string' } },
+              'text/x-opml': { schema: { type: 'string' } },
+            },
+          },
+          400: error('BadRequest'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/feed': {
+      get: {
+        operationId: 'getFeed',
+        tags: ['discovery'],
+        summary: 'Blogs of the people you follow, newest first',
+        security: secured,
+        parameters: paging,
+        responses: {
+          200: json('a page of blogs', page('blogs', 'Blog')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/search': {
+      get: {
+        operationId: 'search',
+        tags: ['discovery'],
+        summary: 'Full text search over blogs and comments',
+        security: optionallySecured,
+        parameters: [
+          {
+            name: 'q',
+            in: 'query',
+            required: true,
+            schema: { type: 'string', pattern: '\\S' },
+          },
+          parameter('limit'),
+        ],
+        responses: {
+          200: json('the best matches first', ref('SearchResults')),
+          400: error('BadRequest'),
+        },
+      },
+    },
+    '/api/tags': {
+      get: {
+        operationId: 'listTags',
+        tags: ['discovery'],
+        summary: 'Every tag in use with the number of blogs carrying it',
+        responses: {
+          200: json('the tags, most used first', {
+            type: 'array',
+            items: ref('TagCount'),
+          }),
+        },
+      },
+    },
+    '/api/stats': {
+      get: {
+        operationId: 'getStats',
+        tags: ['discovery'],
+        summary: 'Like and blog statistics of the whole site',
+        parameters: [parameter('interval')],
+        responses: {
+          200: json('the statistics', ref('Stats')),
+          400: error('BadRequest'),
+        },
+      },
+    },
+    '/api/notifications': {
+      get: {
+        operationId: 'listNotifications',
+        tags: ['notifications'],
+        summary: 'Your notifications, newest first',
+        security: secured,
+        parameters: [
+          ...paging,
+          queryParameter(
+            'unread',
+            { type: 'boolean' },
+            'only notifications not read yet'
+          ),
+        ],
+        responses: {
+          200: json(
+            'a page of notifications',
+            page('notifications', 'Notification', {
+              unreadCount: { type: 'integer' },
+            })
+          ),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+      patch: {
+        operationId: 'markAllNotificationsRead',
+        tags: ['notifications'],
+        summary: 'Mark every notification as read',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['read'],
+          properties: { read: { type: 'boolean', enum: [true] } },
+        }),
+        responses: {
+          200: json('how many notifications changed', {
+            type: 'object',
+            properties: { updated: { type: 'integer' } },
+          }),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+        },
+      },
+    },
+    '/api/notifications/{id}': {
+      parameters: [idParameter('id', 'id of the notification')],
+      patch: {
+        operationId: 'markNotificationRead',
+        tags: ['notifications'],
+        summary: 'Mark a notification as read or unread',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['read'],
+          properties: { read: { type: 'boolean' } },
+        }),
+        responses: {
+          200: json('the notification', ref('Notification')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/events': {
+      get: {
+        operationId: 'streamEvents',
+        tags: ['notifications'],
+        summary: 'Server-sent events for changes to blogs, likes and comments',
+        responses: {
+          200: {
+            description:
+              'a text/event-stream where every message is a JSON encoded Event',
+            content: { 'text/event-stream': { schema: ref('Event') } },
+          },
+        },
+      },
+    },
+    '/api/audit': {
+      get: {
+        operationId: 'listAuditEntries',
+        tags: ['admin'],
+        summary: 'Search the audit log, newest first',
+        security: secured,
+        parameters: [
+          ...paging,
+          queryParameter('actor', { type: 'string', format: 'objectId' }),
+          queryParameter(
+            'action',
+            { type: 'string' },
+            'an action or the prefix of a group of them, such as blog'
+          ),
+          queryParameter('targetType', { type: 'string' }),
+          queryParameter('targetId', { type: 'string', format: 'objectId' }),
+          queryParameter('from', { type: 'string', format: 'date-time' }),
+          queryParameter('to', { type: 'string', format: 'date-time' }),
+        ],
+        responses: {
+          200: json('a page of entries', page('entries', 'AuditEntry')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+        },
+      },
+    },
+    '/api/admin/blogs/{id}': {
+      parameters: [idParameter('id', 'id of the blog')],
+      put: {
+        operationId: 'adminUpdateBlog',
+        tags: ['admin'],
+        summary: 'Edit any blog',
+        security: secured,
+        requestBody: jsonBody(blogChanges),
+        responses: {
+          200: json('the updated blog', ref('Blog')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+      delete: {
+        operationId: 'adminDeleteBlog',
+        tags: ['admin'],
+        summary: 'Remove any blog',
+        security: secured,
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/admin/comments/{id}': {
+      parameters: [idParameter('id', 'id of the comment')],
+      delete: {
+        operationId: 'adminDeleteComment',
+        tags: ['admin'],
+        summary: 'Remove any comment for good',
+        security: secured,
+        responses: {
+          204: noContent,
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/admin/users/{id}/status': {
+      parameters: [idParameter('id', 'id of the user')],
+      put: {
+        operationId: 'setUserStatus',
+        tags: ['admin'],
+        summary: 'Lock, ban or reactivate an account',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['status'],
+          properties: { status: { type: 'string', enum: USER_STATUSES } },
+        }),
+        responses: {
+          200: json('the user', ref('User')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/admin/users/{id}/role': {
+      parameters: [idParameter('id', 'id of the user')],
+      put: {
+        operationId: 'setUserRole',
+        tags: ['admin'],
+        summary: 'Change the role of a user',
+        security: secured,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['role'],
+          properties: { role: { type: 'string', enum: ROLES } },
+        }),
+        responses: {
+          200: json('the user', ref('User')),
+          400: error('BadRequest'),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/admin/jobs': {
+      get: {
+        operationId: 'listJobs',
+        tags: ['admin'],
+        summary: 'Background jobs and how their last run went',
+        security: secured,
+        responses: {
+          200: json('the jobs', { type: 'array', items: ref('Job') }),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+        },
+      },
+    },
+    '/api/admin/jobs/{name}/run': {
+      parameters: [
+        {
+          name: 'name',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      post: {
+        operationId: 'runJob',
+        tags: ['admin'],
+        summary: 'Run a background job right away',
+        security: secured,
+        responses: {
+          200: json('what the job reported', { type: 'object' }),
+          401: error('Unauthorized'),
+          403: error('Forbidden'),
+          404: error('NotFound'),
+        },
+      },
+    },
+    '/api/docs': {
+      get: {
+        operationId: 'getApiDocs',
+        tags: ['meta'],
+        summary: 'This document',
+        responses: {
+          200: json('the OpenAPI document', { type: 'object' }),
+        },
+      },
+    },
+    '/api/testing/reset': {
+      post: {
+        operationId: 'resetTestingDatabase',
+        tags: ['meta'],
+        summary: 'Empty the database, only there when NODE_ENV is test',
+        responses: { 204: noContent },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    },
+    parameters: {
+      limit: queryParameter(
+        'limit',
+        { type: 'integer', minimum: 1, default: pagination.DEFAULT_LIMIT },
+        `page size, anything above ${pagination.MAX_LIMIT} counts as ${pagination.MAX_LIMIT}`
+      ),
+      cursor: queryParameter(
+        'cursor',
+        { type: 'string' },
+        'nextCursor of the previous page'
+      ),
+      interval: queryParameter('interval', {
+        type: 'string',
+        enum: Object.keys(stats.intervals),
+        default: 'month',
+      }),
+    },
+    responses: {
+      BadRequest: problem('the request is not valid'),
+      Unauthorized: problem('missing or invalid credentials'),
+      Forbidden: problem('not allowed for this account'),
+      NotFound: problem('no such resource'),
+      Conflict: problem('clashes with an existing record'),
+      TooManyRequests: problem('try again after Retry-After'),
+      BadGateway: problem('a remote page could not be fetched'),
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        description: 'an RFC 7807 problem',
+        required: ['status', 'detail', 'error'],
+        properties: {
+          type: { type: 'string', example: 'about:blank' },
+          title: { type: 'string', example: 'Not Found' },
+          status: { type: 'integer', example: 404 },
+          detail: { type: 'string' },
+          instance: { type: 'string', description: 'the requested url' },
+          code: { type: 'string', example: 'VALIDATION_FAILED' },
+          message: { type: 'string' },
+          details: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', enum: ['path', 'query', 'body'] },
+                field: { type: 'string' },
+                message: { type: 'string' },
+              },
+            },
+          },
+          error: {
+            type: 'string',
+            description: 'the message, kept for clients that only read error',
+          },
+        },
+      },
+      Message: {
+        type: 'object',
+        properties: { message: { type: 'string' } },
+      },
+      Session: {
+        type: 'object',
+        properties: {
+          token: { type: 'string' },
+          refreshToken: { type: 'string' },
+          id: { type: 'string' },
+          username: { type: 'string' },
+          name: { type: 'string' },
+          role: { type: 'string', enum: ROLES },
+        },
+      },
+      TwoFactorChallenge: {
+        type: 'object',
+        properties: {
+          twoFactorRequired: { type: 'boolean', enum: [true] },
+          challengeToken: { type: 'string' },
+        },
+      },
+      TwoFactorEnrollment: {
+        type: 'object',
+        properties: {
+          secret: { type: 'string' },
+          otpauthUri: { type: 'string' },
+        },
+      },
+      RecoveryCodes: {
+        type: 'object',
+        properties: {
+          recoveryCodes: { type: 'array', items: { type: 'string' } },
+        },
+      },
+      UserSummary: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          username: { type: 'string' },
+          name: { type: 'string' },
+        },
+      },
+      User: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          username: { type: 'string' },
+          name: { type: 'string' },
+          bio: { type: 'string' },
+          avatar: { type: 'string' },
+          role: { type: 'string', enum: ROLES },
+          status: { type: 'string', enum: USER_STATUSES },
+          blogs: { type: 'array', items: ref('BlogSummary') },
+          following: { type: 'array', items: { type: 'string' } },
+          followers: { type: 'integer' },
+        },
+      },
+      OwnProfile: {
+        allOf: [
+          ref('User'),
+          {
+            type: 'object',
+            properties: {
+              email: { type: 'string', nullable: true },
+              twoFactorEnabled: { type: 'boolean' },
+            },
+          },
+        ],
+      },
+      BlogSummary: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          author: { type: 'string' },
+          url: { type: 'string' },
+        },
+      },
+      Blog: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          author: { type: 'string' },
+          url: { type: 'string' },
+          description: { type: 'string' },
+          image: { type: 'string' },
+          visibility: {
+            type: 'string',
+            enum: VISIBILITIES,
+            description: VISIBILITY_DESCRIPTION,
+          },
+          likes: { type: 'integer' },
+          likedBy: { type: 'array', items: { type: 'string' } },
+          tags: { type: 'array', items: { type: 'string' } },
+          user: ref('UserSummary'),
+          comments: { type: 'array', items: ref('Comment') },
+          linkCheck: ref('LinkCheck'),
+        },
+      },
+      LinkCheck: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'the url that was checked' },
+          status: {
+            type: 'string',
+            enum: ['ok', 'redirected', 'broken', 'unreachable'],
+          },
+          statusCode: { type: 'integer', nullable: true },
+          redirectTo: { type: 'string', nullable: true },
+          error: { type: 'string', nullable: true },
+          checkedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      Comment: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          text: { type: 'string' },
+          blog: { type: 'string' },
+          author: { ...ref('UserSummary'), nullable: true },
+          parent: { type: 'string', nullable: true },
+          deletedAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      Revision: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          revision: { type: 'integer' },
+          editor: ref('UserSummary'),
+          fields: { type: 'object' },
+          changes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string' },
+                before: {},
+                after: {},
+              },
+            },
+          },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      PageMetadata: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          title: { type: 'string', nullable: true },
+          author: { type: 'string', nullable: true },
+          description: { type: 'string', nullable: true },
+          image: { type: 'string', nullable: true },
+          siteName: { type: 'string', nullable: true },
+        },
+      },
+      ImportReport: {
+        type: 'object',
+        properties: {
+          imported: { type: 'array', items: { type: 'object' } },
+          skipped: { type: 'array', items: { type: 'object' } },
+          failed: { type: 'array', items: { type: 'object' } },
+        },
+      },
+      ReadingListItem: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          blog: ref('Blog'),
+          status: { type: 'string', enum: READING_STATUSES },
+          readAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      CollectionSummary: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          description: { type: 'string' },
+          createdBy: { type: 'string' },
+          blogs: { type: 'array', items: { type: 'string' } },
+          role: { type: 'string', enum: COLLECTION_ROLES },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      Collection: {
+        allOf: [
+          ref('CollectionSummary'),
+          {
+            type: 'object',
+            properties: {
+              blogs: { type: 'array', items: ref('Blog') },
+              members: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    user: ref('UserSummary'),
+                    role: { type: 'string', enum: COLLECTION_ROLES },
+                  },
+                },
+              },
+            },
+          },
+        ],
+      },
+      Notification: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string', enum: NOTIFICATION_TYPES },
+          actor: { ...ref('UserSummary'), nullable: true },
+          blog: { type: 'object', nullable: true },
+          comment: { type: 'object', nullable: true },
+          readAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      Event: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string', example: 'blog.liked' },
+          actor: { ...ref('UserSummary'), nullable: true },
+          data: { type: 'object' },
+        },
+      },
+      AuditEntry: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          actor: { ...ref('UserSummary'), nullable: true },
+          username: { type: 'string' },
+          action: { type: 'string' },
+          targetType: { type: 'string' },
+          targetId: { type: 'string' },
+          before: { type: 'object', nullable: true },
+          after: { type: 'object', nullable: true },
+          requestId: { type: 'string' },
+          ip: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      SearchResults: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          results: { type: 'array', items: { type: 'object' } },
+        },
+      },
+      Stats: { type: 'object' },
+      TagCount: {
+        type: 'object',
+        properties: {
+          tag: { type: 'string' },
+          count: { type: 'integer' },
+        },
+      },
+      Job: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          interval: { type: 'integer', description: 'seconds, 0 when off' },
+          running: { type: 'boolean' },
+          lastRun: { type: 'object', nullable: true },
+        },
+      },
+    },
+  },
+};
+
+module.exports = document;
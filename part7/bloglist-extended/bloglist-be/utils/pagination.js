@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// blogs have no createdAt field, but every ObjectId embeds its creation
+// time, so _id doubles as the creation order. The cursor value ends up in a
+// query, isValue keeps anything but a plain value of the field out of it
+const sortOptions = {
+  likes: { field: 'likes', order: -1, isValue: Number.isFinite },
+  title: {
+    field: 'title',
+    order: 1,
+    isValue: (value) => typeof value === 'string',
+  },
+  createdAt: {
+    field: '_id',
+    order: -1,
+    isValue: (value) => typeof value === 'string',
+  },
+};
+
+const parseLimit = (limit) => {
+  if (limit === undefined) {
+    return DEFAULT_LIMIT;
+  }
+
+  const parsed = Number(limit);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    return null;
+  }
+
+  return Math.min(parsed, MAX_LIMIT);
+};
+
+const encodeCursor = (sort, item) => {
+  const { field } = sortOptions[sort];
+  const cursor = {
+    sort,
+    value: field === '_id' ? item._id.toString() : item[field],
+    id: item._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+const decodeCursor = (token, sort) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString());
+    if (
+      !cursor ||
+      cursor.sort !== sort ||
+      typeof cursor.id !== 'string' ||
+      !mongoose.isValidObjectId(cursor.id) ||
+      !sortOptions[sort].isValue(cursor.value)
+    ) {
+      return null;
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+};
+
+const cursorFilter = (sort, cursor) => {
+  const { field, order } = sortOptions[sort];
+  const operator = order === 1 ? '$gt' : '$lt';
+  const id = new mongoose.Types.ObjectId(cursor.id);
+
+  if (field === '_id') {
+    return { _id: { [operator]: id } };
+  }
+
+  return {
+    $or: [
+      { [field]: { [operator]: cursor.value } },
+      { [field]: cursor.value, _id: { [operator]: id } },
+    ],
+  };
+};
+
+const sortSpec = (sort) => {
+  const { field, order } = sortOptions[sort];
+  return field === '_id' ? { _id: order } : { [field]: order, _id: order };
+};
+
+// one extra document is fetched to find out whether another page follows
+const paginate = async (query, { filter, sort, limit, cursor }) => {
+  const conditions = cursor
+    ? { $and: [filter, cursorFilter(sort, cursor)] }
+    : filter;
+
+  const items = await query(conditions)
+    .sort(sortSpec(sort))
+    .limit(limit + 1);
+
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  const nextCursor = hasMore ? encodeCursor(sort, page.at(-1)) : null;
+
+  return { items: page, nextCursor };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  sortOptions,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+};
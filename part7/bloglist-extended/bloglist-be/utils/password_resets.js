@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const config = require('./config');
+const PasswordReset = require('../models/password_reset');
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// a new request replaces any token the user still had outstanding
+const createResetToken = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await PasswordReset.deleteMany({ user: user._id });
+  await PasswordReset.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + config.PASSWORD_RESET_EXPIRES_IN * 1000),
+  });
+
+  return token;
+};
+
+const findResetToken = async (token) => {
+  if (typeof token !== 'string' || token === '') {
+    return null;
+  }
+
+  return PasswordReset.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  }).populate('user');
+};
+
+// tokens work once, whoever deletes the document first gets to use it
+const redeemResetToken = async (reset) => {
+  const { deletedCount } = await PasswordReset.deleteOne({ _id: reset._id });
+  return deletedCount === 1;
+};
+
+const resetLink = (token) =>
+  `${config.APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+module.exports = {
+  createResetToken,
+  findResetToken,
+  redeemResetToken,
+  resetLink,
+};
@@ -0,0 +1,81 @@
+const bcrypt = require('bcryptjs');
+const config = require('./config');
+
+// bcrypt only looks at the first 72 bytes of a password
+const MAX_PASSWORD_BYTES = 72;
+
+const COMMON_PASSWORDS = [
+  'password',
+  'password1',
+  'password123',
+  '12345678',
+  '123456789',
+  '1234567890',
+  'qwerty123',
+  'qwertyuiop',
+  'iloveyou1',
+  'letmein123',
+  'welcome123',
+  'abc12345',
+];
+
+const passwordRules = (policy) => [
+  {
+    test: (password) => password.length >= policy.minLength,
+    message: `be at least ${policy.minLength} characters long`,
+  },
+  {
+    test: (password) => Buffer.byteLength(password) <= MAX_PASSWORD_BYTES,
+    message: `be at most ${MAX_PASSWORD_BYTES} bytes long`,
+  },
+  {
+    test: (password) => !policy.requireLetter || /\p{L}/u.test(password),
+    message: 'contain a letter',
+  },
+  {
+    test: (password) => !policy.requireDigit || /\d/.test(password),
+    message: 'contain a digit',
+  },
+  {
+    test: (password) => !policy.requireSymbol || /[^\p{L}\d\s]/u.test(password),
+    message: 'contain a symbol',
+  },
+  {
+    test: (password) => !COMMON_PASSWORDS.includes(password.toLowerCase()),
+    message: 'not be a commonly used password',
+  },
+];
+
+// returns null for an acceptable password, otherwise a message listing
+// every rule it breaks
+const validatePassword = (
+  password,
+  { username } = {},
+  policy = config.PASSWORD_POLICY
+) => {
+  if (typeof password !== 'string' || password === '') {
+    return 'password must be provided';
+  }
+
+  const rules = passwordRules(policy);
+  if (username) {
+    rules.push({
+      test: (value) =>
+        !value.toLowerCase().includes(String(username).toLowerCase()),
+      message: 'not contain the username',
+    });
+  }
+
+  const broken = rules.filter((rule) => !rule.test(password));
+  return broken.length === 0
+    ? null
+    : `password must ${broken.map((rule) => rule.message).join(', ')}`;
+};
+
+const hashPassword = (password) =>
+  bcrypt.hash(password, config.HASH_SALT_ROUNDS);
+
+module.exports = {
+  validatePassword,
+  hashPassword,
+};
@@ -0,0 +1,29 @@
+const ROLES = ['user', 'moderator', 'admin'];
+const USER_STATUSES = ['active', 'locked', 'banned'];
+
+const moderatorPermissions = [
+  'blogs:delete:any',
+  'blogs:edit:any',
+  'comments:delete:any',
+];
+
+const rolePermissions = {
+  user: [],
+  moderator: moderatorPermissions,
+  admin: [
+    ...moderatorPermissions,
+    'users:moderate',
+    'users:assign-role',
+    'audit:read',
+    'jobs:run',
+  ],
+};
+
+const can = (user, permission) =>
+  Boolean(user) && (rolePermissions[user.role] ?? []).includes(permission);
+
+module.exports = {
+  ROLES,
+  USER_STATUSES,
+  can,
+};
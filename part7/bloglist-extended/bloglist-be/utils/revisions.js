@@ -0,0 +1,83 @@
+const BlogRevision = require('../models/blog_revision');
+
+const REVISION_FIELDS = [
+  'title',
+  'author',
+  'url',
+  'tags',
+  'description',
+  'image',
+];
+
+const snapshot = (blog) =>
+  Object.fromEntries(
+    REVISION_FIELDS.map((field) => {
+      const value = blog[field];
+      return [field, Array.isArray(value) ? [...value] : value ?? null];
+    })
+  );
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// lists every field whose value differs, in REVISION_FIELDS order
+const diff = (before, after) =>
+  REVISION_FIELDS.filter(
+    (field) => !sameValue(before[field] ?? null, after[field] ?? null)
+  ).map((field) => ({
+    field,
+    before: before[field] ?? null,
+    after: after[field] ?? null,
+  }));
+
+// two edits at once can pick the same number, the unique {blog, revision}
+// index refuses the second and it simply takes the next one
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+// keeps the version an edit replaced, edits that didn't change any
+// tracked field leave no revision behind and return null
+const recordRevision = async (before, after, editor) => {
+  if (diff(snapshot(before), snapshot(after)).length === 0) {
+    return null;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await BlogRevision.findOne({ blog: before._id }).sort({
+      revision: -1,
+    });
+
+    try {
+      return await BlogRevision.create({
+        blog: before._id,
+        revision: latest ? latest.revision + 1 : 1,
+        editor: editor?._id,
+        fields: snapshot(before),
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_NUMBERING_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// each revision is compared with the version that replaced it, which is
+// either the next revision or the blog as it is now
+const withChanges = (revisions, blog) => {
+  const newestFirst = [...revisions].sort((a, b) => b.revision - a.revision);
+  let replacedBy = snapshot(blog);
+
+  return newestFirst.map((revision) => {
+    const fields = snapshot(revision.fields);
+    const result = { ...revision.toJSON(), changes: diff(fields, replacedBy) };
+    replacedBy = fields;
+    return result;
+  });
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshot,
+  diff,
+  recordRevision,
+  withChanges,
+};
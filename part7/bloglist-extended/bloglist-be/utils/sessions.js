@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const config = require('./config');
+const Session = require('../models/session');
+
+const hashSecret = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { id: user._id.toString(), username: user.username, sid: session.id },
+    config.SECRET,
+    { expiresIn: config.ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+// refresh tokens look like "<session id>.<random secret>", only a hash of
+// the secret is stored so a leaked sessions collection can't be replayed
+const newRefreshSecret = () => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return {
+    secret,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + config.REFRESH_TOKEN_EXPIRES_IN * 1000),
+  };
+};
+
+const issueTokens = (user, session, secret) => ({
+  token: signAccessToken(user, session),
+  refreshToken: `${session.id}.${secret}`,
+});
+
+const createSession = async (user) => {
+  const { secret, ...fields } = newRefreshSecret();
+  const session = await Session.create({ user: user._id, ...fields });
+  return issueTokens(user, session, secret);
+};
+
+// a refresh token can be used once; presenting an already rotated secret
+// means it leaked, so the whole session is revoked. The rotation is a single
+// conditional update so two refreshes racing with the same token can't both
+// win
+const refreshSession = async (refreshToken) => {
+  const [sessionId, secret] =
+    typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const { secret: nextSecret, ...rotated } = newRefreshSecret();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashSecret(secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    rotated,
+    { new: true }
+  ).populate('user');
+
+  if (!session) {
+    // only a live session with another secret means the token was reused
+    if (await findActiveSession(sessionId)) {
+      await revokeSession(sessionId);
+    }
+    return null;
+  }
+
+  // the account was deleted since, the session has nobody left to act for
+  if (!session.user) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  return {
+    ...issueTokens(session.user, session, nextSecret),
+    user: session.user,
+  };
+};
+
+const findActiveSession = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  return session && !session.revokedAt && session.expiresAt > new Date()
+    ? session
+    : null;
+};
+
+const revokeSession = (sessionId) =>
+  Session.findByIdAndUpdate(sessionId, { revokedAt: new Date() });
+
+const revokeUserSessions = (userId, { except } = {}) =>
+  Session.updateMany(
+    {
+      user: userId,
+      revokedAt: { $exists: false },
+      ...(except && { _id: { $ne: except } }),
+    },
+    { revokedAt: new Date() }
+  );
+
+module.exports = {
+  createSession,
+  refreshSession,
+  findActiveSession,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,139 @@
+const Blog = require('../models/blog');
+const Comment = require('../models/comment');
+const Like = require('../models/like');
+const visibility = require('./visibility');
+
+const TOP_COMMENTERS = 5;
+
+const intervals = {
+  day: '%Y-%m-%d',
+  month: '%Y-%m',
+};
+
+const groupMax = (groupBy, accumulator, value) => [
+  { $group: { _id: groupBy, [accumulator]: { $sum: value } } },
+  { $sort: { [accumulator]: -1, _id: 1 } },
+  { $limit: 1 },
+  { $project: { _id: 0, author: '$_id', [accumulator]: 1 } },
+];
+
+// the same numbers list_helper works out from an array of blogs, computed
+// by mongo instead so nothing has to be loaded into memory
+const blogTotals = async (match) => {
+  const [facets] = await Blog.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              blogs: { $sum: 1 },
+              totalLikes: { $sum: '$likes' },
+            },
+          },
+        ],
+        favoriteBlog: [
+          { $sort: { likes: -1, _id: -1 } },
+          { $limit: 1 },
+          { $project: { _id: 0, title: 1, author: 1, likes: 1 } },
+        ],
+        mostBlogs: groupMax('$author', 'blogs', 1),
+        mostLikes: groupMax('$author', 'likes', '$likes'),
+      },
+    },
+  ]);
+
+  return {
+    blogs: facets.totals[0]?.blogs ?? 0,
+    totalLikes: facets.totals[0]?.totalLikes ?? 0,
+    favoriteBlog: facets.favoriteBlog[0] ?? null,
+    mostBlogs: facets.mostBlogs[0] ?? null,
+    mostLikes: facets.mostLikes[0] ?? null,
+  };
+};
+
+// keeps the likes or comments whose blog passes the match, joined inside
+// mongo rather than handing it a list of every blog id
+const onMatchingBlogs = (match) => [
+  {
+    $lookup: {
+      from: 'blogs',
+      let: { blog: '$blog' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$blog'] } } },
+        { $match: match },
+        { $project: { _id: 1 } },
+      ],
+      as: 'matchingBlog',
+    },
+  },
+  { $match: { matchingBlog: { $ne: [] } } },
+];
+
+const likesOverTime = (match, interval) =>
+  Like.aggregate([
+    ...onMatchingBlogs(match),
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: intervals[interval], date: '$createdAt' },
+        },
+        likes: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: '$_id', likes: 1 } },
+  ]);
+
+const topCommenters = (match) =>
+  Comment.aggregate([
+    { $match: { deletedAt: null, author: { $ne: null } } },
+    ...onMatchingBlogs(match),
+    { $group: { _id: '$author', comments: { $sum: 1 } } },
+    { $sort: { comments: -1, _id: 1 } },
+    { $limit: TOP_COMMENTERS },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'user',
+      },
+    },
+    { $unwind: '$user' },
+    {
+      $project: {
+        _id: 0,
+        comments: 1,
+        user: {
+          id: '$user._id',
+          username: '$user.username',
+          name: '$user.name',
+        },
+      },
+    },
+  ]);
+
+// without a user the stats cover every listed blog, with one only the
+// listed blogs that user has added (and the likes and comments those blogs
+// received)
+const collectStats = async ({ user, interval = 'month' } = {}) => {
+  const match = {
+    ...visibility.listedFilter(null),
+    ...(user && { user: user._id }),
+  };
+
+  const [totals, likes, commenters] = await Promise.all([
+    blogTotals(match),
+    likesOverTime(match, interval),
+    topCommenters(match),
+  ]);
+
+  return { ...totals, likesOverTime: likes, topCommenters: commenters };
+};
+
+module.exports = {
+  intervals,
+  collectStats,
+};
@@ -0,0 +1,30 @@
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const normalizeTag = (tag) =>
+  String(tag)
+    .trim()
+    .toLowerCase()
+    .replace(/^#/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+
+const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) {
+    return tags;
+  }
+
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return list
+    .map(normalizeTag)
+    .filter((tag, idx, all) => tag && all.indexOf(tag) === idx);
+};
+
+module.exports = {
+  MAX_TAGS,
+  normalizeTag,
+  normalizeTags,
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// RFC 6238 with the parameters every authenticator app defaults to
+const DIGITS = 6;
+const PERIOD = 30;
+// codes from the step before and after the current one are still accepted,
+// phone clocks are rarely exact
+const WINDOW = 1;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const toBase32 = (buffer) => {
+  const bits = [...buffer]
+    .map((byte) => byte.toString(2).padStart(8, '0'))
+    .join('');
+  return (bits.match(/.{1,5}/g) ?? [])
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const fromBase32 = (text) => {
+  const bits = text
+    .toUpperCase()
+    .replace(/[\s=]/g, '')
+    .split('')
+    .map((char) => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error(`invalid base32 character ${char}`);
+      }
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+  return Buffer.from(
+    (bits.match(/.{8}/g) ?? []).map((byte) => parseInt(byte, 2))
+  );
+};
+
+const generateSecret = () => toBase32(crypto.randomBytes(20));
+
+const stepAt = (now) => Math.floor(now / 1000 / PERIOD);
+
+// RFC 4226 HOTP for the given time step
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac('sha1', fromBase32(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const generateCode = (secret, now = Date.now()) => codeAt(secret, stepAt(now));
+
+// answers with the step the code belongs to, so the caller can refuse it
+// the next time, or null when it doesn't match any step after `after`
+const verifyCode = (secret, code, { now = Date.now(), after = -1 } = {}) => {
+  const given = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(given)) {
+    return null;
+  }
+
+  const current = stepAt(now);
+  for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+    if (
+      step > after &&
+      crypto.timingSafeEqual(
+        Buffer.from(codeAt(secret, step)),
+        Buffer.from(given)
+      )
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// what authenticator apps read from the QR code
+const provisioningUri = ({ secret, account, issuer }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(
+    account
+  )}?${params}`;
+};
+
+module.exports = {
+  toBase32,
+  fromBase32,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('./config');
+const totp = require('./totp');
+const User = require('../models/user');
+
+const CHALLENGE_PURPOSE = 'two-factor';
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+// shown once when they are generated, only their hashes are kept
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto
+      .randomBytes(5)
+      .toString('hex')
+      .replace(/^(.{5})/, '$1-')
+  );
+
+const newRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodeHashes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+const provisioningUri = (user, secret) =>
+  totp.provisioningUri({
+    secret,
+    account: user.username,
+    issuer: config.TWO_FACTOR_ISSUER,
+  });
+
+// proves the password was right without being usable as an access token,
+// it has neither an id nor a session
+const signChallenge = (user) =>
+  jwt.sign(
+    { sub: user._id.toString(), purpose: CHALLENGE_PURPOSE },
+    config.SECRET,
+    { expiresIn: config.TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+  );
+
+const verifyChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, config.SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.sub : null;
+  } catch {
+    return null;
+  }
+};
+
+// every code works once: a totp code is refused after its step was used,
+// a recovery code is gone after it was used, and whoever writes first wins
+const redeem = async (user, { code, recoveryCode }, { now } = {}) => {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodeHashes': hash },
+      { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+    );
+    return modifiedCount === 1 ? 'recovery code' : null;
+  }
+
+  const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+  const step = totp.verifyCode(user.twoFactor.secret, code, {
+    now,
+    after: lastUsedStep,
+  });
+  if (step === null) {
+    return null;
+  }
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null },
+      ],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return modifiedCount === 1 ? 'code' : null;
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  newRecoveryCodes,
+  provisioningUri,
+  signChallenge,
+  verifyChallenge,
+  redeem,
+};
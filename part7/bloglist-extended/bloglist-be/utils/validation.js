@@ -0,0 +1,245 @@
+const openapi = require('./openapi');
+const { isHttpUrl } = require('./metadata');
+const { validationFailed } = require('./errors');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+const resolve = (node) => {
+  if (!node?.$ref) {
+    return node;
+  }
+
+  const { $ref, ...siblings } = node;
+  const target = $ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((parent, key) => parent[key], openapi);
+  return { ...resolve(target), ...siblings };
+};
+
+const types = {
+  string: { check: (value) => typeof value === 'string', name: 'a string' },
+  integer: { check: Number.isInteger, name: 'an integer' },
+  number: {
+    check: (value) => typeof value === 'number' && Number.isFinite(value),
+    name: 'a number',
+  },
+  boolean: { check: (value) => typeof value === 'boolean', name: 'a boolean' },
+  array: { check: Array.isArray, name: 'a list' },
+  object: {
+    check: (value) =>
+      typeof value === 'object' && value !== null && !Array.isArray(value),
+    name: 'an object',
+  },
+};
+
+const isUrl = (value) => {
+  try {
+    return Boolean(new URL(value));
+  } catch {
+    return false;
+  }
+};
+
+const formats = {
+  objectId: {
+    check: (value) => /^[a-f\d]{24}$/i.test(value),
+    message: 'must be a valid id',
+  },
+  uri: { check: isUrl, message: 'must be a valid url' },
+  'http-url': { check: isHttpUrl, message: 'must be an http or https url' },
+  email: {
+    check: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'must be a valid email',
+  },
+  'date-time': {
+    check: (value) => !Number.isNaN(new Date(value).getTime()),
+    message: 'must be a valid date',
+  },
+};
+
+const typeName = (schema) => types[resolve(schema).type].name;
+
+// the subset of JSON schema the document uses, every problem is reported
+// rather than just the first one
+const check = (node, value, field) => {
+  const schema = resolve(node);
+  const label = field || 'request body';
+  const problem = (message) => [{ field, message: `${label} ${message}` }];
+
+  if (value === null) {
+    return schema.nullable || !schema.type ? [] : problem('must not be null');
+  }
+
+  if (schema.allOf) {
+    return schema.allOf.flatMap((part) => check(part, value, field));
+  }
+
+  // the first option of a matching type decides, so its own constraints
+  // are what gets reported
+  if (schema.anyOf) {
+    const option = schema.anyOf.find((option) => {
+      const { type } = resolve(option);
+      return !type || types[type].check(value);
+    });
+    return option
+      ? check(option, value, field)
+      : problem(`must be ${schema.anyOf.map(typeName).join(' or ')}`);
+  }
+
+  if (schema.type && !types[schema.type].check(value)) {
+    return problem(`must be ${types[schema.type].name}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return problem(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  const problems = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(
+        ...problem(
+          schema.minLength === 1
+            ? 'must not be empty'
+            : `must be at least ${schema.minLength} characters long`
+        )
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(
+        ...problem(`can be at most ${schema.maxLength} characters long`)
+      );
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push(...problem(`must match ${schema.pattern}`));
+    }
+    if (formats[schema.format] && !formats[schema.format].check(value)) {
+      problems.push(...problem(formats[schema.format].message));
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(...problem(`must be at least ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(...problem(`can be at most ${schema.maximum}`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(...problem(`can have at most ${schema.maxItems} items`));
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => {
+        problems.push(...check(schema.items, item, `${field}[${idx}]`));
+      });
+    }
+  }
+
+  if (types.object.check(value)) {
+    const child = (key) => (field ? `${field}.${key}` : key);
+    (schema.required ?? [])
+      .filter((key) => value[key] === undefined)
+      .forEach((key) => {
+        problems.push({
+          field: child(key),
+          message: `${child(key)} is required`,
+        });
+      });
+    Object.entries(schema.properties ?? {})
+      .filter(([key]) => value[key] !== undefined)
+      .forEach(([key, property]) => {
+        problems.push(...check(property, value[key], child(key)));
+      });
+  }
+
+  return problems;
+};
+
+// path and query values always arrive as strings
+const coerce = (schema, value) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return value;
+  }
+  if (schema.type === 'integer' || schema.type === 'number') {
+    return Number(value);
+  }
+  if (schema.type === 'boolean') {
+    return { true: true, false: false }[value] ?? value;
+  }
+  return value;
+};
+
+const checkRequest = ({ pathItem, operation }, request) => {
+  const details = [];
+  const sources = { path: request.params, query: request.query };
+
+  [...(pathItem.parameters ?? []), ...(operation.parameters ?? [])]
+    .map(resolve)
+    .forEach(({ name, in: location, required, schema }) => {
+      const value = sources[location]?.[name];
+      if (value === undefined) {
+        if (required) {
+          details.push({
+            location,
+            field: name,
+            message: `${name} is required`,
+          });
+        }
+        return;
+      }
+
+      check(schema, coerce(resolve(schema), value), name).forEach((problem) =>
+        details.push({ location, ...problem })
+      );
+    });
+
+  // bodies in other formats are left to the route that parses them
+  const content = operation.requestBody?.content ?? {};
+  const mediaType = request.is(Object.keys(content)) || 'application/json';
+  if (mediaType === 'application/json' && content[mediaType]) {
+    check(content[mediaType].schema, request.body ?? {}, '').forEach(
+      (problem) => details.push({ location: 'body', ...problem })
+    );
+  }
+
+  return details;
+};
+
+const operations = new Map(
+  Object.values(openapi.paths).flatMap((pathItem) =>
+    METHODS.filter((method) => pathItem[method]).map((method) => [
+      pathItem[method].operationId,
+      { pathItem, operation: pathItem[method] },
+    ])
+  )
+);
+
+// checks the request against its operation in the OpenAPI document, an
+// operation that isn't documented fails as soon as the router is loaded
+const validate = (operationId) => {
+  const documented = operations.get(operationId);
+  if (!documented) {
+    throw new Error(`operation ${operationId} is not in the OpenAPI document`);
+  }
+
+  const validator = (request, response, next) => {
+    const details = checkRequest(documented, request);
+    if (details.length > 0) {
+      return next(validationFailed(details));
+    }
+    next();
+  };
+  validator.operationId = operationId;
+  return validator;
+};
+
+module.exports = {
+  check,
+  validate,
+  operationIds: [...operations.keys()],
+};
@@ -0,0 +1,37 @@
+const VISIBILITIES = ['public', 'unlisted', 'private', 'draft'];
+
+// unlisted blogs open for anyone who has the link but stay out of every
+// list, private and draft ones only ever show up for the user who added them
+const LISTED = ['public'];
+const OPEN = ['public', 'unlisted'];
+
+// blogs saved before visibility existed have no such field and count as
+// public
+const visibleAs = (visibilities) => ({
+  visibility: { $in: [...visibilities, null] },
+});
+
+const ownedOr = (visibilities, user) =>
+  user
+    ? { $or: [visibleAs(visibilities), { user: user._id }] }
+    : visibleAs(visibilities);
+
+const listedFilter = (user) => ownedOr(LISTED, user);
+
+const viewableFilter = (user) => ownedOr(OPEN, user);
+
+const isOwner = (blog, user) =>
+  Boolean(user) && String(blog.user?._id ?? blog.user) === user.id;
+
+const isListed = (blog) => LISTED.includes(blog.visibility ?? 'public');
+
+const canView = (blog, user) =>
+  OPEN.includes(blog.visibility ?? 'public') || isOwner(blog, user);
+
+module.exports = {
+  VISIBILITIES,
+  listedFilter,
+  viewableFilter,
+  isListed,
+  canView,
+};
@@ -3,9 +3,10 @@ import Togglable from './components/Togglable';
 import BlogForm from './components/BlogForm';
 import LoginForm from './components/LoginForm';
 import BlogList from './components/BlogList';
+import Inbox from './components/Inbox';
 import { useDispatch, useSelector } from 'react-redux';
-import { initializeBlogs } from './reducers/blogReducer';
-import { initializeUser } from './reducers/userReducer';
+import { initializeBlogs, tagInLocation } from './reducers/blogReducer';
+import { initializeUser, enableTokenRenewal } from './reducers/userReducer';
 
 const App = () => {
   const blogFormRef = useRef();
@@ -14,8 +15,22 @@ const App = () => {
   const dispatch = useDispatch();
 
   useEffect(() => {
+    const disableTokenRenewal = dispatch(enableTokenRenewal());
     dispatch(initializeUser());
+    return disableTokenRenewal;
+  }, [dispatch]);
+
+  // private and draft blogs are only listed for the user who added them
+  const userId = user?.id;
+  useEffect(() => {
     dispatch(initializeBlogs());
+  }, [dispatch, userId]);
+
+  // going back or forward between tags reloads the list they point at
+  useEffect(() => {
+    const handlePopState = () => dispatch(initializeBlogs(tagInLocation()));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
   }, [dispatch]);
 
   const blogList = () => <BlogList />;
@@ -35,6 +50,7 @@ const App = () => {
   return (
     <div>
       {user == null && loginForm()}
+      {user != null && <Inbox />}
       {user != null && blogList()}
       {user != null && blogForm()}
     </div>
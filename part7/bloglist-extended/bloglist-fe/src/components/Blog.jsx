@@ -1,7 +1,11 @@
 import PropTypes from 'prop-types';
 import { useState } from 'react';
 import { useDispatch } from 'react-redux';
-import { updateBlog, removeBlog } from '../reducers/blogReducer';
+import {
+  toggleLike,
+  removeBlog,
+  showBlogsTagged,
+} from '../reducers/blogReducer';
 
 const Blog = ({ blog }) => {
   const [showDetails, setShowDetails] = useState(false);
@@ -18,16 +22,10 @@ const Blog = ({ blog }) => {
     marginBottom: 5,
   };
 
-  const addOneLike = async () => {
-    dispatch(
-      updateBlog(blog.id, {
-        user: blog.user.id,
-        likes: blog.likes + 1,
-        author: blog.author,
-        title: blog.title,
-        url: blog.url,
-      })
-    );
+  const likedByCurrentUser = (blog.likedBy ?? []).includes(currentUser.id);
+
+  const handleLikeToggle = async () => {
+    dispatch(toggleLike(blog, likedByCurrentUser));
   };
 
   const handleBlogRemoval = async () => {
@@ -42,8 +40,21 @@ const Blog = ({ blog }) => {
       <button onClick={() => setShowDetails(!showDetails)}>{buttonText}</button>
       <div className="blog-details" style={displayDetails}>
         <p>{blog.url}</p>
+        {blog.description && <p>{blog.description}</p>}
+        {blog.tags && blog.tags.length > 0 && (
+          <p className="tags">
+            {blog.tags.map((tag) => (
+              <button key={tag} onClick={() => dispatch(showBlogsTagged(tag))}>
+                #{tag}
+              </button>
+            ))}
+          </p>
+        )}
         <p>
-          likes {blog.likes} <button onClick={addOneLike}>like</button>
+          likes {blog.likes}{' '}
+          <button onClick={handleLikeToggle}>
+            {likedByCurrentUser ? 'unlike' : 'like'}
+          </button>
         </p>
         <p>{blog.user.name}</p>
         {currentUser.username === blog.user.username && (
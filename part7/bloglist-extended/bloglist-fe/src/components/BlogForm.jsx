@@ -1,13 +1,33 @@
 import { useState } from 'react';
 import { useDispatch } from 'react-redux';
 import { createBlog } from '../reducers/blogReducer';
+import blogService from '../services/blogs';
+import TagEditor from '../../../shared/TagEditor';
+import VisibilitySelect from './VisibilitySelect';
 
 const BlogForm = () => {
   const [title, setTitle] = useState('');
   const [author, setAuthor] = useState('');
   const [url, setUrl] = useState('');
+  const [tags, setTags] = useState([]);
+  const [visibility, setVisibility] = useState('public');
+  const [preview, setPreview] = useState(null);
   const dispatch = useDispatch();
 
+  const handleUrlBlur = async () => {
+    if (!url || url === preview?.url) {
+      return;
+    }
+    try {
+      const pageMetadata = await blogService.preview(url);
+      setTitle((title) => title || pageMetadata.title || '');
+      setAuthor((author) => author || pageMetadata.author || '');
+      setPreview(pageMetadata);
+    } catch (error) {
+      setPreview(null);
+    }
+  };
+
   const handleBlogCreation = async (event) => {
     event.preventDefault();
     dispatch(
@@ -15,11 +35,18 @@ const BlogForm = () => {
         title,
         author,
         url,
+        tags,
+        visibility,
+        description: preview?.description ?? undefined,
+        image: preview?.image ?? undefined,
       })
     );
     setTitle('');
     setAuthor('');
     setUrl('');
+    setTags([]);
+    setVisibility('public');
+    setPreview(null);
   };
 
   return (
@@ -56,9 +83,24 @@ const BlogForm = () => {
             value={url}
             name="Url"
             onChange={({ target }) => setUrl(target.value)}
+            onBlur={handleUrlBlur}
             placeholder="enter blog url"
           />
         </div>
+        {preview && (
+          <div className="blog-preview">
+            {preview.image && (
+              <img src={preview.image} alt="" style={{ maxWidth: 200 }} />
+            )}
+            {preview.description && <p>{preview.description}</p>}
+          </div>
+        )}
+        <TagEditor tags={tags} setTags={setTags} />
+        <VisibilitySelect
+          id="new-visibility"
+          visibility={visibility}
+          setVisibility={setVisibility}
+        />
         <button id="new-blog-button" type="submit">
           create
         </button>
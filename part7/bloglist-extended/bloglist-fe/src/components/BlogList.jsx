@@ -1,12 +1,16 @@
 import Notification from './Notification';
 import Blog from './Blog';
+import TagFilter from './TagFilter';
 import { useSelector, useDispatch } from 'react-redux';
 import { logout } from '../reducers/userReducer';
+import { loadMoreBlogs } from '../reducers/blogReducer';
 
 const BlogList = () => {
   const dispatch = useDispatch();
 
-  const blogs = useSelector((state) => state.blogs);
+  const blogs = useSelector((state) => state.blogs.items);
+  const hasMore = useSelector((state) => state.blogs.nextCursor !== null);
+  const tag = useSelector((state) => state.blogs.tag);
   const username = useSelector((state) => state.user.username);
 
   const handleLogout = () => {
@@ -15,18 +19,23 @@ const BlogList = () => {
 
   return (
     <div>
-      <h2>blogs</h2>
+      <h2>{tag ? `blogs tagged #${tag}` : 'blogs'}</h2>
       <Notification />
       <p>
         {username} logged in&nbsp;
         <button onClick={handleLogout}>logout</button>
       </p>
+      <TagFilter />
+      {tag && blogs.length === 0 && <p>no blogs with this tag</p>}
       {blogs
         .slice()
         .sort((a, b) => b.likes - a.likes)
         .map((blog) => (
           <Blog key={blog.id} blog={blog} />
         ))}
+      {hasMore && (
+        <button onClick={() => dispatch(loadMoreBlogs())}>load more</button>
+      )}
     </div>
   );
 };
@@ -0,0 +1,88 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import Togglable from './Togglable';
+import {
+  refreshInbox,
+  loadMoreNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from '../reducers/inboxReducer';
+
+const REFRESH_INTERVAL = 30000;
+
+const describeNotification = ({ type, actor, blog }) => {
+  const name = actor ? actor.name : 'someone';
+  const title = blog ? blog.title : 'a removed blog';
+
+  switch (type) {
+    case 'like':
+      return `${name} liked ${title}`;
+    case 'comment':
+      return `${name} commented on ${title}`;
+    case 'reply':
+      return `${name} replied to your comment on ${title}`;
+    case 'follow':
+      return `${name} started following you`;
+    default:
+      return '';
+  }
+};
+
+const Inbox = () => {
+  const dispatch = useDispatch();
+  const { items, nextCursor, unreadCount } = useSelector(
+    (state) => state.inbox
+  );
+
+  useEffect(() => {
+    dispatch(refreshInbox());
+    const interval = setInterval(
+      () => dispatch(refreshInbox()),
+      REFRESH_INTERVAL
+    );
+    return () => clearInterval(interval);
+  }, [dispatch]);
+
+  return (
+    <Togglable buttonLabel={`inbox (${unreadCount})`}>
+      <h3>notifications</h3>
+      {unreadCount > 0 && (
+        <button onClick={() => dispatch(markAllNotificationsRead())}>
+          mark all read
+        </button>
+      )}
+      {items.length === 0 ? (
+        <p>nothing yet</p>
+      ) : (
+        <ul>
+          {items.map((notification) => {
+            const isRead = notification.readAt !== null;
+            return (
+              <li
+                key={notification.id}
+                className="inbox-item"
+                style={{ fontWeight: isRead ? 'normal' : 'bold' }}
+              >
+                {describeNotification(notification)}{' '}
+                <button
+                  onClick={() =>
+                    dispatch(markNotificationRead(notification.id, !isRead))
+                  }
+                >
+                  {isRead ? 'mark unread' : 'mark read'}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {nextCursor && (
+        <button onClick={() => dispatch(loadMoreNotifications())}>
+          load more
+        </button>
+      )}
+    </Togglable>
+  );
+};
+
+export default Inbox;
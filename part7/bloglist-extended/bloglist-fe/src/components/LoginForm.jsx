@@ -1,22 +1,60 @@
 import { useState } from 'react';
 import Notification from './Notification';
 import { useDispatch } from 'react-redux';
-import { login } from '../reducers/userReducer';
+import { login, completeTwoFactor } from '../reducers/userReducer';
 
 const LoginForm = () => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
   const dispatch = useDispatch();
 
   const handleLogin = async (event) => {
     event.preventDefault();
 
-    dispatch(login(username, password, ));
+    setChallengeToken(await dispatch(login(username, password)));
 
     setUsername('');
     setPassword('');
   };
 
+  const handleCode = async (event) => {
+    event.preventDefault();
+
+    await dispatch(completeTwoFactor(challengeToken, code));
+
+    setCode('');
+  };
+
+  if (challengeToken) {
+    return (
+      <div>
+        <h2>two-factor authentication</h2>
+        <Notification />
+        <form onSubmit={handleCode}>
+          <div>
+            code from your authenticator app or a recovery code&nbsp;
+            <input
+              type="text"
+              value={code}
+              name="Code"
+              id="two-factor-code"
+              autoComplete="one-time-code"
+              onChange={({ target }) => setCode(target.value)}
+            />
+          </div>
+          <button id="two-factor-button" type="submit">
+            verify
+          </button>
+          <button type="button" onClick={() => setChallengeToken(null)}>
+            start over
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div>
       <h2>log in to application</h2>
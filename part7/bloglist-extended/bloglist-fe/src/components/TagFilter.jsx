@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { showBlogsTagged } from '../reducers/blogReducer';
+import tagService from '../services/tags';
+
+const TagFilter = () => {
+  const [tags, setTags] = useState([]);
+  const activeTag = useSelector((state) => state.blogs.tag);
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    tagService
+      .getAll()
+      .then(setTags)
+      .catch(() => setTags([]));
+  }, []);
+
+  if (tags.length === 0 && !activeTag) {
+    return null;
+  }
+
+  return (
+    <div className="tag-filter">
+      tags:&nbsp;
+      {tags.map(({ tag, count }) => (
+        <button
+          key={tag}
+          disabled={tag === activeTag}
+          onClick={() => dispatch(showBlogsTagged(tag))}
+        >
+          #{tag} ({count})
+        </button>
+      ))}
+      {activeTag && (
+        <button onClick={() => dispatch(showBlogsTagged(null))}>
+          all blogs
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TagFilter;
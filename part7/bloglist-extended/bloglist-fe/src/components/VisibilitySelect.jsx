@@ -0,0 +1,34 @@
+import PropTypes from 'prop-types';
+
+const visibilities = {
+  public: 'public, listed for everyone',
+  unlisted: 'unlisted, only for people with the link',
+  private: 'private, only for me',
+  draft: 'draft, only for me until it is published',
+};
+
+const VisibilitySelect = ({ id, visibility, setVisibility }) => (
+  <div>
+    visibility:&nbsp;
+    <select
+      id={id}
+      value={visibility}
+      name="Visibility"
+      onChange={({ target }) => setVisibility(target.value)}
+    >
+      {Object.entries(visibilities).map(([value, label]) => (
+        <option key={value} value={value}>
+          {label}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+VisibilitySelect.propTypes = {
+  id: PropTypes.string,
+  visibility: PropTypes.string.isRequired,
+  setVisibility: PropTypes.func.isRequired,
+};
+
+export default VisibilitySelect;
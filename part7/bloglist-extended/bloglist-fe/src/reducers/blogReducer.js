@@ -2,34 +2,92 @@ import { createSlice } from '@reduxjs/toolkit';
 import blogService from '../services/blogs';
 import { setNotification } from './notificationReducer';
 
+// the tag being browsed lives in ?tag= so a filtered list can be linked to
+export const tagInLocation = () =>
+  new URLSearchParams(window.location.search).get('tag');
+
+const tagFilters = (tag) => (tag ? { tag } : {});
+
 const blogSlice = createSlice({
   name: 'blog',
-  initialState: [],
+  initialState: {
+    items: [],
+    nextCursor: null,
+    tag: tagInLocation(),
+  },
   reducers: {
     setBlogs(state, action) {
-      return action.payload;
+      return {
+        items: action.payload.blogs,
+        nextCursor: action.payload.nextCursor,
+        tag: action.payload.tag ?? null,
+      };
+    },
+    appendBlogs(state, action) {
+      const loadedIds = state.items.map((blog) => blog.id);
+      const newBlogs = action.payload.blogs.filter(
+        (blog) => !loadedIds.includes(blog.id)
+      );
+      state.items.push(...newBlogs);
+      state.nextCursor = action.payload.nextCursor;
     },
     addBlog(state, action) {
-      state.push(action.payload);
+      const { tag } = state;
+      if (!tag || action.payload.tags?.includes(tag)) {
+        state.items.push(action.payload);
+      }
     },
     updateBlog(state, action) {
       const id = action.payload.id;
-      return state.map((blog) =>
+      state.items = state.items.map((blog) =>
         blog.id === id ? { ...action.payload } : blog
       );
     },
     removeBlog(state, action) {
       const id = action.payload;
-      return state.filter((blog) => blog.id !== id);
+      state.items = state.items.filter((blog) => blog.id !== id);
     },
   },
 });
 
-export const { setBlogs, addBlog } = blogSlice.actions;
+export const { setBlogs, appendBlogs, addBlog } = blogSlice.actions;
+
+// without a tag the one currently browsed is kept
+export const initializeBlogs = (tag) => async (dispatch, getState) => {
+  const shownTag = tag === undefined ? getState().blogs.tag : tag;
+  const page = await blogService.getPage(null, tagFilters(shownTag));
+  dispatch(setBlogs({ ...page, tag: shownTag }));
+};
+
+export const showBlogsTagged = (tag) => async (dispatch) => {
+  const url = new URL(window.location.href);
+  if (tag) {
+    url.searchParams.set('tag', tag);
+  } else {
+    url.searchParams.delete('tag');
+  }
+  window.history.pushState(null, '', url);
+  dispatch(initializeBlogs(tag));
+};
+
+export const loadMoreBlogs = () => async (dispatch, getState) => {
+  const { nextCursor, tag } = getState().blogs;
+  if (!nextCursor) return;
 
-export const initializeBlogs = () => async (dispatch) => {
-  const blogs = await blogService.getAll();
-  dispatch(setBlogs(blogs));
+  try {
+    const page = await blogService.getPage(nextCursor, tagFilters(tag));
+    dispatch(appendBlogs(page));
+  } catch (error) {
+    dispatch(
+      setNotification(
+        {
+          content: `failed to load more blogs, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      )
+    );
+  }
 };
 
 export const createBlog = (request) => async (dispatch) => {
@@ -75,6 +133,25 @@ export const updateBlog = (id, updates) => async (dispatch) => {
   }
 };
 
+export const toggleLike = (blog, liked) => async (dispatch) => {
+  try {
+    const updatedBlog = liked
+      ? await blogService.unlike(blog.id)
+      : await blogService.like(blog.id);
+    dispatch(blogSlice.actions.updateBlog(updatedBlog));
+  } catch (error) {
+    dispatch(
+      setNotification(
+        {
+          content: `failed to like blog, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      )
+    );
+  }
+};
+
 export const removeBlog = (id) => async (dispatch) => {
   try {
     await blogService.remove(id);
@@ -0,0 +1,105 @@
+import { createSlice } from '@reduxjs/toolkit';
+import notificationService from '../services/notifications';
+import { setNotification } from './notificationReducer';
+
+const inboxSlice = createSlice({
+  name: 'inbox',
+  initialState: {
+    items: [],
+    nextCursor: null,
+    unreadCount: 0,
+  },
+  reducers: {
+    setInbox(state, action) {
+      return {
+        items: action.payload.notifications,
+        nextCursor: action.payload.nextCursor,
+        unreadCount: action.payload.unreadCount,
+      };
+    },
+    appendNotifications(state, action) {
+      const loadedIds = state.items.map((notification) => notification.id);
+      state.items.push(
+        ...action.payload.notifications.filter(
+          (notification) => !loadedIds.includes(notification.id)
+        )
+      );
+      state.nextCursor = action.payload.nextCursor;
+      state.unreadCount = action.payload.unreadCount;
+    },
+    replaceNotification(state, action) {
+      const updated = action.payload;
+      const previous = state.items.find((item) => item.id === updated.id);
+      if (
+        previous &&
+        (previous.readAt === null) !== (updated.readAt === null)
+      ) {
+        state.unreadCount += updated.readAt === null ? 1 : -1;
+      }
+      state.items = state.items.map((item) =>
+        item.id === updated.id ? updated : item
+      );
+    },
+    markAllAsRead(state, action) {
+      state.items.forEach((item) => {
+        item.readAt = item.readAt ?? action.payload;
+      });
+      state.unreadCount = 0;
+    },
+  },
+});
+
+const { setInbox, appendNotifications, replaceNotification, markAllAsRead } =
+  inboxSlice.actions;
+
+const notifyError = (dispatch, error) =>
+  dispatch(
+    setNotification(
+      {
+        content: `failed to update notifications, reason: ${error.response.data.error}`,
+        isError: true,
+      },
+      3
+    )
+  );
+
+// polled, so a failed refresh stays quiet and the next one tries again
+export const refreshInbox = () => async (dispatch) => {
+  try {
+    dispatch(setInbox(await notificationService.getPage()));
+  } catch (error) {
+    return;
+  }
+};
+
+export const loadMoreNotifications = () => async (dispatch, getState) => {
+  const { nextCursor } = getState().inbox;
+  if (!nextCursor) return;
+
+  try {
+    dispatch(
+      appendNotifications(await notificationService.getPage(nextCursor))
+    );
+  } catch (error) {
+    notifyError(dispatch, error);
+  }
+};
+
+export const markNotificationRead = (id, read) => async (dispatch) => {
+  try {
+    dispatch(replaceNotification(await notificationService.markRead(id, read)));
+  } catch (error) {
+    notifyError(dispatch, error);
+  }
+};
+
+export const markAllNotificationsRead = () => async (dispatch) => {
+  try {
+    await notificationService.markAllRead();
+    dispatch(markAllAsRead(new Date().toISOString()));
+  } catch (error) {
+    notifyError(dispatch, error);
+  }
+};
+
+export default inboxSlice.reducer;
@@ -1,6 +1,8 @@
 import { createSlice } from '@reduxjs/toolkit';
+import axios from 'axios';
 import loginService from '../services/login';
 import blogService from '../services/blogs';
+import notificationService from '../services/notifications';
 import { setNotification } from './notificationReducer';
 
 const userSlice = createSlice({
@@ -10,6 +12,7 @@ const userSlice = createSlice({
     setUser(state, action) {
       return action.payload
         ? {
+            id: action.payload.id,
             name: action.payload.name,
             username: action.payload.username,
           }
@@ -21,15 +24,37 @@ const userSlice = createSlice({
   },
 });
 
+const startSession = (dispatch, user) => {
+  localStorage.setItem('currentUser', JSON.stringify(user));
+  blogService.setToken(user.token);
+  notificationService.setToken(user.token);
+  dispatch(userSlice.actions.setUser(user));
+  dispatch(
+    setNotification({ content: `Hello, ${user.name}!`, isError: false }, 3)
+  );
+};
+
+// resolves to a challenge token when the account has two-factor
+// authentication, the session only starts once completeTwoFactor passes
 export const login = (username, password) => async (dispatch) => {
   try {
-    const user = await loginService.login(username, password);
-    localStorage.setItem('currentUser', JSON.stringify(user));
-    blogService.setToken(user.token);
-    dispatch(userSlice.actions.setUser(user));
+    const response = await loginService.login(username, password);
+    if (response.twoFactorRequired) {
+      return response.challengeToken;
+    }
+    startSession(dispatch, response);
+  } catch (error) {
     dispatch(
-      setNotification({ content: `Hello, ${user.name}!`, isError: false }, 3)
+      setNotification({ content: error.response.data.error, isError: true }, 3)
     );
+  }
+  return null;
+};
+
+export const completeTwoFactor = (challengeToken, code) => async (dispatch) => {
+  try {
+    const user = await loginService.completeTwoFactor(challengeToken, code);
+    startSession(dispatch, user);
   } catch (error) {
     dispatch(
       setNotification({ content: error.response.data.error, isError: true }, 3)
@@ -38,8 +63,13 @@ export const login = (username, password) => async (dispatch) => {
 };
 
 export const logout = () => (dispatch) => {
+  const currentUser = JSON.parse(localStorage.getItem('currentUser'));
+  if (currentUser) {
+    loginService.logout(currentUser.token).catch(() => {});
+  }
   localStorage.clear();
   blogService.setToken(null);
+  notificationService.setToken(null);
   dispatch(userSlice.actions.clearUser());
   dispatch(setNotification({ content: 'See Ya Soon', isError: false }, 3));
 };
@@ -51,6 +81,7 @@ export const initializeUser = () => (dispatch) => {
 
   const user = JSON.parse(currentUserJson);
   blogService.setToken(user.token);
+  notificationService.setToken(user.token);
   dispatch(userSlice.actions.setUser(user));
   dispatch(
     setNotification(
@@ -60,4 +91,69 @@ export const initializeUser = () => (dispatch) => {
   );
 };
 
+let pendingRenewal = null;
+
+export const enableTokenRenewal = () => (dispatch) => {
+  const renewExpiredToken = async (error) => {
+    const { config, response } = error;
+    const currentUser = JSON.parse(localStorage.getItem('currentUser'));
+    const tokenExpired =
+      response &&
+      response.status === 401 &&
+      response.data.error === 'JWT expired';
+
+    if (!tokenExpired || !currentUser || config.isRetry) {
+      throw error;
+    }
+
+    // requests failing at the same time share a single renewal, since a
+    // refresh token is only valid once
+    if (!pendingRenewal) {
+      pendingRenewal = loginService
+        .refresh(currentUser.refreshToken)
+        .finally(() => {
+          pendingRenewal = null;
+        });
+    }
+
+    let renewedUser;
+    try {
+      renewedUser = await pendingRenewal;
+    } catch (renewalError) {
+      localStorage.clear();
+      blogService.setToken(null);
+      notificationService.setToken(null);
+      dispatch(userSlice.actions.clearUser());
+      dispatch(
+        setNotification(
+          {
+            content: 'Your session has expired, please log in again',
+            isError: true,
+          },
+          3
+        )
+      );
+      throw error;
+    }
+
+    localStorage.setItem(
+      'currentUser',
+      JSON.stringify({ ...currentUser, ...renewedUser })
+    );
+    blogService.setToken(renewedUser.token);
+    notificationService.setToken(renewedUser.token);
+    dispatch(userSlice.actions.setUser(renewedUser));
+
+    config.isRetry = true;
+    config.headers.Authorization = `Bearer ${renewedUser.token}`;
+    return axios(config);
+  };
+
+  const interceptor = axios.interceptors.response.use(
+    undefined,
+    renewExpiredToken
+  );
+  return () => axios.interceptors.response.eject(interceptor);
+};
+
 export default userSlice.reducer;
@@ -1,10 +1,19 @@
 import axios from 'axios';
 const baseUrl = '/api/blogs';
 
+const pageSize = 10;
+
 let jwt = null;
 
-const getAll = async () => {
-  const response = await axios.get(baseUrl);
+const getPage = async (cursor, filters = {}) => {
+  const params = { limit: pageSize, sort: 'likes', ...filters };
+  if (cursor) {
+    params.cursor = cursor;
+  }
+  const response = await axios.get(baseUrl, {
+    params,
+    headers: { Authorization: jwt },
+  });
   return response.data;
 };
 
@@ -16,6 +25,14 @@ const create = async (requestBody) => {
   return response.data;
 };
 
+const preview = async (url) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+  const response = await axios.post(`${baseUrl}/preview`, { url }, config);
+  return response.data;
+};
+
 const update = async (id, requestBody) => {
   const config = {
     headers: { Authorization: jwt },
@@ -25,6 +42,24 @@ const update = async (id, requestBody) => {
   return response.data;
 };
 
+const like = async (id) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.post(`${baseUrl}/${id}/likes`, {}, config);
+  return response.data;
+};
+
+const unlike = async (id) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.delete(`${baseUrl}/${id}/likes`, config);
+  return response.data;
+};
+
 const remove = async (id) => {
   const config = {
     headers: { Authorization: jwt },
@@ -35,7 +70,16 @@ const remove = async (id) => {
 };
 
 const setToken = (token) => {
-  jwt = `Bearer ${token}`;
+  jwt = token ? `Bearer ${token}` : null;
 };
 
-export default { getAll, create, update, remove, setToken };
+export default {
+  getPage,
+  create,
+  preview,
+  update,
+  like,
+  unlike,
+  remove,
+  setToken,
+};
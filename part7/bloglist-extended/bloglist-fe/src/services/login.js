@@ -6,4 +6,27 @@ const login = async (username, password) => {
   return response.data;
 };
 
-export default { login };
+// recovery codes are told apart from app codes by their shape
+const completeTwoFactor = async (challengeToken, code) => {
+  const response = await axios.post(
+    `${baseUrl}/two-factor`,
+    /^\d{6}$/.test(code.trim())
+      ? { challengeToken, code }
+      : { challengeToken, recoveryCode: code }
+  );
+  return response.data;
+};
+
+const refresh = async (refreshToken) => {
+  const response = await axios.post(`${baseUrl}/refresh`, { refreshToken });
+  return response.data;
+};
+
+const logout = async (token) => {
+  const config = {
+    headers: { Authorization: `Bearer ${token}` },
+  };
+  await axios.post('/api/logout', {}, config);
+};
+
+export default { login, completeTwoFactor, refresh, logout };
@@ -2,11 +2,13 @@ import { configureStore } from '@reduxjs/toolkit';
 import notificationReducer from './reducers/notificationReducer';
 import blogReducer from './reducers/blogReducer';
 import userReducer from './reducers/userReducer';
+import inboxReducer from './reducers/inboxReducer';
 
 export default configureStore({
   reducer: {
     message: notificationReducer,
     blogs: blogReducer,
     user: userReducer,
+    inbox: inboxReducer,
   },
 });
@@ -1,11 +1,15 @@
-import { useEffect } from 'react';
+import { useEffect, useLayoutEffect } from 'react';
 import Togglable from './components/Togglable';
 import BlogForm from './components/BlogForm';
 import LoginForm from './components/LoginForm';
 import blogService from './services/blogs';
+import userService from './services/users';
+import readingListService from './services/readingList';
+import notificationService from './services/notifications';
+import collectionService from './services/collections';
 import BlogList from './components/BlogList';
 import BlogDetails from './components/BlogDetails';
-import { useQuery } from '@tanstack/react-query';
+import { useInfiniteQuery, useQuery } from '@tanstack/react-query';
 import { useUserValue } from './UserContext';
 import Users from './components/Users';
 import User from './components/User';
@@ -14,25 +18,38 @@ import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { useNotificationDispatch } from './NotificationContext';
 import Notification from './components/Notification';
 import Navigation from './components/Navigation';
+import Search from './components/Search';
+import ImportBlogs from './components/ImportBlogs';
+import Stats from './components/Stats';
+import Tags from './components/Tags';
+import TagBlogs from './components/TagBlogs';
+import Feed from './components/Feed';
+import ReadingList from './components/ReadingList';
+import Collections from './components/Collections';
+import Collection from './components/Collection';
+import Inbox from './components/Inbox';
+import PasswordReset from './components/PasswordReset';
+import { flattenBlogPages, updateCachedBlog } from './blogsCache';
+import { useRealtimeUpdates } from './realtime';
 
 const App = () => {
   const match = useMatch('/blogs/:id');
+  const isResettingPassword = useMatch('/reset-password') !== null;
   const dispatchNotification = useNotificationDispatch();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
 
-  const blogUpdateMutation = useMutation(blogService.update, {
+  const toggleLike = ({ id, liked }) =>
+    liked ? blogService.unlike(id) : blogService.like(id);
+
+  const blogLikeMutation = useMutation(toggleLike, {
     onSuccess: (updatedBlog) => {
-      const blogs = queryClient.getQueryData({ queryKey: ['blogs'] });
-      const updatedBlogs = blogs.map((blog) =>
-        blog.id === updatedBlog.id ? updatedBlog : blog
-      );
-      queryClient.setQueryData({ queryKey: ['blogs'] }, updatedBlogs);
+      updateCachedBlog(queryClient, updatedBlog.id, () => updatedBlog);
     },
     onError: (error) => {
       dispatchNotification(
         {
-          content: `failed to update blog, reason: ${error.response.data.error}`,
+          content: `failed to like blog, reason: ${error.response.data.error}`,
           isError: true,
         },
         3
@@ -57,18 +74,40 @@ const App = () => {
   });
 
   const user = useUserValue();
-  useEffect(() => {
+  const isLoggedIn = user != null;
+  useRealtimeUpdates(user);
+  // a layout effect runs before the queries of child components start
+  useLayoutEffect(() => {
     blogService.setToken(user ? user.token : null);
-    if (!user) {
-      navigate('/login');
+    userService.setToken(user ? user.token : null);
+    readingListService.setToken(user ? user.token : null);
+    notificationService.setToken(user ? user.token : null);
+    collectionService.setToken(user ? user.token : null);
+  }, [user]);
+
+  useEffect(() => {
+    if (!isLoggedIn) {
+      if (!isResettingPassword) navigate('/login');
     } else {
       navigate('/');
     }
-  }, [user]);
+  }, [isLoggedIn, isResettingPassword]);
 
-  const blogsQueryResult = useQuery({
+  const blogsQueryResult = useInfiniteQuery({
     queryKey: ['blogs'],
-    queryFn: blogService.getAll,
+    queryFn: blogService.getPage,
+    getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+    retry: 2,
+  });
+
+  const blogs = flattenBlogPages(blogsQueryResult.data);
+  const blogId = match ? match.params.id : null;
+  const loadedBlog = blogId ? blogs.find((blog) => blog.id === blogId) : null;
+
+  const blogQueryResult = useQuery({
+    queryKey: ['blog', blogId],
+    queryFn: () => blogService.get(blogId),
+    enabled: blogId !== null && !loadedBlog && blogsQueryResult.isSuccess,
     retry: 2,
   });
 
@@ -84,23 +123,33 @@ const App = () => {
     );
   }
 
-  const blogs = blogsQueryResult.data;
-
-  const blog = match ? blogs.find((blog) => blog.id === match.params.id) : null;
+  const blog = loadedBlog ?? blogQueryResult.data;
 
   const homeView = () => (
     <>
-      <BlogList blogs={blogs} />
+      <Search />
+      <BlogList
+        blogs={blogs}
+        hasMore={blogsQueryResult.hasNextPage}
+        isLoadingMore={blogsQueryResult.isFetchingNextPage}
+        loadMore={blogsQueryResult.fetchNextPage}
+      />
       <Togglable buttonLabel="new blog">
         <BlogForm />
       </Togglable>
+      <Togglable buttonLabel="import blogs">
+        <ImportBlogs />
+      </Togglable>
     </>
   );
 
   const loginForm = () => (
-    <Togglable buttonLabel="login">
-      <LoginForm />
-    </Togglable>
+    <>
+      <Togglable buttonLabel="login">
+        <LoginForm />
+      </Togglable>
+      <Link to="/reset-password">forgot password?</Link>
+    </>
   );
 
   return (
@@ -110,16 +159,29 @@ const App = () => {
       <h1>blog app</h1>
       <Routes>
         <Route path="/login" element={loginForm()} />
+        <Route path="/reset-password" element={<PasswordReset />} />
         <Route path="/" element={user != null && homeView()} />
+        <Route path="/feed" element={user != null && <Feed />} />
+        <Route path="/notifications" element={user != null && <Inbox />} />
+        <Route path="/reading-list" element={user != null && <ReadingList />} />
+        <Route path="/collections" element={user != null && <Collections />} />
+        <Route
+          path="/collections/:id"
+          element={user != null && <Collection />}
+        />
         <Route path="/users" element={user != null && <Users />} />
         <Route path="/users/:id" element={user != null && <User />} />
+        <Route path="/tags" element={user != null && <Tags />} />
+        <Route path="/tags/:tag" element={user != null && <TagBlogs />} />
+        <Route path="/stats" element={user != null && <Stats />} />
         <Route
           path="/blogs/:id"
           element={
-            user != null && (
+            user != null &&
+            blog && (
               <BlogDetails
                 blog={blog}
-                handleUpdate={blogUpdateMutation.mutate}
+                handleLike={blogLikeMutation.mutate}
                 handleRemoval={blogRemovalMutation.mutate}
               />
             )
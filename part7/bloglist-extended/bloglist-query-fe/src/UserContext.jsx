@@ -1,4 +1,13 @@
-import { createContext, useContext, useEffect, useReducer } from 'react';
+import {
+  createContext,
+  useContext,
+  useEffect,
+  useReducer,
+  useRef,
+} from 'react';
+import axios from 'axios';
+import loginService from './services/login';
+import blogService from './services/blogs';
 
 const userReducer = (state, action) => {
   switch (action.type) {
@@ -17,6 +26,52 @@ const UserContext = createContext();
 
 export const UserContextProvider = (props) => {
   const [user, userDispatch] = useReducer(userReducer, null);
+  const pendingRenewal = useRef(null);
+
+  useEffect(() => {
+    const renewExpiredToken = async (error) => {
+      const { config, response } = error;
+      const tokenExpired =
+        response &&
+        response.status === 401 &&
+        response.data.error === 'JWT expired';
+
+      if (!tokenExpired || !user || !user.refreshToken || config.isRetry) {
+        throw error;
+      }
+
+      // requests failing at the same time share a single renewal, since a
+      // refresh token is only valid once
+      if (!pendingRenewal.current) {
+        pendingRenewal.current = loginService
+          .refresh(user.refreshToken)
+          .finally(() => {
+            pendingRenewal.current = null;
+          });
+      }
+
+      let renewedUser;
+      try {
+        renewedUser = await pendingRenewal.current;
+      } catch (renewalError) {
+        userDispatch({ type: 'REMOVE_USER' });
+        throw error;
+      }
+
+      userDispatch({ type: 'SET_USER', payload: { ...user, ...renewedUser } });
+      blogService.setToken(renewedUser.token);
+
+      config.isRetry = true;
+      config.headers.Authorization = `Bearer ${renewedUser.token}`;
+      return axios(config);
+    };
+
+    const interceptor = axios.interceptors.response.use(
+      undefined,
+      renewExpiredToken
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [user]);
 
   return (
     <UserContext.Provider value={[user, userDispatch]}>
@@ -0,0 +1,19 @@
+export const flattenBlogPages = (data) =>
+  data ? data.pages.flatMap((page) => page.blogs) : [];
+
+export const updateCachedBlog = (queryClient, id, update) => {
+  queryClient.setQueryData(
+    ['blogs'],
+    (data) =>
+      data && {
+        ...data,
+        pages: data.pages.map((page) => ({
+          ...page,
+          blogs: page.blogs.map((blog) =>
+            blog.id === id ? update(blog) : blog
+          ),
+        })),
+      }
+  );
+  queryClient.setQueryData(['blog', id], (blog) => blog && update(blog));
+};
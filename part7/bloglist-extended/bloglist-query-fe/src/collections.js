@@ -0,0 +1,31 @@
+import { useQuery } from '@tanstack/react-query';
+import collectionService from './services/collections';
+
+export const useCollections = () =>
+  useQuery({
+    queryKey: ['collections'],
+    queryFn: collectionService.getAll,
+    retry: 2,
+  });
+
+export const useCollection = (id) =>
+  useQuery({
+    queryKey: ['collection', id],
+    queryFn: () => collectionService.get(id),
+    retry: 2,
+  });
+
+// viewers can only look, editors and owners change the blogs
+export const canEdit = (collection) =>
+  collection.role === 'owner' || collection.role === 'editor';
+
+// moves the blog at index by offset, leaving the list as is at either end
+export const moveBlog = (ids, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= ids.length) {
+    return ids;
+  }
+  const moved = [...ids];
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+};
@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import userService from '../services/users';
+import blogService from '../services/blogs';
+import { useUserDispatch } from '../UserContext';
+import { useNotificationDispatch } from '../NotificationContext';
+
+const AccountDeletion = () => {
+  const [blogs, setBlogs] = useState('delete');
+  const dispatchUserUpdate = useUserDispatch();
+  const dispatchNotification = useNotificationDispatch();
+  const queryClient = useQueryClient();
+
+  const accountRemovalMutation = useMutation(userService.removeMe, {
+    onSuccess: () => {
+      queryClient.removeQueries();
+      dispatchUserUpdate({ type: 'REMOVE_USER' });
+      blogService.setToken(null);
+      dispatchNotification({ content: 'account deleted', isError: false }, 3);
+    },
+    onError: (error) => {
+      dispatchNotification(
+        {
+          content: `failed to delete account, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      );
+    },
+  });
+
+  const removeAccount = (event) => {
+    event.preventDefault();
+    if (!confirm('Delete your account? This can not be undone.')) return;
+
+    accountRemovalMutation.mutate({
+      password: event.target.password.value,
+      blogs,
+      transferTo: blogs === 'transfer' ? event.target.transferTo.value : null,
+    });
+  };
+
+  return (
+    <form onSubmit={removeAccount}>
+      <div>
+        <label>
+          <input
+            type="radio"
+            checked={blogs === 'delete'}
+            onChange={() => setBlogs('delete')}
+          />
+          delete my blogs
+        </label>
+        <label>
+          <input
+            type="radio"
+            checked={blogs === 'transfer'}
+            onChange={() => setBlogs('transfer')}
+          />
+          give my blogs to
+        </label>
+        {blogs === 'transfer' && (
+          <input type="text" name="transferTo" placeholder="username" />
+        )}
+      </div>
+      <div>
+        password&nbsp;
+        <input type="password" name="password" />
+      </div>
+      <button type="submit">delete account</button>
+    </form>
+  );
+};
+
+export default AccountDeletion;
@@ -0,0 +1,43 @@
+import PropTypes from 'prop-types';
+
+const BarChart = ({ data }) => {
+  if (data.length === 0) {
+    return <p>nothing to show yet</p>;
+  }
+
+  const max = Math.max(...data.map((item) => item.value));
+  const rowStyle = { display: 'flex', alignItems: 'center', marginBottom: 2 };
+  const labelStyle = { width: 120, flexShrink: 0 };
+  const barStyle = (value) => ({
+    width: `${max === 0 ? 0 : (value / max) * 100}%`,
+    minWidth: 2,
+    height: 16,
+    marginRight: 5,
+    backgroundColor: 'steelblue',
+  });
+
+  return (
+    <div className="bar-chart">
+      {data.map((item) => (
+        <div key={item.label} style={rowStyle}>
+          <span style={labelStyle}>{item.label}</span>
+          <div style={{ flexGrow: 1, display: 'flex', alignItems: 'center' }}>
+            <div style={barStyle(item.value)} />
+            {item.value}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+BarChart.propTypes = {
+  data: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      value: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+};
+
+export default BarChart;
@@ -2,38 +2,79 @@ import { useUserValue } from '../UserContext';
 import blogService from '../services/blogs';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { useNotificationDispatch } from '../NotificationContext';
+import { Link } from 'react-router-dom';
+import { updateCachedBlog } from '../blogsCache';
+import CommentThread, { CommentForm } from './CommentThread';
+import ReadingListToggle from './ReadingListToggle';
+import CollectionPicker from './CollectionPicker';
+import BlogEditForm from './BlogEditForm';
+import BlogRevisions from './BlogRevisions';
+import Togglable from './Togglable';
 
-const BlogDetails = ({ blog, handleUpdate, handleRemoval }) => {
+const BlogDetails = ({ blog, handleLike, handleRemoval }) => {
   const currentUser = useUserValue();
   const queryClient = useQueryClient();
   const dispatchNotification = useNotificationDispatch();
 
+  const notifyCommentError = (action) => (error) => {
+    dispatchNotification(
+      {
+        content: `failed to ${action}, reason: ${error.response.data.error}`,
+        isError: true,
+      },
+      3
+    );
+  };
+
+  const replaceCachedComment = (updatedComment) => {
+    updateCachedBlog(queryClient, blog.id, (cachedBlog) => ({
+      ...cachedBlog,
+      comments: cachedBlog.comments.map((comment) =>
+        comment.id === updatedComment.id ? updatedComment : comment
+      ),
+    }));
+  };
+
   const newCommentMutation = useMutation(blogService.addComment, {
     onSuccess: (newComment) => {
-      const blogs = queryClient.getQueryData({ queryKey: ['blogs'] });
-      const updatedBlogs = blogs.map((blog) =>
-        blog.id === newComment.blog
-          ? { ...blog, comments: blog.comments.concat(newComment) }
-          : blog
-      );
-      queryClient.setQueryData({ queryKey: ['blogs'] }, updatedBlogs);
+      updateCachedBlog(queryClient, newComment.blog, (blog) => ({
+        ...blog,
+        comments: blog.comments.concat(newComment),
+      }));
     },
-    onError: (error) => {
-      dispatchNotification(
-        {
-          content: `failed to add a new comment, reason: ${error.response.data.error}`,
-          isError: true,
-        },
-        3
-      );
+    onError: notifyCommentError('add a new comment'),
+  });
+
+  const commentUpdateMutation = useMutation(blogService.updateComment, {
+    onSuccess: replaceCachedComment,
+    onError: notifyCommentError('update comment'),
+  });
+
+  const commentRemovalMutation = useMutation(blogService.removeComment, {
+    onSuccess: (_, { id }) => {
+      const comment = blog.comments.find((comment) => comment.id === id);
+      replaceCachedComment({
+        ...comment,
+        text: null,
+        deletedAt: new Date().toISOString(),
+      });
     },
+    onError: notifyCommentError('delete comment'),
   });
 
-  const addOneLike = () => {
-    handleUpdate({
-      ...blog,
-      likes: blog.likes + 1,
-    });
+  const commentHandlers = {
+    reply: (parent, text) =>
+      newCommentMutation.mutate({ id: blog.id, text, parent }),
+    edit: (id, text) =>
+      commentUpdateMutation.mutate({ blogId: blog.id, id, text }),
+    remove: (id) => commentRemovalMutation.mutate({ blogId: blog.id, id }),
+  };
+
+  const isOwner = currentUser.username === blog.user.username;
+  const likedByCurrentUser = (blog.likedBy ?? []).includes(currentUser.id);
+
+  const toggleLike = () => {
+    handleLike({ id: blog.id, liked: likedByCurrentUser });
   };
 
   const removeBlog = () => {
@@ -42,11 +83,8 @@ const BlogDetails = ({ blog, handleUpdate, handleRemoval }) => {
     }
   };
 
-  const addComment = (event) => {
-    event.preventDefault();
-    const commentText = event.target.comment.value;
-    newCommentMutation.mutate({ id: blog.id, text: commentText });
-    event.target.comment.value = '';
+  const addComment = (text) => {
+    newCommentMutation.mutate({ id: blog.id, text });
   };
 
   const commentList = () => {
@@ -55,11 +93,11 @@ const BlogDetails = ({ blog, handleUpdate, handleRemoval }) => {
     }
 
     return (
-      <ul>
-        {blog.comments.map((comment) => (
-          <li key={comment.id}>{comment.text}</li>
-        ))}
-      </ul>
+      <CommentThread
+        comments={blog.comments}
+        currentUser={currentUser}
+        handlers={commentHandlers}
+      />
     );
   };
 
@@ -69,20 +107,42 @@ const BlogDetails = ({ blog, handleUpdate, handleRemoval }) => {
         {blog.title} {blog.author}
       </h2>
       <p>{blog.url}</p>
+      {blog.image && <img src={blog.image} alt="" style={{ maxWidth: 300 }} />}
+      {blog.description && <p>{blog.description}</p>}
+      {blog.tags && blog.tags.length > 0 && (
+        <p>
+          {blog.tags.map((tag) => (
+            <Link key={tag} to={`/tags/${tag}`} className="tag">
+              #{tag}{' '}
+            </Link>
+          ))}
+        </p>
+      )}
       <p>
-        {blog.likes} likes <button onClick={addOneLike}>like</button>
+        {blog.likes} likes{' '}
+        <button onClick={toggleLike}>
+          {likedByCurrentUser ? 'unlike' : 'like'}
+        </button>
+      </p>
+      <p>
+        <ReadingListToggle blog={blog} />
       </p>
+      <CollectionPicker blog={blog} />
       <p>added by {blog.user.name}</p>
-      {currentUser.username === blog.user.username && (
+      {isOwner && (
         <button className="remove-button" onClick={removeBlog}>
           remove
         </button>
       )}
+      {isOwner && (
+        <Togglable buttonLabel="edit">
+          <BlogEditForm blog={blog} />
+        </Togglable>
+      )}
+      <h3>history</h3>
+      <BlogRevisions blog={blog} canRestore={isOwner} />
       <h3>comments</h3>
-      <form onSubmit={addComment}>
-        <input type="text" name="comment" />
-        <button type="submit">add comment</button>
-      </form>
+      <CommentForm buttonLabel="add comment" handleSubmit={addComment} />
       {commentList()}
     </div>
   );
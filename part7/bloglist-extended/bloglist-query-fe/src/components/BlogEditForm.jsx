@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import blogService from '../services/blogs';
+import { useNotificationDispatch } from '../NotificationContext';
+import { updateCachedBlog } from '../blogsCache';
+import TagEditor from '../../../shared/TagEditor';
+import VisibilitySelect from './VisibilitySelect';
+
+const BlogEditForm = ({ blog, toggleVisibility }) => {
+  const queryClient = useQueryClient();
+  const dispatchNotification = useNotificationDispatch();
+  const [title, setTitle] = useState(blog.title);
+  const [author, setAuthor] = useState(blog.author ?? '');
+  const [url, setUrl] = useState(blog.url);
+  const [tags, setTags] = useState(blog.tags ?? []);
+  const [visibility, setVisibility] = useState(blog.visibility ?? 'public');
+
+  const blogUpdateMutation = useMutation(blogService.update, {
+    onSuccess: (updatedBlog) => {
+      updateCachedBlog(queryClient, updatedBlog.id, () => updatedBlog);
+      queryClient.invalidateQueries({ queryKey: ['revisions', blog.id] });
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+      if (toggleVisibility) {
+        toggleVisibility();
+      }
+    },
+    onError: (error) => {
+      dispatchNotification(
+        {
+          content: `failed to update blog, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      );
+    },
+  });
+
+  const handleUpdate = (event) => {
+    event.preventDefault();
+    blogUpdateMutation.mutate({
+      id: blog.id,
+      title,
+      author,
+      url,
+      tags,
+      visibility,
+    });
+  };
+
+  return (
+    <form onSubmit={handleUpdate}>
+      <div>
+        title:{' '}
+        <input
+          type="text"
+          value={title}
+          onChange={({ target }) => setTitle(target.value)}
+        />
+      </div>
+      <div>
+        author:{' '}
+        <input
+          type="text"
+          value={author}
+          onChange={({ target }) => setAuthor(target.value)}
+        />
+      </div>
+      <div>
+        url:{' '}
+        <input
+          type="text"
+          value={url}
+          onChange={({ target }) => setUrl(target.value)}
+        />
+      </div>
+      <TagEditor tags={tags} setTags={setTags} />
+      <VisibilitySelect visibility={visibility} setVisibility={setVisibility} />
+      <button type="submit">save</button>
+    </form>
+  );
+};
+
+BlogEditForm.propTypes = {
+  blog: PropTypes.object.isRequired,
+};
+
+export default BlogEditForm;
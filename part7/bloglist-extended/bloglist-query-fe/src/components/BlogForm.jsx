@@ -2,6 +2,8 @@ import { useState } from 'react';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import blogService from '../services/blogs';
 import { useNotificationDispatch } from '../NotificationContext';
+import TagEditor from '../../../shared/TagEditor';
+import VisibilitySelect from './VisibilitySelect';
 
 const BlogForm = ({ toggleVisibility }) => {
   const queryClient = useQueryClient();
@@ -9,11 +11,31 @@ const BlogForm = ({ toggleVisibility }) => {
   const [title, setTitle] = useState('');
   const [author, setAuthor] = useState('');
   const [url, setUrl] = useState('');
+  const [tags, setTags] = useState([]);
+  const [visibility, setVisibility] = useState('public');
+  const [preview, setPreview] = useState(null);
+
+  const blogPreviewMutation = useMutation(blogService.preview, {
+    onSuccess: (pageMetadata) => {
+      setTitle((title) => title || pageMetadata.title || '');
+      setAuthor((author) => author || pageMetadata.author || '');
+      setPreview(pageMetadata);
+    },
+    onError: () => {
+      setPreview(null);
+    },
+  });
+
+  const handleUrlBlur = () => {
+    if (url && url !== preview?.url) {
+      blogPreviewMutation.mutate(url);
+    }
+  };
 
   const blogCreationMutation = useMutation(blogService.create, {
     onSuccess: (newBlog) => {
-      const blogs = queryClient.getQueryData({ queryKey: ['blogs'] });
-      queryClient.setQueryData({ queryKey: ['blogs'] }, blogs.concat(newBlog));
+      queryClient.invalidateQueries({ queryKey: ['blogs'] });
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
       if (toggleVisibility) {
         toggleVisibility();
       }
@@ -43,11 +65,18 @@ const BlogForm = ({ toggleVisibility }) => {
       title,
       author,
       url,
+      tags,
+      visibility,
+      description: preview?.description ?? undefined,
+      image: preview?.image ?? undefined,
     });
 
     setTitle('');
     setAuthor('');
     setUrl('');
+    setTags([]);
+    setVisibility('public');
+    setPreview(null);
   };
 
   return (
@@ -84,9 +113,25 @@ const BlogForm = ({ toggleVisibility }) => {
             value={url}
             name="Url"
             onChange={({ target }) => setUrl(target.value)}
+            onBlur={handleUrlBlur}
             placeholder="enter blog url"
           />
         </div>
+        {blogPreviewMutation.isLoading && <p>fetching page details...</p>}
+        {preview && (
+          <div className="blog-preview">
+            {preview.image && (
+              <img src={preview.image} alt="" style={{ maxWidth: 200 }} />
+            )}
+            {preview.description && <p>{preview.description}</p>}
+          </div>
+        )}
+        <TagEditor tags={tags} setTags={setTags} />
+        <VisibilitySelect
+          id="new-visibility"
+          visibility={visibility}
+          setVisibility={setVisibility}
+        />
         <button id="new-blog-button" type="submit">
           create
         </button>
@@ -1,20 +1,37 @@
 import PropTypes from 'prop-types';
 import BlogListItem from './BlogListItem';
 
-const BlogList = ({ blogs }) => {
+const BlogList = ({
+  blogs,
+  hasMore,
+  isLoadingMore,
+  loadMore,
+  sortByLikes = true,
+}) => {
+  const sortedBlogs = sortByLikes
+    ? [...blogs].sort((a, b) => b.likes - a.likes)
+    : blogs;
+
   return (
     <div>
-      {blogs
-        .sort((a, b) => b.likes - a.likes)
-        .map((blog) => (
-          <BlogListItem key={blog.id} blog={blog} />
-        ))}
+      {sortedBlogs.map((blog) => (
+        <BlogListItem key={blog.id} blog={blog} />
+      ))}
+      {hasMore && (
+        <button onClick={() => loadMore()} disabled={isLoadingMore}>
+          {isLoadingMore ? 'loading...' : 'load more'}
+        </button>
+      )}
     </div>
   );
 };
 
 BlogList.propTypes = {
   blogs: PropTypes.array.isRequired,
+  hasMore: PropTypes.bool,
+  isLoadingMore: PropTypes.bool,
+  loadMore: PropTypes.func,
+  sortByLikes: PropTypes.bool,
 };
 
 export default BlogList;
@@ -1,5 +1,6 @@
 import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
+import ReadingListToggle from './ReadingListToggle';
 
 const BlogListItem = ({ blog }) => {
   const blogStyle = {
@@ -15,6 +16,7 @@ const BlogListItem = ({ blog }) => {
       <Link to={`/blogs/${blog.id}`}>
         {blog.title} {blog.author}{' '}
       </Link>
+      <ReadingListToggle blog={blog} />
     </div>
   );
 };
@@ -0,0 +1,103 @@
+import PropTypes from 'prop-types';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import blogService from '../services/blogs';
+import { useNotificationDispatch } from '../NotificationContext';
+import { updateCachedBlog } from '../blogsCache';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  return Array.isArray(value) ? value.join(', ') || '(none)' : value;
+};
+
+const FieldDiff = ({ changes }) => (
+  <table className="revision-diff">
+    <tbody>
+      {changes.map(({ field, before, after }) => (
+        <tr key={field}>
+          <th>{field}</th>
+          <td>
+            <del style={{ background: '#fdd' }}>{formatValue(before)}</del>
+          </td>
+          <td>
+            <ins style={{ background: '#dfd' }}>{formatValue(after)}</ins>
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const BlogRevisions = ({ blog, canRestore }) => {
+  const queryClient = useQueryClient();
+  const dispatchNotification = useNotificationDispatch();
+
+  const revisionsQueryResult = useQuery({
+    queryKey: ['revisions', blog.id],
+    queryFn: () => blogService.getRevisions(blog.id),
+    retry: 2,
+  });
+
+  const restoreMutation = useMutation(blogService.restoreRevision, {
+    onSuccess: (restoredBlog, { revision }) => {
+      updateCachedBlog(queryClient, restoredBlog.id, () => restoredBlog);
+      queryClient.invalidateQueries({ queryKey: ['revisions', blog.id] });
+      dispatchNotification(
+        { content: `restored revision ${revision}`, isError: false },
+        3
+      );
+    },
+    onError: (error) => {
+      dispatchNotification(
+        {
+          content: `failed to restore revision, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      );
+    },
+  });
+
+  if (revisionsQueryResult.isLoading) {
+    return <p>Loading history</p>;
+  }
+
+  if (revisionsQueryResult.isError) {
+    return <p>Failed to load history</p>;
+  }
+
+  const revisions = revisionsQueryResult.data;
+  if (revisions.length === 0) {
+    return <p>this blog has never been edited</p>;
+  }
+
+  return (
+    <ol reversed>
+      {revisions.map((revision) => (
+        <li key={revision.id}>
+          edited by {revision.editor ? revision.editor.name : 'a removed user'}{' '}
+          on {new Date(revision.createdAt).toLocaleString()}
+          <FieldDiff changes={revision.changes} />
+          {canRestore && (
+            <button
+              onClick={() =>
+                restoreMutation.mutate({
+                  id: blog.id,
+                  revision: revision.revision,
+                })
+              }
+            >
+              restore this version
+            </button>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+BlogRevisions.propTypes = {
+  blog: PropTypes.object.isRequired,
+  canRestore: PropTypes.bool,
+};
+
+export default BlogRevisions;
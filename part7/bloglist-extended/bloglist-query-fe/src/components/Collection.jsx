@@ -0,0 +1,141 @@
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import collectionService from '../services/collections';
+import { canEdit, moveBlog, useCollection } from '../collections';
+import { useNotificationDispatch } from '../NotificationContext';
+
+const Collection = () => {
+  const id = useParams().id;
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const dispatchNotification = useNotificationDispatch();
+  const collectionQueryResult = useCollection(id);
+
+  const notifyError = (action) => (error) => {
+    dispatchNotification(
+      {
+        content: `failed to ${action}, reason: ${error.response.data.error}`,
+        isError: true,
+      },
+      3
+    );
+  };
+
+  const reorderMutation = useMutation(collectionService.reorder, {
+    onSuccess: (updatedCollection) => {
+      queryClient.setQueryData(['collection', id], updatedCollection);
+    },
+    onError: (error) => {
+      // someone else changed the collection, show what it looks like now
+      queryClient.invalidateQueries({ queryKey: ['collection', id] });
+      notifyError('reorder blogs')(error);
+    },
+  });
+
+  const blogRemovalMutation = useMutation(collectionService.removeBlog, {
+    onSuccess: (_, { blogId }) => {
+      queryClient.setQueryData(['collection', id], (collection) => ({
+        ...collection,
+        blogs: collection.blogs.filter((blog) => blog.id !== blogId),
+      }));
+      queryClient.invalidateQueries({ queryKey: ['collections'] });
+    },
+    onError: notifyError('remove blog from collection'),
+  });
+
+  const collectionRemovalMutation = useMutation(collectionService.remove, {
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['collections'] });
+      navigate('/collections');
+    },
+    onError: notifyError('delete collection'),
+  });
+
+  if (collectionQueryResult.isLoading) {
+    return <p>Loading collection</p>;
+  }
+
+  if (collectionQueryResult.isError) {
+    return collectionQueryResult.error.response?.status === 404 ? (
+      <p>No such collection</p>
+    ) : (
+      <p>Failed to load collection</p>
+    );
+  }
+
+  const collection = collectionQueryResult.data;
+  const editable = canEdit(collection);
+  const blogIds = collection.blogs.map((blog) => blog.id);
+
+  const move = (index, offset) => {
+    reorderMutation.mutate({ id, blogs: moveBlog(blogIds, index, offset) });
+  };
+
+  const removeCollection = () => {
+    if (confirm(`Delete collection ${collection.name}`)) {
+      collectionRemovalMutation.mutate(id);
+    }
+  };
+
+  return (
+    <div>
+      <h2>{collection.name}</h2>
+      {collection.description && <p>{collection.description}</p>}
+      {collection.blogs.length === 0 ? (
+        <p>no blogs in this collection yet</p>
+      ) : (
+        <ol>
+          {collection.blogs.map((blog, index) => (
+            <li key={blog.id}>
+              <Link to={`/blogs/${blog.id}`}>
+                {blog.title} {blog.author}
+              </Link>
+              {editable && (
+                <>
+                  {' '}
+                  <button
+                    onClick={() => move(index, -1)}
+                    disabled={index === 0 || reorderMutation.isLoading}
+                  >
+                    up
+                  </button>
+                  <button
+                    onClick={() => move(index, 1)}
+                    disabled={
+                      index === blogIds.length - 1 || reorderMutation.isLoading
+                    }
+                  >
+                    down
+                  </button>
+                  <button
+                    onClick={() =>
+                      blogRemovalMutation.mutate({ id, blogId: blog.id })
+                    }
+                  >
+                    remove
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+      <h3>members</h3>
+      <ul>
+        {collection.members.map((member) => (
+          <li key={member.user.id}>
+            <Link to={`/users/${member.user.id}`}>{member.user.name}</Link>{' '}
+            <i>{member.role}</i>
+          </li>
+        ))}
+      </ul>
+      {collection.role === 'owner' && (
+        <button className="remove-button" onClick={removeCollection}>
+          delete collection
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Collection;
@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import collectionService from '../services/collections';
+import { canEdit, useCollections } from '../collections';
+import { useNotificationDispatch } from '../NotificationContext';
+
+const CollectionPicker = ({ blog }) => {
+  const queryClient = useQueryClient();
+  const dispatchNotification = useNotificationDispatch();
+  const collectionsQueryResult = useCollections();
+  const [collectionId, setCollectionId] = useState('');
+
+  const blogAdditionMutation = useMutation(collectionService.addBlog, {
+    onSuccess: (updatedCollection) => {
+      queryClient.setQueryData(
+        ['collection', updatedCollection.id],
+        updatedCollection
+      );
+      queryClient.invalidateQueries({ queryKey: ['collections'] });
+      dispatchNotification(
+        {
+          content: `${blog.title} is now in ${updatedCollection.name}`,
+          isError: false,
+        },
+        3
+      );
+    },
+    onError: (error) => {
+      dispatchNotification(
+        {
+          content: `failed to add blog to collection, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      );
+    },
+  });
+
+  if (!collectionsQueryResult.isSuccess) {
+    return null;
+  }
+
+  const collections = collectionsQueryResult.data.filter(
+    (collection) => canEdit(collection) && !collection.blogs.includes(blog.id)
+  );
+  if (collections.length === 0) {
+    return null;
+  }
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    blogAdditionMutation.mutate({ id: collectionId, blogId: blog.id });
+    setCollectionId('');
+  };
+
+  return (
+    <form onSubmit={handleAdd}>
+      <select
+        value={collectionId}
+        onChange={({ target }) => setCollectionId(target.value)}
+      >
+        <option value="">choose a collection</option>
+        {collections.map((collection) => (
+          <option key={collection.id} value={collection.id}>
+            {collection.name}
+          </option>
+        ))}
+      </select>
+      <button type="submit" disabled={!collectionId}>
+        add to collection
+      </button>
+    </form>
+  );
+};
+
+CollectionPicker.propTypes = {
+  blog: PropTypes.object.isRequired,
+};
+
+export default CollectionPicker;
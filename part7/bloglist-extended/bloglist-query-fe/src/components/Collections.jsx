@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import collectionService from '../services/collections';
+import { useCollections } from '../collections';
+import { useNotificationDispatch } from '../NotificationContext';
+import Togglable from './Togglable';
+
+const CollectionForm = ({ toggleVisibility }) => {
+  const queryClient = useQueryClient();
+  const dispatchNotification = useNotificationDispatch();
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  const collectionCreationMutation = useMutation(collectionService.create, {
+    onSuccess: (newCollection) => {
+      queryClient.invalidateQueries({ queryKey: ['collections'] });
+      if (toggleVisibility) {
+        toggleVisibility();
+      }
+      dispatchNotification(
+        {
+          content: `collection ${newCollection.name} has been created`,
+          isError: false,
+        },
+        3
+      );
+    },
+    onError: (error) => {
+      dispatchNotification(
+        {
+          content: `failed to create collection, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      );
+    },
+  });
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    collectionCreationMutation.mutate({
+      name,
+      description: description || undefined,
+    });
+    setName('');
+    setDescription('');
+  };
+
+  return (
+    <form onSubmit={handleCreate}>
+      <div>
+        name:&nbsp;
+        <input
+          id="new-collection-name"
+          type="text"
+          value={name}
+          onChange={({ target }) => setName(target.value)}
+          placeholder="enter collection name"
+        />
+      </div>
+      <div>
+        description:&nbsp;
+        <input
+          id="new-collection-description"
+          type="text"
+          value={description}
+          onChange={({ target }) => setDescription(target.value)}
+        />
+      </div>
+      <button type="submit">create</button>
+    </form>
+  );
+};
+
+const Collections = () => {
+  const collectionsQueryResult = useCollections();
+
+  if (collectionsQueryResult.isLoading) {
+    return <p>Loading collections</p>;
+  }
+
+  if (collectionsQueryResult.isError) {
+    return <p>Failed to load collections</p>;
+  }
+
+  const collections = collectionsQueryResult.data;
+
+  return (
+    <div>
+      <h2>collections</h2>
+      {collections.length === 0 ? (
+        <p>you are not a member of any collection yet</p>
+      ) : (
+        <ul>
+          {collections.map((collection) => (
+            <li key={collection.id}>
+              <Link to={`/collections/${collection.id}`}>
+                {collection.name}
+              </Link>{' '}
+              <i>
+                {collection.blogs.length} blogs, {collection.role}
+              </i>
+            </li>
+          ))}
+        </ul>
+      )}
+      <Togglable buttonLabel="new collection">
+        <CollectionForm />
+      </Togglable>
+    </div>
+  );
+};
+
+export default Collections;
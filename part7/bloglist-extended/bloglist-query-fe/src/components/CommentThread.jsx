@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const CommentForm = ({ buttonLabel, initialText, handleSubmit }) => {
+  const submit = (event) => {
+    event.preventDefault();
+    handleSubmit(event.target.comment.value);
+    event.target.comment.value = '';
+  };
+
+  return (
+    <form onSubmit={submit}>
+      <input type="text" name="comment" defaultValue={initialText} />
+      <button type="submit">{buttonLabel}</button>
+    </form>
+  );
+};
+
+const Comment = ({ comment, currentUser, handlers, children }) => {
+  const [mode, setMode] = useState(null);
+  const isDeleted = Boolean(comment.deletedAt);
+  const isOwn =
+    !isDeleted && comment.author && comment.author.id === currentUser.id;
+  const isEdited = !isDeleted && comment.updatedAt !== comment.createdAt;
+
+  const toggleMode = (nextMode) => setMode(mode === nextMode ? null : nextMode);
+
+  const reply = (text) => {
+    handlers.reply(comment.id, text);
+    setMode(null);
+  };
+
+  const edit = (text) => {
+    handlers.edit(comment.id, text);
+    setMode(null);
+  };
+
+  const remove = () => {
+    if (confirm('Remove comment?')) {
+      handlers.remove(comment.id);
+    }
+  };
+
+  return (
+    <li className="comment">
+      {isDeleted ? (
+        <i>[deleted]</i>
+      ) : (
+        <>
+          <b>{comment.author ? comment.author.name : 'anonymous'}</b>:{' '}
+          {comment.text}
+          {isEdited && <i> (edited)</i>}
+        </>
+      )}
+      <div>
+        {!isDeleted && (
+          <button onClick={() => toggleMode('reply')}>reply</button>
+        )}
+        {isOwn && <button onClick={() => toggleMode('edit')}>edit</button>}
+        {isOwn && <button onClick={remove}>delete</button>}
+      </div>
+      {mode === 'reply' && (
+        <CommentForm buttonLabel="add reply" handleSubmit={reply} />
+      )}
+      {mode === 'edit' && (
+        <CommentForm
+          buttonLabel="save"
+          initialText={comment.text}
+          handleSubmit={edit}
+        />
+      )}
+      {children}
+    </li>
+  );
+};
+
+const Thread = ({ comments, parent, currentUser, handlers }) => {
+  const replies = comments.filter((comment) => comment.parent === parent);
+  if (replies.length === 0) return null;
+
+  return (
+    <ul>
+      {replies.map((comment) => (
+        <Comment
+          key={comment.id}
+          comment={comment}
+          currentUser={currentUser}
+          handlers={handlers}
+        >
+          <Thread
+            comments={comments}
+            parent={comment.id}
+            currentUser={currentUser}
+            handlers={handlers}
+          />
+        </Comment>
+      ))}
+    </ul>
+  );
+};
+
+const CommentThread = ({ comments, currentUser, handlers }) => {
+  // replies whose parent is gone for good are shown at the top level
+  const ids = comments.map((comment) => comment.id);
+  const threadedComments = comments.map((comment) => ({
+    ...comment,
+    parent: ids.includes(comment.parent) ? comment.parent : null,
+  }));
+
+  return (
+    <Thread
+      comments={threadedComments}
+      parent={null}
+      currentUser={currentUser}
+      handlers={handlers}
+    />
+  );
+};
+
+CommentThread.propTypes = {
+  comments: PropTypes.array.isRequired,
+  currentUser: PropTypes.object.isRequired,
+  handlers: PropTypes.shape({
+    reply: PropTypes.func.isRequired,
+    edit: PropTypes.func.isRequired,
+    remove: PropTypes.func.isRequired,
+  }).isRequired,
+};
+
+export { CommentForm };
+export default CommentThread;
@@ -0,0 +1,45 @@
+import { useInfiniteQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import blogService from '../services/blogs';
+import { flattenBlogPages } from '../blogsCache';
+import BlogList from './BlogList';
+
+const Feed = () => {
+  const blogsQueryResult = useInfiniteQuery({
+    queryKey: ['blogs', 'feed'],
+    queryFn: blogService.getFeedPage,
+    getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+    retry: 2,
+  });
+
+  if (blogsQueryResult.isLoading) {
+    return <p>Loading your feed</p>;
+  }
+
+  if (blogsQueryResult.isError) {
+    return <p>Failed to load your feed</p>;
+  }
+
+  const blogs = flattenBlogPages(blogsQueryResult.data);
+
+  return (
+    <div>
+      <h2>my feed</h2>
+      {blogs.length === 0 ? (
+        <p>
+          nothing here yet, find some <Link to="/users">users</Link> to follow
+        </p>
+      ) : (
+        <BlogList
+          blogs={blogs}
+          hasMore={blogsQueryResult.hasNextPage}
+          isLoadingMore={blogsQueryResult.isFetchingNextPage}
+          loadMore={blogsQueryResult.fetchNextPage}
+          sortByLikes={false}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Feed;
@@ -0,0 +1,61 @@
+import PropTypes from 'prop-types';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import userService from '../services/users';
+import { useUserValue } from '../UserContext';
+import { useNotificationDispatch } from '../NotificationContext';
+
+const FollowButton = ({ user }) => {
+  const currentUser = useUserValue();
+  const queryClient = useQueryClient();
+  const dispatchNotification = useNotificationDispatch();
+
+  const profileQueryResult = useQuery({
+    queryKey: ['user', currentUser.id],
+    queryFn: userService.getMe,
+    retry: 2,
+  });
+
+  const toggleFollow = ({ id, isFollowing }) =>
+    isFollowing ? userService.unfollow(id) : userService.follow(id);
+
+  const followMutation = useMutation(toggleFollow, {
+    onSuccess: (profile) => {
+      queryClient.setQueryData(['user', profile.id], profile);
+      queryClient.invalidateQueries({ queryKey: ['user', user.id] });
+      queryClient.invalidateQueries({ queryKey: ['blogs', 'feed'] });
+    },
+    onError: (error) => {
+      dispatchNotification(
+        {
+          content: `failed to follow user, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      );
+    },
+  });
+
+  if (!profileQueryResult.isSuccess) {
+    return null;
+  }
+
+  const isFollowing = profileQueryResult.data.following.includes(user.id);
+
+  return (
+    <p>
+      {user.followers} {user.followers === 1 ? 'follower' : 'followers'}{' '}
+      <button
+        onClick={() => followMutation.mutate({ id: user.id, isFollowing })}
+        disabled={followMutation.isLoading}
+      >
+        {isFollowing ? 'unfollow' : 'follow'}
+      </button>
+    </p>
+  );
+};
+
+FollowButton.propTypes = {
+  user: PropTypes.object.isRequired,
+};
+
+export default FollowButton;
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import blogService from '../services/blogs';
+import { useNotificationDispatch } from '../NotificationContext';
+
+const contentTypes = {
+  json: 'application/json',
+  csv: 'text/csv',
+  opml: 'text/x-opml',
+  xml: 'application/xml',
+};
+
+const ImportBlogs = () => {
+  const queryClient = useQueryClient();
+  const dispatchNotification = useNotificationDispatch();
+  const [report, setReport] = useState(null);
+
+  const blogImportMutation = useMutation(blogService.importBlogs, {
+    onSuccess: (importReport) => {
+      queryClient.invalidateQueries({ queryKey: ['blogs'] });
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+      setReport(importReport);
+    },
+    onError: (error) => {
+      dispatchNotification(
+        {
+          content: `failed to import blogs, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      );
+    },
+  });
+
+  const handleImport = async (event) => {
+    event.preventDefault();
+    const file = event.target.file.files[0];
+    if (!file) return;
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    blogImportMutation.mutate({
+      content: await file.text(),
+      contentType: contentTypes[extension] ?? file.type,
+    });
+    event.target.reset();
+  };
+
+  return (
+    <div>
+      <h2>import blogs</h2>
+      <form onSubmit={handleImport}>
+        <input type="file" name="file" accept=".json,.csv,.opml,.xml" />
+        <button type="submit">import</button>
+      </form>
+      {report && (
+        <div>
+          <p>
+            imported {report.imported.length}, skipped {report.skipped.length},
+            failed {report.failed.length}
+          </p>
+          <ul>
+            {report.skipped.map((row) => (
+              <li key={`skipped-${row.row}`}>
+                row {row.row}: {row.url} skipped ({row.reason})
+              </li>
+            ))}
+            {report.failed.map((row) => (
+              <li key={`failed-${row.row}`}>
+                row {row.row}: {row.errors.join(', ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportBlogs;
@@ -0,0 +1,139 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import notificationService from '../services/notifications';
+import { useNotificationDispatch } from '../NotificationContext';
+import { useInbox, unreadCountOf } from '../inbox';
+
+const describeNotification = (notification) => {
+  const actor = notification.actor ? notification.actor.name : 'someone';
+  const blog = notification.blog ? (
+    <Link to={`/blogs/${notification.blog.id}`}>{notification.blog.title}</Link>
+  ) : (
+    'a removed blog'
+  );
+
+  switch (notification.type) {
+    case 'like':
+      return (
+        <>
+          {actor} liked {blog}
+        </>
+      );
+    case 'comment':
+      return (
+        <>
+          {actor} commented on {blog}
+        </>
+      );
+    case 'reply':
+      return (
+        <>
+          {actor} replied to your comment on {blog}
+        </>
+      );
+    case 'follow':
+      return (
+        <>
+          <Link to={`/users/${notification.actor.id}`}>{actor}</Link> started
+          following you
+        </>
+      );
+    default:
+      return null;
+  }
+};
+
+const Inbox = () => {
+  const queryClient = useQueryClient();
+  const dispatchNotification = useNotificationDispatch();
+  const inboxQueryResult = useInbox();
+
+  const notifyError = (error) => {
+    dispatchNotification(
+      {
+        content: `failed to update notifications, reason: ${error.response.data.error}`,
+        isError: true,
+      },
+      3
+    );
+  };
+
+  const refreshInbox = () =>
+    queryClient.invalidateQueries({ queryKey: ['notifications'] });
+
+  const markReadMutation = useMutation(notificationService.markRead, {
+    onSuccess: refreshInbox,
+    onError: notifyError,
+  });
+
+  const markAllReadMutation = useMutation(notificationService.markAllRead, {
+    onSuccess: refreshInbox,
+    onError: notifyError,
+  });
+
+  if (inboxQueryResult.isLoading) {
+    return <p>Loading notifications</p>;
+  }
+
+  if (inboxQueryResult.isError) {
+    return <p>Failed to load notifications</p>;
+  }
+
+  const notifications = inboxQueryResult.data.pages.flatMap(
+    (page) => page.notifications
+  );
+  const unreadCount = unreadCountOf(inboxQueryResult.data);
+
+  return (
+    <div>
+      <h2>notifications</h2>
+      <p>
+        {unreadCount} unread{' '}
+        {unreadCount > 0 && (
+          <button onClick={() => markAllReadMutation.mutate()}>
+            mark all read
+          </button>
+        )}
+      </p>
+      {notifications.length === 0 ? (
+        <p>nothing yet</p>
+      ) : (
+        <ul>
+          {notifications.map((notification) => {
+            const isRead = notification.readAt !== null;
+            return (
+              <li
+                key={notification.id}
+                className="inbox-item"
+                style={{ fontWeight: isRead ? 'normal' : 'bold' }}
+              >
+                {describeNotification(notification)}{' '}
+                <i>{new Date(notification.createdAt).toLocaleString()}</i>{' '}
+                <button
+                  onClick={() =>
+                    markReadMutation.mutate({
+                      id: notification.id,
+                      read: !isRead,
+                    })
+                  }
+                >
+                  {isRead ? 'mark unread' : 'mark read'}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {inboxQueryResult.hasNextPage && (
+        <button
+          onClick={() => inboxQueryResult.fetchNextPage()}
+          disabled={inboxQueryResult.isFetchingNextPage}
+        >
+          {inboxQueryResult.isFetchingNextPage ? 'loading...' : 'load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Inbox;
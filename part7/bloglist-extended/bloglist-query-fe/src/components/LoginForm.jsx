@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useMutation } from '@tanstack/react-query';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { useUserDispatch } from '../UserContext';
 import { useNotificationDispatch } from '../NotificationContext';
 import loginService from '../services/login';
@@ -9,31 +9,64 @@ import styled from 'styled-components';
 const LoginForm = ({ toggleVisibility }) => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  // set once the password checked out for an account with two-factor
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [usingRecoveryCode, setUsingRecoveryCode] = useState(false);
   const dispatchUserUpdate = useUserDispatch();
   const dispatchNotification = useNotificationDispatch();
+  const queryClient = useQueryClient();
+
+  const reset = () => {
+    setUsername('');
+    setPassword('');
+    setChallengeToken(null);
+    setCode('');
+    setUsingRecoveryCode(false);
+  };
+
+  const logIn = (user) => {
+    dispatchUserUpdate({
+      type: 'SET_USER',
+      payload: user,
+    });
+    blogService.setToken(user.token);
+    // the lists now include the hidden blogs of the user
+    queryClient.invalidateQueries({ queryKey: ['blogs'] });
+    if (toggleVisibility) {
+      toggleVisibility();
+    }
+    dispatchNotification(
+      { content: `Hello, ${user.name}!`, isError: false },
+      3
+    );
+    reset();
+  };
+
+  const notifyError = (error) => {
+    dispatchNotification(
+      { content: error.response.data.error, isError: true },
+      3
+    );
+  };
 
   const loginMutation = useMutation(loginService.login, {
-    onSuccess: (user) => {
-      dispatchUserUpdate({
-        type: 'SET_USER',
-        payload: user,
-      });
-      blogService.setToken(user.token);
-      if (toggleVisibility) {
-        toggleVisibility();
+    onSuccess: (response) => {
+      if (response.twoFactorRequired) {
+        setChallengeToken(response.challengeToken);
+        setPassword('');
+        return;
       }
-      dispatchNotification(
-        { content: `Hello, ${user.name}!`, isError: false },
-        3
-      );
-      setUsername('');
-      setPassword('');
+      logIn(response);
     },
+    onError: notifyError,
+  });
+
+  const twoFactorMutation = useMutation(loginService.completeTwoFactor, {
+    onSuccess: logIn,
     onError: (error) => {
-      dispatchNotification(
-        { content: error.response.data.error, isError: true },
-        3
-      );
+      setCode('');
+      notifyError(error);
     },
   });
 
@@ -42,6 +75,47 @@ const LoginForm = ({ toggleVisibility }) => {
     loginMutation.mutate({ username, password });
   };
 
+  const completeLogin = (event) => {
+    event.preventDefault();
+    twoFactorMutation.mutate(
+      usingRecoveryCode
+        ? { challengeToken, recoveryCode: code }
+        : { challengeToken, code }
+    );
+  };
+
+  if (challengeToken) {
+    return (
+      <div>
+        <h2>two-factor authentication</h2>
+        <form onSubmit={completeLogin}>
+          <div>
+            {usingRecoveryCode
+              ? 'recovery code'
+              : 'code from your authenticator app'}
+            &nbsp;
+            <input
+              type="text"
+              value={code}
+              name="Code"
+              id="two-factor-code"
+              autoComplete="one-time-code"
+              inputMode={usingRecoveryCode ? 'text' : 'numeric'}
+              onChange={({ target }) => setCode(target.value)}
+            />
+          </div>
+          <Button id="two-factor-button" type="submit">
+            verify
+          </Button>
+        </form>
+        <button onClick={() => setUsingRecoveryCode(!usingRecoveryCode)}>
+          {usingRecoveryCode ? 'use a code instead' : 'use a recovery code'}
+        </button>
+        <button onClick={reset}>start over</button>
+      </div>
+    );
+  }
+
   return (
     <div>
       <h2>log in to application</h2>
@@ -1,14 +1,23 @@
+import { useQueryClient } from '@tanstack/react-query';
 import { useUserValue, useUserDispatch } from '../UserContext';
 import { useNotificationDispatch } from '../NotificationContext';
 import blogService from '../services/blogs';
+import loginService from '../services/login';
 import { Link } from 'react-router-dom';
+import { useInbox, unreadCountOf } from '../inbox';
 
 const Navigation = () => {
   const user = useUserValue();
   const dispatchUserUpdate = useUserDispatch();
   const dispatchNotification = useNotificationDispatch();
+  const queryClient = useQueryClient();
+  const inboxQueryResult = useInbox();
+  const unreadCount = unreadCountOf(inboxQueryResult.data);
 
   const logout = () => {
+    loginService.logout(user.token).catch(() => {});
+    // inbox, reading list, collections and feed all belong to this user
+    queryClient.removeQueries();
     dispatchUserUpdate({ type: 'REMOVE_USER' });
     blogService.setToken(null);
     dispatchNotification({ content: 'See Ya Soon', isError: false }, 3);
@@ -26,9 +35,27 @@ const Navigation = () => {
       <Link style={linkStyle} to="/">
         blogs
       </Link>
+      <Link style={linkStyle} to="/feed">
+        my feed
+      </Link>
+      <Link style={linkStyle} to="/notifications">
+        inbox{unreadCount > 0 && ` (${unreadCount})`}
+      </Link>
+      <Link style={linkStyle} to="/reading-list">
+        reading list
+      </Link>
+      <Link style={linkStyle} to="/collections">
+        collections
+      </Link>
       <Link style={linkStyle} to="/users">
         users
       </Link>
+      <Link style={linkStyle} to="/tags">
+        tags
+      </Link>
+      <Link style={linkStyle} to="/stats">
+        stats
+      </Link>
       <span style={linkStyle}>{user.name} logged in&nbsp;</span>
       <span>
         <button onClick={logout}>logout</button>
@@ -0,0 +1,50 @@
+import { useMutation } from '@tanstack/react-query';
+import userService from '../services/users';
+import { useNotificationDispatch } from '../NotificationContext';
+
+const PasswordChange = () => {
+  const dispatchNotification = useNotificationDispatch();
+
+  const passwordChangeMutation = useMutation(userService.changePassword, {
+    onSuccess: () => {
+      dispatchNotification({ content: 'password changed', isError: false }, 3);
+    },
+    onError: (error) => {
+      dispatchNotification(
+        {
+          content: `failed to change password, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      );
+    },
+  });
+
+  const changePassword = (event) => {
+    event.preventDefault();
+    passwordChangeMutation.mutate({
+      currentPassword: event.target.currentPassword.value,
+      newPassword: event.target.newPassword.value,
+    });
+    event.target.reset();
+  };
+
+  return (
+    <div>
+      <h4>change password</h4>
+      <form onSubmit={changePassword}>
+        <div>
+          current password&nbsp;
+          <input type="password" name="currentPassword" />
+        </div>
+        <div>
+          new password&nbsp;
+          <input type="password" name="newPassword" />
+        </div>
+        <button type="submit">change password</button>
+      </form>
+    </div>
+  );
+};
+
+export default PasswordChange;
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import userService from '../services/users';
+import { useNotificationDispatch } from '../NotificationContext';
+
+const PasswordReset = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const navigate = useNavigate();
+  const dispatchNotification = useNotificationDispatch();
+
+  const notifyError = (error) => {
+    dispatchNotification(
+      { content: error.response.data.error, isError: true },
+      3
+    );
+  };
+
+  const resetRequestMutation = useMutation(userService.requestPasswordReset, {
+    onSuccess: ({ message }) => {
+      dispatchNotification({ content: message, isError: false }, 5);
+      setEmail('');
+    },
+    onError: notifyError,
+  });
+
+  const resetConfirmMutation = useMutation(userService.confirmPasswordReset, {
+    onSuccess: () => {
+      dispatchNotification(
+        { content: 'password changed, you can log in now', isError: false },
+        5
+      );
+      navigate('/login');
+    },
+    onError: notifyError,
+  });
+
+  const requestReset = (event) => {
+    event.preventDefault();
+    resetRequestMutation.mutate(email);
+  };
+
+  const confirmReset = (event) => {
+    event.preventDefault();
+    resetConfirmMutation.mutate({ token, password });
+  };
+
+  if (token) {
+    return (
+      <div>
+        <h2>choose a new password</h2>
+        <form onSubmit={confirmReset}>
+          <div>
+            new password&nbsp;
+            <input
+              type="password"
+              value={password}
+              id="new-password"
+              onChange={({ target }) => setPassword(target.value)}
+            />
+          </div>
+          <button type="submit">set password</button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2>reset password</h2>
+      <form onSubmit={requestReset}>
+        <div>
+          email&nbsp;
+          <input
+            type="email"
+            value={email}
+            id="reset-email"
+            onChange={({ target }) => setEmail(target.value)}
+          />
+        </div>
+        <button type="submit">send reset link</button>
+      </form>
+    </div>
+  );
+};
+
+export default PasswordReset;
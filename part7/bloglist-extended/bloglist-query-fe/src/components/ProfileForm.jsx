@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import userService from '../services/users';
+import { useUserDispatch, useUserValue } from '../UserContext';
+import { useNotificationDispatch } from '../NotificationContext';
+
+const fields = ['name', 'email', 'avatar', 'bio'];
+
+const ProfileForm = ({ profile, toggleVisibility }) => {
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(fields.map((field) => [field, profile[field] ?? '']))
+  );
+  const currentUser = useUserValue();
+  const dispatchUserUpdate = useUserDispatch();
+  const dispatchNotification = useNotificationDispatch();
+  const queryClient = useQueryClient();
+
+  const profileUpdateMutation = useMutation(userService.updateMe, {
+    onSuccess: (updatedProfile) => {
+      queryClient.setQueryData(['user', updatedProfile.id], updatedProfile);
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      dispatchUserUpdate({
+        type: 'SET_USER',
+        payload: { ...currentUser, name: updatedProfile.name },
+      });
+      if (toggleVisibility) {
+        toggleVisibility();
+      }
+    },
+    onError: (error) => {
+      dispatchNotification(
+        {
+          content: `failed to update profile, reason: ${error.response.data.error}`,
+          isError: true,
+        },
+        3
+      );
+    },
+  });
+
+  const handleChange = ({ target }) =>
+    setValues({ ...values, [target.name]: target.value });
+
+  const updateProfile = (event) => {
+    event.preventDefault();
+    profileUpdateMutation.mutate(values);
+  };
+
+  return (
+    <form onSubmit={updateProfile}>
+      {fields
+        .filter((field) => field !== 'bio')
+        .map((field) => (
+          <div key={field}>
+            {field}&nbsp;
+            <input
+              type={field === 'email' ? 'email' : 'text'}
+              name={field}
+              value={values[field]}
+              onChange={handleChange}
+            />
+          </div>
+        ))}
+      <div>
+        bio&nbsp;
+        <textarea name="bio" value={values.bio} onChange={handleChange} />
+      </div>
+      <button type="submit">save</button>
+    </form>
+  );
+};
+
+ProfileForm.propTypes = {
+  profile: PropTypes.object.isRequired,
+};
+
+export default ProfileForm;
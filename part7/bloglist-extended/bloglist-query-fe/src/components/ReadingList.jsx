@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import ReadingListToggle from './ReadingListToggle';
+import { useReadingList } from '../readingList';
+
+const filters = {
+  all: () => true,
+  'to read': (item) => item.status === 'to-read',
+  read: (item) => item.status === 'read',
+};
+
+const ReadingList = () => {
+  const [filter, setFilter] = useState('to read');
+  const readingListQueryResult = useReadingList();
+
+  if (readingListQueryResult.isLoading) {
+    return <p>Loading your reading list</p>;
+  }
+
+  if (readingListQueryResult.isError) {
+    return <p>Failed to load your reading list</p>;
+  }
+
+  const items = readingListQueryResult.data
+    .filter((item) => item.blog)
+    .filter(filters[filter]);
+
+  return (
+    <div>
+      <h2>reading list</h2>
+      <p>
+        {Object.keys(filters).map((name) => (
+          <button
+            key={name}
+            onClick={() => setFilter(name)}
+            disabled={name === filter}
+          >
+            {name}
+          </button>
+        ))}
+      </p>
+      {items.length === 0 ? (
+        <p>nothing here</p>
+      ) : (
+        <ul>
+          {items.map((item) => (
+            <li key={item.id}>
+              <Link to={`/blogs/${item.blog.id}`}>
+                {item.blog.title} {item.blog.author}
+              </Link>
+              {item.readAt && (
+                <i> read {new Date(item.readAt).toLocaleDateString()}</i>
+              )}{' '}
+              <ReadingListToggle blog={item.blog} />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReadingList;
@@ -0,0 +1,77 @@
+import PropTypes from 'prop-types';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import readingListService from '../services/readingList';
+import { useReadingList } from '../readingList';
+import { useNotificationDispatch } from '../NotificationContext';
+
+const ReadingListToggle = ({ blog }) => {
+  const queryClient = useQueryClient();
+  const dispatchNotification = useNotificationDispatch();
+  const readingListQueryResult = useReadingList();
+
+  const notifyError = (error) => {
+    dispatchNotification(
+      {
+        content: `failed to update reading list, reason: ${error.response.data.error}`,
+        isError: true,
+      },
+      3
+    );
+  };
+
+  const statusMutation = useMutation(readingListService.setStatus, {
+    onSuccess: (updatedItem) => {
+      queryClient.setQueryData(['readingList'], (items = []) => [
+        updatedItem,
+        ...items.filter((item) => item.id !== updatedItem.id),
+      ]);
+    },
+    onError: notifyError,
+  });
+
+  const removalMutation = useMutation(readingListService.remove, {
+    onSuccess: (_, blogId) => {
+      queryClient.setQueryData(['readingList'], (items = []) =>
+        items.filter((item) => item.blog.id !== blogId)
+      );
+    },
+    onError: notifyError,
+  });
+
+  if (!readingListQueryResult.isSuccess) {
+    return null;
+  }
+
+  const item = readingListQueryResult.data.find(
+    (item) => item.blog && item.blog.id === blog.id
+  );
+  const setStatus = (status) =>
+    statusMutation.mutate({ blogId: blog.id, status });
+
+  if (!item) {
+    return (
+      <button className="reading-list" onClick={() => setStatus('to-read')}>
+        read later
+      </button>
+    );
+  }
+
+  return (
+    <span className="reading-list">
+      {item.status === 'read' ? (
+        <button onClick={() => setStatus('to-read')}>mark unread</button>
+      ) : (
+        <button onClick={() => setStatus('read')}>mark read</button>
+      )}
+      <button onClick={() => removalMutation.mutate(blog.id)}>
+        remove from reading list
+      </button>
+    </span>
+  );
+};
+
+ReadingListToggle.propTypes = {
+  blog: PropTypes.object.isRequired,
+};
+
+export default ReadingListToggle;
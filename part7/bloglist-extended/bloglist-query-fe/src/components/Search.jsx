@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import searchService from '../services/search';
+import { useDebounce } from '../hooks';
+
+const Highlighted = ({ segments }) =>
+  segments.map((segment, idx) =>
+    segment.match ? (
+      <mark key={idx}>{segment.text}</mark>
+    ) : (
+      <span key={idx}>{segment.text}</span>
+    )
+  );
+
+const SearchResult = ({ result }) => {
+  if (result.type === 'comment') {
+    return (
+      <li>
+        comment on{' '}
+        <Link to={`/blogs/${result.blog.id}`}>{result.blog.title}</Link>:{' '}
+        <Highlighted segments={result.highlights.text} />
+      </li>
+    );
+  }
+
+  return (
+    <li>
+      <Link to={`/blogs/${result.blog.id}`}>
+        <Highlighted segments={result.highlights.title} />
+      </Link>{' '}
+      <Highlighted segments={result.highlights.author} />
+    </li>
+  );
+};
+
+const Search = () => {
+  const [query, setQuery] = useState('');
+  const debouncedQuery = useDebounce(query.trim(), 300);
+
+  const searchQueryResult = useQuery({
+    queryKey: ['search', debouncedQuery],
+    queryFn: () => searchService.search(debouncedQuery),
+    enabled: debouncedQuery.length > 0,
+    keepPreviousData: true,
+  });
+
+  const results = () => {
+    if (!debouncedQuery) return null;
+    if (searchQueryResult.isLoading) return <p>searching...</p>;
+    if (searchQueryResult.isError) return <p>search failed</p>;
+
+    const { results } = searchQueryResult.data;
+    if (results.length === 0) return <p>no matches</p>;
+
+    return (
+      <ul>
+        {results.map((result) => (
+          <SearchResult
+            key={`${result.type}-${
+              result.type === 'comment' ? result.comment.id : result.blog.id
+            }`}
+            result={result}
+          />
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div>
+      <input
+        id="search"
+        type="search"
+        value={query}
+        onChange={({ target }) => setQuery(target.value)}
+        placeholder="search blogs and comments"
+      />
+      {results()}
+    </div>
+  );
+};
+
+export default Search;
@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useUserValue } from '../UserContext';
+import statsService from '../services/stats';
+import BarChart from './BarChart';
+
+const Stats = () => {
+  const currentUser = useUserValue();
+  const [scope, setScope] = useState('all');
+  const [interval, setLikesInterval] = useState('month');
+  const userId = scope === 'mine' ? currentUser.id : undefined;
+
+  const statsQueryResult = useQuery({
+    queryKey: ['stats', scope, interval],
+    queryFn: () => statsService.get({ userId, interval }),
+    retry: 2,
+    keepPreviousData: true,
+  });
+
+  const controls = (
+    <p>
+      <select value={scope} onChange={({ target }) => setScope(target.value)}>
+        <option value="all">all blogs</option>
+        <option value="mine">my blogs</option>
+      </select>{' '}
+      <select
+        value={interval}
+        onChange={({ target }) => setLikesInterval(target.value)}
+      >
+        <option value="month">by month</option>
+        <option value="day">by day</option>
+      </select>
+    </p>
+  );
+
+  if (statsQueryResult.isLoading) {
+    return <p>Loading stats</p>;
+  }
+
+  if (statsQueryResult.isError) {
+    return <p>Failed to load stats</p>;
+  }
+
+  const stats = statsQueryResult.data;
+
+  return (
+    <div>
+      <h2>Stats</h2>
+      {controls}
+      <table>
+        <tbody>
+          <tr>
+            <td>blogs</td>
+            <td>{stats.blogs}</td>
+          </tr>
+          <tr>
+            <td>total likes</td>
+            <td>{stats.totalLikes}</td>
+          </tr>
+          <tr>
+            <td>favorite blog</td>
+            <td>
+              {stats.favoriteBlog
+                ? `${stats.favoriteBlog.title} by ${stats.favoriteBlog.author} (${stats.favoriteBlog.likes} likes)`
+                : '-'}
+            </td>
+          </tr>
+          <tr>
+            <td>most blogs</td>
+            <td>
+              {stats.mostBlogs
+                ? `${stats.mostBlogs.author} (${stats.mostBlogs.blogs} blogs)`
+                : '-'}
+            </td>
+          </tr>
+          <tr>
+            <td>most likes</td>
+            <td>
+              {stats.mostLikes
+                ? `${stats.mostLikes.author} (${stats.mostLikes.likes} likes)`
+                : '-'}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <h3>Likes over time</h3>
+      <BarChart
+        data={stats.likesOverTime.map(({ period, likes }) => ({
+          label: period,
+          value: likes,
+        }))}
+      />
+      <h3>Top commenters</h3>
+      <BarChart
+        data={stats.topCommenters.map(({ user, comments }) => ({
+          label: user.name,
+          value: comments,
+        }))}
+      />
+    </div>
+  );
+};
+
+export default Stats;
@@ -0,0 +1,45 @@
+import { useInfiniteQuery } from '@tanstack/react-query';
+import { useParams } from 'react-router-dom';
+import blogService from '../services/blogs';
+import { flattenBlogPages } from '../blogsCache';
+import BlogList from './BlogList';
+
+const TagBlogs = () => {
+  const tag = useParams().tag;
+
+  const blogsQueryResult = useInfiniteQuery({
+    queryKey: ['blogs', 'tag', tag],
+    queryFn: ({ pageParam }) =>
+      blogService.getPage({ pageParam, filters: { tag } }),
+    getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+    retry: 2,
+  });
+
+  if (blogsQueryResult.isLoading) {
+    return <p>Loading blogs</p>;
+  }
+
+  if (blogsQueryResult.isError) {
+    return <p>Failed to load blogs tagged #{tag}</p>;
+  }
+
+  const blogs = flattenBlogPages(blogsQueryResult.data);
+
+  return (
+    <div>
+      <h2>#{tag}</h2>
+      {blogs.length === 0 ? (
+        <p>no blogs with this tag</p>
+      ) : (
+        <BlogList
+          blogs={blogs}
+          hasMore={blogsQueryResult.hasNextPage}
+          isLoadingMore={blogsQueryResult.isFetchingNextPage}
+          loadMore={blogsQueryResult.fetchNextPage}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TagBlogs;
@@ -0,0 +1,40 @@
+import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import tagService from '../services/tags';
+
+const Tags = () => {
+  const tagsQueryResult = useQuery({
+    queryKey: ['tags'],
+    queryFn: tagService.getAll,
+    retry: 2,
+  });
+
+  if (tagsQueryResult.isLoading) {
+    return <p>Loading tags</p>;
+  }
+
+  if (tagsQueryResult.isError) {
+    return <p>Failed to load tags</p>;
+  }
+
+  const tags = tagsQueryResult.data;
+
+  return (
+    <div>
+      <h2>Tags</h2>
+      {tags.length === 0 ? (
+        <p>no tags yet</p>
+      ) : (
+        <ul>
+          {tags.map(({ tag, count }) => (
+            <li key={tag}>
+              <Link to={`/tags/${tag}`}>#{tag}</Link> ({count})
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Tags;
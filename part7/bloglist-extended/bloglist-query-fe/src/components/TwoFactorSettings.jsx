@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { QRCodeSVG } from 'qrcode.react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import userService from '../services/users';
+import { useNotificationDispatch } from '../NotificationContext';
+
+const RecoveryCodes = ({ codes }) => (
+  <div>
+    <p>
+      keep these recovery codes somewhere safe, each of them logs you in once
+      when your authenticator app is not at hand. they are not shown again.
+    </p>
+    <ul className="recovery-codes">
+      {codes.map((code) => (
+        <li key={code}>
+          <code>{code}</code>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+RecoveryCodes.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+const TwoFactorSettings = ({ profile }) => {
+  const queryClient = useQueryClient();
+  const dispatchNotification = useNotificationDispatch();
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const notifyError = (action) => (error) => {
+    dispatchNotification(
+      {
+        content: `failed to ${action}, reason: ${error.response.data.error}`,
+        isError: true,
+      },
+      3
+    );
+  };
+
+  const refreshProfile = () =>
+    queryClient.invalidateQueries({ queryKey: ['user', profile.id] });
+
+  const startMutation = useMutation(userService.startTwoFactor, {
+    onSuccess: (newEnrollment) => {
+      setEnrollment(newEnrollment);
+      setRecoveryCodes(null);
+    },
+    onError: notifyError('start two-factor setup'),
+  });
+
+  const confirmMutation = useMutation(userService.confirmTwoFactor, {
+    onSuccess: (response) => {
+      setEnrollment(null);
+      setRecoveryCodes(response.recoveryCodes);
+      refreshProfile();
+      dispatchNotification(
+        { content: 'two-factor authentication is on', isError: false },
+        3
+      );
+    },
+    onError: notifyError('turn on two-factor authentication'),
+  });
+
+  const regenerateMutation = useMutation(userService.regenerateRecoveryCodes, {
+    onSuccess: (response) => setRecoveryCodes(response.recoveryCodes),
+    onError: notifyError('replace recovery codes'),
+  });
+
+  const disableMutation = useMutation(userService.disableTwoFactor, {
+    onSuccess: () => {
+      setRecoveryCodes(null);
+      refreshProfile();
+      dispatchNotification(
+        { content: 'two-factor authentication is off', isError: false },
+        3
+      );
+    },
+    onError: notifyError('turn off two-factor authentication'),
+  });
+
+  const withPassword = (mutation) => (event) => {
+    event.preventDefault();
+    mutation.mutate(event.target.password.value);
+    event.target.reset();
+  };
+
+  const confirm = (event) => {
+    event.preventDefault();
+    confirmMutation.mutate(event.target.code.value);
+    event.target.reset();
+  };
+
+  if (enrollment) {
+    return (
+      <div>
+        <h4>two-factor authentication</h4>
+        <p>scan this code with your authenticator app</p>
+        <QRCodeSVG value={enrollment.otpauthUri} size={180} />
+        <p>
+          or open <a href={enrollment.otpauthUri}>this link</a> on your phone,
+          or enter the key <code>{enrollment.secret}</code> by hand.
+        </p>
+        <form onSubmit={confirm}>
+          <div>
+            code from the app&nbsp;
+            <input
+              type="text"
+              name="code"
+              autoComplete="one-time-code"
+              inputMode="numeric"
+            />
+          </div>
+          <button type="submit">turn on</button>
+          <button type="button" onClick={() => setEnrollment(null)}>
+            cancel
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h4>two-factor authentication</h4>
+      {recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+      {profile.twoFactorEnabled ? (
+        <>
+          <p>logging in asks for a code from your authenticator app</p>
+          <form onSubmit={withPassword(regenerateMutation)}>
+            password&nbsp;
+            <input type="password" name="password" />
+            <button type="submit">new recovery codes</button>
+          </form>
+          <form onSubmit={withPassword(disableMutation)}>
+            password&nbsp;
+            <input type="password" name="password" />
+            <button type="submit">turn off</button>
+          </form>
+        </>
+      ) : (
+        <form onSubmit={withPassword(startMutation)}>
+          password&nbsp;
+          <input type="password" name="password" />
+          <button type="submit">set up</button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+TwoFactorSettings.propTypes = {
+  profile: PropTypes.object.isRequired,
+};
+
+export default TwoFactorSettings;
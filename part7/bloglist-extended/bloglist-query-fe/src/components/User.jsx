@@ -1,13 +1,22 @@
 import { useParams } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
 import userService from '../services/users';
+import { useUserValue } from '../UserContext';
+import PasswordChange from './PasswordChange';
+import TwoFactorSettings from './TwoFactorSettings';
+import ProfileForm from './ProfileForm';
+import AccountDeletion from './AccountDeletion';
+import Togglable from './Togglable';
+import FollowButton from './FollowButton';
 
 const User = () => {
   const id = useParams().id;
+  const currentUser = useUserValue();
+  const isOwnProfile = currentUser != null && currentUser.id === id;
 
   const userQueryResult = useQuery({
-    queryKey: ['user'],
-    queryFn: () => userService.get(id),
+    queryKey: ['user', id],
+    queryFn: () => (isOwnProfile ? userService.getMe() : userService.get(id)),
     retry: 2,
   });
 
@@ -16,7 +25,11 @@ const User = () => {
   }
 
   if (userQueryResult.isError) {
-    return <p>Failed to load user data</p>;
+    return userQueryResult.error.response?.status === 404 ? (
+      <p>No such user</p>
+    ) : (
+      <p>Failed to load user data</p>
+    );
   }
 
   const user = userQueryResult.data;
@@ -30,9 +43,38 @@ const User = () => {
 
   return (
     <div>
+      {user.avatar && (
+        <img src={user.avatar} alt={`avatar of ${user.name}`} width={96} />
+      )}
       <h2>{user.name}</h2>
+      {!isOwnProfile && currentUser && <FollowButton user={user} />}
+      {user.bio && <p>{user.bio}</p>}
+      <p>
+        export blogs as:{' '}
+        {['json', 'csv', 'opml'].map((format) => (
+          <a
+            key={format}
+            href={`/api/users/${user.id}/blogs/export?format=${format}`}
+            download
+          >
+            {format}{' '}
+          </a>
+        ))}
+      </p>
       <h4>Added blogs</h4>
       {user.blogs.length === 0 ? <p>none</p> : displayAddedBlogs(user.blogs)}
+      {isOwnProfile && (
+        <>
+          <Togglable buttonLabel="edit profile">
+            <ProfileForm profile={user} />
+          </Togglable>
+          <PasswordChange />
+          <TwoFactorSettings profile={user} />
+          <Togglable buttonLabel="delete account">
+            <AccountDeletion />
+          </Togglable>
+        </>
+      )}
     </div>
   );
 };
@@ -0,0 +1,15 @@
+import { useEffect, useState } from 'react';
+
+export const useDebounce = (value, delayInMilliseconds) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timeout = setTimeout(
+      () => setDebouncedValue(value),
+      delayInMilliseconds
+    );
+    return () => clearTimeout(timeout);
+  }, [value, delayInMilliseconds]);
+
+  return debouncedValue;
+};
@@ -0,0 +1,16 @@
+import { useInfiniteQuery } from '@tanstack/react-query';
+import notificationService from './services/notifications';
+
+const REFRESH_INTERVAL = 30000;
+
+export const useInbox = ({ enabled = true } = {}) =>
+  useInfiniteQuery({
+    queryKey: ['notifications'],
+    queryFn: notificationService.getPage,
+    getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+    refetchInterval: REFRESH_INTERVAL,
+    enabled,
+    retry: 2,
+  });
+
+export const unreadCountOf = (data) => (data ? data.pages[0].unreadCount : 0);
@@ -0,0 +1,9 @@
+import { useQuery } from '@tanstack/react-query';
+import readingListService from './services/readingList';
+
+export const useReadingList = () =>
+  useQuery({
+    queryKey: ['readingList'],
+    queryFn: readingListService.getAll,
+    retry: 2,
+  });
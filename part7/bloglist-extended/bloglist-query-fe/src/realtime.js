@@ -0,0 +1,107 @@
+import { useEffect, useRef } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useNotificationDispatch } from './NotificationContext';
+import { updateCachedBlog } from './blogsCache';
+
+const replaceComment = (comments, updatedComment) =>
+  comments.map((comment) =>
+    comment.id === updatedComment.id ? updatedComment : comment
+  );
+
+// keeps the cached blogs in step with changes made in other tabs and by
+// other users, own changes are already in the cache when their event arrives
+export const useRealtimeUpdates = (currentUser) => {
+  const queryClient = useQueryClient();
+  const dispatchNotificationRef = useRef();
+  dispatchNotificationRef.current = useNotificationDispatch();
+  const userId = currentUser ? currentUser.id : null;
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const notify = (content) =>
+      dispatchNotificationRef.current({ content, isError: false }, 3);
+
+    const handlers = {
+      'blog.created': ({ blog }, actor) => {
+        queryClient.invalidateQueries({ queryKey: ['blogs'] });
+        queryClient.invalidateQueries({ queryKey: ['tags'] });
+        notify(`${actor.name} added "${blog.title}"`);
+      },
+      'blog.imported': ({ count }, actor) => {
+        queryClient.invalidateQueries({ queryKey: ['blogs'] });
+        queryClient.invalidateQueries({ queryKey: ['tags'] });
+        notify(`${actor.name} imported ${count} blogs`);
+      },
+      'blog.updated': ({ blog }) => {
+        updateCachedBlog(queryClient, blog.id, (cachedBlog) => ({
+          ...cachedBlog,
+          ...blog,
+          user: cachedBlog.user,
+          comments: cachedBlog.comments,
+        }));
+        queryClient.invalidateQueries({ queryKey: ['revisions', blog.id] });
+      },
+      'blog.deleted': ({ id }) => {
+        queryClient.removeQueries({ queryKey: ['blog', id] });
+        queryClient.invalidateQueries({ queryKey: ['blogs'] });
+      },
+      'blog.liked': ({ id, likes, likedBy }) => {
+        updateCachedBlog(queryClient, id, (blog) => ({
+          ...blog,
+          likes,
+          likedBy,
+        }));
+      },
+      'comment.created': ({ comment }, actor) => {
+        updateCachedBlog(queryClient, comment.blog, (blog) => ({
+          ...blog,
+          comments: blog.comments.some(({ id }) => id === comment.id)
+            ? blog.comments
+            : blog.comments.concat(comment),
+        }));
+        notify(`${actor.name} commented: ${comment.text}`);
+      },
+      'comment.updated': ({ comment }) => {
+        updateCachedBlog(queryClient, comment.blog, (blog) => ({
+          ...blog,
+          comments: replaceComment(blog.comments, comment),
+        }));
+      },
+      'comment.deleted': ({ id, blog: blogId }) => {
+        updateCachedBlog(queryClient, blogId, (blog) => ({
+          ...blog,
+          comments: blog.comments.map((comment) =>
+            comment.id === id
+              ? { ...comment, text: null, deletedAt: new Date().toISOString() }
+              : comment
+          ),
+        }));
+      },
+    };
+    handlers['blog.unliked'] = handlers['blog.liked'];
+
+    const source = new EventSource('/api/events');
+    let disconnected = false;
+
+    source.onmessage = (message) => {
+      const event = JSON.parse(message.data);
+      const handler = handlers[event.type];
+      if (!handler || (event.actor && event.actor.id === userId)) return;
+      handler(event.data, event.actor);
+    };
+    source.onerror = () => {
+      disconnected = true;
+    };
+    // events sent while the connection was down are lost, so refetch
+    source.onopen = () => {
+      if (disconnected) {
+        disconnected = false;
+        queryClient.invalidateQueries({ queryKey: ['blogs'] });
+        queryClient.invalidateQueries({ queryKey: ['blog'] });
+      }
+    };
+
+    return () => source.close();
+  }, [userId, queryClient]);
+};
@@ -1,10 +1,38 @@
 import axios from 'axios';
 const baseUrl = '/api/blogs';
 
+const pageSize = 10;
+
 let jwt = null;
 
-const getAll = async () => {
-  const response = await axios.get(baseUrl);
+const getPage = async ({ pageParam, filters }) => {
+  const params = { limit: pageSize, sort: 'likes', ...filters };
+  if (pageParam) {
+    params.cursor = pageParam;
+  }
+  const response = await axios.get(baseUrl, {
+    params,
+    headers: { Authorization: jwt },
+  });
+  return response.data;
+};
+
+const getFeedPage = async ({ pageParam }) => {
+  const config = {
+    headers: { Authorization: jwt },
+    params: { limit: pageSize },
+  };
+  if (pageParam) {
+    config.params.cursor = pageParam;
+  }
+  const response = await axios.get('/api/feed', config);
+  return response.data;
+};
+
+const get = async (id) => {
+  const response = await axios.get(`${baseUrl}/${id}`, {
+    headers: { Authorization: jwt },
+  });
   return response.data;
 };
 
@@ -16,6 +44,22 @@ const create = async (requestBody) => {
   return response.data;
 };
 
+const preview = async (url) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+  const response = await axios.post(`${baseUrl}/preview`, { url }, config);
+  return response.data;
+};
+
+const importBlogs = async ({ content, contentType }) => {
+  const config = {
+    headers: { Authorization: jwt, 'Content-Type': contentType },
+  };
+  const response = await axios.post(`${baseUrl}/import`, content, config);
+  return response.data;
+};
+
 const update = async ({ id, ...requestBody }) => {
   const config = {
     headers: { Authorization: jwt },
@@ -25,11 +69,78 @@ const update = async ({ id, ...requestBody }) => {
   return response.data;
 };
 
+const getRevisions = async (id) => {
+  const response = await axios.get(`${baseUrl}/${id}/revisions`, {
+    headers: { Authorization: jwt },
+  });
+  return response.data;
+};
+
+const restoreRevision = async ({ id, revision }) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.post(
+    `${baseUrl}/${id}/revisions/${revision}/restore`,
+    null,
+    config
+  );
+  return response.data;
+};
+
+const like = async (id) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.post(`${baseUrl}/${id}/likes`, {}, config);
+  return response.data;
+};
+
+const unlike = async (id) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.delete(`${baseUrl}/${id}/likes`, config);
+  return response.data;
+};
+
 const addComment = async ({ id, ...requestBody }) => {
-  const response = await axios.post(`${baseUrl}/${id}/comments`, requestBody);
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.post(
+    `${baseUrl}/${id}/comments`,
+    requestBody,
+    config
+  );
+  return response.data;
+};
+
+const updateComment = async ({ blogId, id, ...requestBody }) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.put(
+    `${baseUrl}/${blogId}/comments/${id}`,
+    requestBody,
+    config
+  );
   return response.data;
 };
 
+const removeComment = async ({ blogId, id }) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  await axios.delete(`${baseUrl}/${blogId}/comments/${id}`, config);
+};
+
 const remove = async (id) => {
   const config = {
     headers: { Authorization: jwt },
@@ -40,7 +151,24 @@ const remove = async (id) => {
 };
 
 const setToken = (token) => {
-  jwt = `Bearer ${token}`;
+  jwt = token ? `Bearer ${token}` : null;
 };
 
-export default { getAll, create, update, addComment, remove, setToken };
+export default {
+  getPage,
+  getFeedPage,
+  get,
+  create,
+  preview,
+  importBlogs,
+  update,
+  getRevisions,
+  restoreRevision,
+  like,
+  unlike,
+  addComment,
+  updateComment,
+  removeComment,
+  remove,
+  setToken,
+};
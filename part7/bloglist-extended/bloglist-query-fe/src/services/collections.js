@@ -0,0 +1,84 @@
+import axios from 'axios';
+const baseUrl = '/api/collections';
+
+let jwt = null;
+
+const getAll = async () => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.get(baseUrl, config);
+  return response.data;
+};
+
+const get = async (id) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.get(`${baseUrl}/${id}`, config);
+  return response.data;
+};
+
+const create = async (collection) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.post(baseUrl, collection, config);
+  return response.data;
+};
+
+const remove = async (id) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  await axios.delete(`${baseUrl}/${id}`, config);
+};
+
+const reorder = async ({ id, blogs }) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.put(`${baseUrl}/${id}/blogs`, { blogs }, config);
+  return response.data;
+};
+
+const addBlog = async ({ id, blogId }) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.put(
+    `${baseUrl}/${id}/blogs/${blogId}`,
+    null,
+    config
+  );
+  return response.data;
+};
+
+const removeBlog = async ({ id, blogId }) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  await axios.delete(`${baseUrl}/${id}/blogs/${blogId}`, config);
+};
+
+const setToken = (token) => {
+  jwt = token ? `Bearer ${token}` : null;
+};
+
+export default {
+  getAll,
+  get,
+  create,
+  remove,
+  reorder,
+  addBlog,
+  removeBlog,
+  setToken,
+};
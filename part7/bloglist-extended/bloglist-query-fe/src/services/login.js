@@ -6,4 +6,25 @@ const login = async ({ username, password }) => {
   return response.data;
 };
 
-export default { login };
+const completeTwoFactor = async ({ challengeToken, code, recoveryCode }) => {
+  const response = await axios.post(`${baseUrl}/two-factor`, {
+    challengeToken,
+    code,
+    recoveryCode,
+  });
+  return response.data;
+};
+
+const refresh = async (refreshToken) => {
+  const response = await axios.post(`${baseUrl}/refresh`, { refreshToken });
+  return response.data;
+};
+
+const logout = async (token) => {
+  const config = {
+    headers: { Authorization: `Bearer ${token}` },
+  };
+  await axios.post('/api/logout', {}, config);
+};
+
+export default { login, completeTwoFactor, refresh, logout };
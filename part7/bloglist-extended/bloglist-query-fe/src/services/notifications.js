@@ -0,0 +1,42 @@
+import axios from 'axios';
+const baseUrl = '/api/notifications';
+
+const pageSize = 20;
+
+let jwt = null;
+
+const getPage = async ({ pageParam }) => {
+  const config = {
+    headers: { Authorization: jwt },
+    params: { limit: pageSize },
+  };
+  if (pageParam) {
+    config.params.cursor = pageParam;
+  }
+  const response = await axios.get(baseUrl, config);
+  return response.data;
+};
+
+const markRead = async ({ id, read }) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.patch(`${baseUrl}/${id}`, { read }, config);
+  return response.data;
+};
+
+const markAllRead = async () => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.patch(baseUrl, { read: true }, config);
+  return response.data;
+};
+
+const setToken = (token) => {
+  jwt = `Bearer ${token}`;
+};
+
+export default { getPage, markRead, markAllRead, setToken };
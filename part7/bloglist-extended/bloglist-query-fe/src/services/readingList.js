@@ -0,0 +1,36 @@
+import axios from 'axios';
+const baseUrl = '/api/users/me/reading-list';
+
+let jwt = null;
+
+const getAll = async () => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.get(baseUrl, config);
+  return response.data;
+};
+
+const setStatus = async ({ blogId, status }) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.put(`${baseUrl}/${blogId}`, { status }, config);
+  return response.data;
+};
+
+const remove = async (blogId) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  await axios.delete(`${baseUrl}/${blogId}`, config);
+};
+
+const setToken = (token) => {
+  jwt = `Bearer ${token}`;
+};
+
+export default { getAll, setStatus, remove, setToken };
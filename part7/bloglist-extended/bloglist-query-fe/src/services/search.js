@@ -0,0 +1,9 @@
+import axios from 'axios';
+const baseUrl = '/api/search';
+
+const search = async (query) => {
+  const response = await axios.get(baseUrl, { params: { q: query } });
+  return response.data;
+};
+
+export default { search };
@@ -0,0 +1,9 @@
+import axios from 'axios';
+
+const get = async ({ userId, interval }) => {
+  const url = userId ? `/api/users/${userId}/stats` : '/api/stats';
+  const response = await axios.get(url, { params: { interval } });
+  return response.data;
+};
+
+export default { get };
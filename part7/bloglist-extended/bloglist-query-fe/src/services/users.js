@@ -13,8 +13,138 @@ const get = async (id) => {
   return response.data;
 };
 
+const getMe = async () => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.get(`${baseUrl}/me`, config);
+  return response.data;
+};
+
+const updateMe = async (profile) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.patch(`${baseUrl}/me`, profile, config);
+  return response.data;
+};
+
+const removeMe = async ({ password, blogs, transferTo }) => {
+  const config = {
+    headers: { Authorization: jwt },
+    data: { password, blogs, transferTo },
+  };
+
+  await axios.delete(`${baseUrl}/me`, config);
+};
+
+const follow = async (id) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.post(`${baseUrl}/${id}/follow`, null, config);
+  return response.data;
+};
+
+const unfollow = async (id) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.delete(`${baseUrl}/${id}/follow`, config);
+  return response.data;
+};
+
+const changePassword = async ({ currentPassword, newPassword }) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  await axios.put(
+    `${baseUrl}/me/password`,
+    { currentPassword, newPassword },
+    config
+  );
+};
+
+const requestPasswordReset = async (email) => {
+  const response = await axios.post(`${baseUrl}/password-reset`, { email });
+  return response.data;
+};
+
+const confirmPasswordReset = async ({ token, password }) => {
+  await axios.post(`${baseUrl}/password-reset/confirm`, { token, password });
+};
+
+const startTwoFactor = async (password) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.post(
+    `${baseUrl}/me/two-factor`,
+    { password },
+    config
+  );
+  return response.data;
+};
+
+const confirmTwoFactor = async (code) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.post(
+    `${baseUrl}/me/two-factor/confirm`,
+    { code },
+    config
+  );
+  return response.data;
+};
+
+const regenerateRecoveryCodes = async (password) => {
+  const config = {
+    headers: { Authorization: jwt },
+  };
+
+  const response = await axios.post(
+    `${baseUrl}/me/two-factor/recovery-codes`,
+    { password },
+    config
+  );
+  return response.data;
+};
+
+const disableTwoFactor = async (password) => {
+  const config = {
+    headers: { Authorization: jwt },
+    data: { password },
+  };
+
+  await axios.delete(`${baseUrl}/me/two-factor`, config);
+};
+
 const setToken = (token) => {
   jwt = `Bearer ${token}`;
 };
 
-export default { getAll, get, setToken };
+export default {
+  getAll,
+  get,
+  getMe,
+  updateMe,
+  removeMe,
+  follow,
+  unfollow,
+  changePassword,
+  requestPasswordReset,
+  confirmPasswordReset,
+  startTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  setToken,
+};
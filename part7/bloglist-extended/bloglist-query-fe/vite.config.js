@@ -4,7 +4,15 @@ import react from '@vitejs/plugin-react';
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // components in ../shared are used by both frontends, their imports of
+  // react and friends have to resolve to this app's copies
+  resolve: {
+    dedupe: ['react', 'react-dom', 'prop-types'],
+  },
   server: {
+    fs: {
+      allow: ['..'],
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:3003',
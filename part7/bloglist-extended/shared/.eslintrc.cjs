@@ -0,0 +1,5 @@
+// components used by both frontends follow the same rules as their own code
+module.exports = {
+  root: true,
+  extends: ['../bloglist-fe/.eslintrc.cjs'],
+};
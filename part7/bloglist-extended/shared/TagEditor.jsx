@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const TagEditor = ({ tags, setTags }) => {
+  const [input, setInput] = useState('');
+
+  const addTag = () => {
+    const tag = input.trim().toLowerCase();
+    if (tag && !tags.includes(tag)) {
+      setTags(tags.concat(tag));
+    }
+    setInput('');
+  };
+
+  const removeTag = (tagToRemove) => {
+    setTags(tags.filter((tag) => tag !== tagToRemove));
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault();
+      addTag();
+    } else if (event.key === 'Backspace' && !input && tags.length > 0) {
+      removeTag(tags.at(-1));
+    }
+  };
+
+  return (
+    <div>
+      tags:&nbsp;
+      {tags.map((tag) => (
+        <span key={tag} className="tag">
+          #{tag}
+          <button type="button" onClick={() => removeTag(tag)}>
+            x
+          </button>
+        </span>
+      ))}
+      <input
+        id="new-tags"
+        type="text"
+        value={input}
+        name="Tags"
+        onChange={({ target }) => setInput(target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={addTag}
+        placeholder="add a tag and press enter"
+      />
+    </div>
+  );
+};
+
+TagEditor.propTypes = {
+  tags: PropTypes.array.isRequired,
+  setTags: PropTypes.func.isRequired,
+};
+
+export default TagEditor;